@@ -3,30 +3,65 @@
  * 
  * Punto de entrada principal que configura los providers necesarios:
  * 1. QueryClientProvider - Para React Query (gestión de estado asíncrono)
- * 2. ThemeProvider - Para Context API de temas (modo claro/oscuro)
- * 3. AppNavigation - Sistema de navegación con tabs y stacks
+ * 2. EnvironmentProvider - Entorno de API activo (dev/staging/prod/custom)
+ * 3. ThemeProvider - Para Context API de temas (modo claro/oscuro)
+ * 4. HealthProvider - Estado de conexión con el backend (online/waking/offline)
+ * 5. UndoDeleteProvider - Eliminación de tableros con opción de deshacer
+ * 6. AppNavigation - Sistema de navegación con tabs y stacks
  * 
- * Muestra SplashScreen durante 2.5 segundos antes de cargar la app principal.
+ * Muestra SplashScreen durante 2.5 segundos antes de cargar la app principal,
+ * mientras restaura desde AsyncStorage la caché persistida de tableros y
+ * comprueba si el backend responde (despertándolo si estaba en reposo).
  * 
  * @module App
  * @author Francis Daniel Mamani Silva
  * @version 1.0.0
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import { persistQueryClient } from '@tanstack/react-query-persist-client';
+import { createAsyncStoragePersister } from '@tanstack/query-async-storage-persister';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
 import { SafeAreaView, SafeAreaProvider } from 'react-native-safe-area-context';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import AppNavigation from './src/navigation/AppNavigation';
 import SplashScreen from './src/components/SplashScreen';
 import { ThemeProvider } from './src/context/ThemeContext';
+import { EnvironmentProvider } from './src/context/EnvironmentContext';
+import { UndoDeleteProvider } from './src/context/UndoDeleteContext';
+import { HealthProvider } from './src/context/HealthContext';
+import ServerStatusBanner from './src/components/ServerStatusBanner';
+import HealthService from './src/services/HealthService';
+import { useOfflineSync } from './src/hooks/useOfflineQueue';
+
+/**
+ * Tiempo máximo que se conserva la caché persistida (24 horas)
+ * @const {number}
+ */
+const CACHE_MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * Muestra los recordatorios de mantenimiento aunque la app esté en primer plano
+ */
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: false,
+    shouldSetBadge: false,
+  }),
+});
 
 /**
  * Instancia global de QueryClient para React Query
  * 
  * Configuración:
- * - retry: 2 intentos en caso de error en queries
+ * - retry: false, los reintentos con espera exponencial los hace HttpClient
+ *   (repetirlos aquí multiplicaría las peticiones contra un servidor caído)
  * - refetchOnWindowFocus: false (no refrescar automáticamente al enfocar ventana)
+ * - gcTime: 24 horas, igual a CACHE_MAX_AGE para que la caché persistida no se descarte antes
  * 
  * Esta configuración se aplica a todas las queries y mutations de la app
  * a menos que se sobrescriba en queries específicas.
@@ -37,21 +72,47 @@ import { ThemeProvider } from './src/context/ThemeContext';
 const queryClient = new QueryClient({
   defaultOptions: {
     queries: {
-      retry: 2,
+      retry: false,
       refetchOnWindowFocus: false,
+      gcTime: CACHE_MAX_AGE,
     },
   },
 });
 
+/**
+ * Persister que guarda la caché de React Query en AsyncStorage
+ * 
+ * @const
+ * @type {Object}
+ */
+const queryPersister = createAsyncStoragePersister({
+  storage: AsyncStorage,
+  key: '@react_query_cache',
+});
+
+/**
+ * Indica si una query debe guardarse en AsyncStorage
+ * Solo se persisten las queries de tableros que se resolvieron correctamente.
+ * 
+ * @function
+ * @param {Query} query - Query de React Query
+ * @returns {boolean} true si la query se persiste
+ */
+const shouldPersistQuery = (query) =>
+  query.queryKey[0] === 'tableros' && query.state.status === 'success';
+
 /**
  * Componente wrapper que maneja SafeAreaView para toda la aplicación
- * Aplica los insets necesarios para APK en dispositivos reales
+ * Aplica los insets necesarios para APK en dispositivos reales,
+ * sincroniza la cola offline al recuperar la conexión y muestra
+ * el estado del servidor sobre la navegación
  * 
  * @function
  * @returns {React.Component} App envuelta en SafeAreaView con insets apropiados
  */
 function SafeWrapper() {
   const insets = useSafeAreaInsets();
+  useOfflineSync();
   
   return (
     <SafeAreaView 
@@ -61,6 +122,7 @@ function SafeWrapper() {
       }}
       edges={['top']}
     >
+      <ServerStatusBanner />
       <AppNavigation />
     </SafeAreaView>
   );
@@ -71,12 +133,14 @@ function SafeWrapper() {
  * 
  * Flujo de ejecución:
  * 1. Muestra SplashScreen durante isLoading = true (2.5 segundos)
+ *    mientras se restaura la caché persistida de tableros y se
+ *    inicia la comprobación del backend (HealthService)
  * 2. Oculta SplashScreen y muestra la app principal
  * 3. Envuelve la app en providers para SafeArea, React Query y Theme
  * 4. SafeWrapper maneja las áreas seguras para APK
  * 
  * Orden de providers (de afuera hacia adentro):
- * SafeAreaProvider > QueryClientProvider > ThemeProvider > SafeWrapper > AppNavigation
+ * SafeAreaProvider > QueryClientProvider > EnvironmentProvider > ThemeProvider > HealthProvider > UndoDeleteProvider > SafeWrapper > AppNavigation
  * 
  * @function
  * @returns {React.Component} Aplicación completa con providers y navegación
@@ -85,8 +149,41 @@ export default function App() {
   /** @type {boolean} Estado de carga para controlar SplashScreen */
   const [isLoading, setIsLoading] = useState(true);
 
-  // Fase de carga: mostrar SplashScreen
-  if (isLoading) {
+  /** @type {boolean} Indica si ya se restauró la caché persistida */
+  const [isCacheRestored, setIsCacheRestored] = useState(false);
+
+  /**
+   * Efecto que restaura la caché de tableros durante el SplashScreen
+   * y la mantiene guardada en AsyncStorage mientras la app está abierta.
+   * Los datos restaurados se marcan como obsoletos para que la lista
+   * los muestre de inmediato y los refresque en segundo plano.
+   */
+  useEffect(() => {
+    const [unsubscribe, restorePromise] = persistQueryClient({
+      queryClient,
+      persister: queryPersister,
+      maxAge: CACHE_MAX_AGE,
+      dehydrateOptions: { shouldDehydrateQuery: shouldPersistQuery },
+    });
+
+    restorePromise
+      .then(() => queryClient.invalidateQueries({ queryKey: ['tableros'], refetchType: 'none' }))
+      .catch(error => console.error('Error al restaurar caché de tableros:', error))
+      .finally(() => setIsCacheRestored(true));
+
+    return unsubscribe;
+  }, []);
+
+  /**
+   * Efecto que comprueba el backend durante el SplashScreen
+   * Si está en reposo, lo despierta y la app lo indica con ServerStatusBanner.
+   */
+  useEffect(() => {
+    HealthService.start();
+  }, []);
+
+  // Fase de carga: mostrar SplashScreen hasta terminar la animación y la restauración
+  if (isLoading || !isCacheRestored) {
     return (
       <SafeAreaProvider>
         <SplashScreen onFinish={() => setIsLoading(false)} />
@@ -98,9 +195,15 @@ export default function App() {
   return (
     <SafeAreaProvider>
       <QueryClientProvider client={queryClient}>
-        <ThemeProvider>
-          <SafeWrapper />
-        </ThemeProvider>
+        <EnvironmentProvider>
+          <ThemeProvider>
+            <HealthProvider>
+              <UndoDeleteProvider>
+                <SafeWrapper />
+              </UndoDeleteProvider>
+            </HealthProvider>
+          </ThemeProvider>
+        </EnvironmentProvider>
       </QueryClientProvider>
     </SafeAreaProvider>
   );
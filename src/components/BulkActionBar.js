@@ -0,0 +1,237 @@
+/**
+ * BulkActionBar - Barra de acciones del modo selección de la lista
+ *
+ * Se muestra fija en la parte inferior de TablerosListView mientras hay
+ * tableros seleccionados. Permite seleccionar todos los tableros filtrados
+ * y aplicar a la selección un cambio de estado, exportarla, imprimir sus
+ * etiquetas QR o eliminarla. El nuevo estado se elige en un modal propio.
+ *
+ * @component
+ * @module components/BulkActionBar
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ *
+ * @param {Object} props - Props del componente
+ * @param {number} props.selectedCount - Cantidad de tableros seleccionados
+ * @param {boolean} props.allSelected - Indica si están seleccionados todos los filtrados
+ * @param {boolean} [props.isSelectingAll] - Indica si se están cargando las páginas restantes para seleccionarlas
+ * @param {Function} props.onToggleAll - Selecciona todos los filtrados o limpia la selección
+ * @param {Function} props.onChangeEstado - Recibe el estado elegido para la selección
+ * @param {Function} props.onExport - Exporta la selección
+ * @param {Function} props.onPrintLabels - Genera la hoja de etiquetas QR de la selección
+ * @param {boolean} [props.isPrintingLabels] - Indica si se está generando la hoja de etiquetas
+ * @param {Function} props.onDelete - Elimina la selección
+ * @param {Function} props.onCancel - Sale del modo selección
+ *
+ * @returns {React.Component} Barra de acciones masivas
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import TableroElectricoModel from '../models/TableroElectricoModel';
+
+const BulkActionBar = ({
+  selectedCount,
+  allSelected,
+  isSelectingAll = false,
+  onToggleAll,
+  onChangeEstado,
+  onExport,
+  onPrintLabels,
+  isPrintingLabels = false,
+  onDelete,
+  onCancel,
+}) => {
+  const { theme } = useTheme();
+
+  /** @type {boolean} Estado del modal de selección de estado */
+  const [isEstadoModalVisible, setIsEstadoModalVisible] = useState(false);
+
+  const hasSelection = selectedCount > 0;
+
+  const actions = [
+    { key: 'estado', label: 'Estado', icon: 'swap-horizontal', color: theme.colors.primary, onPress: () => setIsEstadoModalVisible(true) },
+    { key: 'export', label: 'Exportar', icon: 'share-outline', color: theme.colors.success, onPress: onExport },
+    { key: 'labels', label: 'Etiquetas', icon: 'qr-code-outline', color: theme.colors.warning, onPress: onPrintLabels, isBusy: isPrintingLabels },
+    { key: 'delete', label: 'Eliminar', icon: 'trash', color: theme.colors.error, onPress: onDelete },
+  ];
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.card, borderTopColor: theme.colors.border }]}>
+      <View style={styles.topRow}>
+        <TouchableOpacity onPress={onCancel} style={styles.iconButton}>
+          <Ionicons name="close" size={22} color={theme.colors.text} />
+        </TouchableOpacity>
+        <Text style={[styles.countText, { color: theme.colors.text }]}>
+          {selectedCount} seleccionado{selectedCount !== 1 ? 's' : ''}
+        </Text>
+        <TouchableOpacity onPress={onToggleAll} style={styles.toggleAllButton} disabled={isSelectingAll}>
+          {isSelectingAll ? (
+            <ActivityIndicator size="small" color={theme.colors.primary} />
+          ) : (
+            <Text style={[styles.toggleAllText, { color: theme.colors.primary }]}>
+              {allSelected ? 'Ninguno' : 'Todos los filtrados'}
+            </Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.actionsRow}>
+        {actions.map(action => (
+          <TouchableOpacity
+            key={action.key}
+            style={[styles.actionButton, { backgroundColor: action.color }, !hasSelection && styles.actionDisabled]}
+            onPress={action.onPress}
+            disabled={!hasSelection || action.isBusy}
+          >
+            {action.isBusy ? (
+              <ActivityIndicator size="small" color="#ffffff" />
+            ) : (
+              <Ionicons name={action.icon} size={18} color="#ffffff" />
+            )}
+            <Text style={styles.actionText}>{action.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <Modal
+        animationType="fade"
+        transparent={true}
+        visible={isEstadoModalVisible}
+        onRequestClose={() => setIsEstadoModalVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.dialog, { backgroundColor: theme.colors.card }]}>
+            <Text style={[styles.dialogTitle, { color: theme.colors.text }]}>
+              Cambiar estado de {selectedCount} tablero{selectedCount !== 1 ? 's' : ''}
+            </Text>
+            {TableroElectricoModel.ESTADOS.map(estado => (
+              <TouchableOpacity
+                key={estado}
+                style={[styles.estadoOption, { borderBottomColor: theme.colors.border }]}
+                onPress={() => {
+                  setIsEstadoModalVisible(false);
+                  onChangeEstado(estado);
+                }}
+              >
+                <Text style={[styles.estadoOptionText, { color: theme.colors.text }]}>{estado}</Text>
+                <Ionicons name="chevron-forward" size={18} color={theme.colors.textSecondary} />
+              </TouchableOpacity>
+            ))}
+            <TouchableOpacity onPress={() => setIsEstadoModalVisible(false)} style={styles.dialogCancel}>
+              <Text style={[styles.dialogCancelText, { color: theme.colors.textSecondary }]}>Cancelar</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    paddingHorizontal: 16,
+    paddingTop: 8,
+    paddingBottom: 12,
+    borderTopWidth: 1,
+    elevation: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: -2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 6,
+  },
+  topRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  iconButton: {
+    padding: 4,
+    marginRight: 8,
+  },
+  countText: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  toggleAllButton: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    minWidth: 60,
+    alignItems: 'flex-end',
+  },
+  toggleAllText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  actionsRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  actionButton: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 8,
+    borderRadius: 8,
+    gap: 2,
+  },
+  actionDisabled: {
+    opacity: 0.5,
+  },
+  actionText: {
+    color: '#ffffff',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  dialog: {
+    borderRadius: 16,
+    padding: 20,
+  },
+  dialogTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  estadoOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+  },
+  estadoOptionText: {
+    fontSize: 16,
+  },
+  dialogCancel: {
+    alignSelf: 'flex-end',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    marginTop: 8,
+  },
+  dialogCancelText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default BulkActionBar;
@@ -0,0 +1,185 @@
+/**
+ * BulkProgressModal - Avance y resultado de una acción masiva
+ *
+ * Mientras el lote se procesa muestra una barra de progreso; al terminar
+ * muestra el resultado de cada tablero (correcto o con su error) y un botón
+ * para cerrar.
+ *
+ * @component
+ * @module components/BulkProgressModal
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ *
+ * @param {Object} props - Props del componente
+ * @param {boolean} props.visible - Controla la visibilidad del modal
+ * @param {string} props.title - Descripción de la acción (ej: "Cambiando estado a Operativo")
+ * @param {Object|null} props.progress - { done, total } mientras se procesa
+ * @param {Object|null} props.result - { succeeded, failed } al terminar
+ * @param {Function} props.onClose - Cierra el modal (solo disponible al terminar)
+ *
+ * @returns {React.Component} Modal de avance
+ */
+
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+
+const BulkProgressModal = ({ visible, title, progress, result, onClose }) => {
+  const { theme } = useTheme();
+
+  const isRunning = !result;
+  const ratio = progress && progress.total > 0 ? progress.done / progress.total : 0;
+
+  /** @type {Array<Object>} Resultado por tablero, primero los fallidos */
+  const items = result
+    ? [
+        ...result.failed.map(item => ({ ...item, ok: false })),
+        ...result.succeeded.map(item => ({ ...item, ok: true })),
+      ]
+    : [];
+
+  return (
+    <Modal
+      animationType="fade"
+      transparent={true}
+      visible={visible}
+      onRequestClose={() => !isRunning && onClose()}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={[styles.dialog, { backgroundColor: theme.colors.card }]}>
+          <Text style={[styles.title, { color: theme.colors.text }]}>{title}</Text>
+
+          {isRunning ? (
+            <>
+              <View style={[styles.progressTrack, { backgroundColor: theme.colors.border }]}>
+                <View style={[styles.progressFill, { backgroundColor: theme.colors.primary, width: `${Math.round(ratio * 100)}%` }]} />
+              </View>
+              <View style={styles.progressRow}>
+                <ActivityIndicator size="small" color={theme.colors.primary} />
+                <Text style={[styles.progressText, { color: theme.colors.textSecondary }]}>
+                  {progress ? `${progress.done} de ${progress.total}` : 'Preparando...'}
+                </Text>
+              </View>
+            </>
+          ) : (
+            <>
+              <Text style={[styles.summary, { color: result.failed.length > 0 ? theme.colors.error : theme.colors.success }]}>
+                {result.succeeded.length} correcto{result.succeeded.length !== 1 ? 's' : ''}
+                {result.failed.length > 0 ? ` · ${result.failed.length} con error` : ''}
+              </Text>
+              <ScrollView style={styles.resultList}>
+                {items.map(item => (
+                  <View key={item.id} style={[styles.resultRow, { borderBottomColor: theme.colors.border }]}>
+                    <Ionicons
+                      name={item.ok ? 'checkmark-circle' : 'close-circle'}
+                      size={18}
+                      color={item.ok ? theme.colors.success : theme.colors.error}
+                    />
+                    <View style={styles.resultText}>
+                      <Text style={[styles.resultNombre, { color: theme.colors.text }]} numberOfLines={1}>
+                        {item.nombre}
+                      </Text>
+                      {!item.ok && (
+                        <Text style={[styles.resultError, { color: theme.colors.error }]}>{item.error}</Text>
+                      )}
+                    </View>
+                  </View>
+                ))}
+              </ScrollView>
+              <TouchableOpacity
+                style={[styles.closeButton, { backgroundColor: theme.colors.primary }]}
+                onPress={onClose}
+              >
+                <Text style={styles.closeButtonText}>Cerrar</Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  dialog: {
+    borderRadius: 16,
+    padding: 20,
+    maxHeight: '80%',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 16,
+  },
+  progressTrack: {
+    height: 8,
+    borderRadius: 4,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    borderRadius: 4,
+  },
+  progressRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+    gap: 8,
+  },
+  progressText: {
+    fontSize: 14,
+  },
+  summary: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  resultList: {
+    flexGrow: 0,
+  },
+  resultRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    gap: 8,
+  },
+  resultText: {
+    flex: 1,
+  },
+  resultNombre: {
+    fontSize: 15,
+  },
+  resultError: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  closeButton: {
+    marginTop: 16,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default BulkProgressModal;
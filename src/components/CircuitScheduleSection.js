@@ -0,0 +1,267 @@
+/**
+ * CircuitScheduleSection - Sección de cuadro de circuitos del editor de tableros
+ *
+ * Lista los circuitos (interruptores) del tablero ordenados por posición y
+ * permite agregarlos, editarlos y eliminarlos. Muestra la suma de capacidades
+ * frente a la capacidad del tablero y advierte cuando la supera.
+ *
+ * @component
+ * @module components/CircuitScheduleSection
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ *
+ * @param {Object} props - Props del componente
+ * @param {string} props.tableroId - ID del tablero
+ * @param {number} props.capacidadAmperios - Capacidad actual del tablero (valor del formulario)
+ * @param {Array<CircuitoModel>} props.circuitos - Circuitos del tablero
+ * @param {boolean} props.isLoading - Indica si se están cargando los circuitos
+ * @param {boolean} [props.isAvailable=true] - false si el tablero aún no existe en el servidor
+ *
+ * @returns {React.Component} Tarjeta con el cuadro de circuitos
+ *
+ * @example
+ * <CircuitScheduleSection tableroId={tablero.id} capacidadAmperios={200} circuitos={circuitos} />
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { useAddCircuito, useUpdateCircuito, useDeleteCircuito } from '../hooks/useCircuitos';
+import TableroController from '../controllers/TableroController';
+import CircuitoFormModal from './CircuitoFormModal';
+
+const CircuitScheduleSection = ({ tableroId, capacidadAmperios, circuitos = [], isLoading, isAvailable = true }) => {
+  const { theme } = useTheme();
+
+  /** @type {boolean} Visibilidad del formulario de circuito */
+  const [isFormVisible, setIsFormVisible] = useState(false);
+
+  /** @type {CircuitoModel|null} Circuito en edición (null = nuevo) */
+  const [editingCircuito, setEditingCircuito] = useState(null);
+
+  const addCircuitoMutation = useAddCircuito(tableroId);
+  const updateCircuitoMutation = useUpdateCircuito(tableroId);
+  const deleteCircuitoMutation = useDeleteCircuito(tableroId);
+
+  /** Revisión del cuadro frente a la capacidad del tablero */
+  const { totalAmperios, warnings } = TableroController.validateCircuitos(
+    { capacidad_amperios: capacidadAmperios },
+    circuitos
+  );
+
+  const nextPosicion = circuitos.reduce((max, circuito) => Math.max(max, circuito.posicion), 0) + 1;
+
+  /**
+   * Abre el formulario para crear o editar un circuito
+   * @param {CircuitoModel|null} circuito - Circuito a editar o null
+   */
+  const openForm = (circuito) => {
+    setEditingCircuito(circuito);
+    setIsFormVisible(true);
+  };
+
+  /**
+   * Guarda el circuito del formulario (creación o edición)
+   * @param {Object} circuitoData - Datos del formulario
+   */
+  const handleSubmit = (circuitoData) => {
+    const callbacks = {
+      onSuccess: () => setIsFormVisible(false),
+      onError: (error) => Alert.alert('Error', error.message),
+    };
+
+    if (editingCircuito) {
+      updateCircuitoMutation.mutate({ id: editingCircuito.id, data: circuitoData }, callbacks);
+    } else {
+      addCircuitoMutation.mutate(circuitoData, callbacks);
+    }
+  };
+
+  /**
+   * Elimina un circuito tras confirmación
+   * @param {CircuitoModel} circuito - Circuito a eliminar
+   */
+  const handleDelete = (circuito) => {
+    Alert.alert(
+      'Eliminar circuito',
+      `¿Eliminar el circuito ${circuito.posicion} "${circuito.etiqueta}"?`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Eliminar',
+          style: 'destructive',
+          onPress: () => deleteCircuitoMutation.mutate(circuito.id, {
+            onError: (error) => Alert.alert('Error', error.message),
+          }),
+        },
+      ]
+    );
+  };
+
+  const exceedsCapacity = capacidadAmperios > 0 && totalAmperios > capacidadAmperios;
+
+  return (
+    <View style={[styles.card, { backgroundColor: theme.colors.card }]}>
+      <View style={styles.sectionHeader}>
+        <Ionicons name="git-network" size={22} color={theme.colors.primary} />
+        <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Cuadro de Circuitos</Text>
+        {isAvailable && (
+          <TouchableOpacity onPress={() => openForm(null)} style={styles.addButton}>
+            <Ionicons name="add-circle" size={28} color={theme.colors.primary} />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {!isAvailable ? (
+        <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+          Los circuitos estarán disponibles cuando el tablero se sincronice con el servidor.
+        </Text>
+      ) : isLoading ? (
+        <ActivityIndicator color={theme.colors.primary} />
+      ) : (
+        <>
+          <Text style={[
+            styles.totalText,
+            { color: exceedsCapacity ? theme.colors.error : theme.colors.textSecondary },
+          ]}>
+            Total interruptores: {totalAmperios} A / {capacidadAmperios || 0} A del tablero
+          </Text>
+
+          {warnings.map(warning => (
+            <View key={warning} style={[styles.warningBox, { borderColor: theme.colors.warning }]}>
+              <Ionicons name="warning" size={18} color={theme.colors.warning} />
+              <Text style={[styles.warningText, { color: theme.colors.text }]}>{warning}</Text>
+            </View>
+          ))}
+
+          {circuitos.length === 0 ? (
+            <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+              Este tablero aún no tiene circuitos registrados.
+            </Text>
+          ) : (
+            circuitos.map(circuito => (
+              <TouchableOpacity
+                key={circuito.id}
+                style={[styles.circuitoRow, { borderTopColor: theme.colors.border }]}
+                onPress={() => openForm(circuito)}
+              >
+                <View style={[styles.posicionBadge, { backgroundColor: theme.colors.cardBackground }]}>
+                  <Text style={[styles.posicionText, { color: theme.colors.primary }]}>{circuito.posicion}</Text>
+                </View>
+                <View style={styles.circuitoInfo}>
+                  <Text style={[styles.circuitoEtiqueta, { color: theme.colors.text }]}>{circuito.etiqueta}</Text>
+                  <Text style={[styles.circuitoDetalle, { color: theme.colors.textSecondary }]}>
+                    {circuito.capacidad_amperios} A · {circuito.polos}P · Curva {circuito.curva}
+                    {circuito.carga_protegida ? ` · ${circuito.carga_protegida}` : ''}
+                  </Text>
+                </View>
+                <TouchableOpacity onPress={() => handleDelete(circuito)} style={styles.deleteButton}>
+                  <Ionicons name="trash-outline" size={20} color={theme.colors.error} />
+                </TouchableOpacity>
+              </TouchableOpacity>
+            ))
+          )}
+        </>
+      )}
+
+      <CircuitoFormModal
+        visible={isFormVisible}
+        circuito={editingCircuito}
+        nextPosicion={nextPosicion}
+        isSaving={addCircuitoMutation.isPending || updateCircuitoMutation.isPending}
+        onClose={() => setIsFormVisible(false)}
+        onSubmit={handleSubmit}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    borderRadius: 12,
+    padding: 20,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginLeft: 8,
+    flex: 1,
+  },
+  addButton: {
+    padding: 2,
+  },
+  totalText: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  warningBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 8,
+  },
+  warningText: {
+    flex: 1,
+    fontSize: 13,
+    marginLeft: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+  },
+  circuitoRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderTopWidth: 1,
+  },
+  posicionBadge: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  posicionText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  circuitoInfo: {
+    flex: 1,
+  },
+  circuitoEtiqueta: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  circuitoDetalle: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  deleteButton: {
+    padding: 6,
+  },
+});
+
+export default CircuitScheduleSection;
@@ -0,0 +1,292 @@
+/**
+ * CircuitoFormModal - Formulario modal para crear o editar un circuito
+ *
+ * Captura posición, etiqueta, capacidad del interruptor, polos, curva de disparo
+ * y carga protegida. Convierte los campos numéricos antes de entregarlos a onSubmit;
+ * la validación completa la realiza CircuitoModel a través del controlador.
+ *
+ * @component
+ * @module components/CircuitoFormModal
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ *
+ * @param {Object} props - Props del componente
+ * @param {boolean} props.visible - Controla la visibilidad del modal
+ * @param {Object|null} props.circuito - Circuito a editar, o null para crear uno nuevo
+ * @param {number} props.nextPosicion - Posición sugerida para un circuito nuevo
+ * @param {boolean} props.isSaving - Indica si se está guardando
+ * @param {Function} props.onClose - Callback al cerrar sin guardar
+ * @param {Function} props.onSubmit - Callback con los datos del circuito
+ *
+ * @returns {React.Component} Modal con el formulario del circuito
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import CircuitoModel from '../models/CircuitoModel';
+
+const CircuitoFormModal = ({ visible, circuito, nextPosicion, isSaving, onClose, onSubmit }) => {
+  const { theme } = useTheme();
+
+  /** @type {Object} Estado del formulario (campos numéricos como string para TextInput) */
+  const [formData, setFormData] = useState({});
+
+  /**
+   * Efecto que pre-carga el formulario cada vez que se abre el modal
+   */
+  useEffect(() => {
+    if (!visible) return;
+
+    setFormData({
+      posicion: (circuito?.posicion || nextPosicion || 1).toString(),
+      etiqueta: circuito?.etiqueta || '',
+      capacidad_amperios: circuito?.capacidad_amperios ? circuito.capacidad_amperios.toString() : '',
+      polos: circuito?.polos || 1,
+      curva: circuito?.curva || 'C',
+      carga_protegida: circuito?.carga_protegida || '',
+    });
+  }, [visible, circuito, nextPosicion]);
+
+  /**
+   * Actualiza un campo específico del formulario
+   *
+   * @param {string} field - Nombre del campo
+   * @param {*} value - Nuevo valor
+   */
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  /**
+   * Convierte los campos numéricos y entrega los datos a onSubmit
+   */
+  const handleSubmit = () => {
+    onSubmit({
+      ...formData,
+      posicion: parseInt(formData.posicion, 10),
+      capacidad_amperios: parseInt(formData.capacidad_amperios, 10),
+    });
+  };
+
+  const inputStyle = [
+    styles.input,
+    { backgroundColor: theme.colors.cardBackground, borderColor: theme.colors.border, color: theme.colors.text },
+  ];
+
+  /**
+   * Renderiza un grupo de opciones excluyentes (polos, curva)
+   *
+   * @param {string} field - Campo del formulario
+   * @param {Array} options - Opciones disponibles
+   * @param {Function} [formatLabel] - Formato de la etiqueta de cada opción
+   */
+  const renderChips = (field, options, formatLabel = (option) => option) => (
+    <View style={styles.chipRow}>
+      {options.map(option => {
+        const isSelected = formData[field] === option;
+        return (
+          <TouchableOpacity
+            key={option}
+            style={[
+              styles.chip,
+              { borderColor: theme.colors.primary },
+              isSelected && { backgroundColor: theme.colors.primary },
+            ]}
+            onPress={() => handleInputChange(field, option)}
+          >
+            <Text style={[styles.chipText, { color: isSelected ? '#ffffff' : theme.colors.primary }]}>
+              {formatLabel(option)}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={[styles.modalContent, { backgroundColor: theme.colors.card }]}>
+          <View style={styles.modalHeader}>
+            <Text style={[styles.modalTitle, { color: theme.colors.text }]}>
+              {circuito ? 'Editar circuito' : 'Nuevo circuito'}
+            </Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={theme.colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView keyboardShouldPersistTaps="handled">
+            <View style={styles.row}>
+              <View style={[styles.formGroup, styles.rowItem]}>
+                <Text style={[styles.label, { color: theme.colors.text }]}>Posición *</Text>
+                <TextInput
+                  style={inputStyle}
+                  value={formData.posicion}
+                  onChangeText={(value) => handleInputChange('posicion', value)}
+                  keyboardType="numeric"
+                  placeholderTextColor={theme.colors.textSecondary}
+                />
+              </View>
+              <View style={[styles.formGroup, styles.rowItem]}>
+                <Text style={[styles.label, { color: theme.colors.text }]}>Interruptor (A) *</Text>
+                <TextInput
+                  style={inputStyle}
+                  placeholder="Ej: 20"
+                  value={formData.capacidad_amperios}
+                  onChangeText={(value) => handleInputChange('capacidad_amperios', value)}
+                  keyboardType="numeric"
+                  placeholderTextColor={theme.colors.textSecondary}
+                />
+              </View>
+            </View>
+
+            <View style={styles.formGroup}>
+              <Text style={[styles.label, { color: theme.colors.text }]}>Etiqueta *</Text>
+              <TextInput
+                style={inputStyle}
+                placeholder="Ej: Alumbrado Piso 1"
+                value={formData.etiqueta}
+                onChangeText={(value) => handleInputChange('etiqueta', value)}
+                placeholderTextColor={theme.colors.textSecondary}
+              />
+            </View>
+
+            <View style={styles.formGroup}>
+              <Text style={[styles.label, { color: theme.colors.text }]}>Polos *</Text>
+              {renderChips('polos', CircuitoModel.POLOS, (polos) => `${polos}P`)}
+            </View>
+
+            <View style={styles.formGroup}>
+              <Text style={[styles.label, { color: theme.colors.text }]}>Curva *</Text>
+              {renderChips('curva', CircuitoModel.CURVAS)}
+            </View>
+
+            <View style={styles.formGroup}>
+              <Text style={[styles.label, { color: theme.colors.text }]}>Carga protegida</Text>
+              <TextInput
+                style={inputStyle}
+                placeholder="Ej: Tomacorrientes oficina 101"
+                value={formData.carga_protegida}
+                onChangeText={(value) => handleInputChange('carga_protegida', value)}
+                placeholderTextColor={theme.colors.textSecondary}
+              />
+            </View>
+
+            <TouchableOpacity
+              style={[styles.submitButton, { backgroundColor: theme.colors.primary }]}
+              onPress={handleSubmit}
+              disabled={isSaving}
+            >
+              {isSaving ? (
+                <ActivityIndicator color="#ffffff" />
+              ) : (
+                <>
+                  <Ionicons name="checkmark-circle" size={20} color="#ffffff" />
+                  <Text style={styles.submitButtonText}>Guardar circuito</Text>
+                </>
+              )}
+            </TouchableOpacity>
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingTop: 20,
+    paddingHorizontal: 20,
+    paddingBottom: 40,
+    maxHeight: '85%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  row: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  rowItem: {
+    flex: 1,
+  },
+  formGroup: {
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    minWidth: 48,
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+  },
+  chipText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  submitButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 16,
+    borderRadius: 12,
+    gap: 8,
+    marginTop: 8,
+  },
+  submitButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default CircuitoFormModal;
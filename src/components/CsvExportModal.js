@@ -0,0 +1,256 @@
+/**
+ * CsvExportModal - Opciones de exportación de tableros a CSV
+ *
+ * Permite elegir las columnas y el delimitador antes de exportar. La última
+ * elección se guarda entre sesiones. Al confirmar, CsvService genera el
+ * archivo y lo entrega a la hoja de compartir del sistema.
+ *
+ * @component
+ * @module components/CsvExportModal
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ *
+ * @param {Object} props - Props del componente
+ * @param {boolean} props.visible - Controla la visibilidad del modal
+ * @param {Function} props.onClose - Cierra el modal
+ * @param {Array<Object>} props.tableros - Tableros a exportar
+ *
+ * @returns {React.Component} Modal de exportación
+ *
+ * @example
+ * <CsvExportModal visible={isExportVisible} onClose={closeExport} tableros={filteredTableros} />
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { usePersistedState } from '../hooks/usePersistedState';
+import CsvService, { CSV_DELIMITERS, TABLERO_CSV_COLUMNS } from '../services/CsvService';
+
+/**
+ * Opciones predeterminadas: todas las columnas separadas por coma
+ * @constant {Object}
+ */
+const DEFAULT_EXPORT_OPTIONS = {
+  columns: TABLERO_CSV_COLUMNS.map(column => column.key),
+  delimiter: CSV_DELIMITERS[0].value,
+};
+
+const CsvExportModal = ({ visible, onClose, tableros }) => {
+  const { theme } = useTheme();
+
+  /** @type {Object} Columnas y delimitador elegidos, guardados entre sesiones */
+  const [options, setOptions] = usePersistedState('@tableros_csv_export', DEFAULT_EXPORT_OPTIONS);
+
+  /** @type {boolean} Exportación en curso */
+  const [isExporting, setIsExporting] = useState(false);
+
+  /**
+   * Agrega o quita una columna manteniendo el orden de TABLERO_CSV_COLUMNS
+   * @param {string} key - Clave de la columna
+   */
+  const toggleColumn = (key) => {
+    setOptions(prev => {
+      const selected = prev.columns.includes(key)
+        ? prev.columns.filter(column => column !== key)
+        : [...prev.columns, key];
+      return {
+        ...prev,
+        columns: TABLERO_CSV_COLUMNS.map(column => column.key).filter(column => selected.includes(column)),
+      };
+    });
+  };
+
+  /**
+   * Genera el CSV y abre la hoja de compartir
+   */
+  const handleExport = async () => {
+    setIsExporting(true);
+    const result = await CsvService.exportTableros(tableros, options);
+    setIsExporting(false);
+
+    if (!result.success) {
+      Alert.alert('Error', result.error || 'No se pudo exportar el archivo');
+      return;
+    }
+    onClose();
+  };
+
+  const canExport = options.columns.length > 0 && tableros.length > 0 && !isExporting;
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={[styles.modalContent, { backgroundColor: theme.colors.card }]}>
+          <View style={[styles.modalHeader, { borderBottomColor: theme.colors.border }]}>
+            <Text style={[styles.modalTitle, { color: theme.colors.text }]}>Exportar a CSV</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={theme.colors.text} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.modalBody}>
+            <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Columnas</Text>
+            {TABLERO_CSV_COLUMNS.map(column => {
+              const isSelected = options.columns.includes(column.key);
+              return (
+                <TouchableOpacity
+                  key={column.key}
+                  style={styles.checkRow}
+                  onPress={() => toggleColumn(column.key)}
+                >
+                  <Ionicons
+                    name={isSelected ? 'checkbox' : 'square-outline'}
+                    size={22}
+                    color={theme.colors.primary}
+                  />
+                  <Text style={[styles.checkLabel, { color: theme.colors.text }]}>{column.label}</Text>
+                </TouchableOpacity>
+              );
+            })}
+
+            <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Delimitador</Text>
+            <View style={styles.chipRow}>
+              {CSV_DELIMITERS.map(delimiter => {
+                const isSelected = options.delimiter === delimiter.value;
+                return (
+                  <TouchableOpacity
+                    key={delimiter.value}
+                    style={[
+                      styles.chip,
+                      { borderColor: theme.colors.primary },
+                      isSelected && { backgroundColor: theme.colors.primary },
+                    ]}
+                    onPress={() => setOptions(prev => ({ ...prev, delimiter: delimiter.value }))}
+                  >
+                    <Text style={[styles.chipText, { color: isSelected ? '#ffffff' : theme.colors.primary }]}>
+                      {delimiter.label}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+            <Text style={[styles.hint, { color: theme.colors.textSecondary }]}>
+              Usa punto y coma si abrirás el archivo en Excel configurado en español.
+            </Text>
+          </ScrollView>
+
+          <TouchableOpacity
+            style={[styles.exportButton, { backgroundColor: theme.colors.primary }, !canExport && styles.exportDisabled]}
+            onPress={handleExport}
+            disabled={!canExport}
+          >
+            {isExporting ? (
+              <ActivityIndicator color="#ffffff" />
+            ) : (
+              <>
+                <Ionicons name="download-outline" size={20} color="#ffffff" />
+                <Text style={styles.exportButtonText}>
+                  Exportar {tableros.length} tablero{tableros.length !== 1 ? 's' : ''}
+                </Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    maxHeight: '85%',
+    paddingBottom: 24,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  modalBody: {
+    paddingHorizontal: 20,
+    paddingBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  checkRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    gap: 12,
+  },
+  checkLabel: {
+    fontSize: 15,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+  },
+  chipText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  hint: {
+    fontSize: 13,
+    marginTop: 8,
+  },
+  exportButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginHorizontal: 20,
+    marginTop: 12,
+    paddingVertical: 14,
+    borderRadius: 10,
+    gap: 8,
+  },
+  exportDisabled: {
+    opacity: 0.5,
+  },
+  exportButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default CsvExportModal;
@@ -0,0 +1,167 @@
+/**
+ * ErrorState - Pantalla de error con la acción de recuperación adecuada
+ *
+ * Muestra el título y el mensaje en español de un error tipado
+ * (errors/AppError) con un icono según su tipo, y el botón que corresponde a
+ * su acción de recuperación: reintentar, despertar el servidor (espera a que
+ * HealthService lo dé por iniciado y luego reintenta) o volver. Los errores
+ * de validación se muestran en el propio formulario
+ * (useTableroForm.showFieldErrors), no con esta pantalla.
+ *
+ * @component
+ * @module components/ErrorState
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ *
+ * @param {Object} props - Props del componente
+ * @param {Error} [props.error] - Error a mostrar (AppError o Error genérico)
+ * @param {Function} [props.onRetry] - Reintenta la operación; sin él no se ofrece reintentar
+ * @param {Function} [props.onGoBack] - Acción para errores NotFoundError
+ * @param {string} [props.goBackLabel='Volver'] - Texto del botón de onGoBack
+ *
+ * @returns {React.Component} Icono, título, mensaje y botón de recuperación
+ *
+ * @example
+ * <ErrorState error={error} onRetry={refetch} onGoBack={() => navigation.navigate('Tableros')} />
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { useHealth } from '../context/HealthContext';
+import { ERROR_TYPES, RECOVERY_ACTIONS, toAppError } from '../errors/AppError';
+
+/**
+ * Icono de cada tipo de error
+ * @constant {Object<string, string>}
+ */
+const ERROR_ICONS = {
+  [ERROR_TYPES.NETWORK]: 'cloud-offline-outline',
+  [ERROR_TYPES.TIMEOUT]: 'time-outline',
+  [ERROR_TYPES.SERVER_WAKING]: 'power',
+  [ERROR_TYPES.VALIDATION]: 'create-outline',
+  [ERROR_TYPES.NOT_FOUND]: 'search-outline',
+  [ERROR_TYPES.SERVER]: 'server-outline',
+  [ERROR_TYPES.UNKNOWN]: 'alert-circle',
+};
+
+const ErrorState = ({ error, onRetry, onGoBack, goBackLabel = 'Volver' }) => {
+  const { theme } = useTheme();
+  const { wake } = useHealth();
+
+  /** @type {boolean} Despertando el servidor antes de reintentar */
+  const [isWaking, setIsWaking] = useState(false);
+
+  /** @type {React.MutableRefObject<boolean>} El componente sigue montado */
+  const isMounted = useRef(true);
+
+  /**
+   * Efecto que marca el desmontaje; al despertar el servidor se recargan los
+   * datos y la pantalla de error puede desaparecer antes de que termine wake()
+   */
+  useEffect(() => {
+    isMounted.current = true;
+    return () => {
+      isMounted.current = false;
+    };
+  }, []);
+
+  const appError = toAppError(error);
+
+  /**
+   * Espera a que el servidor salga del reposo y reintenta
+   */
+  const handleWakeServer = async () => {
+    setIsWaking(true);
+    await wake();
+    if (!isMounted.current) return;
+    setIsWaking(false);
+    onRetry?.();
+  };
+
+  /**
+   * Botón según la acción de recuperación del error
+   * @returns {{label: string, icon: string, onPress: Function}|null}
+   */
+  const getAction = () => {
+    switch (appError.recovery) {
+      case RECOVERY_ACTIONS.WAKE_SERVER:
+        return { label: 'Despertar servidor', icon: 'power', onPress: handleWakeServer };
+      case RECOVERY_ACTIONS.GO_BACK:
+        return onGoBack ? { label: goBackLabel, icon: 'arrow-back', onPress: onGoBack } : null;
+      default:
+        return onRetry ? { label: 'Reintentar', icon: 'refresh', onPress: () => onRetry() } : null;
+    }
+  };
+
+  const action = getAction();
+
+  return (
+    <View style={styles.container}>
+      <Ionicons
+        name={ERROR_ICONS[appError.type] || ERROR_ICONS[ERROR_TYPES.UNKNOWN]}
+        size={80}
+        color={theme.colors.error}
+      />
+      <Text style={[styles.title, { color: theme.colors.error }]}>{appError.title}</Text>
+      <Text style={[styles.message, { color: theme.colors.textSecondary }]}>{appError.message}</Text>
+      {action && (
+        <TouchableOpacity
+          style={[styles.actionButton, { backgroundColor: theme.colors.primary }]}
+          onPress={action.onPress}
+          disabled={isWaking}
+        >
+          {isWaking ? (
+            <ActivityIndicator size="small" color="#ffffff" />
+          ) : (
+            <Ionicons name={action.icon} size={20} color="#ffffff" />
+          )}
+          <Text style={styles.actionButtonText}>
+            {isWaking ? 'Despertando servidor...' : action.label}
+          </Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    alignItems: 'center',
+    paddingHorizontal: 32,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    marginTop: 20,
+    textAlign: 'center',
+  },
+  message: {
+    fontSize: 14,
+    marginTop: 8,
+    textAlign: 'center',
+  },
+  actionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 20,
+    paddingHorizontal: 30,
+    paddingVertical: 12,
+    borderRadius: 8,
+    gap: 8,
+  },
+  actionButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default ErrorState;
@@ -0,0 +1,268 @@
+/**
+ * FilterPresetBar - Fila de vistas guardadas de la lista de tableros
+ *
+ * Muestra las vistas guardadas como chips horizontales bajo la barra de
+ * búsqueda: un toque aplica la vista y una pulsación larga permite
+ * renombrarla o eliminarla. El chip "Guardar vista" guarda la búsqueda,
+ * filtros y orden actuales con el nombre que indique el usuario.
+ *
+ * @component
+ * @module components/FilterPresetBar
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ *
+ * @param {Object} props - Props del componente
+ * @param {Object} props.currentState - Estado actual { searchTerm, filters, sort }
+ * @param {boolean} props.canSave - Indica si hay algo que guardar (búsqueda, filtros u orden no predeterminado)
+ * @param {Function} props.onApply - Recibe la vista elegida para aplicarla
+ *
+ * @returns {React.Component|null} Fila de chips, o null si no hay vistas ni nada que guardar
+ *
+ * @example
+ * <FilterPresetBar currentState={{ searchTerm, filters, sort }} canSave onApply={applyPreset} />
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import {
+  useFilterPresets,
+  useSaveFilterPreset,
+  useRenameFilterPreset,
+  useDeleteFilterPreset,
+} from '../hooks/useFilterPresets';
+
+/**
+ * Indica si una vista coincide con el estado actual de la lista
+ *
+ * @param {Object} preset - Vista guardada
+ * @param {Object} state - Estado actual { searchTerm, filters, sort }
+ * @returns {boolean} true si búsqueda, filtros y orden son iguales
+ */
+const matchesState = (preset, state) =>
+  preset.searchTerm === state.searchTerm
+  && JSON.stringify(preset.filters) === JSON.stringify(state.filters)
+  && JSON.stringify(preset.sort) === JSON.stringify(state.sort);
+
+const FilterPresetBar = ({ currentState, canSave, onApply }) => {
+  const { theme } = useTheme();
+
+  const { data: presets = [] } = useFilterPresets();
+  const savePresetMutation = useSaveFilterPreset();
+  const renamePresetMutation = useRenameFilterPreset();
+  const deletePresetMutation = useDeleteFilterPreset();
+
+  /** @type {Object|null} Vista en edición de nombre: { preset } para renombrar, {} para crear */
+  const [nameDialog, setNameDialog] = useState(null);
+
+  /** @type {string} Nombre escrito en el diálogo */
+  const [nombre, setNombre] = useState('');
+
+  if (presets.length === 0 && !canSave) return null;
+
+  /**
+   * Abre el diálogo de nombre para crear (sin preset) o renombrar una vista
+   * @param {Object|null} preset - Vista a renombrar
+   */
+  const openNameDialog = (preset = null) => {
+    setNombre(preset ? preset.nombre : '');
+    setNameDialog({ preset });
+  };
+
+  /**
+   * Guarda la vista nueva o el nuevo nombre
+   */
+  const handleSubmitName = () => {
+    const callbacks = {
+      onSuccess: () => setNameDialog(null),
+      onError: (error) => Alert.alert('Error', error.message),
+    };
+
+    if (nameDialog.preset) {
+      renamePresetMutation.mutate({ id: nameDialog.preset.id, nombre }, callbacks);
+    } else {
+      savePresetMutation.mutate({ nombre, ...currentState }, callbacks);
+    }
+  };
+
+  /**
+   * Muestra las opciones de gestión de una vista
+   * @param {Object} preset - Vista seleccionada
+   */
+  const handleManage = (preset) => {
+    Alert.alert(
+      preset.nombre,
+      '¿Qué deseas hacer con esta vista?',
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        { text: 'Renombrar', onPress: () => openNameDialog(preset) },
+        {
+          text: 'Eliminar',
+          style: 'destructive',
+          onPress: () => deletePresetMutation.mutate(preset.id, {
+            onError: (error) => Alert.alert('Error', error.message),
+          }),
+        },
+      ]
+    );
+  };
+
+  const isSaving = savePresetMutation.isPending || renamePresetMutation.isPending;
+
+  /** @type {boolean} El estado actual ya está guardado como vista */
+  const isAlreadySaved = presets.some(preset => matchesState(preset, currentState));
+
+  return (
+    <>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.bar}
+        contentContainerStyle={styles.barContent}
+      >
+        {canSave && !isAlreadySaved && (
+          <TouchableOpacity
+            style={[styles.chip, styles.saveChip, { borderColor: theme.colors.primary }]}
+            onPress={() => openNameDialog()}
+          >
+            <Ionicons name="bookmark-outline" size={14} color={theme.colors.primary} />
+            <Text style={[styles.chipText, { color: theme.colors.primary }]}>Guardar vista</Text>
+          </TouchableOpacity>
+        )}
+        {presets.map(preset => {
+          const isActive = matchesState(preset, currentState);
+          return (
+            <TouchableOpacity
+              key={preset.id}
+              style={[
+                styles.chip,
+                { borderColor: theme.colors.primary },
+                isActive && { backgroundColor: theme.colors.primary },
+              ]}
+              onPress={() => onApply(preset)}
+              onLongPress={() => handleManage(preset)}
+            >
+              <Ionicons name="bookmark" size={14} color={isActive ? '#ffffff' : theme.colors.primary} />
+              <Text style={[styles.chipText, { color: isActive ? '#ffffff' : theme.colors.primary }]}>
+                {preset.nombre}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+
+      <Modal
+        animationType="fade"
+        transparent={true}
+        visible={nameDialog !== null}
+        onRequestClose={() => setNameDialog(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={[styles.dialog, { backgroundColor: theme.colors.card }]}>
+            <Text style={[styles.dialogTitle, { color: theme.colors.text }]}>
+              {nameDialog?.preset ? 'Renombrar vista' : 'Guardar vista'}
+            </Text>
+            <TextInput
+              style={[styles.input, { backgroundColor: theme.colors.cardBackground, borderColor: theme.colors.border, color: theme.colors.text }]}
+              placeholder="Ej: Fuera de servicio en Sótano"
+              value={nombre}
+              onChangeText={setNombre}
+              maxLength={40}
+              autoFocus
+              placeholderTextColor={theme.colors.textSecondary}
+            />
+            <View style={styles.dialogActions}>
+              <TouchableOpacity onPress={() => setNameDialog(null)} style={styles.dialogButton}>
+                <Text style={[styles.dialogButtonText, { color: theme.colors.textSecondary }]}>Cancelar</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={handleSubmitName} style={styles.dialogButton} disabled={isSaving}>
+                {isSaving ? (
+                  <ActivityIndicator size="small" color={theme.colors.primary} />
+                ) : (
+                  <Text style={[styles.dialogButtonText, { color: theme.colors.primary }]}>Guardar</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </>
+  );
+};
+
+const styles = StyleSheet.create({
+  bar: {
+    marginTop: 10,
+    flexGrow: 0,
+  },
+  barContent: {
+    gap: 8,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 14,
+    borderWidth: 1,
+    gap: 4,
+  },
+  saveChip: {
+    borderStyle: 'dashed',
+  },
+  chipText: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  dialog: {
+    borderRadius: 16,
+    padding: 20,
+  },
+  dialogTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 16,
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+  dialogActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 16,
+    gap: 8,
+  },
+  dialogButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    minWidth: 80,
+    alignItems: 'center',
+  },
+  dialogButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default FilterPresetBar;
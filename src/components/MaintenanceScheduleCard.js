@@ -0,0 +1,212 @@
+/**
+ * MaintenanceScheduleCard - Programación de mantenimiento preventivo de un tablero
+ *
+ * Permite elegir cada cuántos meses debe mantenerse el tablero y muestra el
+ * último mantenimiento conocido, la próxima fecha y si está vencido o próximo
+ * a vencer. La programación y el recordatorio se guardan en el dispositivo.
+ *
+ * @component
+ * @module components/MaintenanceScheduleCard
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ *
+ * @param {Object} props - Props del componente
+ * @param {string} props.tableroId - ID del tablero
+ * @param {string} props.tableroNombre - Nombre del tablero para el recordatorio
+ *
+ * @returns {React.Component} Tarjeta con el intervalo y el próximo vencimiento
+ *
+ * @example
+ * <MaintenanceScheduleCard tableroId={tablero.id} tableroNombre={tablero.nombre} />
+ */
+
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { useMaintenanceSchedules, useSetMaintenanceInterval } from '../hooks/useMaintenanceSchedule';
+import { INTERVAL_OPTIONS, DUE_STATUS } from '../services/MaintenanceScheduleService';
+
+/**
+ * Formatea una fecha AAAA-MM-DD como DD/MM/AAAA
+ * @param {string} fecha - Fecha en formato AAAA-MM-DD
+ * @returns {string} Fecha legible
+ */
+const formatFecha = (fecha) => fecha.split('-').reverse().join('/');
+
+const MaintenanceScheduleCard = ({ tableroId, tableroNombre }) => {
+  const { theme } = useTheme();
+
+  const { schedules, statusByTableroId } = useMaintenanceSchedules();
+  const setIntervalMutation = useSetMaintenanceInterval();
+
+  const schedule = schedules[tableroId] || {};
+  const due = statusByTableroId[tableroId];
+
+  /** Texto y color del estado de vencimiento */
+  const statusStyles = {
+    [DUE_STATUS.OVERDUE]: { label: 'Vencido', color: theme.colors.error, icon: 'alarm' },
+    [DUE_STATUS.DUE_SOON]: { label: 'Próximo a vencer', color: theme.colors.warning, icon: 'time' },
+    [DUE_STATUS.OK]: { label: 'Al día', color: theme.colors.success, icon: 'checkmark-circle' },
+  };
+  const statusStyle = due ? statusStyles[due.status] : null;
+
+  /**
+   * Guarda el intervalo elegido (null = sin programar)
+   * @param {number|null} intervalMonths - Intervalo en meses
+   */
+  const handleSelectInterval = (intervalMonths) => {
+    if (intervalMonths === (schedule.intervalMonths || null)) return;
+
+    setIntervalMutation.mutate(
+      { tableroId, intervalMonths, tableroNombre },
+      { onError: (error) => Alert.alert('Error', error.message) }
+    );
+  };
+
+  const options = [
+    { value: null, label: 'Sin programar' },
+    ...INTERVAL_OPTIONS.map(months => ({ value: months, label: `${months} ${months === 1 ? 'mes' : 'meses'}` })),
+  ];
+
+  return (
+    <View style={[styles.card, { backgroundColor: theme.colors.card }]}>
+      <View style={styles.sectionHeader}>
+        <Ionicons name="calendar" size={22} color={theme.colors.primary} />
+        <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Mantenimiento preventivo</Text>
+      </View>
+
+      <Text style={[styles.label, { color: theme.colors.textSecondary }]}>Frecuencia</Text>
+      <View style={styles.chipRow}>
+        {options.map(option => {
+          const isSelected = (schedule.intervalMonths || null) === option.value;
+          return (
+            <TouchableOpacity
+              key={option.label}
+              style={[
+                styles.chip,
+                { borderColor: theme.colors.primary },
+                isSelected && { backgroundColor: theme.colors.primary },
+              ]}
+              onPress={() => handleSelectInterval(option.value)}
+              disabled={setIntervalMutation.isPending}
+            >
+              <Text style={[styles.chipText, { color: isSelected ? '#ffffff' : theme.colors.primary }]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      <View style={[styles.infoRow, { borderTopColor: theme.colors.border }]}>
+        <Text style={[styles.infoLabel, { color: theme.colors.textSecondary }]}>Último mantenimiento</Text>
+        <Text style={[styles.infoValue, { color: theme.colors.text }]}>
+          {schedule.lastMaintenance ? formatFecha(schedule.lastMaintenance) : 'Sin registro'}
+        </Text>
+      </View>
+
+      {due && (
+        <View style={[styles.infoRow, { borderTopColor: theme.colors.border }]}>
+          <Text style={[styles.infoLabel, { color: theme.colors.textSecondary }]}>Próximo mantenimiento</Text>
+          <View style={[styles.statusBadge, { backgroundColor: statusStyle.color }]}>
+            <Ionicons name={statusStyle.icon} size={14} color="#ffffff" />
+            <Text style={styles.statusText}>
+              {formatFecha(due.dueDate)} · {statusStyle.label}
+            </Text>
+          </View>
+        </View>
+      )}
+
+      {schedule.intervalMonths && !schedule.lastMaintenance && (
+        <Text style={[styles.hintText, { color: theme.colors.textSecondary }]}>
+          Sin mantenimientos registrados: el intervalo se cuenta desde el día en que se programó.
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    borderRadius: 12,
+    padding: 20,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  infoRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 12,
+    borderTopWidth: 1,
+  },
+  infoLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  infoValue: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  statusBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    gap: 4,
+  },
+  statusText: {
+    color: '#ffffff',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  hintText: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+});
+
+export default MaintenanceScheduleCard;
@@ -0,0 +1,224 @@
+/**
+ * MantenimientoTimeline - Línea de tiempo de mantenimientos de un tablero
+ *
+ * Muestra los registros de mantenimiento del más reciente al más antiguo con
+ * su tipo, técnico, hallazgos y próxima fecha programada. Incluye un botón
+ * para registrar un nuevo mantenimiento.
+ *
+ * @component
+ * @module components/MantenimientoTimeline
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ *
+ * @param {Object} props - Props del componente
+ * @param {Array<MantenimientoModel>} props.mantenimientos - Registros del tablero
+ * @param {boolean} props.isLoading - Indica si se están cargando los registros
+ * @param {boolean} props.isError - Indica si falló la carga
+ * @param {boolean} [props.isAvailable=true] - false si el tablero aún no existe en el servidor
+ * @param {Function} props.onAdd - Callback para registrar un nuevo mantenimiento
+ *
+ * @returns {React.Component} Tarjeta con la línea de tiempo de mantenimientos
+ *
+ * @example
+ * <MantenimientoTimeline mantenimientos={mantenimientos} onAdd={handleAddMantenimiento} />
+ */
+
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+
+/**
+ * Color e icono para cada tipo de mantenimiento
+ * @constant {Object<string, Object>}
+ */
+const TIPO_STYLES = {
+  'Preventivo': { color: '#4299e1', icon: 'shield-checkmark' },
+  'Correctivo': { color: '#ed8936', icon: 'build' },
+};
+
+/**
+ * Formatea una fecha AAAA-MM-DD como DD/MM/AAAA
+ * @param {string} fecha - Fecha en formato AAAA-MM-DD
+ * @returns {string} Fecha legible
+ */
+const formatFecha = (fecha) => fecha.split('-').reverse().join('/');
+
+const MantenimientoTimeline = ({ mantenimientos = [], isLoading, isError, isAvailable = true, onAdd }) => {
+  const { theme } = useTheme();
+
+  const renderBody = () => {
+    if (!isAvailable) {
+      return (
+        <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+          Los mantenimientos estarán disponibles cuando el tablero se sincronice con el servidor.
+        </Text>
+      );
+    }
+
+    if (isLoading) {
+      return <ActivityIndicator color={theme.colors.primary} />;
+    }
+
+    if (isError) {
+      return (
+        <Text style={[styles.emptyText, { color: theme.colors.error }]}>
+          No se pudieron cargar los mantenimientos.
+        </Text>
+      );
+    }
+
+    if (mantenimientos.length === 0) {
+      return (
+        <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+          Este tablero aún no tiene mantenimientos registrados.
+        </Text>
+      );
+    }
+
+    return mantenimientos.map((mantenimiento, index) => {
+      const tipoStyle = TIPO_STYLES[mantenimiento.tipo] || { color: theme.colors.primary, icon: 'construct' };
+
+      return (
+        <View key={mantenimiento.id || `${mantenimiento.fecha}-${index}`} style={styles.timelineItem}>
+          <View style={styles.timelineMarker}>
+            <View style={[styles.timelineDot, { backgroundColor: tipoStyle.color }]}>
+              <Ionicons name={tipoStyle.icon} size={12} color="#ffffff" />
+            </View>
+            {index < mantenimientos.length - 1 && (
+              <View style={[styles.timelineLine, { backgroundColor: theme.colors.border }]} />
+            )}
+          </View>
+          <View style={styles.timelineContent}>
+            <View style={styles.timelineHeader}>
+              <Text style={[styles.timelineTipo, { color: theme.colors.text }]}>{mantenimiento.tipo}</Text>
+              <Text style={[styles.timelineFecha, { color: theme.colors.textSecondary }]}>
+                {formatFecha(mantenimiento.fecha)}
+              </Text>
+            </View>
+            <Text style={[styles.timelineTecnico, { color: theme.colors.textSecondary }]}>
+              Técnico: {mantenimiento.tecnico}
+            </Text>
+            <Text style={[styles.timelineHallazgos, { color: theme.colors.text }]}>{mantenimiento.hallazgos}</Text>
+            {mantenimiento.proxima_fecha && (
+              <View style={styles.proximaRow}>
+                <Ionicons name="calendar-outline" size={14} color={theme.colors.primary} />
+                <Text style={[styles.proximaText, { color: theme.colors.primary }]}>
+                  Próximo: {formatFecha(mantenimiento.proxima_fecha)}
+                </Text>
+              </View>
+            )}
+          </View>
+        </View>
+      );
+    });
+  };
+
+  return (
+    <View style={[styles.card, { backgroundColor: theme.colors.card }]}>
+      <View style={styles.sectionHeader}>
+        <Ionicons name="construct" size={22} color={theme.colors.primary} />
+        <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Mantenimientos</Text>
+        {isAvailable && (
+          <TouchableOpacity onPress={onAdd} style={styles.addButton}>
+            <Ionicons name="add-circle" size={28} color={theme.colors.primary} />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {renderBody()}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    borderRadius: 12,
+    padding: 20,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginLeft: 8,
+    flex: 1,
+  },
+  addButton: {
+    padding: 2,
+  },
+  emptyText: {
+    fontSize: 14,
+  },
+  timelineItem: {
+    flexDirection: 'row',
+  },
+  timelineMarker: {
+    width: 24,
+    alignItems: 'center',
+  },
+  timelineDot: {
+    width: 22,
+    height: 22,
+    borderRadius: 11,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  timelineLine: {
+    width: 2,
+    flex: 1,
+    marginVertical: 2,
+  },
+  timelineContent: {
+    flex: 1,
+    paddingLeft: 10,
+    paddingBottom: 18,
+  },
+  timelineHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  timelineTipo: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  timelineFecha: {
+    fontSize: 12,
+  },
+  timelineTecnico: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  timelineHallazgos: {
+    fontSize: 14,
+    marginTop: 6,
+  },
+  proximaRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+    gap: 4,
+  },
+  proximaText: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+});
+
+export default MantenimientoTimeline;
@@ -0,0 +1,225 @@
+/**
+ * ReportModal - Datos del informe de inspección en PDF
+ *
+ * Pide el nombre del inspector (se recuerda entre sesiones), observaciones
+ * de la visita y si se incluyen las notas de mantenimiento. Al confirmar
+ * genera el PDF en el dispositivo y abre la hoja de compartir.
+ *
+ * @component
+ * @module components/ReportModal
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ *
+ * @param {Object} props - Props del componente
+ * @param {boolean} props.visible - Controla la visibilidad del modal
+ * @param {Function} props.onClose - Cierra el modal
+ * @param {Array<Object>} props.tableros - Tableros del informe
+ *
+ * @returns {React.Component} Modal del informe
+ *
+ * @example
+ * <ReportModal visible={isReportVisible} onClose={closeReport} tableros={[tablero.toJSON()]} />
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  TextInput,
+  Switch,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { usePersistedState } from '../hooks/usePersistedState';
+import { useInspectionReport } from '../hooks/useInspectionReport';
+
+const ReportModal = ({ visible, onClose, tableros }) => {
+  const { theme } = useTheme();
+
+  /** @type {string} Nombre del inspector, guardado entre sesiones */
+  const [inspector, setInspector] = usePersistedState('@informe_inspector', '');
+
+  /** @type {string} Observaciones generales de la visita */
+  const [observaciones, setObservaciones] = useState('');
+
+  /** @type {boolean} Incluir las notas de mantenimiento de cada tablero */
+  const [includeMantenimientos, setIncludeMantenimientos] = useState(true);
+
+  /** React Query mutation que genera el PDF */
+  const reportMutation = useInspectionReport();
+
+  /**
+   * Genera el informe y cierra el modal al compartirlo
+   */
+  const handleGenerate = () => {
+    reportMutation.mutate(
+      { tableros, inspector, observaciones, includeMantenimientos },
+      {
+        onSuccess: () => {
+          setObservaciones('');
+          onClose();
+        },
+        onError: (error) => Alert.alert('Error', error.message),
+      }
+    );
+  };
+
+  const canGenerate = inspector.trim() !== '' && tableros.length > 0 && !reportMutation.isPending;
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={[styles.modalContent, { backgroundColor: theme.colors.card }]}>
+          <View style={[styles.modalHeader, { borderBottomColor: theme.colors.border }]}>
+            <Text style={[styles.modalTitle, { color: theme.colors.text }]}>Informe de inspección</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={theme.colors.text} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.modalBody} keyboardShouldPersistTaps="handled">
+            <Text style={[styles.summary, { color: theme.colors.textSecondary }]}>
+              {tableros.length === 1
+                ? `Tablero: ${tableros[0].nombre}`
+                : `${tableros.length} tableros de la lista actual`}
+            </Text>
+
+            <Text style={[styles.label, { color: theme.colors.text }]}>Inspector *</Text>
+            <TextInput
+              style={[styles.input, { color: theme.colors.text, borderColor: theme.colors.border, backgroundColor: theme.colors.background }]}
+              value={inspector}
+              onChangeText={setInspector}
+              placeholder="Nombre y apellido"
+              placeholderTextColor={theme.colors.textSecondary}
+            />
+
+            <Text style={[styles.label, { color: theme.colors.text }]}>Observaciones</Text>
+            <TextInput
+              style={[styles.input, styles.textArea, { color: theme.colors.text, borderColor: theme.colors.border, backgroundColor: theme.colors.background }]}
+              value={observaciones}
+              onChangeText={setObservaciones}
+              placeholder="Resultado de la visita, recomendaciones..."
+              placeholderTextColor={theme.colors.textSecondary}
+              multiline
+              textAlignVertical="top"
+            />
+
+            <View style={styles.switchRow}>
+              <Text style={[styles.switchLabel, { color: theme.colors.text }]}>Incluir notas de mantenimiento</Text>
+              <Switch
+                value={includeMantenimientos}
+                onValueChange={setIncludeMantenimientos}
+                trackColor={{ true: theme.colors.primary }}
+              />
+            </View>
+          </ScrollView>
+
+          <TouchableOpacity
+            style={[styles.generateButton, { backgroundColor: theme.colors.primary }, !canGenerate && styles.generateDisabled]}
+            onPress={handleGenerate}
+            disabled={!canGenerate}
+          >
+            {reportMutation.isPending ? (
+              <ActivityIndicator color="#ffffff" />
+            ) : (
+              <>
+                <Ionicons name="document-text-outline" size={20} color="#ffffff" />
+                <Text style={styles.generateButtonText}>Generar PDF</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    maxHeight: '85%',
+    paddingBottom: 24,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    borderBottomWidth: 1,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  modalBody: {
+    paddingHorizontal: 20,
+    paddingBottom: 8,
+  },
+  summary: {
+    fontSize: 14,
+    marginTop: 16,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+  },
+  textArea: {
+    minHeight: 96,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 16,
+  },
+  switchLabel: {
+    fontSize: 15,
+    flex: 1,
+  },
+  generateButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginHorizontal: 20,
+    marginTop: 12,
+    paddingVertical: 14,
+    borderRadius: 10,
+    gap: 8,
+  },
+  generateDisabled: {
+    opacity: 0.5,
+  },
+  generateButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default ReportModal;
@@ -0,0 +1,147 @@
+/**
+ * ServerStatusBanner - Banner del estado de conexión con el backend
+ *
+ * Mientras el servidor se inicia (arranque en frío) muestra el tiempo
+ * transcurrido y una barra de progreso respecto a la duración habitual del
+ * arranque. Sin conexión, avisa que se usan los datos guardados y permite
+ * reintentar. No se renderiza mientras el servidor responde.
+ *
+ * @component
+ * @module components/ServerStatusBanner
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ *
+ * @returns {React.Component|null} Banner de estado del servidor
+ *
+ * @example
+ * <ServerStatusBanner />
+ */
+
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { useHealth } from '../context/HealthContext';
+import { EXPECTED_WAKE_MS } from '../services/HealthService';
+
+/**
+ * Progreso máximo de la barra mientras el servidor no responde
+ * (la duración del arranque es solo una estimación)
+ * @constant {number}
+ */
+const MAX_PROGRESS = 0.95;
+
+const ServerStatusBanner = () => {
+  const { theme } = useTheme();
+  const { isWaking, isOffline, isChecking, wakingSince, error, wake } = useHealth();
+
+  /** @type {number} Tiempo transcurrido del arranque en frío (ms) */
+  const [elapsed, setElapsed] = useState(0);
+
+  /**
+   * Efecto que actualiza el tiempo transcurrido cada segundo mientras el servidor se inicia
+   */
+  useEffect(() => {
+    if (!isWaking || !wakingSince) return undefined;
+
+    const update = () => setElapsed(Date.now() - wakingSince);
+    update();
+    const intervalId = setInterval(update, 1000);
+    return () => clearInterval(intervalId);
+  }, [isWaking, wakingSince]);
+
+  if (isWaking) {
+    const progress = Math.min(MAX_PROGRESS, elapsed / EXPECTED_WAKE_MS);
+
+    return (
+      <View style={[styles.container, { backgroundColor: theme.colors.card, borderColor: theme.colors.warning }]}>
+        <View style={styles.row}>
+          <ActivityIndicator size="small" color={theme.colors.warning} />
+          <View style={styles.textContainer}>
+            <Text style={[styles.title, { color: theme.colors.text }]}>
+              Iniciando el servidor... {Math.round(elapsed / 1000)}s
+            </Text>
+            <Text style={[styles.message, { color: theme.colors.textSecondary }]}>
+              Estaba en reposo; puede tardar hasta un minuto. Los datos se cargarán solos.
+            </Text>
+          </View>
+        </View>
+        <View style={[styles.progressTrack, { backgroundColor: theme.colors.border }]}>
+          <View
+            style={[
+              styles.progressFill,
+              { backgroundColor: theme.colors.warning, width: `${Math.round(progress * 100)}%` },
+            ]}
+          />
+        </View>
+      </View>
+    );
+  }
+
+  if (isOffline) {
+    return (
+      <View style={[styles.container, { backgroundColor: theme.colors.card, borderColor: theme.colors.error }]}>
+        <View style={styles.row}>
+          <Ionicons name="cloud-offline" size={22} color={theme.colors.error} />
+          <View style={styles.textContainer}>
+            <Text style={[styles.title, { color: theme.colors.text }]}>
+              {error?.title || 'Sin conexión'}
+            </Text>
+            <Text style={[styles.message, { color: theme.colors.textSecondary }]}>
+              Se muestran los datos guardados y los cambios se sincronizarán al reconectar.
+            </Text>
+          </View>
+          <TouchableOpacity style={styles.retryButton} onPress={() => wake()} disabled={isChecking}>
+            {isChecking ? (
+              <ActivityIndicator size="small" color={theme.colors.primary} />
+            ) : (
+              <Ionicons name="refresh" size={22} color={theme.colors.primary} />
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  }
+
+  return null;
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderBottomWidth: 2,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  textContainer: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  message: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  progressTrack: {
+    height: 4,
+    borderRadius: 2,
+    marginTop: 8,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    borderRadius: 2,
+  },
+  retryButton: {
+    padding: 6,
+    marginLeft: 8,
+  },
+});
+
+export default ServerStatusBanner;
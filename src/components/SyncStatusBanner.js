@@ -0,0 +1,143 @@
+/**
+ * SyncStatusBanner - Banner de cambios pendientes de sincronizar
+ *
+ * Muestra cuántas mutaciones de la cola offline están pendientes o fallidas.
+ * Al tocarlo se despliega el detalle de cada elemento encolado con su estado
+ * y acciones para reintentar o descartar los que fallaron.
+ * No se renderiza si la cola está vacía.
+ *
+ * @component
+ * @module components/SyncStatusBanner
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ *
+ * @param {Object} props - Props del componente
+ * @param {Array<Object>} props.queue - Elementos de la cola (OfflineQueueService)
+ * @param {Function} props.onRetry - Callback con el ID del elemento a reintentar
+ * @param {Function} props.onDiscard - Callback con el ID del elemento a descartar
+ *
+ * @returns {React.Component|null} Banner de sincronización
+ *
+ * @example
+ * <SyncStatusBanner queue={queue} onRetry={retry} onDiscard={discard} />
+ */
+
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+
+/**
+ * Etiquetas en español para cada tipo de mutación
+ * @constant {Object<string, string>}
+ */
+const TYPE_LABELS = {
+  create: 'Crear',
+  update: 'Editar',
+  delete: 'Eliminar',
+};
+
+const SyncStatusBanner = ({ queue, onRetry, onDiscard }) => {
+  const { theme } = useTheme();
+
+  /** @type {boolean} Indica si se muestra el detalle de la cola */
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  if (!queue || queue.length === 0) return null;
+
+  const failedCount = queue.filter(item => item.status === 'failed').length;
+  const pendingCount = queue.length - failedCount;
+  const accentColor = failedCount > 0 ? theme.colors.error : theme.colors.warning;
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.card, borderColor: accentColor }]}>
+      <TouchableOpacity style={styles.summary} onPress={() => setIsExpanded(prev => !prev)}>
+        <Ionicons
+          name={failedCount > 0 ? 'cloud-offline' : 'cloud-upload-outline'}
+          size={22}
+          color={accentColor}
+        />
+        <Text style={[styles.summaryText, { color: theme.colors.text }]}>
+          {pendingCount > 0 && `${pendingCount} cambio${pendingCount !== 1 ? 's' : ''} pendiente${pendingCount !== 1 ? 's' : ''}`}
+          {pendingCount > 0 && failedCount > 0 && ' · '}
+          {failedCount > 0 && `${failedCount} con error`}
+        </Text>
+        <Ionicons
+          name={isExpanded ? 'chevron-up' : 'chevron-down'}
+          size={20}
+          color={theme.colors.textSecondary}
+        />
+      </TouchableOpacity>
+
+      {isExpanded && queue.map(item => (
+        <View key={item.id} style={[styles.item, { borderTopColor: theme.colors.border }]}>
+          <View style={styles.itemText}>
+            <Text style={[styles.itemTitle, { color: theme.colors.text }]}>
+              {TYPE_LABELS[item.type]}: {item.label || 'Tablero sin nombre'}
+            </Text>
+            <Text style={[
+              styles.itemStatus,
+              { color: item.status === 'failed' ? theme.colors.error : theme.colors.textSecondary },
+            ]}>
+              {item.status === 'failed' ? `Error: ${item.error || 'rechazado por el servidor'}` : 'Pendiente de sincronizar'}
+            </Text>
+          </View>
+          {item.status === 'failed' && (
+            <>
+              <TouchableOpacity style={styles.itemAction} onPress={() => onRetry(item.id)}>
+                <Ionicons name="refresh" size={20} color={theme.colors.primary} />
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.itemAction} onPress={() => onDiscard(item.id)}>
+                <Ionicons name="trash-outline" size={20} color={theme.colors.error} />
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: 12,
+    borderWidth: 1,
+    marginBottom: 16,
+    overflow: 'hidden',
+  },
+  summary: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+  },
+  summaryText: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderTopWidth: 1,
+  },
+  itemText: {
+    flex: 1,
+  },
+  itemTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  itemStatus: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  itemAction: {
+    padding: 6,
+    marginLeft: 4,
+  },
+});
+
+export default SyncStatusBanner;
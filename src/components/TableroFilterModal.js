@@ -0,0 +1,366 @@
+/**
+ * TableroFilterModal - Panel de orden y filtros de la lista de tableros
+ *
+ * Modal inferior con el orden de la lista y los filtros combinables: estados,
+ * marcas, rango de capacidad, rango de año de instalación, prefijo de
+ * ubicación, año de fabricación y mantenimiento próximo a vencer. Cada opción
+ * muestra cuántos tableros la cumplen. Los cambios se aplican al instante.
+ *
+ * @component
+ * @module components/TableroFilterModal
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ *
+ * @param {Object} props - Props del componente
+ * @param {boolean} props.visible - Controla la visibilidad del modal
+ * @param {Function} props.onClose - Callback al cerrar el modal
+ * @param {Object} props.filters - Filtros actuales (forma de DEFAULT_FILTERS)
+ * @param {Function} props.onChange - Recibe los campos de filtro modificados
+ * @param {Object} props.options - Opciones con conteo de TableroController.getFilterOptions
+ * @param {Object} props.sortOption - Orden actual { field, direction }
+ * @param {Function} props.onSortChange - Recibe el campo de orden elegido
+ * @param {number} props.dueSoonCount - Tableros con mantenimiento vencido o próximo
+ * @param {number} props.resultCount - Tableros que cumplen los filtros actuales
+ * @param {Function} props.onClear - Limpia todos los filtros
+ *
+ * @returns {React.Component} Modal de orden y filtros
+ */
+
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { SORT_FIELDS } from '../controllers/TableroController';
+
+const TableroFilterModal = ({
+  visible,
+  onClose,
+  filters,
+  onChange,
+  options,
+  sortOption,
+  onSortChange,
+  dueSoonCount,
+  resultCount,
+  onClear,
+}) => {
+  const { theme } = useTheme();
+
+  /**
+   * Agrega o quita un valor de un filtro de selección múltiple
+   *
+   * @param {string} field - 'estados' o 'marcas'
+   * @param {string} value - Opción a alternar
+   */
+  const toggleValue = (field, value) => {
+    const current = filters[field];
+    onChange({
+      [field]: current.includes(value)
+        ? current.filter(item => item !== value)
+        : [...current, value],
+    });
+  };
+
+  const inputStyle = [
+    styles.input,
+    { backgroundColor: theme.colors.cardBackground, borderColor: theme.colors.border, color: theme.colors.text },
+  ];
+
+  /**
+   * Renderiza un chip seleccionable
+   *
+   * @param {Object} chip - Configuración del chip
+   * @param {string} chip.key - Clave única
+   * @param {string} chip.label - Texto del chip
+   * @param {boolean} chip.isSelected - Indica si está activo
+   * @param {Function} chip.onPress - Acción al tocarlo
+   * @param {string} [chip.icon] - Icono a la derecha del texto
+   * @param {boolean} [chip.disabled] - Deshabilita el chip (opción sin tableros)
+   */
+  const renderChip = ({ key, label, isSelected, onPress, icon, disabled }) => (
+    <TouchableOpacity
+      key={key}
+      style={[
+        styles.chip,
+        { borderColor: theme.colors.primary },
+        isSelected && { backgroundColor: theme.colors.primary },
+        disabled && !isSelected && styles.chipDisabled,
+      ]}
+      onPress={onPress}
+      disabled={disabled && !isSelected}
+    >
+      <Text style={[styles.chipText, { color: isSelected ? '#ffffff' : theme.colors.primary }]}>
+        {label}
+      </Text>
+      {icon && <Ionicons name={icon} size={14} color="#ffffff" />}
+    </TouchableOpacity>
+  );
+
+  const renderSectionTitle = (title) => (
+    <Text style={[styles.sectionTitle, { color: theme.colors.textSecondary }]}>{title}</Text>
+  );
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={[styles.modalContent, { backgroundColor: theme.colors.card }]}>
+          <View style={styles.modalHeader}>
+            <Text style={[styles.modalTitle, { color: theme.colors.text }]}>Filtros</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={theme.colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView keyboardShouldPersistTaps="handled">
+            {renderSectionTitle('Ordenar por')}
+            <View style={styles.chipRow}>
+              {SORT_FIELDS.map(option => renderChip({
+                key: option.key,
+                label: option.label,
+                isSelected: sortOption.field === option.key,
+                onPress: () => onSortChange(option.key),
+                icon: sortOption.field === option.key
+                  ? (sortOption.direction === 'asc' ? 'arrow-up' : 'arrow-down')
+                  : null,
+              }))}
+            </View>
+
+            {renderSectionTitle('Mantenimiento')}
+            <View style={styles.chipRow}>
+              {renderChip({
+                key: 'proximosAVencer',
+                label: `Próximos a vencer (${dueSoonCount})`,
+                isSelected: filters.proximosAVencer,
+                onPress: () => onChange({ proximosAVencer: !filters.proximosAVencer }),
+              })}
+            </View>
+
+            {renderSectionTitle('Estado')}
+            <View style={styles.chipRow}>
+              {options.estados.map(option => renderChip({
+                key: option.value,
+                label: `${option.value} (${option.count})`,
+                isSelected: filters.estados.includes(option.value),
+                onPress: () => toggleValue('estados', option.value),
+                disabled: option.count === 0,
+              }))}
+            </View>
+
+            {options.marcas.length > 0 && (
+              <>
+                {renderSectionTitle('Marca')}
+                <View style={styles.chipRow}>
+                  {options.marcas.map(option => renderChip({
+                    key: option.value,
+                    label: `${option.value} (${option.count})`,
+                    isSelected: filters.marcas.includes(option.value),
+                    onPress: () => toggleValue('marcas', option.value),
+                  }))}
+                </View>
+              </>
+            )}
+
+            {renderSectionTitle('Capacidad (A)')}
+            <View style={styles.rangeRow}>
+              <TextInput
+                style={[inputStyle, styles.rangeInput]}
+                placeholder="Mín."
+                value={filters.capacidadMin}
+                onChangeText={(value) => onChange({ capacidadMin: value })}
+                keyboardType="numeric"
+                placeholderTextColor={theme.colors.textSecondary}
+              />
+              <Text style={[styles.rangeSeparator, { color: theme.colors.textSecondary }]}>–</Text>
+              <TextInput
+                style={[inputStyle, styles.rangeInput]}
+                placeholder="Máx."
+                value={filters.capacidadMax}
+                onChangeText={(value) => onChange({ capacidadMax: value })}
+                keyboardType="numeric"
+                placeholderTextColor={theme.colors.textSecondary}
+              />
+            </View>
+
+            {renderSectionTitle('Año de instalación')}
+            <View style={styles.rangeRow}>
+              <TextInput
+                style={[inputStyle, styles.rangeInput]}
+                placeholder="Desde"
+                value={filters.instalacionDesde}
+                onChangeText={(value) => onChange({ instalacionDesde: value })}
+                keyboardType="numeric"
+                maxLength={4}
+                placeholderTextColor={theme.colors.textSecondary}
+              />
+              <Text style={[styles.rangeSeparator, { color: theme.colors.textSecondary }]}>–</Text>
+              <TextInput
+                style={[inputStyle, styles.rangeInput]}
+                placeholder="Hasta"
+                value={filters.instalacionHasta}
+                onChangeText={(value) => onChange({ instalacionHasta: value })}
+                keyboardType="numeric"
+                maxLength={4}
+                placeholderTextColor={theme.colors.textSecondary}
+              />
+            </View>
+
+            {renderSectionTitle('Ubicación comienza con')}
+            <TextInput
+              style={inputStyle}
+              placeholder="Ej: Edificio A"
+              value={filters.ubicacionPrefijo}
+              onChangeText={(value) => onChange({ ubicacionPrefijo: value })}
+              placeholderTextColor={theme.colors.textSecondary}
+            />
+
+            {renderSectionTitle('Año de fabricación')}
+            <View style={styles.chipRow}>
+              {renderChip({
+                key: 'all',
+                label: 'Todos',
+                isSelected: !filters.anoFabricacion,
+                onPress: () => onChange({ anoFabricacion: null }),
+              })}
+              {options.anos.map(option => renderChip({
+                key: option.value,
+                label: `${option.value} (${option.count})`,
+                isSelected: filters.anoFabricacion === option.value,
+                onPress: () => onChange({
+                  anoFabricacion: filters.anoFabricacion === option.value ? null : option.value,
+                }),
+              }))}
+            </View>
+          </ScrollView>
+
+          <View style={styles.footer}>
+            <TouchableOpacity
+              style={[styles.footerButton, styles.clearButton, { borderColor: theme.colors.primary }]}
+              onPress={onClear}
+            >
+              <Text style={[styles.clearButtonText, { color: theme.colors.primary }]}>Limpiar</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.footerButton, { backgroundColor: theme.colors.primary }]}
+              onPress={onClose}
+            >
+              <Text style={styles.applyButtonText}>
+                Ver {resultCount} tablero{resultCount !== 1 ? 's' : ''}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingTop: 20,
+    paddingHorizontal: 20,
+    paddingBottom: 30,
+    maxHeight: '85%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    gap: 4,
+  },
+  chipDisabled: {
+    opacity: 0.4,
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+  },
+  rangeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  rangeInput: {
+    flex: 1,
+  },
+  rangeSeparator: {
+    marginHorizontal: 8,
+    fontSize: 16,
+  },
+  footer: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 16,
+  },
+  footerButton: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 12,
+  },
+  clearButton: {
+    borderWidth: 2,
+  },
+  clearButtonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  applyButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default TableroFilterModal;
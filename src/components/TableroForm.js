@@ -0,0 +1,163 @@
+/**
+ * TableroForm - Campos del formulario de tableros eléctricos
+ *
+ * Construye las secciones del formulario a partir de
+ * TableroElectricoModel.FIELDS (texto, números y selector de estado) y
+ * muestra debajo de cada campo su error de validación. Lo usan
+ * CreateTableroView y EditTableroView junto con el hook useTableroForm.
+ *
+ * @component
+ * @module components/TableroForm
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ *
+ * @param {Object} props - Props del componente
+ * @param {Object<string, string>} props.values - Valores por clave de FIELDS
+ * @param {Object<string, string>} [props.errors] - Error a mostrar por campo
+ * @param {Function} props.onChange - Recibe (field, value) al modificar un campo
+ *
+ * @returns {React.Component} Secciones con los campos del tablero
+ *
+ * @example
+ * const form = useTableroForm();
+ * <TableroForm values={form.values} errors={form.visibleErrors} onChange={form.handleChange} />
+ */
+
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Picker } from '@react-native-picker/picker';
+import { useTheme } from '../context/ThemeContext';
+import TableroElectricoModel from '../models/TableroElectricoModel';
+
+/**
+ * Secciones del formulario, en orden; agrupan los campos por `section`
+ * @constant {Array<{key: string, title: string, icon: string}>}
+ */
+const FORM_SECTIONS = [
+  { key: 'general', title: 'Información General', icon: 'information-circle' },
+  { key: 'tecnico', title: 'Especificaciones Técnicas', icon: 'settings' },
+];
+
+const TableroForm = ({ values, errors = {}, onChange }) => {
+  const { theme } = useTheme();
+
+  const renderField = (field) => {
+    const error = errors[field.key];
+    const borderColor = error ? theme.colors.error : theme.colors.border;
+
+    return (
+      <View key={field.key} style={styles.formGroup}>
+        <Text style={[styles.label, { color: theme.colors.text }]}>{field.label} *</Text>
+        {field.type === 'select' ? (
+          <View style={[styles.pickerContainer, { backgroundColor: theme.colors.cardBackground, borderColor }]}>
+            <Picker
+              selectedValue={values[field.key]}
+              onValueChange={(value) => onChange(field.key, value)}
+              style={styles.picker}
+            >
+              {field.options.map((option) => (
+                <Picker.Item key={option} label={option} value={option} />
+              ))}
+            </Picker>
+          </View>
+        ) : (
+          <TextInput
+            style={[styles.input, { backgroundColor: theme.colors.cardBackground, borderColor, color: theme.colors.text }]}
+            placeholder={field.placeholder}
+            value={values[field.key]}
+            onChangeText={(value) => onChange(field.key, value)}
+            keyboardType={field.type === 'number' ? 'numeric' : 'default'}
+            maxLength={field.maxLength}
+            placeholderTextColor={theme.colors.textSecondary}
+          />
+        )}
+        {error && (
+          <View style={styles.errorRow}>
+            <Ionicons name="alert-circle" size={14} color={theme.colors.error} />
+            <Text style={[styles.errorText, { color: theme.colors.error }]}>{error}</Text>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <>
+      {FORM_SECTIONS.map(section => (
+        <View key={section.key} style={[styles.card, { backgroundColor: theme.colors.card }]}>
+          <View style={styles.sectionHeader}>
+            <Ionicons name={section.icon} size={22} color={theme.colors.primary} />
+            <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>{section.title}</Text>
+          </View>
+          {TableroElectricoModel.FIELDS
+            .filter(field => field.section === section.key)
+            .map(renderField)}
+        </View>
+      ))}
+    </>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    borderRadius: 12,
+    padding: 20,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+  formGroup: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+  pickerContainer: {
+    borderWidth: 1,
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  picker: {
+    height: 50,
+  },
+  errorRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+    gap: 4,
+  },
+  errorText: {
+    fontSize: 13,
+    flex: 1,
+  },
+});
+
+export default TableroForm;
@@ -0,0 +1,173 @@
+/**
+ * TableroQrCard - Código QR del tablero para su etiqueta física
+ *
+ * Muestra el código QR con el enlace profundo del tablero, generado en el
+ * dispositivo, y permite imprimir su etiqueta (nombre, ubicación y QR). Los
+ * tableros pendientes de sincronizar no tienen QR porque su ID es local.
+ *
+ * @component
+ * @module components/TableroQrCard
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ *
+ * @param {Object} props - Props del componente
+ * @param {Object} props.tablero - Tablero (JSON o TableroElectricoModel)
+ *
+ * @returns {React.Component} Tarjeta con el código QR
+ *
+ * @example
+ * <TableroQrCard tablero={tablero} />
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { SvgXml } from 'react-native-svg';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { getTableroDeepLink } from '../navigation/deepLinks';
+import { isLocalId } from '../services/OfflineQueueService';
+import QrService from '../services/QrService';
+
+const TableroQrCard = ({ tablero }) => {
+  const { theme } = useTheme();
+
+  /** @type {string|null} SVG del código QR */
+  const [qrSvg, setQrSvg] = useState(null);
+
+  /** @type {boolean} Generación de la etiqueta en curso */
+  const [isPrinting, setIsPrinting] = useState(false);
+
+  const isAvailable = !isLocalId(tablero.id);
+
+  useEffect(() => {
+    if (!isAvailable) return undefined;
+
+    let isActive = true;
+    QrService.getTableroQrSvg(tablero.id)
+      .then(svg => isActive && setQrSvg(svg))
+      .catch(error => console.error('Error al generar el código QR:', error));
+
+    return () => {
+      isActive = false;
+    };
+  }, [tablero.id, isAvailable]);
+
+  /**
+   * Genera el PDF con la etiqueta del tablero
+   */
+  const handlePrint = async () => {
+    setIsPrinting(true);
+    const result = await QrService.exportLabelSheet([tablero]);
+    setIsPrinting(false);
+
+    if (!result.success) {
+      Alert.alert('Error', result.error || 'No se pudo generar la etiqueta');
+    }
+  };
+
+  return (
+    <View style={[styles.card, { backgroundColor: theme.colors.card }]}>
+      <View style={styles.sectionHeader}>
+        <Ionicons name="qr-code" size={22} color={theme.colors.primary} />
+        <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Etiqueta QR</Text>
+      </View>
+
+      {!isAvailable ? (
+        <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+          El código QR estará disponible cuando el tablero se sincronice con el servidor.
+        </Text>
+      ) : (
+        <>
+          <View style={styles.qrContainer}>
+            {qrSvg ? (
+              <SvgXml xml={qrSvg} width={180} height={180} />
+            ) : (
+              <ActivityIndicator color={theme.colors.primary} />
+            )}
+          </View>
+          <Text style={[styles.linkText, { color: theme.colors.textSecondary }]} selectable>
+            {getTableroDeepLink(tablero.id)}
+          </Text>
+          <TouchableOpacity
+            style={[styles.printButton, { backgroundColor: theme.colors.primary }]}
+            onPress={handlePrint}
+            disabled={isPrinting}
+          >
+            {isPrinting ? (
+              <ActivityIndicator size="small" color="#ffffff" />
+            ) : (
+              <>
+                <Ionicons name="print-outline" size={18} color="#ffffff" />
+                <Text style={styles.printButtonText}>Imprimir etiqueta</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    borderRadius: 12,
+    padding: 20,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+  },
+  qrContainer: {
+    alignSelf: 'center',
+    width: 196,
+    height: 196,
+    padding: 8,
+    borderRadius: 8,
+    backgroundColor: '#ffffff',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  linkText: {
+    fontSize: 12,
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  printButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 16,
+    paddingVertical: 12,
+    borderRadius: 10,
+    gap: 6,
+  },
+  printButtonText: {
+    color: '#ffffff',
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+});
+
+export default TableroQrCard;
@@ -0,0 +1,105 @@
+/**
+ * UndoSnackbar - Aviso temporal con acción "Deshacer"
+ *
+ * Barra flotante sobre la barra de pestañas que aparece con una animación
+ * al recibir un mensaje y desaparece cuando el mensaje es null.
+ *
+ * @component
+ * @module components/UndoSnackbar
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ *
+ * @param {Object} props - Props del componente
+ * @param {string|null} props.message - Texto a mostrar; null oculta la barra
+ * @param {Function} props.onUndo - Callback del botón "Deshacer"
+ *
+ * @returns {React.Component|null} Snackbar animado
+ *
+ * @example
+ * <UndoSnackbar message='Tablero "TG-01" eliminado' onUndo={undo} />
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { Text, StyleSheet, TouchableOpacity, Animated } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+
+const UndoSnackbar = ({ message, onUndo }) => {
+  const { theme, isDarkMode } = useTheme();
+
+  /** Animated.Value de 0 (oculto) a 1 (visible) */
+  const visibility = useRef(new Animated.Value(0)).current;
+
+  /** @type {string|null} Último mensaje, para mostrarlo mientras la barra se oculta */
+  const [shownMessage, setShownMessage] = useState(message);
+
+  useEffect(() => {
+    if (message) setShownMessage(message);
+
+    Animated.timing(visibility, {
+      toValue: message ? 1 : 0,
+      duration: 200,
+      useNativeDriver: true,
+    }).start(({ finished }) => {
+      if (finished && !message) setShownMessage(null);
+    });
+  }, [message, visibility]);
+
+  if (!shownMessage) return null;
+
+  return (
+    <Animated.View
+      pointerEvents={message ? 'auto' : 'none'}
+      style={[
+        styles.container,
+        {
+          backgroundColor: isDarkMode ? theme.colors.cardBackground : '#323232',
+          opacity: visibility,
+          transform: [{ translateY: visibility.interpolate({ inputRange: [0, 1], outputRange: [20, 0] }) }],
+        },
+      ]}
+    >
+      <Ionicons name="trash-outline" size={18} color="#ffffff" />
+      <Text style={styles.message} numberOfLines={2}>{shownMessage}</Text>
+      <TouchableOpacity onPress={onUndo} style={styles.undoButton}>
+        <Text style={[styles.undoText, { color: theme.colors.primary }]}>Deshacer</Text>
+      </TouchableOpacity>
+    </Animated.View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 96,
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 10,
+    paddingLeft: 16,
+    paddingVertical: 6,
+    gap: 10,
+    elevation: 6,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 3 },
+    shadowOpacity: 0.25,
+    shadowRadius: 6,
+  },
+  message: {
+    flex: 1,
+    color: '#ffffff',
+    fontSize: 14,
+  },
+  undoButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  undoText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    textTransform: 'uppercase',
+  },
+});
+
+export default UndoSnackbar;
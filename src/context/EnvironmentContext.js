@@ -0,0 +1,115 @@
+/**
+ * EnvironmentContext - Context API para el entorno de API activo
+ *
+ * Expone el perfil de entorno seleccionado (dev, staging, prod o custom) a toda
+ * la aplicación y permite cambiarlo en tiempo de ejecución. Al cambiar de entorno
+ * se reinicia la caché de React Query para no mezclar datos de distintos backends.
+ *
+ * @module context/EnvironmentContext
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import EnvironmentService from '../services/EnvironmentService';
+
+/**
+ * Context para almacenar el entorno activo
+ * @type {React.Context}
+ */
+const EnvironmentContext = createContext();
+
+/**
+ * Hook personalizado para acceder al contexto de entorno
+ *
+ * Debe ser usado dentro de un componente envuelto por EnvironmentProvider.
+ *
+ * @function
+ * @returns {Object} Objeto con el estado del entorno
+ * @returns {Object} returns.environment - Perfil activo { key, label, apiUrl }
+ * @returns {Array<Object>} returns.environments - Todos los perfiles disponibles
+ * @returns {Function} returns.selectEnvironment - Cambia el perfil activo
+ * @returns {boolean} returns.isLoading - Indica si aún se está cargando la selección guardada
+ * @throws {Error} Si se usa fuera de EnvironmentProvider
+ *
+ * @example
+ * const { environment, selectEnvironment } = useEnvironment();
+ */
+export const useEnvironment = () => {
+  const context = useContext(EnvironmentContext);
+  if (!context) {
+    throw new Error('useEnvironment debe ser usado dentro de EnvironmentProvider');
+  }
+  return context;
+};
+
+/**
+ * Provider que expone el entorno de API activo
+ *
+ * Características:
+ * - Carga la selección guardada desde AsyncStorage al iniciar
+ * - Se mantiene sincronizado con EnvironmentService mediante suscripción
+ * - Reinicia las queries de React Query al cambiar de entorno
+ *
+ * Debe estar dentro de QueryClientProvider.
+ *
+ * @component
+ * @param {Object} props - Props del componente
+ * @param {React.ReactNode} props.children - Componentes hijos
+ * @returns {React.Component} Provider del contexto de entorno
+ */
+export const EnvironmentProvider = ({ children }) => {
+  const queryClient = useQueryClient();
+
+  /** @type {Object} Perfil de entorno activo */
+  const [environment, setEnvironment] = useState(EnvironmentService.getActiveEnvironment());
+
+  /** @type {boolean} Estado de carga de la selección desde AsyncStorage */
+  const [isLoading, setIsLoading] = useState(true);
+
+  /**
+   * Efecto que carga la selección guardada y se suscribe a cambios
+   */
+  useEffect(() => {
+    EnvironmentService.init().then(() => {
+      setEnvironment(EnvironmentService.getActiveEnvironment());
+      setIsLoading(false);
+    });
+
+    return EnvironmentService.subscribe(setEnvironment);
+  }, []);
+
+  /**
+   * Cambia el entorno activo y reinicia la caché de datos
+   *
+   * @async
+   * @function
+   * @param {string} key - Clave del perfil
+   * @param {string} [customUrl] - URL para el perfil personalizado
+   * @returns {Promise<Object>} Resultado de EnvironmentService.setEnvironment
+   */
+  const selectEnvironment = async (key, customUrl) => {
+    const result = await EnvironmentService.setEnvironment(key, customUrl);
+
+    if (result.success) {
+      // Los datos en caché pertenecen al backend anterior
+      queryClient.resetQueries();
+    }
+
+    return result;
+  };
+
+  const value = {
+    environment,
+    environments: EnvironmentService.getEnvironments(),
+    selectEnvironment,
+    isLoading,
+  };
+
+  return (
+    <EnvironmentContext.Provider value={value}>
+      {children}
+    </EnvironmentContext.Provider>
+  );
+};
@@ -0,0 +1,102 @@
+/**
+ * HealthContext - Context API para el estado de conexión con el backend
+ *
+ * Expone el estado de HealthService ('online', 'waking' u 'offline') a
+ * cualquier pantalla. Cuando el servidor vuelve a responder tras iniciarse o
+ * tras una desconexión, invalida las queries de tableros para recargarlas.
+ *
+ * @module context/HealthContext
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import HealthService, { HEALTH_STATUS } from '../services/HealthService';
+
+/**
+ * Context para almacenar el estado de conexión
+ * @type {React.Context}
+ */
+const HealthContext = createContext();
+
+/**
+ * Hook personalizado para acceder al estado de conexión con el backend
+ *
+ * Debe ser usado dentro de un componente envuelto por HealthProvider.
+ *
+ * @function
+ * @returns {Object} Objeto con el estado de conexión
+ * @returns {string} returns.status - 'online', 'waking' u 'offline'
+ * @returns {boolean} returns.isOnline - El servidor responde
+ * @returns {boolean} returns.isWaking - El servidor se está iniciando (arranque en frío)
+ * @returns {boolean} returns.isOffline - Sin conexión o el servidor no responde
+ * @returns {boolean} returns.isChecking - Hay una comprobación en curso
+ * @returns {number|null} returns.wakingSince - Marca de tiempo del inicio del arranque en frío
+ * @returns {AppError|null} returns.error - Error de la última comprobación
+ * @returns {Function} returns.wake - Despierta el servidor; resuelve con el estado final
+ * @throws {Error} Si se usa fuera de HealthProvider
+ *
+ * @example
+ * const { isWaking, wake } = useHealth();
+ */
+export const useHealth = () => {
+  const context = useContext(HealthContext);
+  if (!context) {
+    throw new Error('useHealth debe ser usado dentro de HealthProvider');
+  }
+  return context;
+};
+
+/**
+ * Provider que expone el estado de conexión con el backend
+ *
+ * Características:
+ * - Se mantiene sincronizado con HealthService mediante suscripción
+ * - Recarga los tableros cuando el servidor vuelve a estar en línea
+ *
+ * Debe estar dentro de QueryClientProvider.
+ *
+ * @component
+ * @param {Object} props - Props del componente
+ * @param {React.ReactNode} props.children - Componentes hijos
+ * @returns {React.Component} Provider del contexto de conexión
+ */
+export const HealthProvider = ({ children }) => {
+  const queryClient = useQueryClient();
+
+  /** @type {Object} Estado de HealthService */
+  const [health, setHealth] = useState(HealthService.getState());
+
+  /** @type {React.MutableRefObject<string>} Estado anterior, para detectar la reconexión */
+  const previousStatus = useRef(health.status);
+
+  /**
+   * Efecto que se suscribe a los cambios de estado
+   */
+  useEffect(() => HealthService.subscribe(setHealth), []);
+
+  /**
+   * Efecto que recarga los tableros cuando el servidor vuelve a responder
+   */
+  useEffect(() => {
+    if (health.status === HEALTH_STATUS.ONLINE && previousStatus.current !== HEALTH_STATUS.ONLINE) {
+      queryClient.invalidateQueries({ queryKey: ['tableros'] });
+    }
+    previousStatus.current = health.status;
+  }, [health.status, queryClient]);
+
+  const value = {
+    ...health,
+    isOnline: health.status === HEALTH_STATUS.ONLINE,
+    isWaking: health.status === HEALTH_STATUS.WAKING,
+    isOffline: health.status === HEALTH_STATUS.OFFLINE,
+    wake: () => HealthService.wake(),
+  };
+
+  return (
+    <HealthContext.Provider value={value}>
+      {children}
+    </HealthContext.Provider>
+  );
+};
@@ -0,0 +1,150 @@
+/**
+ * UndoDeleteContext - Context API para eliminar tableros con opción de deshacer
+ *
+ * Al eliminar un tablero, la tarjeta se oculta de inmediato y se muestra un
+ * snackbar con "Deshacer" durante unos segundos. Solo cuando ese plazo vence
+ * se ejecuta la eliminación real (useDeleteTablero) y el tablero se guarda en
+ * la lista de eliminados recientes para poder restaurarlo después.
+ *
+ * @module context/UndoDeleteContext
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { useDeleteTablero } from '../hooks/useTableros';
+import RecentlyDeletedService from '../services/RecentlyDeletedService';
+import UndoSnackbar from '../components/UndoSnackbar';
+
+/**
+ * Milisegundos durante los que se puede deshacer una eliminación
+ * @constant {number}
+ */
+export const UNDO_DELETE_DELAY_MS = 5000;
+
+/**
+ * Context para las eliminaciones pendientes
+ * @type {React.Context}
+ */
+const UndoDeleteContext = createContext();
+
+/**
+ * Hook personalizado para acceder al contexto de eliminación con deshacer
+ *
+ * Debe ser usado dentro de un componente envuelto por UndoDeleteProvider.
+ *
+ * @function
+ * @returns {Object} Objeto con el estado de las eliminaciones
+ * @returns {Function} returns.scheduleDelete - Oculta el tablero y programa su eliminación
+ * @returns {Array<string>} returns.pendingDeleteIds - IDs de tableros ocultos a la espera de eliminarse
+ * @throws {Error} Si se usa fuera de UndoDeleteProvider
+ *
+ * @example
+ * const { scheduleDelete, pendingDeleteIds } = useUndoDelete();
+ */
+export const useUndoDelete = () => {
+  const context = useContext(UndoDeleteContext);
+  if (!context) {
+    throw new Error('useUndoDelete debe ser usado dentro de UndoDeleteProvider');
+  }
+  return context;
+};
+
+/**
+ * Provider que gestiona las eliminaciones con deshacer y muestra el snackbar
+ *
+ * Solo hay una eliminación a la espera a la vez: si se elimina otro tablero
+ * antes de que venza el plazo, la anterior se confirma de inmediato.
+ *
+ * Debe estar dentro de QueryClientProvider y ThemeProvider.
+ *
+ * @component
+ * @param {Object} props - Props del componente
+ * @param {React.ReactNode} props.children - Componentes hijos
+ * @returns {React.Component} Provider del contexto con el snackbar
+ */
+export const UndoDeleteProvider = ({ children }) => {
+  const queryClient = useQueryClient();
+  const deleteTableroMutation = useDeleteTablero();
+
+  /** @type {Array<string>} IDs ocultos a la espera de eliminarse */
+  const [pendingDeleteIds, setPendingDeleteIds] = useState([]);
+
+  /** @type {Object|null} Tablero cuya eliminación se puede deshacer ahora */
+  const [undoable, setUndoable] = useState(null);
+
+  /** Eliminación a la espera: { tablero, timeoutId } */
+  const pendingRef = useRef(null);
+
+  /**
+   * Efecto que inicia la sesión de eliminados recientes
+   */
+  useEffect(() => {
+    RecentlyDeletedService.startSession();
+  }, []);
+
+  /**
+   * Ejecuta la eliminación real de la eliminación a la espera
+   */
+  const commitPending = () => {
+    const pending = pendingRef.current;
+    if (!pending) return;
+
+    clearTimeout(pending.timeoutId);
+    pendingRef.current = null;
+    setUndoable(null);
+
+    const { tablero } = pending;
+    deleteTableroMutation.mutateAsync(tablero.id)
+      .then(() => RecentlyDeletedService.registrar(tablero))
+      .then(() => queryClient.invalidateQueries({ queryKey: ['eliminadosRecientes'] }))
+      // El error ya lo informa useDeleteTablero, que además restaura la tarjeta
+      .catch(() => {})
+      .finally(() => setPendingDeleteIds(ids => ids.filter(id => id !== tablero.id)));
+  };
+
+  /**
+   * Oculta un tablero y programa su eliminación
+   *
+   * @param {Object} tablero - Tablero a eliminar (se guarda para poder restaurarlo)
+   */
+  const scheduleDelete = (tablero) => {
+    commitPending();
+
+    setPendingDeleteIds(ids => [...ids, tablero.id]);
+    setUndoable(tablero);
+    pendingRef.current = {
+      tablero,
+      timeoutId: setTimeout(commitPending, UNDO_DELETE_DELAY_MS),
+    };
+  };
+
+  /**
+   * Cancela la eliminación a la espera y vuelve a mostrar el tablero
+   */
+  const undo = () => {
+    const pending = pendingRef.current;
+    if (!pending) return;
+
+    clearTimeout(pending.timeoutId);
+    pendingRef.current = null;
+    setUndoable(null);
+    setPendingDeleteIds(ids => ids.filter(id => id !== pending.tablero.id));
+  };
+
+  const value = {
+    scheduleDelete,
+    pendingDeleteIds,
+  };
+
+  return (
+    <UndoDeleteContext.Provider value={value}>
+      {children}
+      <UndoSnackbar
+        message={undoable ? `Tablero "${undoable.nombre}" eliminado` : null}
+        onUndo={undo}
+      />
+    </UndoDeleteContext.Provider>
+  );
+};
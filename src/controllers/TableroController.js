@@ -12,6 +12,104 @@
 
 import TableroService from '../services/TableroService';
 import TableroElectricoModel from '../models/TableroElectricoModel';
+import CircuitoModel from '../models/CircuitoModel';
+import MantenimientoModel from '../models/MantenimientoModel';
+import { isLocalId } from '../services/OfflineQueueService';
+import { ValidationError } from '../errors/AppError';
+
+/**
+ * Campos por los que se puede ordenar la lista de tableros
+ * @constant {Array<{key: string, label: string, numeric: boolean}>}
+ */
+export const SORT_FIELDS = [
+  { key: 'nombre', label: 'Nombre', numeric: false },
+  { key: 'ubicacion', label: 'Ubicación', numeric: false },
+  { key: 'marca', label: 'Marca', numeric: false },
+  { key: 'capacidad_amperios', label: 'Capacidad', numeric: true },
+  { key: 'ano_fabricacion', label: 'Año de fabricación', numeric: true },
+  { key: 'ano_instalacion', label: 'Año de instalación', numeric: true },
+  { key: 'estado', label: 'Estado', numeric: false },
+];
+
+/**
+ * Orden por defecto de la lista de tableros
+ * @constant {{field: string, direction: 'asc'|'desc'}}
+ */
+export const DEFAULT_SORT = { field: 'nombre', direction: 'asc' };
+
+/**
+ * Filtros vacíos de la lista de tableros
+ * 
+ * Los rangos se guardan como texto porque provienen de TextInput;
+ * un valor vacío significa "sin límite".
+ * 
+ * @constant {Object}
+ * @property {string|null} anoFabricacion - Año de fabricación exacto
+ * @property {Array<string>} estados - Estados aceptados (vacío = todos)
+ * @property {Array<string>} marcas - Marcas aceptadas (vacío = todas)
+ * @property {string} capacidadMin - Capacidad mínima en amperios
+ * @property {string} capacidadMax - Capacidad máxima en amperios
+ * @property {string} instalacionDesde - Año de instalación mínimo
+ * @property {string} instalacionHasta - Año de instalación máximo
+ * @property {string} ubicacionPrefijo - Inicio de la ubicación
+ * @property {boolean} proximosAVencer - Solo tableros con mantenimiento vencido o próximo (lo resuelve la vista)
+ */
+export const DEFAULT_FILTERS = {
+  anoFabricacion: null,
+  estados: [],
+  marcas: [],
+  capacidadMin: '',
+  capacidadMax: '',
+  instalacionDesde: '',
+  instalacionHasta: '',
+  ubicacionPrefijo: '',
+  proximosAVencer: false,
+};
+
+/**
+ * Convierte el texto de un límite de rango en número
+ * @param {string} value - Texto ingresado
+ * @returns {number|null} Número o null si está vacío o no es válido
+ */
+const parseLimit = (value) => {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+/**
+ * Nombres de columna aceptados al importar, por campo del modelo
+ * Se comparan normalizados (minúsculas, sin acentos ni signos).
+ * @constant {Object<string, Array<string>>}
+ */
+const IMPORT_FIELD_ALIASES = {
+  nombre: ['nombre', 'name', 'tablero'],
+  ubicacion: ['ubicacion', 'location'],
+  marca: ['marca', 'brand', 'fabricante'],
+  capacidad_amperios: ['capacidad_amperios', 'capacidad', 'capacidad_a', 'amperios', 'amperaje'],
+  ano_fabricacion: ['ano_fabricacion', 'anio_fabricacion', 'fabricacion', 'ano_de_fabricacion'],
+  ano_instalacion: ['ano_instalacion', 'anio_instalacion', 'instalacion', 'ano_de_instalacion'],
+  estado: ['estado', 'status'],
+};
+
+/**
+ * Campos numéricos del modelo que se convierten al importar
+ * @constant {Array<string>}
+ */
+const IMPORT_NUMERIC_FIELDS = ['capacidad_amperios', 'ano_fabricacion', 'ano_instalacion'];
+
+/**
+ * Normaliza un nombre de columna para compararlo con IMPORT_FIELD_ALIASES
+ * @param {string} column - Nombre de columna del archivo
+ * @returns {string} Nombre en minúsculas, sin acentos y con '_' como separador
+ */
+const normalizeColumn = (column) =>
+  String(column)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
 
 class TableroController {
   /**
@@ -45,6 +143,62 @@ class TableroController {
     return result;
   }
 
+  /**
+   * Obtiene una página de tableros eléctricos
+   * 
+   * Delega la búsqueda, los filtros y el orden en el servidor
+   * (TableroService.getTablerosPage) y convierte cada tablero en instancia del modelo.
+   * 
+   * @async
+   * @param {Object} params - Parámetros de TableroService.getTablerosPage
+   * @returns {Promise<Object>} Resultado de la operación
+   * @returns {boolean} returns.success - Indica si la operación fue exitosa
+   * @returns {Object|null} returns.data - { items: Array<TableroElectricoModel>, total }
+   * @returns {string|null} returns.error - Mensaje de error si ocurrió alguno
+   */
+  async getTablerosPage(params) {
+    const result = await TableroService.getTablerosPage(params);
+
+    if (result.success) {
+      return {
+        success: true,
+        data: {
+          items: result.data.items.map(tableroData => TableroElectricoModel.fromJSON(tableroData)),
+          total: result.data.total
+        },
+        error: null
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Obtiene un tablero eléctrico por su ID
+   * 
+   * @async
+   * @param {string} tableroId - ID único del tablero
+   * @param {Object} [options] - { signal } para cancelar la petición (ver TableroService)
+   * @returns {Promise<Object>} Resultado de la operación
+   * @returns {boolean} returns.success - Indica si la operación fue exitosa
+   * @returns {TableroElectricoModel|null} returns.data - Tablero
+   * @returns {string|null} returns.error - Mensaje de error si ocurrió alguno
+   * @returns {AppError} [returns.appError] - Error tipado; NotFoundError si el tablero no existe
+   */
+  async getTableroById(tableroId, options) {
+    const result = await TableroService.getTableroById(tableroId, options);
+
+    if (result.success) {
+      return {
+        success: true,
+        data: TableroElectricoModel.fromJSON(result.data),
+        error: null
+      };
+    }
+
+    return result;
+  }
+
   /**
    * Crea un nuevo tablero eléctrico
    * 
@@ -57,6 +211,7 @@ class TableroController {
    * @returns {boolean} returns.success - Indica si se creó exitosamente
    * @returns {TableroElectricoModel|null} returns.data - Tablero creado
    * @returns {string|null} returns.error - Errores de validación o de API
+   * @returns {AppError} [returns.appError] - Error tipado; ValidationError con `fieldErrors` si falló la validación
    */
   async createTablero(tableroData) {
     // Crear instancia del modelo
@@ -68,7 +223,8 @@ class TableroController {
       return {
         success: false,
         data: null,
-        error: validation.errors.join(', ')
+        error: validation.errors.join(', '),
+        appError: new ValidationError(validation.errors.join(', '), validation.fieldErrors)
       };
     }
     
@@ -99,6 +255,7 @@ class TableroController {
    * @returns {boolean} returns.success - Indica si se actualizó exitosamente
    * @returns {TableroElectricoModel|null} returns.data - Tablero actualizado
    * @returns {string|null} returns.error - Errores de validación o de API
+   * @returns {AppError} [returns.appError] - Error tipado; ValidationError con `fieldErrors` si falló la validación
    */
   async updateTablero(tableroId, tableroData) {
     // Crear instancia del modelo
@@ -113,7 +270,8 @@ class TableroController {
       return {
         success: false,
         data: null,
-        error: validation.errors.join(', ')
+        error: validation.errors.join(', '),
+        appError: new ValidationError(validation.errors.join(', '), validation.fieldErrors)
       };
     }
     
@@ -135,7 +293,9 @@ class TableroController {
    * Elimina un tablero eléctrico
    * 
    * Valida que el ID sea válido antes de intentar la eliminación.
-   * La eliminación es permanente y no se puede deshacer.
+   * La eliminación en el servidor es permanente; la opción de deshacer se
+   * gestiona antes de llamar a este método (UndoDeleteContext) y los tableros
+   * eliminados se pueden restaurar desde RecentlyDeletedService.
    * 
    * @async
    * @param {string} tableroId - ID único del tablero a eliminar
@@ -157,21 +317,517 @@ class TableroController {
     return result;
   }
 
+  /**
+   * Ejecuta una operación sobre varios tableros, uno tras otro
+   * 
+   * Las peticiones se envían de forma secuencial para no saturar el servidor
+   * y poder informar el avance. Un fallo no detiene el resto del lote.
+   * Los tableros creados sin conexión se omiten hasta que se sincronicen.
+   * 
+   * @async
+   * @private
+   * @param {Array<Object>} tableros - Tableros a procesar
+   * @param {Function} operation - (tablero) => Promise<{success, error}>
+   * @param {Function} [onProgress] - Recibe { done, total } tras cada tablero
+   * @returns {Promise<Object>} Resultado de la operación
+   * @returns {boolean} returns.success - true si todos los tableros se procesaron
+   * @returns {Object} returns.data - { succeeded: [{id, nombre}], failed: [{id, nombre, error}] }
+   * @returns {string|null} returns.error - Resumen de fallos si hubo alguno
+   */
+  async runBulk(tableros, operation, onProgress) {
+    const succeeded = [];
+    const failed = [];
+    
+    for (const tablero of tableros) {
+      const item = { id: tablero.id, nombre: tablero.nombre };
+      
+      if (isLocalId(tablero.id)) {
+        failed.push({ ...item, error: 'Pendiente de sincronizar' });
+      } else {
+        try {
+          const result = await operation(tablero);
+          if (result.success) {
+            succeeded.push(item);
+          } else {
+            failed.push({ ...item, error: result.error || 'Error desconocido' });
+          }
+        } catch (error) {
+          failed.push({ ...item, error: error.message });
+        }
+      }
+      
+      onProgress?.({ done: succeeded.length + failed.length, total: tableros.length });
+    }
+    
+    return {
+      success: failed.length === 0,
+      data: { succeeded, failed },
+      error: failed.length > 0 ? `${failed.length} de ${tableros.length} tableros con error` : null
+    };
+  }
+
+  /**
+   * Cambia el estado de varios tableros
+   * 
+   * Cada tablero se valida y actualiza con updateTablero conservando el resto
+   * de sus datos.
+   * 
+   * @async
+   * @param {Array<Object>} tableros - Tableros a actualizar
+   * @param {string} estado - Nuevo estado (uno de TableroElectricoModel.ESTADOS)
+   * @param {Function} [onProgress] - Recibe { done, total } tras cada tablero
+   * @returns {Promise<Object>} Resultado con el detalle por tablero (ver runBulk)
+   */
+  async bulkUpdateEstado(tableros, estado, onProgress) {
+    return await this.runBulk(
+      tableros,
+      (tablero) => this.updateTablero(tablero.id, { ...TableroElectricoModel.fromJSON(tablero).toJSON(), estado }),
+      onProgress
+    );
+  }
+
+  /**
+   * Elimina varios tableros
+   * 
+   * @async
+   * @param {Array<Object>} tableros - Tableros a eliminar
+   * @param {Function} [onProgress] - Recibe { done, total } tras cada tablero
+   * @returns {Promise<Object>} Resultado con el detalle por tablero (ver runBulk)
+   */
+  async bulkDeleteTableros(tableros, onProgress) {
+    return await this.runBulk(
+      tableros,
+      (tablero) => this.deleteTablero(tablero.id),
+      onProgress
+    );
+  }
+
+  /**
+   * Prepara los registros de un archivo de importación
+   * 
+   * Relaciona las columnas del archivo con los campos de TableroElectricoModel,
+   * convierte los valores numéricos (solo enteros, como fromFormValues),
+   * normaliza el estado y valida cada fila con validate(). No realiza
+   * llamadas a la API.
+   * 
+   * @param {Array<Object>} records - Registros leídos del archivo (CSV o JSON)
+   * @returns {Object} Vista previa de la importación
+   * @returns {Array<Object>} returns.rows - { row, data, errors } por registro (row empieza en 1)
+   * @returns {Array<string>} returns.missingFields - Campos sin columna en el archivo
+   * @returns {Array<string>} returns.ignoredColumns - Columnas del archivo que no se usan
+   */
+  prepareImport(records) {
+    const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+    const mapping = {};
+    
+    columns.forEach(column => {
+      const normalized = normalizeColumn(column);
+      const field = Object.keys(IMPORT_FIELD_ALIASES)
+        .find(key => IMPORT_FIELD_ALIASES[key].includes(normalized));
+      if (field && !Object.values(mapping).includes(field)) {
+        mapping[column] = field;
+      }
+    });
+    
+    const mappedFields = Object.values(mapping);
+    const missingFields = Object.keys(IMPORT_FIELD_ALIASES)
+      .filter(field => field !== 'estado' && !mappedFields.includes(field));
+    const ignoredColumns = columns.filter(column => !mapping[column]);
+    
+    const rows = records.map((record, index) => {
+      const data = {};
+      const errors = missingFields.map(field => `Falta la columna "${field}"`);
+      
+      Object.entries(mapping).forEach(([column, field]) => {
+        const value = String(record[column] ?? '').trim();
+        if (!IMPORT_NUMERIC_FIELDS.includes(field)) {
+          data[field] = value;
+          return;
+        }
+        data[field] = /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+        if (Number.isNaN(data[field])) {
+          errors.push(`"${column}" debe ser un número`);
+        }
+      });
+      
+      if (data.estado) {
+        const estado = TableroElectricoModel.ESTADOS
+          .find(option => normalizeColumn(option) === normalizeColumn(data.estado));
+        if (estado) {
+          data.estado = estado;
+        } else {
+          errors.push(`Estado "${data.estado}" no válido (${TableroElectricoModel.ESTADOS.join(', ')})`);
+        }
+      }
+      
+      const tablero = new TableroElectricoModel(data);
+      errors.push(...tablero.validate().errors);
+      
+      return { row: index + 1, data: tablero.toJSON(), errors };
+    });
+    
+    return { rows, missingFields, ignoredColumns };
+  }
+
+  /**
+   * Crea en lotes los tableros válidos de una importación
+   * 
+   * Cada lote se envía en paralelo con createTablero y los lotes se procesan
+   * uno tras otro para no saturar el servidor. Un fallo no detiene el resto.
+   * 
+   * @async
+   * @param {Array<Object>} rows - Filas válidas de prepareImport
+   * @param {Function} [onProgress] - Recibe { done, total } tras cada lote
+   * @param {number} [batchSize=5] - Tableros por lote
+   * @returns {Promise<Object>} Resultado de la operación
+   * @returns {boolean} returns.success - true si se crearon todos los tableros
+   * @returns {Object} returns.data - { succeeded: [{id, nombre, estado}], failed: [{id, nombre, error}] } (id es la fila en los fallidos)
+   * @returns {string|null} returns.error - Resumen de fallos si hubo alguno
+   */
+  async importTableros(rows, onProgress, batchSize = 5) {
+    const succeeded = [];
+    const failed = [];
+    
+    for (let start = 0; start < rows.length; start += batchSize) {
+      const batch = rows.slice(start, start + batchSize);
+      const results = await Promise.all(batch.map(({ data }) => this.createTablero(data)));
+      
+      results.forEach((result, index) => {
+        const { row, data } = batch[index];
+        if (result.success) {
+          succeeded.push({ id: result.data.id, nombre: data.nombre, estado: result.data.estado });
+        } else {
+          failed.push({ id: `fila-${row}`, nombre: `Fila ${row}: ${data.nombre}`, error: result.error || 'Error desconocido' });
+        }
+      });
+      
+      onProgress?.({ done: succeeded.length + failed.length, total: rows.length });
+    }
+    
+    return {
+      success: failed.length === 0,
+      data: { succeeded, failed },
+      error: failed.length > 0 ? `${failed.length} de ${rows.length} tableros con error` : null
+    };
+  }
+
+  /**
+   * Obtiene los circuitos de un tablero ordenados por posición
+   * 
+   * @async
+   * @param {string} tableroId - ID único del tablero
+   * @param {Object} [options] - { signal } para cancelar la petición (ver TableroService)
+   * @returns {Promise<Object>} Resultado de la operación
+   * @returns {boolean} returns.success - Indica si la operación fue exitosa
+   * @returns {Array<CircuitoModel>} returns.data - Circuitos del tablero
+   * @returns {string|null} returns.error - Mensaje de error si ocurrió alguno
+   */
+  async getCircuitos(tableroId, options) {
+    const result = await TableroService.getCircuitos(tableroId, options);
+    
+    if (result.success) {
+      const circuitos = (result.data || [])
+        .map(circuitoData => CircuitoModel.fromJSON(circuitoData))
+        .sort((a, b) => a.posicion - b.posicion);
+      
+      return {
+        success: true,
+        data: circuitos,
+        error: null
+      };
+    }
+    
+    return result;
+  }
+
+  /**
+   * Agrega un circuito a un tablero
+   * 
+   * Valida el circuito con CircuitoModel antes de enviarlo a la API.
+   * 
+   * @async
+   * @param {string} tableroId - ID único del tablero
+   * @param {Object} circuitoData - Datos del circuito
+   * @returns {Promise<Object>} Resultado de la operación
+   * @returns {boolean} returns.success - Indica si se creó exitosamente
+   * @returns {CircuitoModel|null} returns.data - Circuito creado
+   * @returns {string|null} returns.error - Errores de validación o de API
+   */
+  async addCircuito(tableroId, circuitoData) {
+    const circuito = new CircuitoModel({ ...circuitoData, tablero_id: tableroId });
+    
+    const validation = circuito.validate();
+    if (!validation.isValid) {
+      return {
+        success: false,
+        data: null,
+        error: validation.errors.join(', '),
+        appError: new ValidationError(validation.errors.join(', '))
+      };
+    }
+    
+    const result = await TableroService.createCircuito(tableroId, circuito.toJSON());
+    
+    if (result.success) {
+      return {
+        success: true,
+        data: CircuitoModel.fromJSON(result.data),
+        error: null
+      };
+    }
+    
+    return result;
+  }
+
+  /**
+   * Actualiza un circuito de un tablero
+   * 
+   * @async
+   * @param {string} tableroId - ID único del tablero
+   * @param {string} circuitoId - ID único del circuito
+   * @param {Object} circuitoData - Datos actualizados del circuito
+   * @returns {Promise<Object>} Resultado de la operación
+   * @returns {boolean} returns.success - Indica si se actualizó exitosamente
+   * @returns {CircuitoModel|null} returns.data - Circuito actualizado
+   * @returns {string|null} returns.error - Errores de validación o de API
+   */
+  async updateCircuito(tableroId, circuitoId, circuitoData) {
+    const circuito = new CircuitoModel({ ...circuitoData, id: circuitoId, tablero_id: tableroId });
+    
+    const validation = circuito.validate();
+    if (!validation.isValid) {
+      return {
+        success: false,
+        data: null,
+        error: validation.errors.join(', '),
+        appError: new ValidationError(validation.errors.join(', '))
+      };
+    }
+    
+    const result = await TableroService.updateCircuito(tableroId, circuitoId, circuito.toJSON());
+    
+    if (result.success) {
+      return {
+        success: true,
+        data: CircuitoModel.fromJSON(result.data),
+        error: null
+      };
+    }
+    
+    return result;
+  }
+
+  /**
+   * Elimina un circuito de un tablero
+   * 
+   * @async
+   * @param {string} tableroId - ID único del tablero
+   * @param {string} circuitoId - ID único del circuito
+   * @returns {Promise<Object>} Resultado de la operación
+   */
+  async removeCircuito(tableroId, circuitoId) {
+    if (!tableroId || !circuitoId) {
+      return {
+        success: false,
+        data: null,
+        error: 'ID de circuito no válido'
+      };
+    }
+    
+    return await TableroService.deleteCircuito(tableroId, circuitoId);
+  }
+
+  /**
+   * Revisa el cuadro de circuitos frente a la capacidad del tablero
+   * 
+   * @param {Object} tableroData - Datos del tablero (se usa capacidad_amperios)
+   * @param {Array<Object>} circuitos - Circuitos del tablero
+   * @returns {Object} Resultado de TableroElectricoModel.validateCircuitos
+   */
+  validateCircuitos(tableroData, circuitos) {
+    const tablero = new TableroElectricoModel(tableroData);
+    return tablero.validateCircuitos(circuitos);
+  }
+
+  /**
+   * Obtiene el registro de mantenimientos de un tablero, del más reciente al más antiguo
+   * 
+   * @async
+   * @param {string} tableroId - ID único del tablero
+   * @param {Object} [options] - { signal } para cancelar la petición (ver TableroService)
+   * @returns {Promise<Object>} Resultado de la operación
+   * @returns {boolean} returns.success - Indica si la operación fue exitosa
+   * @returns {Array<MantenimientoModel>} returns.data - Registros de mantenimiento
+   * @returns {string|null} returns.error - Mensaje de error si ocurrió alguno
+   */
+  async getMantenimientos(tableroId, options) {
+    const result = await TableroService.getMantenimientos(tableroId, options);
+    
+    if (result.success) {
+      const mantenimientos = (result.data || [])
+        .map(mantenimientoData => MantenimientoModel.fromJSON(mantenimientoData))
+        .sort((a, b) => b.fecha.localeCompare(a.fecha));
+      
+      return {
+        success: true,
+        data: mantenimientos,
+        error: null
+      };
+    }
+    
+    return result;
+  }
+
+  /**
+   * Registra un mantenimiento para un tablero
+   * 
+   * Valida el registro con MantenimientoModel antes de enviarlo a la API.
+   * 
+   * @async
+   * @param {string} tableroId - ID único del tablero
+   * @param {Object} mantenimientoData - Datos del registro
+   * @returns {Promise<Object>} Resultado de la operación
+   * @returns {boolean} returns.success - Indica si se creó exitosamente
+   * @returns {MantenimientoModel|null} returns.data - Registro creado
+   * @returns {string|null} returns.error - Errores de validación o de API
+   */
+  async addMantenimiento(tableroId, mantenimientoData) {
+    const mantenimiento = new MantenimientoModel({ ...mantenimientoData, tablero_id: tableroId });
+    
+    const validation = mantenimiento.validate();
+    if (!validation.isValid) {
+      return {
+        success: false,
+        data: null,
+        error: validation.errors.join(', '),
+        appError: new ValidationError(validation.errors.join(', '))
+      };
+    }
+    
+    const result = await TableroService.createMantenimiento(tableroId, mantenimiento.toJSON());
+    
+    if (result.success) {
+      return {
+        success: true,
+        data: MantenimientoModel.fromJSON(result.data),
+        error: null
+      };
+    }
+    
+    return result;
+  }
+
   /**
    * Valida datos de tablero sin hacer llamadas a la API
    * 
    * Útil para validación en tiempo real en formularios,
-   * sin consumir recursos de red.
+   * sin consumir recursos de red. Acepta los valores de texto del formulario
+   * (TableroElectricoModel.fromFormValues convierte los campos numéricos).
    * 
    * @param {Object} tableroData - Datos del tablero a validar
    * @returns {Object} Resultado de la validación
    * @returns {boolean} returns.isValid - Indica si los datos son válidos
    * @returns {Array<string>} returns.errors - Lista de errores encontrados
+   * @returns {Object<string, string>} returns.fieldErrors - Error de cada campo inválido
    */
   validateTableroData(tableroData) {
-    const tablero = new TableroElectricoModel(tableroData);
+    const tablero = new TableroElectricoModel(TableroElectricoModel.fromFormValues(tableroData));
     return tablero.validate();
   }
+
+  /**
+   * Aplica los filtros combinables a una lista de tableros
+   * 
+   * Todos los criterios se combinan con Y; dentro de estados y marcas
+   * basta con coincidir con una de las opciones elegidas. El criterio
+   * proximosAVencer depende de la programación local y lo aplica la vista.
+   * 
+   * @param {Array<Object>} tableros - Tableros a filtrar
+   * @param {Object} filters - Filtros con la forma de DEFAULT_FILTERS
+   * @returns {Array<Object>} Tableros que cumplen todos los criterios
+   */
+  filterTableros(tableros, filters = DEFAULT_FILTERS) {
+    const capacidadMin = parseLimit(filters.capacidadMin);
+    const capacidadMax = parseLimit(filters.capacidadMax);
+    const instalacionDesde = parseLimit(filters.instalacionDesde);
+    const instalacionHasta = parseLimit(filters.instalacionHasta);
+    const prefijo = (filters.ubicacionPrefijo || '').trim().toLowerCase();
+
+    return tableros.filter(tablero => {
+      if (filters.anoFabricacion && tablero.ano_fabricacion.toString() !== filters.anoFabricacion) return false;
+      if (filters.estados?.length && !filters.estados.includes(tablero.estado)) return false;
+      if (filters.marcas?.length && !filters.marcas.includes(tablero.marca)) return false;
+      if (capacidadMin !== null && tablero.capacidad_amperios < capacidadMin) return false;
+      if (capacidadMax !== null && tablero.capacidad_amperios > capacidadMax) return false;
+      if (instalacionDesde !== null && tablero.ano_instalacion < instalacionDesde) return false;
+      if (instalacionHasta !== null && tablero.ano_instalacion > instalacionHasta) return false;
+      if (prefijo && !tablero.ubicacion.toLowerCase().startsWith(prefijo)) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Calcula las opciones disponibles para los filtros con su conteo
+   * 
+   * @param {Array<Object>} tableros - Lista completa de tableros
+   * @returns {Object} Opciones por criterio
+   * @returns {Array<{value: string, count: number}>} returns.anos - Años de fabricación (más reciente primero)
+   * @returns {Array<{value: string, count: number}>} returns.estados - Estados del modelo
+   * @returns {Array<{value: string, count: number}>} returns.marcas - Marcas presentes (alfabético)
+   */
+  getFilterOptions(tableros) {
+    const countBy = (getValue) => tableros.reduce((counts, tablero) => {
+      const value = getValue(tablero);
+      counts[value] = (counts[value] || 0) + 1;
+      return counts;
+    }, {});
+
+    const anoCounts = countBy(tablero => tablero.ano_fabricacion.toString());
+    const estadoCounts = countBy(tablero => tablero.estado);
+    const marcaCounts = countBy(tablero => tablero.marca);
+
+    return {
+      anos: Object.keys(anoCounts)
+        .sort((a, b) => parseInt(b) - parseInt(a))
+        .map(value => ({ value, count: anoCounts[value] })),
+      estados: TableroElectricoModel.ESTADOS
+        .map(value => ({ value, count: estadoCounts[value] || 0 })),
+      marcas: Object.keys(marcaCounts)
+        .sort((a, b) => a.localeCompare(b, 'es', { sensitivity: 'base' }))
+        .map(value => ({ value, count: marcaCounts[value] })),
+    };
+  }
+
+  /**
+   * Ordena una lista de tableros por un campo
+   * 
+   * Los textos se comparan sin distinguir mayúsculas ni acentos y los números
+   * de forma numérica. A igualdad de valor se desempata por nombre para que
+   * el orden (y por tanto la paginación) sea estable.
+   * 
+   * @param {Array<Object>} tableros - Tableros a ordenar (no se modifica)
+   * @param {Object} sort - Criterio de orden
+   * @param {string} sort.field - Campo de SORT_FIELDS
+   * @param {'asc'|'desc'} sort.direction - Sentido del orden
+   * @returns {Array<Object>} Nueva lista ordenada
+   */
+  sortTableros(tableros, { field, direction } = DEFAULT_SORT) {
+    const sortField = SORT_FIELDS.find(option => option.key === field) || SORT_FIELDS[0];
+    const factor = direction === 'desc' ? -1 : 1;
+
+    const compareText = (a, b) =>
+      String(a ?? '').localeCompare(String(b ?? ''), 'es', { sensitivity: 'base', numeric: true });
+
+    return [...tableros].sort((a, b) => {
+      const valueA = a[sortField.key];
+      const valueB = b[sortField.key];
+      const diff = sortField.numeric
+        ? (Number(valueA) || 0) - (Number(valueB) || 0)
+        : compareText(valueA, valueB);
+
+      return diff !== 0 ? diff * factor : compareText(a.nombre, b.nombre);
+    });
+  }
 }
 
 /**
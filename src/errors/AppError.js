@@ -0,0 +1,263 @@
+/**
+ * AppError - Errores tipados de la aplicación
+ *
+ * Clasifica los fallos de las peticiones al backend (sin red, tiempo de espera
+ * agotado, servidor iniciándose, datos rechazados, recurso inexistente y error
+ * del servidor). Cada error lleva un título y un mensaje en español para el
+ * usuario y la acción de recuperación que debe ofrecer la UI (ver ErrorState).
+ * Los resultados fallidos de TableroService y TableroController lo incluyen
+ * en `appError`; los hooks lo lanzan como `error` de la query o mutación.
+ *
+ * @module errors/AppError
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+/**
+ * Tipos de error
+ * @constant {Object<string, string>}
+ */
+export const ERROR_TYPES = {
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  SERVER_WAKING: 'serverWaking',
+  VALIDATION: 'validation',
+  NOT_FOUND: 'notFound',
+  SERVER: 'server',
+  UNKNOWN: 'unknown',
+};
+
+/**
+ * Acciones de recuperación que la UI ofrece según el tipo de error
+ * @constant {Object<string, string>}
+ */
+export const RECOVERY_ACTIONS = {
+  RETRY: 'retry',
+  WAKE_SERVER: 'wakeServer',
+  FIX_FIELDS: 'fixFields',
+  GO_BACK: 'goBack',
+};
+
+/**
+ * Estados HTTP con los que responde un servidor de Render mientras se inicia
+ * @constant {Array<number>}
+ */
+const COLD_START_STATUSES = [502, 503, 504];
+
+/**
+ * Estados HTTP con los que el servidor rechaza los datos enviados
+ * @constant {Array<number>}
+ */
+const VALIDATION_STATUSES = [400, 422];
+
+/**
+ * Mensajes en español para los errores de validación de FastAPI (Pydantic v2),
+ * por `type`. Reciben el `ctx` del error con los límites.
+ * @constant {Object<string, Function>}
+ */
+const VALIDATION_MESSAGES = {
+  missing: () => 'Este campo es obligatorio',
+  string_too_short: (ctx) => `Debe tener al menos ${ctx.min_length} caracteres`,
+  string_too_long: (ctx) => `Debe tener como máximo ${ctx.max_length} caracteres`,
+  greater_than: (ctx) => `Debe ser mayor que ${ctx.gt}`,
+  greater_than_equal: (ctx) => `Debe ser mayor o igual que ${ctx.ge}`,
+  less_than: (ctx) => `Debe ser menor que ${ctx.lt}`,
+  less_than_equal: (ctx) => `Debe ser menor o igual que ${ctx.le}`,
+  int_parsing: () => 'Debe ser un número entero',
+  int_type: () => 'Debe ser un número entero',
+  enum: (ctx) => `Debe ser uno de: ${ctx.expected}`,
+  literal_error: (ctx) => `Debe ser uno de: ${ctx.expected}`,
+};
+
+/**
+ * Error base de la aplicación
+ *
+ * @class
+ * @extends Error
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} message - Mensaje para el usuario
+   * @param {Object} [options] - Detalles del error
+   * @param {string} [options.type=ERROR_TYPES.UNKNOWN] - Tipo (ERROR_TYPES)
+   * @param {string} [options.title='Algo salió mal'] - Título para pantallas y alertas
+   * @param {string} [options.recovery=RECOVERY_ACTIONS.RETRY] - Acción de recuperación (RECOVERY_ACTIONS)
+   * @param {number|null} [options.status=null] - Estado HTTP de la respuesta
+   */
+  constructor(message, {
+    type = ERROR_TYPES.UNKNOWN,
+    title = 'Algo salió mal',
+    recovery = RECOVERY_ACTIONS.RETRY,
+    status = null,
+  } = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.type = type;
+    this.title = title;
+    this.recovery = recovery;
+    this.status = status;
+  }
+}
+
+/**
+ * No se pudo contactar con el servidor (sin red o servidor inalcanzable)
+ * @class
+ * @extends AppError
+ */
+export class NetworkError extends AppError {
+  constructor(message = 'No se pudo conectar con el servidor. Revisa tu conexión a internet.') {
+    super(message, { type: ERROR_TYPES.NETWORK, title: 'Sin conexión' });
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * El servidor no respondió a tiempo
+ * @class
+ * @extends AppError
+ */
+export class RequestTimeoutError extends AppError {
+  constructor(message = 'El servidor tardó demasiado en responder. Inténtalo de nuevo.') {
+    super(message, { type: ERROR_TYPES.TIMEOUT, title: 'Tiempo de espera agotado' });
+    this.name = 'RequestTimeoutError';
+  }
+}
+
+/**
+ * El servidor está suspendido o iniciándose (arranque en frío de Render)
+ * @class
+ * @extends AppError
+ */
+export class ServerWakingError extends AppError {
+  constructor(status = null) {
+    super('El servidor está en reposo y se está iniciando. Puede tardar hasta un minuto.', {
+      type: ERROR_TYPES.SERVER_WAKING,
+      title: 'Servidor en reposo',
+      recovery: RECOVERY_ACTIONS.WAKE_SERVER,
+      status,
+    });
+    this.name = 'ServerWakingError';
+  }
+}
+
+/**
+ * Datos rechazados, por la validación local o por el servidor (400 o 422)
+ * @class
+ * @extends AppError
+ */
+export class ValidationError extends AppError {
+  /**
+   * @param {string} [message] - Mensaje para el usuario
+   * @param {Object<string, string>} [fieldErrors={}] - Error de cada campo, por clave de FIELDS
+   * @param {number|null} [status=null] - Estado HTTP si lo rechazó el servidor
+   */
+  constructor(message = 'Algunos datos no son válidos. Revisa los campos marcados.', fieldErrors = {}, status = null) {
+    super(message, {
+      type: ERROR_TYPES.VALIDATION,
+      title: 'Datos no válidos',
+      recovery: RECOVERY_ACTIONS.FIX_FIELDS,
+      status,
+    });
+    this.name = 'ValidationError';
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+/**
+ * El recurso solicitado no existe (404)
+ * @class
+ * @extends AppError
+ */
+export class NotFoundError extends AppError {
+  constructor(message = 'El elemento solicitado no existe o fue eliminado.') {
+    super(message, {
+      type: ERROR_TYPES.NOT_FOUND,
+      title: 'No encontrado',
+      recovery: RECOVERY_ACTIONS.GO_BACK,
+      status: 404,
+    });
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * El servidor falló al procesar la petición (5xx)
+ * @class
+ * @extends AppError
+ */
+export class ServerError extends AppError {
+  constructor(status = 500) {
+    super(`El servidor tuvo un problema al procesar la solicitud (error ${status}). Inténtalo más tarde.`, {
+      type: ERROR_TYPES.SERVER,
+      title: 'Error del servidor',
+      status,
+    });
+    this.name = 'ServerError';
+  }
+}
+
+/**
+ * Convierte el `detail` de un error 422 de FastAPI en errores por campo
+ *
+ * Cada elemento tiene la forma { loc: ['body', 'campo'], msg, type, ctx };
+ * el campo es el último elemento de `loc`.
+ *
+ * @param {Array<Object>} detail - Lista de errores de FastAPI
+ * @returns {Object<string, string>} Primer error de cada campo, con mensaje en español
+ */
+export const parseValidationDetail = (detail) =>
+  detail.reduce((fieldErrors, item) => {
+    const field = [...(item.loc || [])].reverse().find(part => typeof part === 'string');
+    if (field && !fieldErrors[field]) {
+      const translate = VALIDATION_MESSAGES[item.type];
+      fieldErrors[field] = translate ? translate(item.ctx || {}) : item.msg;
+    }
+    return fieldErrors;
+  }, {});
+
+/**
+ * Crea el error tipado de una respuesta HTTP fallida
+ *
+ * @param {number} status - Estado HTTP
+ * @param {Object} [body={}] - Cuerpo JSON de la respuesta (FastAPI usa `detail`)
+ * @returns {AppError} Error según el estado
+ */
+export const createHttpError = (status, body = {}) => {
+  const detail = body?.detail;
+
+  if (status === 404) {
+    return new NotFoundError();
+  }
+  if (COLD_START_STATUSES.includes(status)) {
+    return new ServerWakingError(status);
+  }
+  if (status >= 500) {
+    return new ServerError(status);
+  }
+
+  const message = typeof detail === 'string' ? detail : `El servidor rechazó la solicitud (error ${status}).`;
+
+  if (VALIDATION_STATUSES.includes(status)) {
+    return Array.isArray(detail)
+      ? new ValidationError(undefined, parseValidationDetail(detail), status)
+      : new ValidationError(message, {}, status);
+  }
+  // Autenticación, permisos, conflictos o límite de solicitudes: no hay campos que corregir
+  return new AppError(message, { title: 'Solicitud rechazada', status });
+};
+
+/**
+ * Convierte cualquier excepción en un AppError
+ *
+ * `fetch` lanza TypeError ("Network request failed") cuando no hay red y
+ * TimeoutError cuando se agota el tiempo de una señal.
+ *
+ * @param {Error} error - Excepción capturada
+ * @returns {AppError} El mismo error si ya es AppError, o su equivalente tipado
+ */
+export const toAppError = (error) => {
+  if (error instanceof AppError) return error;
+  if (error?.name === 'TimeoutError') return new RequestTimeoutError();
+  if (error instanceof TypeError && /network|fetch/i.test(error.message)) return new NetworkError();
+  return new AppError(error?.message || 'Ocurrió un error inesperado.');
+};
@@ -0,0 +1,170 @@
+/**
+ * tablerosQueryCache - Utilidades para la caché de listas de tableros
+ *
+ * La lista de tableros se pagina en el servidor, por lo que la caché de React
+ * Query contiene una entrada por combinación de búsqueda, filtros y orden
+ * (['tableros', 'list', params]), cada una con varias páginas. Estas funciones
+ * permiten buscar y modificar tableros en todas esas entradas a la vez.
+ * También aceptan el formato anterior (array simple bajo ['tableros']) que
+ * puede venir de una caché persistida.
+ *
+ * @module hooks/tablerosQueryCache
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+/**
+ * Prefijo común de todas las queries de listas de tableros
+ * @constant {Array<string>}
+ */
+export const TABLEROS_QUERY_KEY = ['tableros'];
+
+/**
+ * Construye la clave de una lista paginada de tableros
+ *
+ * @param {Object} params - { q, filters, sort, limit }
+ * @returns {Array} Clave de React Query
+ */
+export const getTablerosListKey = (params) => [...TABLEROS_QUERY_KEY, 'list', params];
+
+/**
+ * Obtiene los tableros de una entrada de caché, sin duplicados
+ * Un tablero puede repetirse entre páginas si la lista cambió mientras se paginaba.
+ *
+ * @param {Object|Array|undefined} data - Datos de useInfiniteQuery o array simple
+ * @returns {Array<Object>} Tableros en orden de página
+ */
+export const flattenTableros = (data) => {
+  if (!data) return [];
+  if (Array.isArray(data)) return data;
+
+  const seen = new Set();
+  return (data.pages || [])
+    .flatMap(page => page.items || [])
+    .filter(tablero => {
+      if (seen.has(tablero.id)) return false;
+      seen.add(tablero.id);
+      return true;
+    });
+};
+
+/**
+ * Busca un tablero en cualquier lista en caché
+ *
+ * @param {QueryClient} queryClient - Cliente de React Query
+ * @param {string} id - ID del tablero
+ * @returns {Object|undefined} Datos del tablero en caché
+ */
+export const findCachedTablero = (queryClient, id) => {
+  for (const [, data] of queryClient.getQueriesData({ queryKey: TABLEROS_QUERY_KEY })) {
+    const tablero = flattenTableros(data).find(t => t.id === id);
+    if (tablero) return tablero;
+  }
+  return undefined;
+};
+
+/**
+ * Fecha (ms) de la última sincronización exitosa de cualquier lista en caché
+ *
+ * @param {QueryClient} queryClient - Cliente de React Query
+ * @returns {number|undefined} Timestamp o undefined si no hay listas en caché
+ */
+export const getTablerosUpdatedAt = (queryClient) => {
+  const timestamps = queryClient
+    .getQueryCache()
+    .findAll({ queryKey: TABLEROS_QUERY_KEY })
+    .map(query => query.state.dataUpdatedAt)
+    .filter(Boolean);
+
+  return timestamps.length > 0 ? Math.max(...timestamps) : undefined;
+};
+
+/**
+ * Aplica un cambio a los tableros de todas las listas en caché
+ *
+ * Se conserva la fecha de la última sincronización real de cada lista para
+ * que la vista siga mostrando cuándo se habló con el servidor por última vez.
+ *
+ * @param {QueryClient} queryClient - Cliente de React Query
+ * @param {Function} updateItems - (items, pageIndex) => nuevos items de la página
+ */
+export const updateCachedTableros = (queryClient, updateItems) => {
+  queryClient
+    .getQueryCache()
+    .findAll({ queryKey: TABLEROS_QUERY_KEY })
+    .forEach(query => {
+      const data = query.state.data;
+      if (!data) return;
+
+      const updated = Array.isArray(data)
+        ? updateItems(data, 0)
+        : { ...data, pages: data.pages.map((page, index) => ({ ...page, items: updateItems(page.items || [], index) })) };
+
+      queryClient.setQueryData(query.queryKey, updated, { updatedAt: query.state.dataUpdatedAt });
+    });
+};
+
+/**
+ * Guarda la posición y los datos de un tablero en cada lista en caché
+ * Se usa antes de una escritura optimista para poder revertir solo ese
+ * tablero, sin deshacer otras escrituras optimistas simultáneas.
+ *
+ * @param {QueryClient} queryClient - Cliente de React Query
+ * @param {string} id - ID del tablero
+ * @returns {Array<Object>} { queryKey, pageIndex, index, tablero } de cada lista que lo contiene
+ */
+export const snapshotTablero = (queryClient, id) =>
+  queryClient
+    .getQueryCache()
+    .findAll({ queryKey: TABLEROS_QUERY_KEY })
+    .flatMap(query => {
+      const data = query.state.data;
+      const pages = Array.isArray(data) ? [data] : (data?.pages || []).map(page => page.items || []);
+
+      for (let pageIndex = 0; pageIndex < pages.length; pageIndex++) {
+        const index = pages[pageIndex].findIndex(t => t.id === id);
+        if (index !== -1) {
+          return [{ queryKey: query.queryKey, pageIndex, index, tablero: pages[pageIndex][index] }];
+        }
+      }
+      return [];
+    });
+
+/**
+ * Revierte un tablero guardado con snapshotTablero
+ *
+ * Si el tablero sigue en la lista se restauran sus datos (solo `fields` si se
+ * indican, para revertir únicamente los campos editados); si se quitó, se
+ * vuelve a insertar en su posición anterior.
+ *
+ * @param {QueryClient} queryClient - Cliente de React Query
+ * @param {Array<Object>} [snapshot] - Copia obtenida con snapshotTablero
+ * @param {Array<string>} [fields] - Campos a restaurar; por defecto todo el tablero
+ */
+export const restoreTablero = (queryClient, snapshot = [], fields = null) => {
+  snapshot.forEach(({ queryKey, pageIndex, index, tablero }) => {
+    const query = queryClient.getQueryCache().find({ queryKey, exact: true });
+    const data = query?.state.data;
+    if (!data) return;
+
+    const saved = fields
+      ? Object.fromEntries(fields.map(field => [field, tablero[field]]))
+      : tablero;
+    const isListed = flattenTableros(data).some(t => t.id === tablero.id);
+    const restoreItems = (items, itemsPageIndex) => {
+      if (isListed) {
+        return items.map(t => (t.id === tablero.id ? { ...t, ...saved } : t));
+      }
+      if (itemsPageIndex !== pageIndex) return items;
+      const restored = [...items];
+      restored.splice(Math.min(index, restored.length), 0, tablero);
+      return restored;
+    };
+
+    const updated = Array.isArray(data)
+      ? restoreItems(data, 0)
+      : { ...data, pages: data.pages.map((page, i) => ({ ...page, items: restoreItems(page.items || [], i) })) };
+
+    queryClient.setQueryData(queryKey, updated, { updatedAt: query.state.dataUpdatedAt });
+  });
+};
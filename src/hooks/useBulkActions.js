@@ -0,0 +1,122 @@
+/**
+ * useBulkActions - Custom Hook para acciones masivas sobre tableros
+ *
+ * Ejecuta a través de TableroController el cambio de estado o la eliminación
+ * de varios tableros, expone el avance del lote y al terminar refresca la
+ * lista. Los cambios de estado se registran en el historial y los tableros
+ * eliminados se guardan en la lista de eliminados recientes. También ejecuta
+ * la creación en lotes de los tableros de un archivo importado.
+ *
+ * @module hooks/useBulkActions
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import TableroController from '../controllers/TableroController';
+import EstadoHistorialService from '../services/EstadoHistorialService';
+import MaintenanceScheduleService from '../services/MaintenanceScheduleService';
+import RecentlyDeletedService from '../services/RecentlyDeletedService';
+
+/**
+ * Acciones masivas disponibles
+ * @constant {Object<string, string>}
+ */
+export const BULK_ACTIONS = {
+  UPDATE_ESTADO: 'update-estado',
+  DELETE: 'delete',
+};
+
+/**
+ * Hook para ejecutar una acción masiva
+ *
+ * @returns {Object} Mutation object más `progress`
+ * @returns {Function} returns.mutate - `mutate({ action, tableros, estado })`
+ * @returns {Object} returns.data - { succeeded, failed } al terminar
+ * @returns {Object|null} returns.progress - { done, total } mientras se procesa el lote
+ *
+ * @example
+ * const bulkMutation = useBulkTableroAction();
+ * bulkMutation.mutate({ action: BULK_ACTIONS.UPDATE_ESTADO, tableros, estado: 'Mantenimiento' });
+ */
+export const useBulkTableroAction = () => {
+  const queryClient = useQueryClient();
+
+  /** @type {Object|null} Avance del lote en curso */
+  const [progress, setProgress] = useState(null);
+
+  const mutation = useMutation({
+    mutationFn: async ({ action, tableros, estado }) => {
+      setProgress({ done: 0, total: tableros.length });
+
+      const result = action === BULK_ACTIONS.DELETE
+        ? await TableroController.bulkDeleteTableros(tableros, setProgress)
+        : await TableroController.bulkUpdateEstado(tableros, estado, setProgress);
+
+      return result.data;
+    },
+    onSuccess: async ({ succeeded }, { action, tableros, estado }) => {
+      const succeededIds = new Set(succeeded.map(item => item.id));
+      const processed = tableros.filter(tablero => succeededIds.has(tablero.id));
+
+      for (const tablero of processed) {
+        if (action === BULK_ACTIONS.DELETE) {
+          await RecentlyDeletedService.registrar(tablero);
+          await MaintenanceScheduleService.removeTablero(tablero.id);
+        } else if (tablero.estado !== estado) {
+          await EstadoHistorialService.registrarEstado(tablero.id, estado);
+        }
+      }
+
+      queryClient.invalidateQueries({ queryKey: action === BULK_ACTIONS.DELETE ? ['eliminadosRecientes'] : ['estadoHistorial'] });
+      queryClient.invalidateQueries({ queryKey: ['mantenimientoProgramado'] });
+      processed.forEach(tablero => queryClient.invalidateQueries({ queryKey: ['tablero', tablero.id] }));
+    },
+    onSettled: () => {
+      setProgress(null);
+      queryClient.invalidateQueries({ queryKey: ['tableros'] });
+    },
+  });
+
+  return { ...mutation, progress };
+};
+
+/**
+ * Hook para crear los tableros válidos de una importación
+ *
+ * @returns {Object} Mutation object más `progress`
+ * @returns {Function} returns.mutate - `mutate(rows)` con las filas válidas de TableroController.prepareImport
+ * @returns {Object} returns.data - { succeeded, failed } al terminar
+ * @returns {Object|null} returns.progress - { done, total } mientras se procesan los lotes
+ *
+ * @example
+ * const importMutation = useImportTableros();
+ * importMutation.mutate(validRows);
+ */
+export const useImportTableros = () => {
+  const queryClient = useQueryClient();
+
+  /** @type {Object|null} Avance de la importación en curso */
+  const [progress, setProgress] = useState(null);
+
+  const mutation = useMutation({
+    mutationFn: async (rows) => {
+      setProgress({ done: 0, total: rows.length });
+      const result = await TableroController.importTableros(rows, setProgress);
+      return result.data;
+    },
+    onSuccess: async ({ succeeded }) => {
+      for (const tablero of succeeded) {
+        await EstadoHistorialService.registrarEstado(tablero.id, tablero.estado);
+      }
+      queryClient.invalidateQueries({ queryKey: ['estadoHistorial'] });
+    },
+    onSettled: () => {
+      setProgress(null);
+      queryClient.invalidateQueries({ queryKey: ['tableros'] });
+    },
+  });
+
+  return { ...mutation, progress };
+};
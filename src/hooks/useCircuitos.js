@@ -0,0 +1,103 @@
+/**
+ * useCircuitos - Custom Hooks para los circuitos de un tablero
+ *
+ * Hooks de React Query para listar, agregar, editar y eliminar los circuitos
+ * (interruptores) de un tablero. Pasan por TableroController para validar
+ * cada circuito con CircuitoModel antes de llamar a la API.
+ *
+ * @module hooks/useCircuitos
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import TableroController from '../controllers/TableroController';
+import { isLocalId } from '../services/OfflineQueueService';
+import { AppError } from '../errors/AppError';
+
+/**
+ * Convierte un resultado {success, data, error} del controlador en valor o excepción
+ *
+ * @param {Object} result - Resultado del controlador
+ * @returns {*} result.data si la operación fue exitosa
+ * @throws {AppError} Error tipado del controlador si falló (ver errors/AppError)
+ */
+const unwrap = (result) => {
+  if (!result.success) {
+    throw result.appError || new AppError(result.error || 'Error en la operación de circuitos');
+  }
+  return result.data;
+};
+
+/**
+ * Hook para obtener los circuitos de un tablero
+ * Los tableros creados sin conexión aún no tienen circuitos en el servidor.
+ *
+ * @param {string} tableroId - ID del tablero
+ * @returns {Object} Resultado de la query con `data` como Array<CircuitoModel>
+ *
+ * @example
+ * const { data: circuitos = [], isLoading } = useCircuitos(tablero.id);
+ */
+export const useCircuitos = (tableroId) => {
+  return useQuery({
+    queryKey: ['circuitos', tableroId],
+    queryFn: async ({ signal }) => unwrap(await TableroController.getCircuitos(tableroId, { signal })),
+    enabled: Boolean(tableroId) && !isLocalId(tableroId),
+    staleTime: 5 * 60 * 1000, // 5 minutos
+  });
+};
+
+/**
+ * Hook para agregar un circuito a un tablero
+ *
+ * @param {string} tableroId - ID del tablero
+ * @returns {Object} Mutation object; `mutate(circuitoData)`
+ */
+export const useAddCircuito = (tableroId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (circuitoData) =>
+      unwrap(await TableroController.addCircuito(tableroId, circuitoData)),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['circuitos', tableroId] });
+    },
+  });
+};
+
+/**
+ * Hook para actualizar un circuito de un tablero
+ *
+ * @param {string} tableroId - ID del tablero
+ * @returns {Object} Mutation object; `mutate({ id, data })`
+ */
+export const useUpdateCircuito = (tableroId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ id, data }) =>
+      unwrap(await TableroController.updateCircuito(tableroId, id, data)),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['circuitos', tableroId] });
+    },
+  });
+};
+
+/**
+ * Hook para eliminar un circuito de un tablero
+ *
+ * @param {string} tableroId - ID del tablero
+ * @returns {Object} Mutation object; `mutate(circuitoId)`
+ */
+export const useDeleteCircuito = (tableroId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (circuitoId) =>
+      unwrap(await TableroController.removeCircuito(tableroId, circuitoId)),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['circuitos', tableroId] });
+    },
+  });
+};
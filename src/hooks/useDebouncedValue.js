@@ -0,0 +1,34 @@
+/**
+ * useDebouncedValue - Retrasa la actualización de un valor
+ *
+ * Devuelve el valor recibido solo cuando deja de cambiar durante `delay`
+ * milisegundos. Se usa para no consultar al servidor en cada tecla de la
+ * búsqueda y de los filtros de texto.
+ *
+ * @module hooks/useDebouncedValue
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import { useState, useEffect } from 'react';
+
+/**
+ * Hook de valor con retardo
+ *
+ * @param {*} value - Valor que cambia con frecuencia
+ * @param {number} [delay=400] - Milisegundos sin cambios antes de actualizar
+ * @returns {*} Último valor estable
+ *
+ * @example
+ * const debouncedSearch = useDebouncedValue(searchTerm, 400);
+ */
+export const useDebouncedValue = (value, delay = 400) => {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedValue(value), delay);
+    return () => clearTimeout(timeout);
+  }, [value, delay]);
+
+  return debouncedValue;
+};
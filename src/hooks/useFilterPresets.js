@@ -0,0 +1,95 @@
+/**
+ * useFilterPresets - Custom Hooks para las vistas guardadas de la lista
+ *
+ * Hooks de React Query sobre FilterPresetService para listar, guardar,
+ * renombrar y eliminar combinaciones de búsqueda, filtros y orden.
+ *
+ * @module hooks/useFilterPresets
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import FilterPresetService from '../services/FilterPresetService';
+
+/**
+ * Convierte un resultado {success, data, error} del servicio en valor o excepción
+ *
+ * @param {Object} result - Resultado del servicio
+ * @returns {*} result.data si la operación fue exitosa
+ * @throws {Error} Con el mensaje del servicio si falló
+ */
+const unwrap = (result) => {
+  if (!result.success) {
+    throw new Error(result.error || 'Error al gestionar las vistas guardadas');
+  }
+  return result.data;
+};
+
+/**
+ * Hook para obtener las vistas guardadas
+ *
+ * @returns {Object} Resultado de la query con `data` como Array de vistas
+ */
+export const useFilterPresets = () => {
+  return useQuery({
+    queryKey: ['filterPresets'],
+    queryFn: () => FilterPresetService.getPresets(),
+    staleTime: Infinity,
+  });
+};
+
+/**
+ * Hook para guardar la vista actual
+ *
+ * @returns {Object} Mutation object; `mutate({ nombre, searchTerm, filters, sort })`
+ */
+export const useSaveFilterPreset = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ nombre, ...state }) =>
+      unwrap(await FilterPresetService.savePreset(nombre, state)),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['filterPresets'] });
+    },
+  });
+};
+
+/**
+ * Hook para renombrar una vista guardada
+ *
+ * @returns {Object} Mutation object; `mutate({ id, nombre })`
+ */
+export const useRenameFilterPreset = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ id, nombre }) =>
+      unwrap(await FilterPresetService.renamePreset(id, nombre)),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['filterPresets'] });
+    },
+  });
+};
+
+/**
+ * Hook para eliminar una vista guardada
+ *
+ * @returns {Object} Mutation object; `mutate(presetId)`
+ */
+export const useDeleteFilterPreset = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (presetId) => {
+      const result = await FilterPresetService.deletePreset(presetId);
+      if (!result.success) {
+        throw new Error(result.error || 'No se pudo eliminar la vista');
+      }
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['filterPresets'] });
+    },
+  });
+};
@@ -0,0 +1,59 @@
+/**
+ * useInspectionReport - Custom Hook para generar informes de inspección
+ *
+ * Reúne los mantenimientos de cada tablero (desde la caché de React Query o
+ * a través de TableroController) y genera el PDF con ReportService.
+ *
+ * @module hooks/useInspectionReport
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import TableroController from '../controllers/TableroController';
+import ReportService from '../services/ReportService';
+import { isLocalId } from '../services/OfflineQueueService';
+
+/**
+ * Hook para generar y compartir un informe de inspección
+ *
+ * @returns {Object} Mutation object
+ * @returns {Function} returns.mutate - `mutate({ tableros, inspector, observaciones, includeMantenimientos })`
+ *
+ * @example
+ * const reportMutation = useInspectionReport();
+ * reportMutation.mutate({ tableros: [tablero], inspector: 'Ana Pérez', includeMantenimientos: true });
+ */
+export const useInspectionReport = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ tableros, inspector, observaciones, includeMantenimientos }) => {
+      const mantenimientos = {};
+
+      if (includeMantenimientos) {
+        // Secuencial para no saturar el servidor con listas largas
+        for (const tablero of tableros) {
+          if (isLocalId(tablero.id)) continue;
+
+          const cached = queryClient.getQueryData(['mantenimientos', tablero.id]);
+          if (cached) {
+            mantenimientos[tablero.id] = cached;
+            continue;
+          }
+
+          const result = await TableroController.getMantenimientos(tablero.id);
+          if (result.success) {
+            mantenimientos[tablero.id] = result.data;
+          }
+        }
+      }
+
+      const result = await ReportService.exportReport({ tableros, mantenimientos, inspector, observaciones });
+      if (!result.success) {
+        throw new Error(result.error || 'No se pudo generar el informe');
+      }
+      return result.data;
+    },
+  });
+};
@@ -0,0 +1,71 @@
+/**
+ * useMaintenanceSchedule - Custom Hooks para la programación de mantenimiento preventivo
+ *
+ * Exponen las programaciones locales guardadas por MaintenanceScheduleService
+ * junto con el estado de vencimiento de cada tablero, y permiten cambiar el
+ * intervalo de mantenimiento de un tablero.
+ *
+ * @module hooks/useMaintenanceSchedule
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import { useMemo } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import MaintenanceScheduleService from '../services/MaintenanceScheduleService';
+
+/**
+ * Hook para obtener las programaciones de mantenimiento de todos los tableros
+ *
+ * @returns {Object} Estado de las programaciones
+ * @returns {Object<string, Object>} returns.schedules - Programaciones por ID de tablero
+ * @returns {Object<string, Object>} returns.statusByTableroId - { status, dueDate } por ID de tablero con intervalo
+ * @returns {boolean} returns.isLoading - Indica si se están leyendo de AsyncStorage
+ *
+ * @example
+ * const { statusByTableroId } = useMaintenanceSchedules();
+ * const isOverdue = statusByTableroId[tablero.id]?.status === DUE_STATUS.OVERDUE;
+ */
+export const useMaintenanceSchedules = () => {
+  const { data: schedules = {}, isLoading } = useQuery({
+    queryKey: ['mantenimientoProgramado'],
+    queryFn: () => MaintenanceScheduleService.getSchedules(),
+    staleTime: Infinity,
+  });
+
+  /** Estado de vencimiento por tablero, calculado con la fecha de hoy */
+  const statusByTableroId = useMemo(() => {
+    const result = {};
+    Object.entries(schedules).forEach(([tableroId, schedule]) => {
+      const status = MaintenanceScheduleService.getDueStatus(schedule);
+      if (status) {
+        result[tableroId] = { status, dueDate: MaintenanceScheduleService.getDueDate(schedule) };
+      }
+    });
+    return result;
+  }, [schedules]);
+
+  return { schedules, statusByTableroId, isLoading };
+};
+
+/**
+ * Hook para fijar el intervalo de mantenimiento de un tablero
+ *
+ * @returns {Object} Mutation object; `mutate({ tableroId, intervalMonths, tableroNombre })`
+ */
+export const useSetMaintenanceInterval = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ tableroId, intervalMonths, tableroNombre }) => {
+      const result = await MaintenanceScheduleService.setInterval(tableroId, intervalMonths, tableroNombre);
+      if (!result.success) {
+        throw new Error(result.error || 'No se pudo guardar la programación');
+      }
+      return result.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['mantenimientoProgramado'] });
+    },
+  });
+};
@@ -0,0 +1,85 @@
+/**
+ * useMantenimientos - Custom Hooks para el registro de mantenimientos
+ *
+ * Hooks de React Query para listar y registrar los mantenimientos de un
+ * tablero. Pasan por TableroController para validar cada registro con
+ * MantenimientoModel antes de llamar a la API. La fecha del último mantenimiento
+ * se comunica a MaintenanceScheduleService para recalcular el próximo vencimiento.
+ *
+ * @module hooks/useMantenimientos
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import TableroController from '../controllers/TableroController';
+import { isLocalId } from '../services/OfflineQueueService';
+import MaintenanceScheduleService from '../services/MaintenanceScheduleService';
+import { AppError } from '../errors/AppError';
+
+/**
+ * Convierte un resultado {success, data, error} del controlador en valor o excepción
+ *
+ * @param {Object} result - Resultado del controlador
+ * @returns {*} result.data si la operación fue exitosa
+ * @throws {AppError} Error tipado del controlador si falló (ver errors/AppError)
+ */
+const unwrap = (result) => {
+  if (!result.success) {
+    throw result.appError || new AppError(result.error || 'Error en la operación de mantenimientos');
+  }
+  return result.data;
+};
+
+/**
+ * Hook para obtener el registro de mantenimientos de un tablero
+ * Los registros vienen ordenados del más reciente al más antiguo.
+ *
+ * @param {string} tableroId - ID del tablero
+ * @returns {Object} Resultado de la query con `data` como Array<MantenimientoModel>
+ *
+ * @example
+ * const { data: mantenimientos = [], isLoading } = useMantenimientos(tablero.id);
+ */
+export const useMantenimientos = (tableroId) => {
+  const queryClient = useQueryClient();
+
+  return useQuery({
+    queryKey: ['mantenimientos', tableroId],
+    queryFn: async ({ signal }) => {
+      const mantenimientos = unwrap(await TableroController.getMantenimientos(tableroId, { signal }));
+
+      // El registro más reciente marca el inicio del siguiente intervalo
+      if (mantenimientos.length > 0) {
+        const changed = await MaintenanceScheduleService.registrarMantenimiento(tableroId, mantenimientos[0].fecha);
+        if (changed) {
+          queryClient.invalidateQueries({ queryKey: ['mantenimientoProgramado'] });
+        }
+      }
+
+      return mantenimientos;
+    },
+    enabled: Boolean(tableroId) && !isLocalId(tableroId),
+    staleTime: 5 * 60 * 1000, // 5 minutos
+  });
+};
+
+/**
+ * Hook para registrar un mantenimiento en un tablero
+ *
+ * @param {string} tableroId - ID del tablero
+ * @returns {Object} Mutation object; `mutate(mantenimientoData)`
+ */
+export const useAddMantenimiento = (tableroId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (mantenimientoData) =>
+      unwrap(await TableroController.addMantenimiento(tableroId, mantenimientoData)),
+    onSuccess: async (mantenimiento) => {
+      queryClient.invalidateQueries({ queryKey: ['mantenimientos', tableroId] });
+      await MaintenanceScheduleService.registrarMantenimiento(tableroId, mantenimiento.fecha);
+      queryClient.invalidateQueries({ queryKey: ['mantenimientoProgramado'] });
+    },
+  });
+};
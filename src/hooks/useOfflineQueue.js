@@ -0,0 +1,127 @@
+/**
+ * useOfflineQueue - Hooks para la cola de mutaciones sin conexión
+ *
+ * Exponen el estado de OfflineQueueService a los componentes y se encargan de
+ * reproducir la cola cuando el dispositivo recupera la conexión.
+ *
+ * @module hooks/useOfflineQueue
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import NetInfo from '@react-native-community/netinfo';
+import OfflineQueueService from '../services/OfflineQueueService';
+
+/**
+ * Hook para observar la cola de mutaciones pendientes
+ *
+ * @returns {Object} Estado de la cola
+ * @returns {Array<Object>} returns.queue - Elementos encolados en orden
+ * @returns {number} returns.pendingCount - Elementos esperando sincronización
+ * @returns {number} returns.failedCount - Elementos rechazados por el servidor
+ * @returns {Object<string, Object>} returns.statusByTableroId - Último elemento encolado por tablero
+ * @returns {Function} returns.retry - Reintenta un elemento fallido
+ * @returns {Function} returns.discard - Descarta un elemento de la cola
+ * @returns {Function} returns.syncNow - Fuerza la sincronización de la cola
+ *
+ * @example
+ * const { pendingCount, statusByTableroId } = useOfflineQueue();
+ */
+export const useOfflineQueue = () => {
+  const queryClient = useQueryClient();
+  const [queue, setQueue] = useState(OfflineQueueService.getQueue());
+
+  useEffect(() => {
+    OfflineQueueService.init();
+    return OfflineQueueService.subscribe(setQueue);
+  }, []);
+
+  const statusByTableroId = useMemo(() => {
+    const byId = {};
+    queue.forEach(item => {
+      // Un elemento fallido tiene prioridad para que el error no quede oculto
+      if (byId[item.tableroId]?.status !== 'failed') {
+        byId[item.tableroId] = item;
+      }
+    });
+    return byId;
+  }, [queue]);
+
+  /**
+   * Sincroniza la cola y refresca la lista si hubo cambios
+   * @async
+   */
+  const syncNow = async () => {
+    const { synced, failed } = await OfflineQueueService.flush();
+    if (synced > 0 || failed > 0) {
+      queryClient.invalidateQueries({ queryKey: ['tableros'] });
+    }
+  };
+
+  /**
+   * Marca un elemento fallido como pendiente y vuelve a sincronizar
+   * @async
+   * @param {string} itemId - ID del elemento de la cola
+   */
+  const retry = async (itemId) => {
+    await OfflineQueueService.retry(itemId);
+    await syncNow();
+  };
+
+  /**
+   * Descarta un elemento y recarga la lista desde el servidor
+   * @async
+   * @param {string} itemId - ID del elemento de la cola
+   */
+  const discard = async (itemId) => {
+    await OfflineQueueService.discard(itemId);
+    queryClient.invalidateQueries({ queryKey: ['tableros'] });
+  };
+
+  return {
+    queue,
+    pendingCount: queue.filter(item => item.status === 'pending').length,
+    failedCount: queue.filter(item => item.status === 'failed').length,
+    statusByTableroId,
+    retry,
+    discard,
+    syncNow,
+  };
+};
+
+/**
+ * Hook que reproduce la cola cada vez que el dispositivo recupera la conexión
+ *
+ * Debe montarse una sola vez, dentro de QueryClientProvider.
+ * NetInfo emite el estado actual al suscribirse, por lo que también
+ * sincroniza lo pendiente al iniciar la app.
+ *
+ * @example
+ * function SafeWrapper() {
+ *   useOfflineSync();
+ *   ...
+ * }
+ */
+export const useOfflineSync = () => {
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    const sync = async () => {
+      await OfflineQueueService.init();
+      if (!OfflineQueueService.hasPending()) return;
+
+      const { synced } = await OfflineQueueService.flush();
+      if (synced > 0) {
+        queryClient.invalidateQueries({ queryKey: ['tableros'] });
+      }
+    };
+
+    return NetInfo.addEventListener(state => {
+      if (state.isConnected) {
+        sync();
+      }
+    });
+  }, [queryClient]);
+};
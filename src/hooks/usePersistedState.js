@@ -0,0 +1,86 @@
+/**
+ * usePersistedState - Estado de React guardado en AsyncStorage
+ *
+ * Funciona como useState, pero restaura el valor guardado al montar el
+ * componente y guarda cada cambio en AsyncStorage como JSON. Se usa para
+ * preferencias de la interfaz que deben conservarse entre sesiones.
+ * Si el usuario cambia el valor antes de que termine la restauración, se
+ * conserva su cambio en lugar del valor guardado.
+ *
+ * @module hooks/usePersistedState
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Hook de estado persistido
+ *
+ * @param {string} storageKey - Clave de AsyncStorage
+ * @param {*} defaultValue - Valor inicial mientras no haya uno guardado
+ * @returns {Array} [value, setValue, isRestored]
+ *
+ * @example
+ * const [sort, setSort] = usePersistedState('@tableros_sort', { field: 'nombre', direction: 'asc' });
+ */
+export const usePersistedState = (storageKey, defaultValue) => {
+  const [value, setValue] = useState(defaultValue);
+
+  /** @type {boolean} Indica si ya se leyó el valor guardado */
+  const [isRestored, setIsRestored] = useState(false);
+
+  /** @type {React.MutableRefObject<boolean>} Indica si el valor se cambió desde la app */
+  const hasLocalChange = useRef(false);
+
+  /**
+   * Efecto que restaura el valor guardado al montar el componente
+   */
+  useEffect(() => {
+    let isMounted = true;
+
+    const restore = async () => {
+      try {
+        const saved = await AsyncStorage.getItem(storageKey);
+        if (isMounted && saved !== null && !hasLocalChange.current) {
+          setValue(JSON.parse(saved));
+        }
+      } catch (error) {
+        console.error(`Error al restaurar ${storageKey}:`, error);
+      } finally {
+        if (isMounted) setIsRestored(true);
+      }
+    };
+
+    restore();
+    return () => {
+      isMounted = false;
+    };
+  }, [storageKey]);
+
+  /**
+   * Efecto que guarda en AsyncStorage los cambios hechos desde la app
+   * Espera a la restauración para no escribir antes de leer el valor guardado.
+   */
+  useEffect(() => {
+    if (!isRestored || !hasLocalChange.current) return;
+
+    AsyncStorage.setItem(storageKey, JSON.stringify(value)).catch(error =>
+      console.error(`Error al guardar ${storageKey}:`, error)
+    );
+  }, [storageKey, value, isRestored]);
+
+  /**
+   * Actualiza el valor; el efecto anterior lo guarda en AsyncStorage
+   * Acepta un valor o una función (prev) => next, igual que useState.
+   *
+   * @param {*|Function} nextValue - Nuevo valor o función de actualización
+   */
+  const setPersistedValue = useCallback((nextValue) => {
+    hasLocalChange.current = true;
+    setValue(nextValue);
+  }, []);
+
+  return [value, setPersistedValue, isRestored];
+};
@@ -0,0 +1,60 @@
+/**
+ * useRecentlyDeleted - Custom Hooks para los tableros eliminados recientemente
+ *
+ * Hooks de React Query sobre RecentlyDeletedService para listar los tableros
+ * eliminados en esta sesión o en la anterior y restaurarlos.
+ *
+ * @module hooks/useRecentlyDeleted
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import RecentlyDeletedService from '../services/RecentlyDeletedService';
+import TableroElectricoModel from '../models/TableroElectricoModel';
+import { useCreateTablero } from './useTableros';
+
+/**
+ * Hook para obtener los tableros eliminados recientemente
+ *
+ * @returns {Object} Resultado de la query con `data` como Array de { tablero, deletedAt }
+ *
+ * @example
+ * const { data: eliminados = [] } = useRecentlyDeleted();
+ */
+export const useRecentlyDeleted = () => {
+  return useQuery({
+    queryKey: ['eliminadosRecientes'],
+    queryFn: () => RecentlyDeletedService.getItems(),
+  });
+};
+
+/**
+ * Hook para restaurar un tablero eliminado
+ *
+ * El tablero ya no existe en el servidor, por lo que se vuelve a crear con
+ * los mismos datos (y un ID nuevo) mediante useCreateTablero; si la creación
+ * falla, ese hook informa el error y el tablero sigue en la lista de eliminados.
+ *
+ * @returns {Object} Mutation object; `mutate(item)` con un elemento de useRecentlyDeleted
+ *
+ * @example
+ * const restoreMutation = useRestoreTablero();
+ * restoreMutation.mutate(item);
+ */
+export const useRestoreTablero = () => {
+  const queryClient = useQueryClient();
+  const createMutation = useCreateTablero();
+
+  return useMutation({
+    mutationFn: async (item) => {
+      const data = TableroElectricoModel.fromJSON({ ...item.tablero, id: null }).toJSON();
+      const result = await createMutation.mutateAsync(data);
+      await RecentlyDeletedService.remove(item.tablero.id);
+      return result;
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['eliminadosRecientes'] });
+    },
+  });
+};
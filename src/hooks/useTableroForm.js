@@ -0,0 +1,114 @@
+/**
+ * useTableroForm - Custom Hook para el estado del formulario de tableros
+ *
+ * Mantiene los valores del formulario (como texto), valida en cada cambio
+ * con TableroController.validateTableroData y decide qué errores mostrar:
+ * los de los campos que el usuario ya modificó o, tras intentar guardar,
+ * todos. También muestra los errores por campo con los que el servidor
+ * rechazó los datos (ValidationError.fieldErrors) hasta que se modifique el
+ * campo. Lo comparten CreateTableroView y EditTableroView junto con
+ * TableroForm.
+ *
+ * @module hooks/useTableroForm
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import { useMemo, useState } from 'react';
+import TableroController from '../controllers/TableroController';
+import TableroElectricoModel from '../models/TableroElectricoModel';
+
+/**
+ * Hook para manejar el formulario de un tablero
+ *
+ * @param {Object} [initialData] - Datos iniciales del tablero (se convierten con toFormValues)
+ * @returns {Object} Estado y acciones del formulario
+ * @returns {Object<string, string>} returns.values - Valores actuales por clave de FIELDS
+ * @returns {Object<string, string>} returns.visibleErrors - Errores a mostrar junto a cada campo
+ * @returns {boolean} returns.isValid - Indica si los valores actuales son válidos
+ * @returns {Function} returns.handleChange - `handleChange(field, value)`
+ * @returns {Function} returns.reset - `reset(data)` carga otros datos y oculta los errores
+ * @returns {Function} returns.showFieldErrors - `showFieldErrors(fieldErrors)` muestra errores del servidor
+ * @returns {Function} returns.submit - Muestra todos los errores y devuelve los datos convertidos, o null si no son válidos
+ *
+ * @example
+ * const form = useTableroForm(tablero);
+ * const data = form.submit();
+ * if (data) updateMutation.mutate({ id: tablero.id, data });
+ */
+export const useTableroForm = (initialData) => {
+  /** @type {Object<string, string>} Valores del formulario */
+  const [values, setValues] = useState(() => TableroElectricoModel.toFormValues(initialData));
+
+  /** @type {Object<string, boolean>} Campos modificados por el usuario */
+  const [touched, setTouched] = useState({});
+
+  /** @type {boolean} Se intentó guardar; se muestran todos los errores */
+  const [showAllErrors, setShowAllErrors] = useState(false);
+
+  /** @type {Object<string, string>} Errores por campo devueltos por el servidor */
+  const [serverErrors, setServerErrors] = useState({});
+
+  const validation = useMemo(() => TableroController.validateTableroData(values), [values]);
+
+  const visibleErrors = useMemo(
+    () => ({
+      ...serverErrors,
+      ...Object.fromEntries(
+        Object.entries(validation.fieldErrors).filter(([field]) => showAllErrors || touched[field])
+      ),
+    }),
+    [validation, touched, showAllErrors, serverErrors]
+  );
+
+  /**
+   * Actualiza un campo y lo marca como modificado
+   * @param {string} field - Clave del campo
+   * @param {string} value - Nuevo valor
+   */
+  const handleChange = (field, value) => {
+    setValues(prev => ({ ...prev, [field]: value }));
+    setTouched(prev => (prev[field] ? prev : { ...prev, [field]: true }));
+    setServerErrors(prev => (
+      prev[field] ? Object.fromEntries(Object.entries(prev).filter(([key]) => key !== field)) : prev
+    ));
+  };
+
+  /**
+   * Carga otros datos en el formulario y oculta los errores
+   * @param {Object} [data] - Datos del tablero
+   */
+  const reset = (data) => {
+    setValues(TableroElectricoModel.toFormValues(data));
+    setTouched({});
+    setShowAllErrors(false);
+    setServerErrors({});
+  };
+
+  /**
+   * Muestra junto a cada campo los errores con los que se rechazaron los datos
+   * @param {Object<string, string>} [fieldErrors] - Error por clave de FIELDS (ValidationError.fieldErrors)
+   */
+  const showFieldErrors = (fieldErrors) => {
+    setServerErrors(fieldErrors || {});
+  };
+
+  /**
+   * Prepara el envío: muestra todos los errores si los hay
+   * @returns {Object|null} Datos con los campos numéricos convertidos, o null si no son válidos
+   */
+  const submit = () => {
+    setShowAllErrors(true);
+    return validation.isValid ? TableroElectricoModel.fromFormValues(values) : null;
+  };
+
+  return {
+    values,
+    visibleErrors,
+    isValid: validation.isValid,
+    handleChange,
+    reset,
+    showFieldErrors,
+    submit,
+  };
+};
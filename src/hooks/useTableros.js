@@ -4,47 +4,331 @@
  * Conjunto de hooks personalizados que utilizan React Query para manejar
  * el estado asíncrono de los tableros. Proporciona caché automático,
  * revalidación inteligente y gestión de estados de carga/error.
+ * La lista se pagina, busca y filtra en el servidor (useInfiniteQuery).
+ * Las mutaciones realizadas sin conexión se encolan en OfflineQueueService
+ * y se reflejan de inmediato en las listas en caché bajo ['tableros'].
+ * Todas las peticiones pasan por TableroController, que valida los datos y
+ * convierte las respuestas en instancias de TableroElectricoModel; los
+ * errores llegan tipados (errors/AppError) como `error` de la query o mutación.
+ * Las queries cancelan sus peticiones con el `signal` de React Query.
  * 
  * @module hooks/useTableros
  * @author Francis Daniel Mamani Silva
  * @version 1.0.0
  */
 
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useQuery, useInfiniteQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
+import { useRef } from 'react';
 import { Alert } from 'react-native';
-import TableroService from '../services/TableroService';
+import NetInfo from '@react-native-community/netinfo';
+import TableroController from '../controllers/TableroController';
+import OfflineQueueService, { isLocalId, LOCAL_ID_PREFIX } from '../services/OfflineQueueService';
+import EstadoHistorialService from '../services/EstadoHistorialService';
+import MaintenanceScheduleService from '../services/MaintenanceScheduleService';
+import TableroElectricoModel from '../models/TableroElectricoModel';
+import { AppError, ValidationError } from '../errors/AppError';
+import {
+  getTablerosListKey,
+  flattenTableros,
+  findCachedTablero,
+  getTablerosUpdatedAt,
+  updateCachedTableros,
+  snapshotTablero,
+  restoreTablero,
+} from './tablerosQueryCache';
 
 /**
- * Hook para obtener la lista de tableros
+ * Cantidad de tableros por página solicitada al servidor
+ * @constant {number}
+ */
+export const TABLEROS_PAGE_SIZE = 10;
+
+/**
+ * Obtiene el error de una query o mutación a partir de un resultado fallido
+ * 
+ * @param {Object} result - Resultado { success: false, error, appError } de TableroController
+ * @param {string} fallbackMessage - Mensaje si el resultado no trae uno
+ * @returns {AppError} Error tipado del resultado (ver errors/AppError)
+ */
+const toRequestError = (result, fallbackMessage) =>
+  result.appError || new AppError(result.error || fallbackMessage);
+
+/**
+ * Valida los datos de un tablero antes de enviarlos o encolarlos
+ * 
+ * Así los datos inválidos tampoco llegan a la cola sin conexión.
+ * 
+ * @param {Object} tableroData - Datos del tablero
+ * @throws {ValidationError} Con `fieldErrors` si los datos no son válidos
+ */
+const assertValidTablero = (tableroData) => {
+  const validation = TableroController.validateTableroData(tableroData);
+  if (!validation.isValid) {
+    throw new ValidationError(validation.errors.join(', '), validation.fieldErrors);
+  }
+};
+
+/**
+ * Convierte los tableros de las listas en caché en instancias del modelo
+ * 
+ * La caché persistida y las actualizaciones optimistas guardan objetos planos,
+ * por lo que la conversión se hace al leer la lista.
+ * 
+ * @param {Object} data - Datos de useInfiniteQuery
+ * @returns {Object} { pages, pageParams, tableros, total }
+ */
+const selectTablerosList = (data) => ({
+  ...data,
+  tableros: flattenTableros(data).map(tablero => TableroElectricoModel.fromJSON(tablero)),
+  total: data.pages[0]?.total ?? null,
+});
+
+/**
+ * Ejecuta una mutación contra la API o la encola si no hay conexión
+ * 
+ * Si ya hay mutaciones en cola, la nueva también se encola para respetar
+ * el orden de reproducción. Las mutaciones encoladas se aplican de inmediato
+ * a todas las listas en caché; una creación solo se agrega a la primera página.
+ * 
+ * @async
+ * @param {QueryClient} queryClient - Cliente de React Query
+ * @param {Object} mutation - Mutación para OfflineQueueService.enqueue
+ * @param {Function} request - Función que llama a TableroController
+ * @returns {Promise<Object>} Resultado del controlador, con `queued: true` si se encoló
+ * @throws {Error} Si el servidor rechazó la petición estando en línea (ver toRequestError)
+ */
+const runOrQueue = async (queryClient, mutation, request) => {
+  await OfflineQueueService.init();
+  const { isConnected } = await NetInfo.fetch();
+
+  if (isConnected && !OfflineQueueService.hasPending()) {
+    const result = await request();
+    if (result.success) return result;
+
+    // Si la petición falló porque se perdió la conexión, se encola
+    const { isConnected: stillConnected } = await NetInfo.fetch();
+    if (stillConnected) throw toRequestError(result, 'Error en la petición al servidor');
+  }
+
+  const item = await OfflineQueueService.enqueue(mutation);
+
+  updateCachedTableros(queryClient, (tableros, pageIndex) => {
+    if (!item) return tableros.filter(t => t.id !== mutation.tableroId);
+    if (item.type === 'create' && pageIndex > 0) return tableros.filter(t => t.id !== item.tableroId);
+    return OfflineQueueService.applyItem(tableros, item);
+  });
+
+  return {
+    success: true,
+    data: item ? { ...item.data, id: item.tableroId } : null,
+    error: null,
+    queued: true
+  };
+};
+
+/**
+ * Prepara una escritura optimista sobre las listas en caché
+ * 
+ * Cancela las consultas de listas en curso (para que no sobrescriban el cambio)
+ * y guarda una copia del tablero afectado para revertir solo ese tablero si la
+ * mutación falla, sin deshacer otras escrituras optimistas en curso.
+ * 
+ * @async
+ * @param {QueryClient} queryClient - Cliente de React Query
+ * @param {string} [id] - ID del tablero afectado (no aplica a la creación)
+ * @returns {Promise<Array<Object>>} Copia del tablero en cada lista (ver snapshotTablero)
+ */
+const prepareOptimisticUpdate = async (queryClient, id) => {
+  await queryClient.cancelQueries({ queryKey: ['tableros'] });
+  return id ? snapshotTablero(queryClient, id) : [];
+};
+
+/**
+ * Busca el nombre de un tablero en la caché para mostrarlo en la cola
  * 
- * Utiliza React Query para cachear y gestionar el estado de la lista de tableros.
- * Los datos se mantienen frescos durante 5 minutos y en caché durante 10 minutos.
+ * @param {QueryClient} queryClient - Cliente de React Query
+ * @param {string} id - ID del tablero
+ * @returns {string} Nombre del tablero o cadena vacía
+ */
+const getCachedNombre = (queryClient, id) => getCachedTablero(queryClient, id)?.nombre || '';
+
+/**
+ * Busca un tablero en las listas en caché
  * 
+ * @param {QueryClient} queryClient - Cliente de React Query
+ * @param {string} id - ID del tablero
+ * @returns {Object|undefined} Datos del tablero en caché
+ */
+const getCachedTablero = (queryClient, id) => findCachedTablero(queryClient, id);
+
+/**
+ * Obtiene un tablero del servidor para las queries ['tablero', id]
+ * 
+ * @async
+ * @param {string} id - ID del tablero
+ * @param {AbortSignal} [signal] - Señal de React Query para cancelar la petición
+ * @returns {Promise<TableroElectricoModel>} Tablero
+ * @throws {AppError} NotFoundError si el tablero ya no existe
+ */
+const fetchTableroById = async (id, signal) => {
+  const response = await TableroController.getTableroById(id, { signal });
+
+  if (!response.success) {
+    throw toRequestError(response, 'Error al obtener el tablero');
+  }
+
+  return response.data;
+};
+
+/**
+ * Hook para obtener la lista de tableros paginada por el servidor
+ * 
+ * Cada combinación de búsqueda, filtros y orden tiene su propia entrada en caché
+ * (['tableros', 'list', params]) con las páginas cargadas hasta el momento.
+ * `fetchNextPage` solicita la siguiente página con skip/limit. Mientras llega
+ * la primera página de una búsqueda nueva se siguen mostrando los resultados
+ * anteriores. Los datos se mantienen frescos durante 5 minutos y en caché
+ * durante 24 horas; App.js persiste esta caché en AsyncStorage entre reinicios.
+ * 
+ * El filtro "proximosAVencer" depende de datos locales y no se envía al servidor.
+ * 
+ * @param {Object} [params] - Parámetros de la lista
+ * @param {string} [params.q] - Término de búsqueda (conviene aplicarle debounce)
+ * @param {Object} [params.filters] - Filtros (forma de DEFAULT_FILTERS)
+ * @param {Object} [params.sort] - Orden { field, direction }
+ * @param {number} [params.limit=TABLEROS_PAGE_SIZE] - Tamaño de página
  * @returns {Object} Resultado de la query
- * @returns {Array} returns.data - Array de tableros
- * @returns {boolean} returns.isLoading - Indica si está cargando
+ * @returns {Object} returns.data - { pages, pageParams, tableros, total }; `tableros` son instancias de TableroElectricoModel
+ * @returns {boolean} returns.isLoading - Indica si está cargando la primera página
  * @returns {boolean} returns.isError - Indica si hubo un error
+ * @returns {boolean} returns.isFetching - Indica si se está refrescando en segundo plano
+ * @returns {boolean} returns.hasNextPage - Indica si quedan páginas por cargar
+ * @returns {Function} returns.fetchNextPage - Carga la siguiente página
+ * @returns {boolean} returns.isFetchingNextPage - Indica si se está cargando la siguiente página
+ * @returns {number} returns.dataUpdatedAt - Fecha (ms) de la última sincronización exitosa
  * @returns {Function} returns.refetch - Función para refrescar los datos manualmente
  * 
  * @example
- * const { data: tableros, isLoading, isError, refetch } = useTableros();
+ * const { data, fetchNextPage, hasNextPage } = useTableros({ q: debouncedSearch, filters, sort });
+ * const tableros = data?.tableros ?? [];
  */
-export const useTableros = () => {
-  return useQuery({
-    queryKey: ['tableros'],
-    queryFn: async () => {
-      const response = await TableroService.getAllTableros();
+export const useTableros = ({ q = '', filters = {}, sort, limit = TABLEROS_PAGE_SIZE } = {}) => {
+  const serverFilters = { ...filters };
+  delete serverFilters.proximosAVencer;
+  const params = { q: q.trim(), filters: serverFilters, sort, limit };
+
+  return useInfiniteQuery({
+    queryKey: getTablerosListKey(params),
+    queryFn: async ({ pageParam, signal }) => {
+      const response = await TableroController.getTablerosPage({ ...params, skip: pageParam, signal });
       
       // Si hay error, lanzar excepción para que React Query maneje el estado de error
       if (!response.success) {
-        throw new Error(response.error || 'Error al obtener tableros');
+        throw toRequestError(response, 'Error al obtener tableros');
       }
       
-      // Retornar directamente el array de datos
-      return response.data || [];
+      const { items, total } = response.data;
+
+      // Página con los cambios pendientes de sincronizar
+      return {
+        items: await OfflineQueueService.applyPending(items, { includeCreates: pageParam === 0 }),
+        total,
+        skip: pageParam,
+        serverCount: items.length,
+      };
     },
+    initialPageParam: 0,
+    getNextPageParam: (lastPage) => {
+      const nextSkip = lastPage.skip + lastPage.serverCount;
+      // Sin total informado, una página incompleta indica que no hay más
+      if (lastPage.total !== null) return nextSkip < lastPage.total ? nextSkip : undefined;
+      return lastPage.serverCount === limit ? nextSkip : undefined;
+    },
+    select: selectTablerosList,
+    placeholderData: keepPreviousData,
     staleTime: 5 * 60 * 1000, // 5 minutos
-    cacheTime: 10 * 60 * 1000, // 10 minutos
+    gcTime: 24 * 60 * 60 * 1000, // 24 horas, para que la caché persistida sobreviva reinicios
+  });
+};
+
+/**
+ * Hook para obtener un tablero por su ID
+ * 
+ * Usa como datos iniciales el tablero de la lista en caché (si existe) para que
+ * la pantalla de detalle se muestre de inmediato, y lo refresca desde la API.
+ * Los tableros creados sin conexión solo existen en caché y no se consultan.
+ * Retorna una instancia de TableroElectricoModel.
+ * 
+ * @param {string} id - ID del tablero
+ * @returns {Object} Resultado de la query
+ * @returns {TableroElectricoModel} returns.data - Tablero
+ * @returns {boolean} returns.isLoading - Indica si está cargando
+ * @returns {AppError} returns.error - Error tipado; NotFoundError si el tablero no existe
+ * 
+ * @example
+ * const { data: tablero, isLoading, error } = useTablero(tableroId);
+ */
+export const useTablero = (id) => {
+  const queryClient = useQueryClient();
+
+  return useQuery({
+    queryKey: ['tablero', id],
+    queryFn: ({ signal }) => fetchTableroById(id, signal),
+    enabled: Boolean(id) && !isLocalId(id),
+    initialData: () => getCachedTablero(queryClient, id),
+    initialDataUpdatedAt: () => getTablerosUpdatedAt(queryClient),
+    select: (data) => TableroElectricoModel.fromJSON(data),
+  });
+};
+
+/**
+ * Hook que devuelve una función para buscar un tablero por ID
+ * 
+ * Usa primero la caché (el detalle o las listas cargadas) y, si el tablero no
+ * está, lo solicita al servidor guardándolo en ['tablero', id]. Pensado para
+ * abrir un tablero a partir de un ID externo, como el de una etiqueta QR.
+ * 
+ * @returns {Function} `lookup(id)` → Promise<TableroElectricoModel>; rechaza con
+ *   NotFoundError si el tablero ya no existe
+ * 
+ * @example
+ * const lookupTablero = useTableroLookup();
+ * const tablero = await lookupTablero(scannedId);
+ */
+export const useTableroLookup = () => {
+  const queryClient = useQueryClient();
+
+  return async (id) => {
+    const cached = queryClient.getQueryData(['tablero', id]) || getCachedTablero(queryClient, id);
+    if (cached) {
+      return TableroElectricoModel.fromJSON(cached);
+    }
+
+    const data = await queryClient.fetchQuery({
+      queryKey: ['tablero', id],
+      queryFn: ({ signal }) => fetchTableroById(id, signal),
+    });
+    return TableroElectricoModel.fromJSON(data);
+  };
+};
+
+/**
+ * Hook para obtener el historial de estados de un tablero
+ * 
+ * El historial se registra localmente (EstadoHistorialService) cada vez que
+ * se crea o edita un tablero desde este dispositivo.
+ * 
+ * @param {string} id - ID del tablero
+ * @returns {Object} Resultado de la query con `data` ordenado del más reciente al más antiguo
+ * 
+ * @example
+ * const { data: historial = [] } = useEstadoHistorial(tableroId);
+ */
+export const useEstadoHistorial = (id) => {
+  return useQuery({
+    queryKey: ['estadoHistorial', id],
+    queryFn: () => EstadoHistorialService.getHistorial(id),
+    enabled: Boolean(id),
   });
 };
 
@@ -52,8 +336,15 @@ export const useTableros = () => {
  * Hook para crear un nuevo tablero
  * 
  * Mutation hook que maneja la creación de tableros.
- * Invalida automáticamente el caché de tableros al completarse exitosamente,
- * provocando que la lista se recargue con los datos actualizados.
+ * El tablero aparece de inmediato al inicio de la lista (actualización optimista)
+ * con un ID temporal; al confirmarse se reemplaza por el del servidor y se
+ * refresca la lista. Si la creación falla se quita el tablero temporal.
+ * Sin conexión, la creación se encola y el resultado incluye `queued: true`.
+ * Los datos se validan con TableroController antes de mostrarlos en la lista;
+ * si no son válidos la mutación falla con ValidationError (`error.fieldErrors`
+ * tiene el error de cada campo) sin tocar la caché, igual que si los rechaza
+ * el servidor.
+ * `result.data` es el tablero creado (TableroElectricoModel).
  * 
  * @returns {Object} Mutation object
  * @returns {Function} returns.mutate - Función para ejecutar la mutación
@@ -73,15 +364,46 @@ export const useCreateTablero = () => {
   const queryClient = useQueryClient();
 
   return useMutation({
+    onMutate: async (tableroData) => {
+      assertValidTablero(tableroData);
+      await prepareOptimisticUpdate(queryClient);
+      const optimisticId = `${LOCAL_ID_PREFIX}optimistic-${Date.now()}`;
+
+      updateCachedTableros(queryClient, (tableros, pageIndex) =>
+        pageIndex === 0 ? [{ ...tableroData, id: optimisticId }, ...tableros] : tableros
+      );
+
+      return { optimisticId };
+    },
     mutationFn: async (tableroData) => {
-      return await TableroService.createTablero(tableroData);
+      return await runOrQueue(
+        queryClient,
+        { type: 'create', data: tableroData },
+        () => TableroController.createTablero(tableroData)
+      );
     },
-    onSuccess: () => {
-      // Invalidar y refrescar la lista de tableros automáticamente
+    onSuccess: async (result, tableroData, context) => {
+      // Reemplazar el tablero temporal por el del servidor (o el de la cola)
+      updateCachedTableros(queryClient, (tableros) => {
+        const withoutOptimistic = tableros.filter(t => t.id !== context.optimisticId);
+        return result.queued || withoutOptimistic.length === tableros.length
+          ? withoutOptimistic
+          : tableros.map(t => (t.id === context.optimisticId ? result.data : t));
+      });
+
+      await EstadoHistorialService.registrarEstado(result.data.id, result.data.estado);
+      queryClient.invalidateQueries({ queryKey: ['estadoHistorial', result.data.id] });
+      // Los cambios encolados ya están en la caché
+      if (result.queued) return;
+      // Refrescar la lista para obtener la posición real del tablero
       queryClient.invalidateQueries({ queryKey: ['tableros'] });
     },
-    onError: (error) => {
-      Alert.alert('Error', 'No se pudo crear el tablero');
+    onError: (error, tableroData, context) => {
+      updateCachedTableros(queryClient, (tableros) => tableros.filter(t => t.id !== context?.optimisticId));
+      Alert.alert(
+        error.title || 'Error',
+        `No se pudo crear el tablero "${tableroData.nombre}".${context ? ' Se quitó de la lista.' : ''}\n\n${error.message}`
+      );
       console.error('Error al crear tablero:', error);
     },
   });
@@ -91,7 +413,12 @@ export const useCreateTablero = () => {
  * Hook para actualizar un tablero existente
  * 
  * Mutation hook que maneja la actualización de tableros.
- * Invalida el caché al completarse, asegurando que la UI muestre los datos más recientes.
+ * Los cambios se muestran de inmediato en la lista y en el detalle
+ * (actualización optimista) y se confirman refrescando desde el servidor.
+ * Si la actualización falla se restauran los campos editados del tablero.
+ * Igual que en la creación, los datos inválidos hacen fallar la mutación con
+ * ValidationError antes de la actualización optimista, sin llegar a la API ni
+ * a la cola.
  * 
  * @returns {Object} Mutation object
  * @returns {Function} returns.mutate - Función para ejecutar la mutación
@@ -105,15 +432,50 @@ export const useUpdateTablero = () => {
   const queryClient = useQueryClient();
 
   return useMutation({
+    onMutate: async ({ id, data }) => {
+      assertValidTablero(data);
+      const snapshot = await prepareOptimisticUpdate(queryClient, id);
+      await queryClient.cancelQueries({ queryKey: ['tablero', id] });
+      const previousTablero = queryClient.getQueryData(['tablero', id]);
+      // Estado previo, para registrar el cambio en el historial
+      const previous = getCachedTablero(queryClient, id) || previousTablero;
+
+      updateCachedTableros(queryClient, (tableros) =>
+        tableros.map(t => (t.id === id ? { ...t, ...data, id } : t))
+      );
+      if (previousTablero) {
+        queryClient.setQueryData(['tablero', id], { ...previousTablero, ...data, id });
+      }
+
+      return { snapshot, previousTablero, previousEstado: previous?.estado, nombre: previous?.nombre };
+    },
     mutationFn: async ({ id, data }) => {
-      return await TableroService.updateTablero(id, data);
+      return await runOrQueue(
+        queryClient,
+        { type: 'update', tableroId: id, data },
+        () => TableroController.updateTablero(id, data)
+      );
     },
-    onSuccess: () => {
-      // Invalidar y refrescar la lista de tableros
+    onSuccess: async (result, { id, data }, context) => {
+      if (data.estado && data.estado !== context?.previousEstado) {
+        await EstadoHistorialService.registrarEstado(id, data.estado);
+        queryClient.invalidateQueries({ queryKey: ['estadoHistorial', id] });
+      }
+      queryClient.invalidateQueries({ queryKey: ['tablero', id] });
+      // Los cambios encolados ya están en la caché
+      if (result.queued) return;
+      // Confirmar con los datos del servidor
       queryClient.invalidateQueries({ queryKey: ['tableros'] });
     },
-    onError: (error) => {
-      Alert.alert('Error', 'No se pudo actualizar el tablero');
+    onError: (error, { id, data }, context) => {
+      restoreTablero(queryClient, context?.snapshot, Object.keys(data));
+      if (context?.previousTablero) {
+        queryClient.setQueryData(['tablero', id], context.previousTablero);
+      }
+      Alert.alert(
+        error.title || 'Error',
+        `No se pudo actualizar el tablero "${context?.nombre || ''}".${context ? ' Se restauraron los datos anteriores.' : ''}\n\n${error.message}`
+      );
       console.error('Error al actualizar tablero:', error);
     },
   });
@@ -123,7 +485,8 @@ export const useUpdateTablero = () => {
  * Hook para eliminar un tablero
  * 
  * Mutation hook que maneja la eliminación de tableros.
- * La eliminación es permanente y refresca automáticamente la lista.
+ * La tarjeta desaparece de inmediato de la lista (actualización optimista);
+ * si la eliminación falla, el tablero vuelve a mostrarse en su lugar.
  * 
  * @returns {Object} Mutation object
  * @returns {Function} returns.mutate - Función para ejecutar la eliminación
@@ -138,16 +501,44 @@ export const useUpdateTablero = () => {
 export const useDeleteTablero = () => {
   const queryClient = useQueryClient();
 
+  /** Nombres de los tableros en eliminación, leídos antes de quitarlos de la caché */
+  const nombresRef = useRef(new Map());
+
   return useMutation({
+    onMutate: async (id) => {
+      const nombre = getCachedNombre(queryClient, id);
+      nombresRef.current.set(id, nombre);
+      const snapshot = await prepareOptimisticUpdate(queryClient, id);
+
+      updateCachedTableros(queryClient, (tableros) => tableros.filter(t => t.id !== id));
+
+      return { snapshot, nombre };
+    },
     mutationFn: async (id) => {
-      return await TableroService.deleteTablero(id);
+      return await runOrQueue(
+        queryClient,
+        { type: 'delete', tableroId: id, label: nombresRef.current.get(id) || '' },
+        () => TableroController.deleteTablero(id)
+      );
+    },
+    onSettled: (result, error, id) => {
+      nombresRef.current.delete(id);
     },
-    onSuccess: () => {
-      // Invalidar y refrescar la lista de tableros automáticamente
+    onSuccess: (result, id) => {
+      // Cancelar el recordatorio de mantenimiento del tablero eliminado
+      MaintenanceScheduleService.removeTablero(id)
+        .then(() => queryClient.invalidateQueries({ queryKey: ['mantenimientoProgramado'] }));
+      // Los cambios encolados ya están en la caché
+      if (result.queued) return;
+      // Confirmar con los datos del servidor
       queryClient.invalidateQueries({ queryKey: ['tableros'] });
     },
-    onError: (error) => {
-      Alert.alert('Error', 'No se pudo eliminar el tablero');
+    onError: (error, id, context) => {
+      restoreTablero(queryClient, context?.snapshot);
+      Alert.alert(
+        error.title || 'Error',
+        `No se pudo eliminar el tablero "${context?.nombre || ''}". Se volvió a mostrar en la lista.\n\n${error.message}`
+      );
       console.error('Error al eliminar tablero:', error);
     },
   });
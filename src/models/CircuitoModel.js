@@ -0,0 +1,128 @@
+/**
+ * CircuitoModel - Modelo de datos para circuitos (interruptores) de un tablero
+ *
+ * Cada tablero eléctrico contiene varios circuitos protegidos por un interruptor
+ * termomagnético. Este modelo define su estructura, reglas de validación y
+ * conversión entre formatos JSON y objetos.
+ *
+ * @class
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+class CircuitoModel {
+  /**
+   * Número de polos permitidos para un interruptor
+   * @static
+   * @type {Array<number>}
+   */
+  static POLOS = [1, 2, 3, 4];
+
+  /**
+   * Curvas de disparo IEC 60898 / 60947 permitidas
+   * @static
+   * @type {Array<string>}
+   */
+  static CURVAS = ['B', 'C', 'D', 'K', 'Z'];
+
+  /**
+   * Constructor del modelo de circuito
+   * @param {Object} data - Datos iniciales del circuito
+   * @param {string} [data.id] - Identificador único del circuito
+   * @param {string} [data.tablero_id] - ID del tablero al que pertenece
+   * @param {number} [data.posicion] - Posición del interruptor en el tablero (1, 2, 3...)
+   * @param {string} [data.etiqueta] - Etiqueta del circuito (ej. "Alumbrado Piso 1")
+   * @param {number} [data.capacidad_amperios] - Corriente nominal del interruptor en amperios
+   * @param {number} [data.polos] - Número de polos: 1, 2, 3 o 4
+   * @param {string} [data.curva] - Curva de disparo: 'B', 'C', 'D', 'K' o 'Z'
+   * @param {string} [data.carga_protegida] - Descripción de la carga que protege
+   */
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.tablero_id = data.tablero_id || null;
+    this.posicion = data.posicion || 0;
+    this.etiqueta = data.etiqueta || '';
+    this.capacidad_amperios = data.capacidad_amperios || 0;
+    this.polos = data.polos || 1;
+    this.curva = data.curva || 'C';
+    this.carga_protegida = data.carga_protegida || '';
+  }
+
+  /**
+   * Valida los datos del circuito
+   *
+   * @returns {Object} Resultado de la validación
+   * @returns {boolean} returns.isValid - Indica si los datos son válidos
+   * @returns {Array<string>} returns.errors - Lista de errores encontrados
+   */
+  validate() {
+    const errors = [];
+
+    if (!Number.isInteger(this.posicion) || this.posicion < 1) {
+      errors.push('La posición debe ser un número entero mayor a 0');
+    }
+
+    if (!this.etiqueta || this.etiqueta.trim() === '') {
+      errors.push('La etiqueta es requerida');
+    }
+
+    if (!this.capacidad_amperios || this.capacidad_amperios <= 0) {
+      errors.push('La capacidad del interruptor debe ser mayor a 0');
+    }
+
+    if (!CircuitoModel.POLOS.includes(this.polos)) {
+      errors.push('El número de polos debe ser 1, 2, 3 o 4');
+    }
+
+    if (!CircuitoModel.CURVAS.includes(this.curva)) {
+      errors.push(`La curva debe ser una de: ${CircuitoModel.CURVAS.join(', ')}`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Convierte el modelo a formato JSON para la API
+   *
+   * @returns {Object} Objeto JSON con los datos del circuito
+   */
+  toJSON() {
+    const json = {
+      posicion: this.posicion,
+      etiqueta: this.etiqueta,
+      capacidad_amperios: this.capacidad_amperios,
+      polos: this.polos,
+      curva: this.curva,
+      carga_protegida: this.carga_protegida
+    };
+
+    if (this.id) {
+      json.id = this.id;
+    }
+
+    if (this.tablero_id) {
+      json.tablero_id = this.tablero_id;
+    }
+
+    return json;
+  }
+
+  /**
+   * Crea una instancia del modelo desde datos JSON de la API
+   *
+   * @static
+   * @param {Object} json - Datos JSON recibidos de la API
+   * @returns {CircuitoModel} Nueva instancia del modelo
+   */
+  static fromJSON(json) {
+    return new CircuitoModel(json);
+  }
+}
+
+/**
+ * Exporta la clase CircuitoModel
+ * @type {CircuitoModel}
+ */
+export default CircuitoModel;
@@ -0,0 +1,151 @@
+/**
+ * MantenimientoModel - Modelo de datos para registros de mantenimiento
+ *
+ * Registra cuándo, por qué y quién realizó un mantenimiento sobre un tablero
+ * eléctrico. Define la estructura, reglas de validación y conversión entre
+ * formatos JSON y objetos. Las fechas se manejan como cadenas 'AAAA-MM-DD'.
+ *
+ * @class
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+class MantenimientoModel {
+  /**
+   * Tipos de mantenimiento permitidos
+   * @static
+   * @type {Array<string>}
+   */
+  static TIPOS = ['Preventivo', 'Correctivo'];
+
+  /**
+   * Constructor del modelo de mantenimiento
+   * @param {Object} data - Datos iniciales del registro
+   * @param {string} [data.id] - Identificador único del registro
+   * @param {string} [data.tablero_id] - ID del tablero intervenido
+   * @param {string} [data.fecha] - Fecha del mantenimiento (AAAA-MM-DD)
+   * @param {string} [data.tecnico] - Nombre del técnico responsable
+   * @param {string} [data.tipo] - Tipo: 'Preventivo' o 'Correctivo'
+   * @param {string} [data.hallazgos] - Hallazgos y trabajos realizados
+   * @param {string|null} [data.proxima_fecha] - Fecha del próximo mantenimiento (AAAA-MM-DD)
+   */
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.tablero_id = data.tablero_id || null;
+    this.fecha = data.fecha || MantenimientoModel.today();
+    this.tecnico = data.tecnico || '';
+    this.tipo = data.tipo || 'Preventivo';
+    this.hallazgos = data.hallazgos || '';
+    this.proxima_fecha = data.proxima_fecha || null;
+  }
+
+  /**
+   * Fecha actual en formato AAAA-MM-DD (zona horaria local)
+   *
+   * @static
+   * @returns {string} Fecha de hoy
+   */
+  static today() {
+    const now = new Date();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    return `${now.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Verifica que una cadena sea una fecha válida en formato AAAA-MM-DD
+   *
+   * @static
+   * @param {string} value - Fecha a verificar
+   * @returns {boolean} true si la fecha es válida
+   */
+  static isValidDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return false;
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+  }
+
+  /**
+   * Valida los datos del registro de mantenimiento
+   *
+   * @returns {Object} Resultado de la validación
+   * @returns {boolean} returns.isValid - Indica si los datos son válidos
+   * @returns {Array<string>} returns.errors - Lista de errores encontrados
+   */
+  validate() {
+    const errors = [];
+
+    if (!MantenimientoModel.isValidDate(this.fecha)) {
+      errors.push('La fecha debe tener el formato AAAA-MM-DD');
+    } else if (this.fecha > MantenimientoModel.today()) {
+      errors.push('La fecha del mantenimiento no puede ser futura');
+    }
+
+    if (!this.tecnico || this.tecnico.trim() === '') {
+      errors.push('El técnico es requerido');
+    }
+
+    if (!MantenimientoModel.TIPOS.includes(this.tipo)) {
+      errors.push('El tipo debe ser Preventivo o Correctivo');
+    }
+
+    if (!this.hallazgos || this.hallazgos.trim() === '') {
+      errors.push('Los hallazgos son requeridos');
+    }
+
+    if (this.proxima_fecha) {
+      if (!MantenimientoModel.isValidDate(this.proxima_fecha)) {
+        errors.push('La próxima fecha debe tener el formato AAAA-MM-DD');
+      } else if (this.proxima_fecha <= this.fecha) {
+        errors.push('La próxima fecha debe ser posterior a la fecha del mantenimiento');
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Convierte el modelo a formato JSON para la API
+   *
+   * @returns {Object} Objeto JSON con los datos del registro
+   */
+  toJSON() {
+    const json = {
+      fecha: this.fecha,
+      tecnico: this.tecnico,
+      tipo: this.tipo,
+      hallazgos: this.hallazgos,
+      proxima_fecha: this.proxima_fecha
+    };
+
+    if (this.id) {
+      json.id = this.id;
+    }
+
+    if (this.tablero_id) {
+      json.tablero_id = this.tablero_id;
+    }
+
+    return json;
+  }
+
+  /**
+   * Crea una instancia del modelo desde datos JSON de la API
+   *
+   * @static
+   * @param {Object} json - Datos JSON recibidos de la API
+   * @returns {MantenimientoModel} Nueva instancia del modelo
+   */
+  static fromJSON(json) {
+    return new MantenimientoModel(json);
+  }
+}
+
+/**
+ * Exporta la clase MantenimientoModel
+ * @type {MantenimientoModel}
+ */
+export default MantenimientoModel;
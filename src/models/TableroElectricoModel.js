@@ -10,6 +10,33 @@
  * @version 1.0.0
  */
 class TableroElectricoModel {
+  /**
+   * Estados operativos permitidos para un tablero
+   * @static
+   * @type {Array<string>}
+   */
+  static ESTADOS = ['Operativo', 'Mantenimiento', 'Fuera de servicio'];
+
+  /**
+   * Esquema de los campos editables, usado para construir el formulario
+   * 
+   * Cada campo indica la sección del formulario en la que aparece, su tipo
+   * ('text', 'number' o 'select') y los textos a mostrar. Los campos 'select'
+   * toman sus opciones de `options`.
+   * 
+   * @static
+   * @type {Array<Object>}
+   */
+  static FIELDS = [
+    { key: 'nombre', label: 'Nombre', section: 'general', type: 'text', placeholder: 'Ej: Tablero Piso 1 - Ala Norte' },
+    { key: 'ubicacion', label: 'Ubicación', section: 'general', type: 'text', placeholder: 'Ej: Sala de máquinas, Sótano 1' },
+    { key: 'marca', label: 'Marca', section: 'general', type: 'text', placeholder: 'Ej: Schneider Electric' },
+    { key: 'capacidad_amperios', label: 'Capacidad (Amperios)', section: 'tecnico', type: 'number', placeholder: 'Ej: 200' },
+    { key: 'ano_fabricacion', label: 'Año de Fabricación', section: 'tecnico', type: 'number', placeholder: 'Ej: 2020', maxLength: 4 },
+    { key: 'ano_instalacion', label: 'Año de Instalación', section: 'tecnico', type: 'number', placeholder: 'Ej: 2021', maxLength: 4 },
+    { key: 'estado', label: 'Estado', section: 'tecnico', type: 'select', options: TableroElectricoModel.ESTADOS },
+  ];
+
   /**
    * Constructor del modelo de tablero eléctrico
    * @param {Object} data - Datos iniciales del tablero
@@ -27,12 +54,54 @@ class TableroElectricoModel {
     this.nombre = data.nombre || '';
     this.ubicacion = data.ubicacion || '';
     this.marca = data.marca || '';
-    this.capacidad_amperios = data.capacidad_amperios || 0;
-    this.ano_fabricacion = data.ano_fabricacion || new Date().getFullYear();
-    this.ano_instalacion = data.ano_instalacion || new Date().getFullYear();
+    this.capacidad_amperios = data.capacidad_amperios ?? 0;
+    this.ano_fabricacion = data.ano_fabricacion ?? new Date().getFullYear();
+    this.ano_instalacion = data.ano_instalacion ?? new Date().getFullYear();
     this.estado = data.estado || 'Operativo';
   }
 
+  /**
+   * Convierte los datos de un tablero en valores para el formulario
+   * 
+   * Todos los valores se devuelven como texto para los TextInput; una
+   * capacidad en 0 se muestra vacía. Los campos ausentes toman los valores
+   * predeterminados del modelo (año actual, estado "Operativo").
+   * 
+   * @static
+   * @param {Object} [data] - Datos del tablero (JSON, modelo o parámetros de navegación)
+   * @returns {Object<string, string>} Valores por clave de FIELDS
+   */
+  static toFormValues(data = {}) {
+    const tablero = new TableroElectricoModel(data);
+    return TableroElectricoModel.FIELDS.reduce((values, field) => {
+      const value = tablero[field.key];
+      values[field.key] = field.type === 'number'
+        ? (value ? String(value) : '')
+        : String(value ?? '');
+      return values;
+    }, {});
+  }
+
+  /**
+   * Convierte los valores del formulario en datos del tablero
+   * 
+   * Los campos numéricos deben ser enteros; si están vacíos o no son
+   * numéricos quedan como NaN para que validate() los marque como inválidos.
+   * 
+   * @static
+   * @param {Object<string, string|number>} values - Valores por clave de FIELDS
+   * @returns {Object} Datos con los campos numéricos convertidos
+   */
+  static fromFormValues(values) {
+    return TableroElectricoModel.FIELDS.reduce((data, field) => {
+      const value = String(values[field.key] ?? '').trim();
+      data[field.key] = field.type === 'number'
+        ? (/^\d+$/.test(value) ? parseInt(value, 10) : NaN)
+        : value;
+      return data;
+    }, {});
+  }
+
   /**
    * Valida los datos del tablero eléctrico
    * 
@@ -42,44 +111,108 @@ class TableroElectricoModel {
    * @returns {Object} Resultado de la validación
    * @returns {boolean} returns.isValid - Indica si los datos son válidos
    * @returns {Array<string>} returns.errors - Lista de errores encontrados
+   * @returns {Object<string, string>} returns.fieldErrors - Primer error de cada campo, por clave de FIELDS
    */
   validate() {
     const errors = [];
+    const fieldErrors = {};
+    
+    /**
+     * Registra un error y lo asocia al campo si aún no tiene otro
+     * @param {string} field - Clave del campo
+     * @param {string} message - Mensaje de error
+     */
+    const addError = (field, message) => {
+      errors.push(message);
+      if (!fieldErrors[field]) {
+        fieldErrors[field] = message;
+      }
+    };
     
     if (!this.nombre || this.nombre.trim() === '') {
-      errors.push('El nombre es requerido');
+      addError('nombre', 'El nombre es requerido');
     }
     
     if (!this.ubicacion || this.ubicacion.trim() === '') {
-      errors.push('La ubicación es requerida');
+      addError('ubicacion', 'La ubicación es requerida');
     }
     
     if (!this.marca || this.marca.trim() === '') {
-      errors.push('La marca es requerida');
+      addError('marca', 'La marca es requerida');
     }
     
     if (!this.capacidad_amperios || this.capacidad_amperios <= 0) {
-      errors.push('La capacidad en amperios debe ser mayor a 0');
+      addError('capacidad_amperios', 'La capacidad en amperios debe ser mayor a 0');
     }
     
     if (!this.ano_fabricacion || this.ano_fabricacion < 1900) {
-      errors.push('El año de fabricación no es válido');
+      addError('ano_fabricacion', 'El año de fabricación no es válido');
     }
     
     if (!this.ano_instalacion || this.ano_instalacion < 1900) {
-      errors.push('El año de instalación no es válido');
+      addError('ano_instalacion', 'El año de instalación no es válido');
     }
     
     if (this.ano_instalacion < this.ano_fabricacion) {
-      errors.push('El año de instalación no puede ser anterior al año de fabricación');
+      addError('ano_instalacion', 'El año de instalación no puede ser anterior al año de fabricación');
+    }
+    
+    if (!TableroElectricoModel.ESTADOS.includes(this.estado)) {
+      addError('estado', 'El estado no es válido');
     }
     
     return {
       isValid: errors.length === 0,
-      errors
+      errors,
+      fieldErrors
     };
   }
 
+  /**
+   * Revisa el cuadro de circuitos frente a la capacidad del tablero
+   * 
+   * No bloquea el guardado: devuelve advertencias cuando la suma de los
+   * interruptores supera la capacidad del tablero o hay posiciones repetidas.
+   * 
+   * @param {Array<Object>} circuitos - Circuitos del tablero (CircuitoModel o JSON)
+   * @returns {Object} Resultado de la revisión
+   * @returns {number} returns.totalAmperios - Suma de las capacidades de los interruptores
+   * @returns {Array<string>} returns.warnings - Lista de advertencias
+   */
+  validateCircuitos(circuitos = []) {
+    const warnings = [];
+    const totalAmperios = circuitos.reduce(
+      (total, circuito) => total + (Number(circuito.capacidad_amperios) || 0),
+      0
+    );
+    
+    if (this.capacidad_amperios > 0 && totalAmperios > this.capacidad_amperios) {
+      warnings.push(
+        `La suma de los interruptores (${totalAmperios} A) supera la capacidad del tablero (${this.capacidad_amperios} A)`
+      );
+    }
+    
+    const posiciones = circuitos.map(circuito => circuito.posicion);
+    const repetidas = [...new Set(posiciones.filter((pos, index) => posiciones.indexOf(pos) !== index))];
+    if (repetidas.length > 0) {
+      warnings.push(`Posiciones repetidas en el cuadro de circuitos: ${repetidas.join(', ')}`);
+    }
+    
+    return {
+      totalAmperios,
+      warnings
+    };
+  }
+
+  /**
+   * Calcula la antigüedad del tablero en años desde su instalación
+   * 
+   * @returns {number} Años transcurridos desde ano_instalacion (0 si aún no cumple un año)
+   */
+  getEdad() {
+    return Math.max(0, new Date().getFullYear() - this.ano_instalacion);
+  }
+
   /**
    * Convierte el modelo a formato JSON para la API
    * 
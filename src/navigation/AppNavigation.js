@@ -2,8 +2,8 @@
  * AppNavigation - Configuración de navegación de la aplicación
  * 
  * Define la estructura de navegación utilizando React Navigation v6.
- * Combina Bottom Tab Navigator (3 tabs principales) con Stack Navigator
- * (para navegación entre Lista y Edición de tableros).
+ * Combina Bottom Tab Navigator (4 tabs principales) con Stack Navigator
+ * (para navegación entre Lista, Detalle y Edición de tableros).
  * Incluye soporte para tema dinámico y estilos personalizados para tabs.
  * 
  * @module navigation/AppNavigation
@@ -19,12 +19,19 @@ import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { Ionicons } from '@expo/vector-icons';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 import { useTheme } from '../context/ThemeContext';
+import { linking } from './deepLinks';
 
 // Importar vistas
 import HomeView from '../views/HomeView';
 import TablerosListView from '../views/TablerosListView';
 import CreateTableroView from '../views/CreateTableroView';
 import EditTableroView from '../views/EditTableroView';
+import TableroDetailView from '../views/TableroDetailView';
+import MantenimientoFormView from '../views/MantenimientoFormView';
+import RecentlyDeletedView from '../views/RecentlyDeletedView';
+import ImportTablerosView from '../views/ImportTablerosView';
+import ScanTableroView from '../views/ScanTableroView';
+import SettingsView from '../views/SettingsView';
 
 const Tab = createBottomTabNavigator();
 const Stack = createNativeStackNavigator();
@@ -32,9 +39,14 @@ const Stack = createNativeStackNavigator();
 /**
  * Stack Navigator para la sección de Tableros
  * 
- * Contiene dos pantallas:
+ * Contiene siete pantallas:
  * 1. Tableros - Lista completa con opciones CRUD
- * 2. EditTablero - Formulario de edición (recibe tablero por parámetros)
+ * 2. TableroDetail - Detalle del tablero con historial y acciones rápidas (recibe tableroId)
+ * 3. EditTablero - Formulario de edición (recibe tablero o tableroId por parámetros)
+ * 4. NuevoMantenimiento - Registro de un mantenimiento (recibe tableroId)
+ * 5. RecentlyDeleted - Tableros eliminados recientemente, con opción de restaurar
+ * 6. ImportTableros - Importación de tableros desde un archivo CSV o JSON
+ * 7. ScanTablero - Escaneo de la etiqueta QR de un tablero para abrir su detalle
  * 
  * Los headers se ocultan porque cada vista maneja su propio header personalizado.
  * 
@@ -53,11 +65,36 @@ function TablerosStack() {
         component={TablerosListView}
         options={{ title: 'Lista de Tableros' }}
       />
+      <Stack.Screen 
+        name="TableroDetail" 
+        component={TableroDetailView}
+        options={{ title: 'Detalle del Tablero' }}
+      />
       <Stack.Screen 
         name="EditTablero" 
         component={EditTableroView}
         options={{ title: 'Editar Tablero' }}
       />
+      <Stack.Screen 
+        name="NuevoMantenimiento" 
+        component={MantenimientoFormView}
+        options={{ title: 'Nuevo Mantenimiento' }}
+      />
+      <Stack.Screen 
+        name="RecentlyDeleted" 
+        component={RecentlyDeletedView}
+        options={{ title: 'Eliminados Recientemente' }}
+      />
+      <Stack.Screen 
+        name="ImportTableros" 
+        component={ImportTablerosView}
+        options={{ title: 'Importar Tableros' }}
+      />
+      <Stack.Screen 
+        name="ScanTablero" 
+        component={ScanTableroView}
+        options={{ title: 'Escanear Etiqueta' }}
+      />
     </Stack.Navigator>
   );
 }
@@ -65,10 +102,11 @@ function TablerosStack() {
 /**
  * Componente principal de navegación de la aplicación
  * 
- * Bottom Tab Navigator con 3 tabs principales:
+ * Bottom Tab Navigator con 4 tabs principales:
  * 1. Inicio - Perfil del candidato (HomeView)
  * 2. Dashboard - Lista y edición de tableros (TablerosStack)
  * 3. Crear - Formulario de creación (CreateTableroView)
+ * 4. Ajustes - Selección del entorno de API (SettingsView)
  * 
  * Características:
  * - Iconos animados con fondo circular al estar activos
@@ -77,6 +115,7 @@ function TablerosStack() {
  * - Estilos personalizados para cada estado (focused/unfocused)
  * - Height adaptativo con paddingBottom para dispositivos con notch
  * - SafeAreaProvider para manejo seguro de áreas del dispositivo
+ * - Enlaces profundos remsprueapp2:// a la lista, detalle, edición y creación (deepLinks)
  * 
  * @function
  * @returns {React.Component} NavigationContainer con Bottom Tab Navigator
@@ -86,7 +125,7 @@ function AppNavigation() {
   
   return (
     <SafeAreaProvider>
-      <NavigationContainer>
+      <NavigationContainer linking={linking}>
         <Tab.Navigator
         screenOptions={({ route }) => ({
           headerShown: false,
@@ -99,6 +138,8 @@ function AppNavigation() {
               iconName = focused ? 'grid' : 'grid-outline';
             } else if (route.name === 'Crear') {
               iconName = focused ? 'add-circle' : 'add-circle-outline';
+            } else if (route.name === 'Ajustes') {
+              iconName = focused ? 'settings' : 'settings-outline';
             }
 
             return (
@@ -161,6 +202,14 @@ function AppNavigation() {
             tabBarLabel: 'Crear',
           }}
         />
+        <Tab.Screen 
+          name="Ajustes" 
+          component={SettingsView}
+          options={{
+            title: 'Ajustes',
+            tabBarLabel: 'Ajustes',
+          }}
+        />
       </Tab.Navigator>
     </NavigationContainer>
     </SafeAreaProvider>
@@ -0,0 +1,95 @@
+/**
+ * deepLinks - Enlaces profundos de la aplicación
+ *
+ * Construye e interpreta los enlaces que abren un tablero directamente
+ * (ej: remsprueapp2://tableros/abc123). Son los que se codifican en las
+ * etiquetas QR de los tableros. El esquema coincide con "scheme" de app.json.
+ * También define la configuración `linking` de NavigationContainer:
+ *
+ * - remsprueapp2://tableros → Lista de tableros
+ * - remsprueapp2://tableros/{id} → Detalle del tablero
+ * - remsprueapp2://tableros/{id}/edit → Edición del tablero
+ * - remsprueapp2://crear?nombre=...&marca=... → Formulario de creación pre-cargado
+ *
+ * @module navigation/deepLinks
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+/**
+ * Esquema de la aplicación registrado en app.json
+ * @constant {string}
+ */
+export const DEEP_LINK_SCHEME = 'remsprueapp2';
+
+/**
+ * Prefijo de los enlaces de la aplicación
+ * @constant {string}
+ */
+export const DEEP_LINK_PREFIX = `${DEEP_LINK_SCHEME}://`;
+
+/**
+ * Genera el enlace profundo al detalle de un tablero
+ *
+ * @param {string} tableroId - ID del tablero
+ * @returns {string} Enlace remsprueapp2://tableros/{id}
+ *
+ * @example
+ * getTableroDeepLink('abc123'); // 'remsprueapp2://tableros/abc123'
+ */
+export const getTableroDeepLink = (tableroId) =>
+  `${DEEP_LINK_PREFIX}tableros/${encodeURIComponent(tableroId)}`;
+
+/**
+ * Obtiene el ID de tablero de un enlace profundo
+ *
+ * @param {string} url - Enlace a interpretar
+ * @returns {string|null} ID del tablero, o null si el enlace no es de un tablero
+ */
+export const parseTableroDeepLink = (url) => {
+  const link = String(url || '').trim();
+  if (!link.startsWith(`${DEEP_LINK_PREFIX}tableros/`)) return null;
+
+  const [tableroId] = link.slice(`${DEEP_LINK_PREFIX}tableros/`.length).split(/[/?#]/);
+  return tableroId ? decodeURIComponent(tableroId) : null;
+};
+
+/**
+ * Campos del formulario de creación que se pueden pre-cargar desde la URL
+ * @constant {Array<string>}
+ */
+export const CREATE_PREFILL_FIELDS = [
+  'nombre',
+  'ubicacion',
+  'marca',
+  'capacidad_amperios',
+  'ano_fabricacion',
+  'ano_instalacion',
+  'estado',
+];
+
+/**
+ * Configuración de enlaces profundos para NavigationContainer
+ *
+ * La pila de tableros declara "Tableros" como pantalla inicial para que, al
+ * abrir un detalle o una edición desde fuera, "atrás" lleve a la lista.
+ * Los parámetros de consulta de /crear llegan como params de la pantalla.
+ *
+ * @constant {Object}
+ */
+export const linking = {
+  prefixes: [DEEP_LINK_PREFIX],
+  config: {
+    screens: {
+      Dashboard: {
+        initialRouteName: 'Tableros',
+        screens: {
+          Tableros: 'tableros',
+          TableroDetail: 'tableros/:tableroId',
+          EditTablero: 'tableros/:tableroId/edit',
+        },
+      },
+      Crear: 'crear',
+    },
+  },
+};
@@ -0,0 +1,201 @@
+/**
+ * CsvService - Exportación e interpretación de archivos CSV
+ *
+ * Serializa tableros a CSV según RFC 4180 (campos entre comillas cuando
+ * contienen el delimitador, comillas o saltos de línea, y líneas terminadas
+ * en CRLF), guarda el archivo en la caché del dispositivo y lo entrega a la
+ * hoja de compartir del sistema. El archivo incluye BOM UTF-8 para que Excel
+ * muestre correctamente los acentos. También interpreta archivos CSV con el
+ * mismo formato para la importación de tableros.
+ *
+ * @class
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import TableroElectricoModel from '../models/TableroElectricoModel';
+
+/**
+ * Delimitadores disponibles; el punto y coma es el que espera Excel en configuración regional española
+ * @constant {Array<{value: string, label: string}>}
+ */
+export const CSV_DELIMITERS = [
+  { value: ',', label: 'Coma (,)' },
+  { value: ';', label: 'Punto y coma (;)' },
+];
+
+/**
+ * Columnas exportables: los campos de TableroElectricoModel.toJSON
+ * @constant {Array<{key: string, label: string}>}
+ */
+export const TABLERO_CSV_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'nombre', label: 'Nombre' },
+  { key: 'ubicacion', label: 'Ubicación' },
+  { key: 'marca', label: 'Marca' },
+  { key: 'capacidad_amperios', label: 'Capacidad (A)' },
+  { key: 'ano_fabricacion', label: 'Año de fabricación' },
+  { key: 'ano_instalacion', label: 'Año de instalación' },
+  { key: 'estado', label: 'Estado' },
+];
+
+/**
+ * Marca de orden de bytes UTF-8
+ * @constant {string}
+ */
+const UTF8_BOM = '\uFEFF';
+
+class CsvService {
+  /**
+   * Escapa un valor para una celda CSV
+   *
+   * @param {*} value - Valor de la celda
+   * @param {string} delimiter - Delimitador de columnas
+   * @returns {string} Valor listo para el CSV
+   */
+  escapeField(value, delimiter) {
+    const text = value === null || value === undefined ? '' : String(value);
+    const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text);
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Genera el contenido CSV de una lista de objetos
+   *
+   * La primera fila contiene las claves de las columnas para que el archivo
+   * pueda volver a importarse.
+   *
+   * @param {Array<Object>} rows - Filas a serializar
+   * @param {Array<string>} columns - Claves de las columnas, en orden
+   * @param {string} [delimiter=','] - Delimitador de columnas
+   * @returns {string} Contenido CSV con líneas CRLF
+   */
+  toCsv(rows, columns, delimiter = ',') {
+    const lines = [
+      columns.map(column => this.escapeField(column, delimiter)).join(delimiter),
+      ...rows.map(row => columns.map(column => this.escapeField(row[column], delimiter)).join(delimiter)),
+    ];
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Detecta el delimitador de un CSV a partir de su primera línea
+   *
+   * @param {string} text - Contenido CSV
+   * @returns {string} ';' si aparece más que ',' en la cabecera, si no ','
+   */
+  detectDelimiter(text) {
+    const header = text.split(/\r?\n/, 1)[0] || '';
+    const count = (char) => header.split(char).length - 1;
+    return count(';') > count(',') ? ';' : ',';
+  }
+
+  /**
+   * Interpreta un CSV (RFC 4180) como una lista de registros
+   *
+   * La primera fila se usa como cabecera. Admite campos entre comillas con
+   * delimitadores, comillas dobles escapadas y saltos de línea; ignora el BOM
+   * inicial y las filas vacías.
+   *
+   * @param {string} text - Contenido CSV
+   * @param {string} [delimiter] - Delimitador; se detecta si no se indica
+   * @returns {Array<Object>} Registros { [cabecera]: valor }
+   */
+  parse(text, delimiter = this.detectDelimiter(text)) {
+    const content = text.startsWith(UTF8_BOM) ? text.slice(1) : text;
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (inQuotes) {
+        if (char === '"' && content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    const [header = [], ...dataRows] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    return dataRows.map(cells =>
+      header.reduce((record, column, index) => ({ ...record, [column.trim()]: (cells[index] ?? '').trim() }), {})
+    );
+  }
+
+  /**
+   * Exporta tableros a un archivo CSV y abre la hoja de compartir
+   *
+   * @async
+   * @param {Array<Object>} tableros - Tableros a exportar
+   * @param {Object} options - Opciones de exportación
+   * @param {Array<string>} options.columns - Claves de TABLERO_CSV_COLUMNS a incluir
+   * @param {string} options.delimiter - Delimitador de CSV_DELIMITERS
+   * @returns {Promise<Object>} Resultado {success, data, error} con la URI del archivo
+   */
+  async exportTableros(tableros, { columns, delimiter }) {
+    try {
+      if (columns.length === 0) {
+        return { success: false, data: null, error: 'Selecciona al menos una columna' };
+      }
+
+      const rows = tableros.map(tablero => ({ ...TableroElectricoModel.fromJSON(tablero).toJSON(), id: tablero.id }));
+      const csv = UTF8_BOM + this.toCsv(rows, columns, delimiter);
+
+      const fecha = new Date().toISOString().slice(0, 10);
+      const file = new File(Paths.cache, `tableros-${fecha}.csv`);
+      if (file.exists) {
+        file.delete();
+      }
+      file.create();
+      file.write(csv);
+
+      if (!(await Sharing.isAvailableAsync())) {
+        return { success: false, data: null, error: 'Compartir archivos no está disponible en este dispositivo' };
+      }
+
+      await Sharing.shareAsync(file.uri, {
+        mimeType: 'text/csv',
+        dialogTitle: 'Exportar tableros',
+        UTI: 'public.comma-separated-values-text',
+      });
+
+      return { success: true, data: file.uri, error: null };
+    } catch (error) {
+      console.error('Error en exportTableros:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+}
+
+/**
+ * Exporta una instancia única del servicio (Singleton)
+ * @type {CsvService}
+ */
+export default new CsvService();
@@ -0,0 +1,222 @@
+/**
+ * EnvironmentService - Servicio de entornos de API
+ *
+ * Administra los perfiles de entorno (dev, staging, prod y custom) con los que
+ * la app se comunica con el backend. Los perfiles predefinidos se leen desde
+ * `expo.extra.environments` en app.json y la selección activa se persiste en
+ * AsyncStorage para que sobreviva a reinicios de la aplicación.
+ *
+ * @class
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import Constants from 'expo-constants';
+
+/**
+ * Clave de AsyncStorage donde se guarda el entorno seleccionado
+ * @constant {string}
+ */
+const STORAGE_KEY = '@api_environment';
+
+/**
+ * Clave del perfil personalizado (URL ingresada por el usuario)
+ * @constant {string}
+ */
+export const CUSTOM_ENVIRONMENT_KEY = 'custom';
+
+/**
+ * Perfiles usados si app.json no define `extra.environments`
+ * @constant {Object}
+ */
+const FALLBACK_ENVIRONMENTS = {
+  prod: {
+    label: 'Producción',
+    apiUrl: 'https://remsprueback.onrender.com',
+  },
+};
+
+class EnvironmentService {
+  /**
+   * Constructor del servicio
+   * Lee los perfiles definidos en app.json y deja como activo el perfil por defecto
+   * hasta que se cargue la selección guardada.
+   */
+  constructor() {
+    const extra = Constants.expoConfig?.extra || {};
+
+    /** @type {Object<string, {label: string, apiUrl: string}>} Perfiles predefinidos */
+    this.environments = extra.environments || FALLBACK_ENVIRONMENTS;
+
+    /** @type {string} Clave del perfil por defecto */
+    this.defaultKey = this.environments[extra.defaultEnvironment]
+      ? extra.defaultEnvironment
+      : Object.keys(this.environments)[0];
+
+    /** @type {string} Clave del perfil activo */
+    this.activeKey = this.defaultKey;
+
+    /** @type {string} URL del perfil personalizado */
+    this.customUrl = '';
+
+    /** @type {Set<Function>} Suscriptores a cambios de entorno */
+    this.listeners = new Set();
+
+    /** @type {Promise|null} Promesa de carga de la selección guardada */
+    this.readyPromise = null;
+  }
+
+  /**
+   * Carga la selección guardada en AsyncStorage (una sola vez)
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  init() {
+    if (!this.readyPromise) {
+      this.readyPromise = this.loadSelection();
+    }
+    return this.readyPromise;
+  }
+
+  /**
+   * Lee el entorno guardado; si no existe o es inválido se mantiene el perfil por defecto
+   *
+   * @async
+   * @private
+   */
+  async loadSelection() {
+    try {
+      const saved = await AsyncStorage.getItem(STORAGE_KEY);
+      if (saved !== null) {
+        const { key, customUrl } = JSON.parse(saved);
+        this.customUrl = customUrl || '';
+
+        if (key === CUSTOM_ENVIRONMENT_KEY ? this.customUrl : this.environments[key]) {
+          this.activeKey = key;
+        }
+      }
+    } catch (error) {
+      console.error('Error al cargar entorno de API:', error);
+    }
+  }
+
+  /**
+   * Normaliza una URL base eliminando espacios y barras finales
+   *
+   * @param {string} url - URL ingresada
+   * @returns {string} URL sin barra final
+   */
+  normalizeUrl(url) {
+    return (url || '').trim().replace(/\/+$/, '');
+  }
+
+  /**
+   * Verifica que una URL tenga formato http(s) válido
+   *
+   * @param {string} url - URL a validar
+   * @returns {boolean} true si la URL es utilizable como base de la API
+   */
+  isValidUrl(url) {
+    return /^https?:\/\/[^\s/]+/i.test(this.normalizeUrl(url));
+  }
+
+  /**
+   * Lista todos los perfiles disponibles, incluyendo el personalizado
+   *
+   * @returns {Array<{key: string, label: string, apiUrl: string}>} Perfiles de entorno
+   */
+  getEnvironments() {
+    const predefined = Object.keys(this.environments).map(key => ({
+      key,
+      label: this.environments[key].label || key,
+      apiUrl: this.normalizeUrl(this.environments[key].apiUrl),
+    }));
+
+    return [
+      ...predefined,
+      {
+        key: CUSTOM_ENVIRONMENT_KEY,
+        label: 'Personalizado',
+        apiUrl: this.customUrl,
+      },
+    ];
+  }
+
+  /**
+   * Obtiene el perfil activo
+   *
+   * @returns {{key: string, label: string, apiUrl: string}} Perfil de entorno activo
+   */
+  getActiveEnvironment() {
+    return this.getEnvironments().find(env => env.key === this.activeKey);
+  }
+
+  /**
+   * Obtiene la URL base del entorno activo
+   * Espera a que se cargue la selección guardada antes de resolver.
+   *
+   * @async
+   * @returns {Promise<string>} URL base sin barra final
+   */
+  async getBaseUrl() {
+    await this.init();
+    return this.getActiveEnvironment().apiUrl;
+  }
+
+  /**
+   * Cambia el entorno activo y lo persiste en AsyncStorage
+   *
+   * @async
+   * @param {string} key - Clave del perfil (dev, staging, prod o custom)
+   * @param {string} [customUrl] - URL base, requerida para el perfil personalizado
+   * @returns {Promise<Object>} Resultado de la operación
+   * @returns {boolean} returns.success - Indica si se cambió el entorno
+   * @returns {string|null} returns.error - Mensaje de error si la selección no es válida
+   */
+  async setEnvironment(key, customUrl) {
+    await this.init();
+
+    if (key === CUSTOM_ENVIRONMENT_KEY) {
+      if (!this.isValidUrl(customUrl)) {
+        return { success: false, error: 'La URL debe comenzar con http:// o https://' };
+      }
+      this.customUrl = this.normalizeUrl(customUrl);
+    } else if (!this.environments[key]) {
+      return { success: false, error: `Entorno desconocido: ${key}` };
+    }
+
+    this.activeKey = key;
+
+    try {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify({
+        key: this.activeKey,
+        customUrl: this.customUrl,
+      }));
+    } catch (error) {
+      console.error('Error al guardar entorno de API:', error);
+    }
+
+    this.listeners.forEach(listener => listener(this.getActiveEnvironment()));
+    return { success: true, error: null };
+  }
+
+  /**
+   * Suscribe un callback a los cambios de entorno
+   *
+   * @param {Function} listener - Recibe el nuevo perfil activo
+   * @returns {Function} Función para cancelar la suscripción
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+/**
+ * Exporta una instancia única del servicio (Singleton)
+ * Todas las capas consultan el mismo entorno activo
+ * @type {EnvironmentService}
+ */
+export default new EnvironmentService();
@@ -0,0 +1,108 @@
+/**
+ * EstadoHistorialService - Historial local de estados de tableros
+ *
+ * La API no registra cuándo cambia el estado de un tablero, por lo que la app
+ * guarda en AsyncStorage cada estado asignado desde este dispositivo
+ * (al crear o editar un tablero) junto con la fecha del cambio.
+ *
+ * @class
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Clave de AsyncStorage donde se guarda el historial de todos los tableros
+ * @constant {string}
+ */
+const STORAGE_KEY = '@tableros_estado_historial';
+
+class EstadoHistorialService {
+  /**
+   * Lee el historial completo desde AsyncStorage
+   *
+   * @async
+   * @private
+   * @returns {Promise<Object<string, Array<Object>>>} Historial indexado por ID de tablero
+   */
+  async loadAll() {
+    try {
+      const saved = await AsyncStorage.getItem(STORAGE_KEY);
+      return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+      console.error('Error al cargar historial de estados:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Guarda el historial completo en AsyncStorage
+   *
+   * @async
+   * @private
+   * @param {Object<string, Array<Object>>} historial - Historial indexado por ID de tablero
+   */
+  async saveAll(historial) {
+    try {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(historial));
+    } catch (error) {
+      console.error('Error al guardar historial de estados:', error);
+    }
+  }
+
+  /**
+   * Obtiene el historial de estados de un tablero, del más reciente al más antiguo
+   *
+   * @async
+   * @param {string} tableroId - ID del tablero
+   * @returns {Promise<Array<{estado: string, fecha: string}>>} Cambios de estado registrados
+   */
+  async getHistorial(tableroId) {
+    const historial = await this.loadAll();
+    return [...(historial[tableroId] || [])].reverse();
+  }
+
+  /**
+   * Registra un estado para un tablero
+   * No se agrega una entrada si el estado es igual al último registrado.
+   *
+   * @async
+   * @param {string} tableroId - ID del tablero
+   * @param {string} estado - Estado asignado
+   */
+  async registrarEstado(tableroId, estado) {
+    if (!tableroId || !estado) return;
+
+    const historial = await this.loadAll();
+    const entradas = historial[tableroId] || [];
+
+    if (entradas[entradas.length - 1]?.estado === estado) return;
+
+    historial[tableroId] = [...entradas, { estado, fecha: new Date().toISOString() }];
+    await this.saveAll(historial);
+  }
+
+  /**
+   * Mueve el historial de un ID a otro
+   * Se usa cuando un tablero creado sin conexión recibe su ID definitivo del servidor.
+   *
+   * @async
+   * @param {string} oldId - ID temporal
+   * @param {string} newId - ID asignado por el servidor
+   */
+  async reasignarTablero(oldId, newId) {
+    const historial = await this.loadAll();
+    if (!historial[oldId]) return;
+
+    historial[newId] = [...(historial[newId] || []), ...historial[oldId]];
+    delete historial[oldId];
+    await this.saveAll(historial);
+  }
+}
+
+/**
+ * Exporta una instancia única del servicio (Singleton)
+ * @type {EstadoHistorialService}
+ */
+export default new EstadoHistorialService();
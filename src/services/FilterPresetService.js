@@ -0,0 +1,182 @@
+/**
+ * FilterPresetService - Vistas guardadas de la lista de tableros
+ *
+ * Guarda en AsyncStorage combinaciones con nombre de búsqueda, filtros y orden
+ * de TablerosListView (por ejemplo "Fuera de servicio en Sótano") para
+ * volver a aplicarlas con un toque.
+ *
+ * @class
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Clave de AsyncStorage donde se guardan las vistas
+ * @constant {string}
+ */
+const STORAGE_KEY = '@tableros_filter_presets';
+
+/**
+ * Longitud máxima del nombre de una vista
+ * @constant {number}
+ */
+const MAX_NOMBRE_LENGTH = 40;
+
+class FilterPresetService {
+  /**
+   * Obtiene las vistas guardadas en el orden en que se crearon
+   *
+   * Cada vista tiene la forma:
+   * { id, nombre, searchTerm, filters, sort, createdAt }
+   *
+   * @async
+   * @returns {Promise<Array<Object>>} Vistas guardadas
+   */
+  async getPresets() {
+    try {
+      const saved = await AsyncStorage.getItem(STORAGE_KEY);
+      return saved ? JSON.parse(saved) : [];
+    } catch (error) {
+      console.error('Error al cargar vistas guardadas:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Guarda la lista completa de vistas en AsyncStorage
+   *
+   * @async
+   * @private
+   * @param {Array<Object>} presets - Vistas a guardar
+   */
+  async saveAll(presets) {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  }
+
+  /**
+   * Valida el nombre de una vista
+   *
+   * @private
+   * @param {string} nombre - Nombre propuesto
+   * @param {Array<Object>} presets - Vistas existentes
+   * @param {string|null} [excludeId] - Vista que se está renombrando
+   * @returns {string|null} Mensaje de error o null si es válido
+   */
+  validateNombre(nombre, presets, excludeId = null) {
+    const trimmed = (nombre || '').trim();
+
+    if (!trimmed) {
+      return 'El nombre de la vista es requerido';
+    }
+
+    if (trimmed.length > MAX_NOMBRE_LENGTH) {
+      return `El nombre no puede superar ${MAX_NOMBRE_LENGTH} caracteres`;
+    }
+
+    const exists = presets.some(preset =>
+      preset.id !== excludeId && preset.nombre.toLowerCase() === trimmed.toLowerCase()
+    );
+    if (exists) {
+      return `Ya existe una vista llamada "${trimmed}"`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Guarda la búsqueda, filtros y orden actuales como una vista con nombre
+   *
+   * @async
+   * @param {string} nombre - Nombre de la vista
+   * @param {Object} state - Estado de la lista a guardar
+   * @param {string} state.searchTerm - Término de búsqueda
+   * @param {Object} state.filters - Filtros (forma de DEFAULT_FILTERS)
+   * @param {Object} state.sort - Orden { field, direction }
+   * @returns {Promise<Object>} Resultado {success, data, error} con la vista creada
+   */
+  async savePreset(nombre, { searchTerm, filters, sort }) {
+    try {
+      const presets = await this.getPresets();
+      const error = this.validateNombre(nombre, presets);
+      if (error) {
+        return { success: false, data: null, error };
+      }
+
+      const preset = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        nombre: nombre.trim(),
+        searchTerm,
+        filters,
+        sort,
+        createdAt: new Date().toISOString(),
+      };
+
+      await this.saveAll([...presets, preset]);
+      return { success: true, data: preset, error: null };
+    } catch (error) {
+      console.error('Error en savePreset:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Cambia el nombre de una vista
+   *
+   * @async
+   * @param {string} presetId - ID de la vista
+   * @param {string} nombre - Nuevo nombre
+   * @returns {Promise<Object>} Resultado {success, data, error} con la vista renombrada
+   */
+  async renamePreset(presetId, nombre) {
+    try {
+      const presets = await this.getPresets();
+      const error = this.validateNombre(nombre, presets, presetId);
+      if (error) {
+        return { success: false, data: null, error };
+      }
+
+      let renamed = null;
+      const updated = presets.map(preset => {
+        if (preset.id !== presetId) return preset;
+        renamed = { ...preset, nombre: nombre.trim() };
+        return renamed;
+      });
+
+      if (!renamed) {
+        return { success: false, data: null, error: 'La vista ya no existe' };
+      }
+
+      await this.saveAll(updated);
+      return { success: true, data: renamed, error: null };
+    } catch (error) {
+      console.error('Error en renamePreset:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+
+  /**
+   * Elimina una vista guardada
+   *
+   * @async
+   * @param {string} presetId - ID de la vista
+   * @returns {Promise<Object>} Resultado {success, error}
+   */
+  async deletePreset(presetId) {
+    try {
+      const presets = await this.getPresets();
+      await this.saveAll(presets.filter(preset => preset.id !== presetId));
+      return { success: true, error: null };
+    } catch (error) {
+      console.error('Error en deletePreset:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+/**
+ * Exporta una instancia única del servicio (Singleton)
+ * @type {FilterPresetService}
+ */
+export default new FilterPresetService();
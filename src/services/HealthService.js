@@ -0,0 +1,337 @@
+/**
+ * HealthService - Estado de la conexión con el backend
+ *
+ * Comprueba al iniciar la app (mientras se muestra SplashScreen) si el backend
+ * del entorno activo responde. Los servidores gratuitos de Render se suspenden
+ * por inactividad: si el ping tarda más de COLD_START_THRESHOLD_MS o responde
+ * 502/503/504 se considera un arranque en frío, el estado pasa a 'waking' y se
+ * repite el ping hasta que el servidor responde o se agota MAX_WAKE_MS.
+ *
+ * Vuelve a comprobar al recuperar la conexión, al cambiar de entorno y al
+ * volver la app a primer plano. Al cambiar de entorno se cancela la
+ * comprobación en curso, que pertenece al backend anterior. El estado se
+ * expone con el mismo patrón de suscripción que OfflineQueueService y
+ * EnvironmentService:
+ * { status: 'online'|'waking'|'offline', isChecking, wakingSince, error }
+ *
+ * @class
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import { AppState } from 'react-native';
+import NetInfo from '@react-native-community/netinfo';
+import HttpClient from './HttpClient';
+import EnvironmentService from './EnvironmentService';
+import { ERROR_TYPES, NetworkError, NotFoundError } from '../errors/AppError';
+
+/**
+ * Estados de la conexión con el backend
+ * @constant {Object<string, string>}
+ */
+export const HEALTH_STATUS = {
+  ONLINE: 'online',
+  WAKING: 'waking',
+  OFFLINE: 'offline',
+};
+
+/**
+ * Rutas de comprobación, en orden de preferencia
+ * Si el backend no tiene endpoint de salud (404) se usa una lectura mínima de tableros.
+ * @constant {Array<string>}
+ */
+const HEALTH_PATHS = ['/health', '/tableros/?limit=1'];
+
+/**
+ * Tiempo sin respuesta a partir del cual se considera un arranque en frío (ms)
+ * @constant {number}
+ */
+const COLD_START_THRESHOLD_MS = 4000;
+
+/**
+ * Tiempo de espera de cada ping (ms)
+ * @constant {number}
+ */
+const PING_TIMEOUT_MS = 30000;
+
+/**
+ * Espera entre pings mientras el servidor se inicia (ms)
+ * @constant {number}
+ */
+const WAKE_RETRY_MS = 3000;
+
+/**
+ * Tiempo máximo de espera de un arranque en frío antes de darlo por fallido (ms)
+ * @constant {number}
+ */
+const MAX_WAKE_MS = 120000;
+
+/**
+ * Duración habitual de un arranque en frío (ms), usada para mostrar el progreso
+ * @constant {number}
+ */
+export const EXPECTED_WAKE_MS = 60000;
+
+/**
+ * Errores que indican que el servidor existe pero aún se está iniciando
+ * @constant {Array<string>}
+ */
+const COLD_START_ERRORS = [ERROR_TYPES.TIMEOUT, ERROR_TYPES.SERVER_WAKING];
+
+/**
+ * Espera un tiempo
+ * @param {number} ms - Tiempo de espera
+ * @returns {Promise<void>}
+ */
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class HealthService {
+  /**
+   * Constructor del servicio
+   */
+  constructor() {
+    /**
+     * Estado actual; se asume 'online' hasta que una comprobación diga lo contrario
+     * @type {{status: string, isChecking: boolean, wakingSince: number|null, error: AppError|null}}
+     */
+    this.state = {
+      status: HEALTH_STATUS.ONLINE,
+      isChecking: false,
+      wakingSince: null,
+      error: null,
+    };
+
+    /** @type {Set<Function>} Suscriptores a cambios de estado */
+    this.listeners = new Set();
+
+    /** @type {number} Índice de la ruta de HEALTH_PATHS en uso */
+    this.pathIndex = 0;
+
+    /** @type {Promise|null} Comprobación en curso (evita comprobaciones simultáneas) */
+    this.checkPromise = null;
+
+    /** @type {number} Generación de la comprobación; al cambiar, las anteriores se descartan */
+    this.generation = 0;
+
+    /** @type {AbortController|null} Cancela el ping de la comprobación en curso */
+    this.abortController = null;
+
+    /** @type {boolean} Indica si ya se registraron los listeners de start */
+    this.started = false;
+  }
+
+  /**
+   * Inicia el monitoreo: comprueba el backend y registra los listeners de
+   * conexión, entorno y primer plano (una sola vez)
+   *
+   * @returns {Promise<string>} Estado resultante de la primera comprobación
+   */
+  start() {
+    if (!this.started) {
+      this.started = true;
+
+      NetInfo.addEventListener(({ isConnected }) => {
+        if (isConnected === false) {
+          this.setState({ status: HEALTH_STATUS.OFFLINE, wakingSince: null, error: new NetworkError() });
+        } else if (isConnected && this.state.status === HEALTH_STATUS.OFFLINE) {
+          this.check();
+        }
+      });
+
+      EnvironmentService.subscribe(() => this.restart());
+
+      AppState.addEventListener('change', (appState) => {
+        if (appState === 'active') this.check();
+      });
+    }
+
+    return this.check();
+  }
+
+  /**
+   * Obtiene una copia del estado actual
+   * @returns {Object} Estado de la conexión
+   */
+  getState() {
+    return { ...this.state };
+  }
+
+  /**
+   * Suscribe un callback a los cambios de estado
+   *
+   * @param {Function} listener - Recibe el estado actualizado
+   * @returns {Function} Función para cancelar la suscripción
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Actualiza el estado y notifica a los suscriptores
+   *
+   * @private
+   * @param {Object} changes - Campos a actualizar
+   */
+  setState(changes) {
+    this.state = { ...this.state, ...changes };
+    const snapshot = this.getState();
+    this.listeners.forEach(listener => listener(snapshot));
+  }
+
+  /**
+   * Comprueba el backend; si se está iniciando, espera a que termine
+   *
+   * @async
+   * @returns {Promise<string>} Estado final: 'online' u 'offline'
+   */
+  check() {
+    if (!this.checkPromise) {
+      const promise = this.runCheck(this.generation).finally(() => {
+        if (this.checkPromise === promise) this.checkPromise = null;
+      });
+      this.checkPromise = promise;
+    }
+    return this.checkPromise;
+  }
+
+  /**
+   * Descarta la comprobación en curso y comprueba de nuevo desde cero
+   * Se usa al cambiar de entorno, para hacer ping al nuevo backend.
+   *
+   * @async
+   * @returns {Promise<string>} Estado final: 'online' u 'offline'
+   */
+  restart() {
+    this.generation += 1;
+    this.abortController?.abort();
+    this.checkPromise = null;
+    this.pathIndex = 0;
+    this.setState({ status: HEALTH_STATUS.ONLINE, isChecking: false, wakingSince: null, error: null });
+    return this.check();
+  }
+
+  /**
+   * Despierta el servidor y espera a que responda
+   * Equivale a check(); se usa desde las acciones de la UI.
+   *
+   * @async
+   * @returns {Promise<string>} Estado final: 'online' u 'offline'
+   */
+  wake() {
+    return this.check();
+  }
+
+  /**
+   * Implementación de check
+   *
+   * Tras cada espera comprueba que su generación siga vigente; si se reinició,
+   * termina con el resultado de la comprobación nueva (o el estado actual si
+   * ya terminó) sin tocar el estado.
+   *
+   * @async
+   * @private
+   * @param {number} generation - Generación con la que se inició
+   */
+  async runCheck(generation) {
+    const isStale = () => generation !== this.generation;
+
+    this.setState({ isChecking: true });
+
+    for (;;) {
+      const { isConnected } = await NetInfo.fetch();
+      if (isStale()) return this.checkPromise ?? this.state.status;
+      if (isConnected === false) {
+        return this.finish(HEALTH_STATUS.OFFLINE, new NetworkError());
+      }
+
+      const error = await this.ping(generation);
+      if (isStale()) return this.checkPromise ?? this.state.status;
+      if (!error) {
+        return this.finish(HEALTH_STATUS.ONLINE, null);
+      }
+
+      const wakingFor = this.state.wakingSince ? Date.now() - this.state.wakingSince : 0;
+      if (!COLD_START_ERRORS.includes(error.type) || wakingFor >= MAX_WAKE_MS) {
+        return this.finish(HEALTH_STATUS.OFFLINE, error);
+      }
+
+      this.markWaking();
+      await delay(WAKE_RETRY_MS);
+      if (isStale()) return this.checkPromise ?? this.state.status;
+    }
+  }
+
+  /**
+   * Hace un ping a la ruta de salud
+   * Si no responde en COLD_START_THRESHOLD_MS se marca el arranque en frío sin
+   * cancelar la petición, que sigue esperando hasta PING_TIMEOUT_MS.
+   *
+   * @async
+   * @private
+   * @param {number} generation - Generación de la comprobación que hace el ping
+   * @returns {Promise<Error|null>} null si el servidor respondió, o el error
+   */
+  async ping(generation) {
+    const controller = new AbortController();
+    const coldStartTimer = setTimeout(() => {
+      if (generation === this.generation) this.markWaking();
+    }, COLD_START_THRESHOLD_MS);
+    this.abortController = controller;
+
+    try {
+      await HttpClient.get(HEALTH_PATHS[this.pathIndex], {
+        timeout: PING_TIMEOUT_MS,
+        retries: 0,
+        signal: controller.signal,
+      });
+      return null;
+    } catch (error) {
+      if (
+        !controller.signal.aborted &&
+        error instanceof NotFoundError &&
+        this.pathIndex < HEALTH_PATHS.length - 1
+      ) {
+        this.pathIndex += 1;
+        return await this.ping(generation);
+      }
+      return error;
+    } finally {
+      clearTimeout(coldStartTimer);
+      if (this.abortController === controller) this.abortController = null;
+    }
+  }
+
+  /**
+   * Pasa al estado 'waking' conservando el inicio del arranque en frío
+   * @private
+   */
+  markWaking() {
+    if (this.state.status !== HEALTH_STATUS.WAKING) {
+      this.setState({ status: HEALTH_STATUS.WAKING, wakingSince: Date.now(), error: null });
+    }
+  }
+
+  /**
+   * Termina una comprobación con el estado final
+   *
+   * @private
+   * @param {string} status - Estado final
+   * @param {AppError|null} error - Error de la última comprobación
+   * @returns {string} El estado final
+   */
+  finish(status, error) {
+    if (error) {
+      console.error('Error al comprobar el servidor:', error);
+    }
+    this.setState({ status, isChecking: false, wakingSince: null, error });
+    return status;
+  }
+}
+
+/**
+ * Exporta una instancia única del servicio (Singleton)
+ * Todas las pantallas comparten el mismo estado de conexión
+ * @type {HealthService}
+ */
+export default new HealthService();
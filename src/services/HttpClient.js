@@ -0,0 +1,254 @@
+/**
+ * HttpClient - Cliente HTTP compartido para la API REST
+ *
+ * Envuelve `fetch` con la URL base del entorno activo (EnvironmentService),
+ * un tiempo de espera por petición y cancelación mediante AbortSignal (por
+ * ejemplo el `signal` que React Query pasa a queryFn). Las peticiones
+ * idempotentes (GET) se reintentan con espera exponencial y jitter ante fallos
+ * transitorios; las demás solo si llevan clave de idempotencia
+ * (cabecera Idempotency-Key), para no duplicar escrituras.
+ * Los fallos se lanzan como errores tipados de errors/AppError.
+ *
+ * @class
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import EnvironmentService from './EnvironmentService';
+import { ERROR_TYPES, RequestTimeoutError, createHttpError, toAppError } from '../errors/AppError';
+
+/**
+ * Tiempo de espera por defecto de cada intento (ms)
+ * @constant {number}
+ */
+export const DEFAULT_TIMEOUT_MS = 20000;
+
+/**
+ * Reintentos por defecto de las peticiones que se pueden repetir
+ * @constant {number}
+ */
+export const DEFAULT_RETRIES = 2;
+
+/**
+ * Espera base y máxima entre reintentos (ms)
+ * @constant {{base: number, max: number}}
+ */
+const BACKOFF_MS = { base: 500, max: 8000 };
+
+/**
+ * Métodos que se pueden repetir sin efectos adicionales
+ * @constant {Array<string>}
+ */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Tipos de error transitorios, en los que tiene sentido reintentar
+ * @constant {Array<string>}
+ */
+const RETRYABLE_ERRORS = [
+  ERROR_TYPES.NETWORK,
+  ERROR_TYPES.TIMEOUT,
+  ERROR_TYPES.SERVER_WAKING,
+  ERROR_TYPES.SERVER,
+];
+
+/**
+ * Espera antes del siguiente intento: exponencial, con jitter y tope
+ *
+ * @param {number} attempt - Intento fallido (desde 0)
+ * @returns {number} Espera en ms, entre la mitad y el total de la espera exponencial
+ */
+const getBackoffDelay = (attempt) => {
+  const delay = Math.min(BACKOFF_MS.max, BACKOFF_MS.base * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+/**
+ * Interpreta un cuerpo de respuesta como JSON
+ *
+ * @param {string} text - Cuerpo de la respuesta
+ * @returns {*} Valor JSON, o null si está vacío o no es JSON (p. ej. una página HTML de error)
+ */
+const parseJson = (text) => {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Razón de cancelación de una señal
+ *
+ * @param {AbortSignal} signal - Señal cancelada
+ * @returns {Error} `signal.reason` o un AbortError si la plataforma no la informa
+ */
+const getAbortReason = (signal) => {
+  if (signal.reason) return signal.reason;
+  const error = new Error('Petición cancelada');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Espera un tiempo, interrumpiéndose si se cancela la señal
+ *
+ * @param {number} ms - Tiempo de espera
+ * @param {AbortSignal} [signal] - Señal de cancelación
+ * @returns {Promise<void>} Se rechaza con la razón de la señal si se cancela
+ */
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(getAbortReason(signal));
+      return;
+    }
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(getAbortReason(signal));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+class HttpClient {
+  /**
+   * Realiza una petición a la API
+   *
+   * @async
+   * @param {string} path - Ruta relativa a la URL base (ej. '/tableros/')
+   * @param {Object} [options] - Opciones de la petición
+   * @param {string} [options.method='GET'] - Método HTTP
+   * @param {Object} [options.body] - Cuerpo, se envía como JSON
+   * @param {AbortSignal} [options.signal] - Señal para cancelar la petición
+   * @param {number} [options.timeout=DEFAULT_TIMEOUT_MS] - Tiempo de espera de cada intento (ms)
+   * @param {number} [options.retries] - Reintentos; por defecto DEFAULT_RETRIES si la petición es repetible y 0 si no
+   * @param {string} [options.idempotencyKey] - Clave de idempotencia; permite reintentar escrituras
+   * @returns {Promise<*>} Cuerpo JSON de la respuesta, o null si está vacío
+   * @throws {AppError} Error tipado si la petición falla
+   * @throws {Error} La razón de la señal si se cancela
+   */
+  async request(path, { method = 'GET', body, signal, timeout = DEFAULT_TIMEOUT_MS, retries, idempotencyKey } = {}) {
+    const isRepeatable = IDEMPOTENT_METHODS.includes(method) || Boolean(idempotencyKey);
+    const maxRetries = isRepeatable ? retries ?? DEFAULT_RETRIES : 0;
+    const baseUrl = await EnvironmentService.getBaseUrl();
+    const headers = { 'Accept': 'application/json' };
+
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.send(`${baseUrl}${path}`, {
+          method,
+          headers,
+          body: body !== undefined ? JSON.stringify(body) : undefined,
+        }, { signal, timeout });
+      } catch (error) {
+        if (signal?.aborted) throw error;
+
+        const appError = toAppError(error);
+        if (attempt >= maxRetries || !RETRYABLE_ERRORS.includes(appError.type)) throw appError;
+
+        await wait(getBackoffDelay(attempt), signal);
+      }
+    }
+  }
+
+  /**
+   * Envía un único intento con tiempo de espera
+   *
+   * @async
+   * @private
+   * @param {string} url - URL completa
+   * @param {Object} init - Opciones de fetch (method, headers, body)
+   * @param {Object} control - { signal, timeout }
+   * @returns {Promise<*>} Cuerpo JSON de la respuesta, o null si está vacío
+   * @throws {AppError} RequestTimeoutError si se agota el tiempo, o el error HTTP tipado
+   */
+  async send(url, init, { signal, timeout }) {
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    const onAbort = () => controller.abort();
+
+    if (signal?.aborted) controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const response = await fetch(url, { ...init, signal: controller.signal });
+      const data = parseJson(await response.text());
+
+      if (!response.ok) {
+        throw createHttpError(response.status, data || {});
+      }
+
+      return data;
+    } catch (error) {
+      if (timedOut) throw new RequestTimeoutError();
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Petición GET
+   *
+   * @param {string} path - Ruta relativa
+   * @param {Object} [options] - Ver request
+   * @returns {Promise<*>} Cuerpo JSON de la respuesta
+   */
+  get(path, options) {
+    return this.request(path, { ...options, method: 'GET' });
+  }
+
+  /**
+   * Petición POST
+   *
+   * @param {string} path - Ruta relativa
+   * @param {Object} body - Cuerpo JSON
+   * @param {Object} [options] - Ver request (idempotencyKey para permitir reintentos)
+   * @returns {Promise<*>} Cuerpo JSON de la respuesta
+   */
+  post(path, body, options) {
+    return this.request(path, { ...options, method: 'POST', body });
+  }
+
+  /**
+   * Petición PATCH
+   *
+   * @param {string} path - Ruta relativa
+   * @param {Object} body - Cuerpo JSON
+   * @param {Object} [options] - Ver request (idempotencyKey para permitir reintentos)
+   * @returns {Promise<*>} Cuerpo JSON de la respuesta
+   */
+  patch(path, body, options) {
+    return this.request(path, { ...options, method: 'PATCH', body });
+  }
+
+  /**
+   * Petición DELETE
+   *
+   * @param {string} path - Ruta relativa
+   * @param {Object} [options] - Ver request (idempotencyKey para permitir reintentos)
+   * @returns {Promise<*>} Cuerpo JSON de la respuesta, o null si está vacío
+   */
+  delete(path, options) {
+    return this.request(path, { ...options, method: 'DELETE' });
+  }
+}
+
+/**
+ * Exporta una instancia única del cliente (Singleton)
+ * @type {HttpClient}
+ */
+export default new HttpClient();
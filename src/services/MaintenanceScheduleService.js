@@ -0,0 +1,345 @@
+/**
+ * MaintenanceScheduleService - Programación local de mantenimiento preventivo
+ *
+ * Guarda en AsyncStorage, por tablero, el intervalo de mantenimiento en meses y
+ * la fecha del último mantenimiento conocido. A partir de ellos calcula la
+ * próxima fecha de mantenimiento, clasifica cada tablero como vencido o próximo
+ * a vencer y programa una notificación local para la fecha de vencimiento.
+ * Todo ocurre en el dispositivo, sin intervención del servidor.
+ *
+ * @class
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import MantenimientoModel from '../models/MantenimientoModel';
+
+/**
+ * Clave de AsyncStorage donde se guardan las programaciones
+ * @constant {string}
+ */
+const STORAGE_KEY = '@tableros_mantenimiento_programado';
+
+/**
+ * Canal de notificaciones de Android para los recordatorios
+ * @constant {string}
+ */
+const NOTIFICATION_CHANNEL_ID = 'mantenimiento';
+
+/**
+ * Hora local (0-23) a la que se dispara el recordatorio el día del vencimiento
+ * @constant {number}
+ */
+const REMINDER_HOUR = 9;
+
+/**
+ * Días de anticipación con los que un tablero se considera próximo a vencer
+ * @constant {number}
+ */
+export const DUE_SOON_DAYS = 30;
+
+/**
+ * Intervalos de mantenimiento ofrecidos en la interfaz (en meses)
+ * @constant {Array<number>}
+ */
+export const INTERVAL_OPTIONS = [1, 3, 6, 12];
+
+/**
+ * Estados de vencimiento de un tablero con intervalo programado
+ * @constant {Object<string, string>}
+ */
+export const DUE_STATUS = {
+  OVERDUE: 'overdue',
+  DUE_SOON: 'due-soon',
+  OK: 'ok',
+};
+
+/**
+ * Convierte una fecha AAAA-MM-DD en Date local (medianoche)
+ * @param {string} fecha - Fecha en formato AAAA-MM-DD
+ * @returns {Date} Fecha local
+ */
+const parseFecha = (fecha) => {
+  const [year, month, day] = fecha.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Convierte un Date en cadena AAAA-MM-DD
+ * @param {Date} date - Fecha a formatear
+ * @returns {string} Fecha en formato AAAA-MM-DD
+ */
+const formatFecha = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Suma meses a una fecha, ajustando al último día si el mes destino es más corto
+ * (31 de enero + 1 mes = 28/29 de febrero).
+ *
+ * @param {string} fecha - Fecha base AAAA-MM-DD
+ * @param {number} months - Meses a sumar
+ * @returns {string} Fecha resultante AAAA-MM-DD
+ */
+const addMonths = (fecha, months) => {
+  const base = parseFecha(fecha);
+  const target = new Date(base.getFullYear(), base.getMonth() + months, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(base.getDate(), lastDay));
+  return formatFecha(target);
+};
+
+class MaintenanceScheduleService {
+  /**
+   * Lee todas las programaciones desde AsyncStorage
+   *
+   * @async
+   * @private
+   * @returns {Promise<Object<string, Object>>} Programaciones indexadas por ID de tablero
+   */
+  async loadAll() {
+    try {
+      const saved = await AsyncStorage.getItem(STORAGE_KEY);
+      return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+      console.error('Error al cargar programación de mantenimientos:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Guarda todas las programaciones en AsyncStorage
+   *
+   * @async
+   * @private
+   * @param {Object<string, Object>} schedules - Programaciones indexadas por ID de tablero
+   */
+  async saveAll(schedules) {
+    try {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(schedules));
+    } catch (error) {
+      console.error('Error al guardar programación de mantenimientos:', error);
+    }
+  }
+
+  /**
+   * Obtiene las programaciones de todos los tableros
+   *
+   * Cada programación tiene la forma:
+   * { intervalMonths, startDate, lastMaintenance, notificationId, tableroNombre }
+   *
+   * @async
+   * @returns {Promise<Object<string, Object>>} Programaciones indexadas por ID de tablero
+   */
+  async getSchedules() {
+    return this.loadAll();
+  }
+
+  /**
+   * Calcula la próxima fecha de mantenimiento de una programación
+   * Se cuenta desde el último mantenimiento o, si no hay ninguno, desde que se fijó el intervalo.
+   *
+   * @param {Object} schedule - Programación del tablero
+   * @returns {string|null} Fecha AAAA-MM-DD o null si no hay intervalo
+   */
+  getDueDate(schedule) {
+    if (!schedule?.intervalMonths) return null;
+    const base = schedule.lastMaintenance || schedule.startDate;
+    return base ? addMonths(base, schedule.intervalMonths) : null;
+  }
+
+  /**
+   * Clasifica una programación según su fecha de vencimiento
+   *
+   * @param {Object} schedule - Programación del tablero
+   * @param {string} [today] - Fecha de referencia AAAA-MM-DD (por defecto hoy)
+   * @returns {string|null} Valor de DUE_STATUS o null si no hay intervalo
+   */
+  getDueStatus(schedule, today = MantenimientoModel.today()) {
+    const dueDate = this.getDueDate(schedule);
+    if (!dueDate) return null;
+
+    if (dueDate < today) return DUE_STATUS.OVERDUE;
+
+    const soonLimit = new Date(parseFecha(today));
+    soonLimit.setDate(soonLimit.getDate() + DUE_SOON_DAYS);
+    return dueDate <= formatFecha(soonLimit) ? DUE_STATUS.DUE_SOON : DUE_STATUS.OK;
+  }
+
+  /**
+   * Fija (o elimina) el intervalo de mantenimiento de un tablero
+   * y reprograma su recordatorio.
+   *
+   * @async
+   * @param {string} tableroId - ID del tablero
+   * @param {number|null} intervalMonths - Intervalo en meses, o null para dejar de programar
+   * @param {string} [tableroNombre] - Nombre del tablero para el texto del recordatorio
+   * @returns {Promise<Object>} Resultado {success, data, error} con la programación guardada
+   */
+  async setInterval(tableroId, intervalMonths, tableroNombre) {
+    try {
+      const schedules = await this.loadAll();
+      const current = schedules[tableroId] || {};
+
+      const schedule = {
+        ...current,
+        intervalMonths: intervalMonths || null,
+        startDate: intervalMonths ? current.startDate || MantenimientoModel.today() : null,
+        tableroNombre: tableroNombre || current.tableroNombre || '',
+      };
+      schedule.notificationId = await this.scheduleReminder(tableroId, schedule);
+
+      schedules[tableroId] = schedule;
+      await this.saveAll(schedules);
+
+      return {
+        success: true,
+        data: schedule,
+        error: null
+      };
+    } catch (error) {
+      console.error('Error en setInterval:', error);
+      return {
+        success: false,
+        data: null,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Registra la fecha de un mantenimiento realizado
+   * Solo se actualiza si es posterior al último conocido; reprograma el recordatorio.
+   *
+   * @async
+   * @param {string} tableroId - ID del tablero
+   * @param {string} fecha - Fecha del mantenimiento AAAA-MM-DD
+   * @returns {Promise<boolean>} true si la programación cambió
+   */
+  async registrarMantenimiento(tableroId, fecha) {
+    if (!tableroId || !MantenimientoModel.isValidDate(fecha)) return false;
+
+    const schedules = await this.loadAll();
+    const current = schedules[tableroId] || {};
+    if (current.lastMaintenance && current.lastMaintenance >= fecha) return false;
+
+    const schedule = { ...current, lastMaintenance: fecha };
+    schedule.notificationId = await this.scheduleReminder(tableroId, schedule);
+
+    schedules[tableroId] = schedule;
+    await this.saveAll(schedules);
+    return true;
+  }
+
+  /**
+   * Elimina la programación de un tablero y cancela su recordatorio
+   *
+   * @async
+   * @param {string} tableroId - ID del tablero eliminado
+   */
+  async removeTablero(tableroId) {
+    const schedules = await this.loadAll();
+    if (!schedules[tableroId]) return;
+
+    await this.cancelReminder(schedules[tableroId].notificationId);
+    delete schedules[tableroId];
+    await this.saveAll(schedules);
+  }
+
+  /**
+   * Mueve la programación de un ID a otro
+   * Se usa cuando un tablero creado sin conexión recibe su ID definitivo del servidor.
+   *
+   * @async
+   * @param {string} oldId - ID temporal
+   * @param {string} newId - ID asignado por el servidor
+   */
+  async reasignarTablero(oldId, newId) {
+    const schedules = await this.loadAll();
+    if (!schedules[oldId]) return;
+
+    const schedule = { ...schedules[oldId] };
+    schedule.notificationId = await this.scheduleReminder(newId, schedule);
+
+    schedules[newId] = schedule;
+    delete schedules[oldId];
+    await this.saveAll(schedules);
+  }
+
+  /**
+   * Cancela una notificación programada sin propagar errores
+   *
+   * @async
+   * @private
+   * @param {string|null} notificationId - ID devuelto por expo-notifications
+   */
+  async cancelReminder(notificationId) {
+    if (!notificationId) return;
+    try {
+      await Notifications.cancelScheduledNotificationAsync(notificationId);
+    } catch (error) {
+      console.error('Error al cancelar recordatorio:', error);
+    }
+  }
+
+  /**
+   * Programa el recordatorio local para la fecha de vencimiento
+   * Cancela el recordatorio anterior. No programa nada si no hay intervalo,
+   * si la fecha ya pasó o si el usuario no concede permisos.
+   *
+   * @async
+   * @private
+   * @param {string} tableroId - ID del tablero
+   * @param {Object} schedule - Programación del tablero
+   * @returns {Promise<string|null>} ID de la notificación programada
+   */
+  async scheduleReminder(tableroId, schedule) {
+    await this.cancelReminder(schedule.notificationId);
+
+    const dueDate = this.getDueDate(schedule);
+    if (!dueDate) return null;
+
+    const triggerDate = parseFecha(dueDate);
+    triggerDate.setHours(REMINDER_HOUR);
+    if (triggerDate <= new Date()) return null;
+
+    try {
+      const { granted } = await Notifications.requestPermissionsAsync();
+      if (!granted) return null;
+
+      if (Platform.OS === 'android') {
+        await Notifications.setNotificationChannelAsync(NOTIFICATION_CHANNEL_ID, {
+          name: 'Mantenimiento de tableros',
+          importance: Notifications.AndroidImportance.DEFAULT,
+        });
+      }
+
+      return await Notifications.scheduleNotificationAsync({
+        content: {
+          title: 'Mantenimiento programado',
+          body: `El tablero "${schedule.tableroNombre || tableroId}" requiere mantenimiento hoy.`,
+          data: { tableroId },
+        },
+        trigger: {
+          type: Notifications.SchedulableTriggerInputTypes.DATE,
+          date: triggerDate,
+          channelId: NOTIFICATION_CHANNEL_ID,
+        },
+      });
+    } catch (error) {
+      console.error('Error al programar recordatorio:', error);
+      return null;
+    }
+  }
+}
+
+/**
+ * Exporta una instancia única del servicio (Singleton)
+ * @type {MaintenanceScheduleService}
+ */
+export default new MaintenanceScheduleService();
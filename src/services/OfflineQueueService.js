@@ -0,0 +1,369 @@
+/**
+ * OfflineQueueService - Cola persistente de mutaciones de tableros
+ *
+ * Guarda en AsyncStorage las creaciones, ediciones y eliminaciones realizadas
+ * sin conexión y las reproduce en orden contra TableroService cuando el
+ * dispositivo vuelve a estar en línea. También sabe aplicar los cambios
+ * pendientes sobre una lista de tableros para que la UI los muestre de inmediato.
+ *
+ * Cada elemento de la cola tiene la forma:
+ * { id, type: 'create'|'update'|'delete', tableroId, data, label, status: 'pending'|'failed', error, createdAt }
+ *
+ * @class
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import TableroService from './TableroService';
+import EstadoHistorialService from './EstadoHistorialService';
+import MaintenanceScheduleService from './MaintenanceScheduleService';
+
+/**
+ * Clave de AsyncStorage donde se guarda la cola
+ * @constant {string}
+ */
+const STORAGE_KEY = '@tableros_mutation_queue';
+
+/**
+ * Prefijo de los IDs temporales de tableros creados sin conexión
+ * @constant {string}
+ */
+export const LOCAL_ID_PREFIX = 'local-';
+
+/**
+ * Indica si un ID corresponde a un tablero que aún no existe en el servidor
+ *
+ * @param {string} tableroId - ID del tablero
+ * @returns {boolean} true si el ID es temporal
+ */
+export const isLocalId = (tableroId) =>
+  typeof tableroId === 'string' && tableroId.startsWith(LOCAL_ID_PREFIX);
+
+/**
+ * Genera un ID único para elementos de la cola y tableros locales
+ * @returns {string} ID aleatorio basado en la fecha actual
+ */
+const generateId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+class OfflineQueueService {
+  /**
+   * Constructor del servicio
+   */
+  constructor() {
+    /** @type {Array<Object>} Elementos de la cola en orden de llegada */
+    this.queue = [];
+
+    /** @type {Set<Function>} Suscriptores a cambios de la cola */
+    this.listeners = new Set();
+
+    /** @type {Promise|null} Promesa de carga desde AsyncStorage */
+    this.readyPromise = null;
+
+    /** @type {Promise|null} Sincronización en curso (evita reproducciones simultáneas) */
+    this.flushPromise = null;
+  }
+
+  /**
+   * Carga la cola guardada en AsyncStorage (una sola vez)
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  init() {
+    if (!this.readyPromise) {
+      this.readyPromise = AsyncStorage.getItem(STORAGE_KEY)
+        .then(saved => {
+          this.queue = saved ? JSON.parse(saved) : [];
+          this.notify();
+        })
+        .catch(error => {
+          console.error('Error al cargar la cola offline:', error);
+        });
+    }
+    return this.readyPromise;
+  }
+
+  /**
+   * Obtiene una copia de la cola actual
+   * @returns {Array<Object>} Elementos de la cola
+   */
+  getQueue() {
+    return [...this.queue];
+  }
+
+  /**
+   * Indica si hay mutaciones esperando sincronización
+   * @returns {boolean} true si la cola no está vacía
+   */
+  hasPending() {
+    return this.queue.length > 0;
+  }
+
+  /**
+   * Suscribe un callback a los cambios de la cola
+   *
+   * @param {Function} listener - Recibe la cola actualizada
+   * @returns {Function} Función para cancelar la suscripción
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notifica a los suscriptores
+   * @private
+   */
+  notify() {
+    const snapshot = this.getQueue();
+    this.listeners.forEach(listener => listener(snapshot));
+  }
+
+  /**
+   * Guarda la cola en AsyncStorage y notifica a los suscriptores
+   *
+   * @async
+   * @private
+   */
+  async persist() {
+    this.notify();
+    try {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(this.queue));
+    } catch (error) {
+      console.error('Error al guardar la cola offline:', error);
+    }
+  }
+
+  /**
+   * Agrega una mutación a la cola
+   *
+   * Las mutaciones sobre tableros creados sin conexión se combinan con su
+   * creación pendiente: editar un tablero local actualiza los datos a crear y
+   * eliminarlo descarta la creación sin llamar al servidor.
+   *
+   * @async
+   * @param {Object} mutation - Mutación a encolar
+   * @param {string} mutation.type - 'create', 'update' o 'delete'
+   * @param {string} [mutation.tableroId] - ID del tablero (no aplica a 'create')
+   * @param {Object} [mutation.data] - Datos del tablero
+   * @param {string} [mutation.label] - Nombre del tablero para mostrar en la UI
+   * @returns {Promise<Object|null>} Elemento encolado, o null si se descartó una creación local
+   */
+  async enqueue({ type, tableroId, data = null, label = '' }) {
+    await this.init();
+
+    if (isLocalId(tableroId)) {
+      const createItem = this.queue.find(item => item.type === 'create' && item.tableroId === tableroId);
+
+      if (createItem && type === 'update') {
+        createItem.data = { ...createItem.data, ...data };
+        createItem.label = data?.nombre || createItem.label;
+        createItem.status = 'pending';
+        createItem.error = null;
+        await this.persist();
+        return createItem;
+      }
+
+      if (type === 'delete') {
+        this.queue = this.queue.filter(item => item.tableroId !== tableroId);
+        await this.persist();
+        return null;
+      }
+    }
+
+    const item = {
+      id: generateId(),
+      type,
+      tableroId: type === 'create' ? `${LOCAL_ID_PREFIX}${generateId()}` : tableroId,
+      data,
+      label: label || data?.nombre || '',
+      status: 'pending',
+      error: null,
+      createdAt: new Date().toISOString(),
+    };
+
+    this.queue.push(item);
+    await this.persist();
+    return item;
+  }
+
+  /**
+   * Marca un elemento fallido como pendiente para reintentarlo
+   *
+   * @async
+   * @param {string} itemId - ID del elemento de la cola
+   */
+  async retry(itemId) {
+    this.queue = this.queue.map(item =>
+      item.id === itemId ? { ...item, status: 'pending', error: null } : item
+    );
+    await this.persist();
+  }
+
+  /**
+   * Descarta un elemento de la cola sin sincronizarlo
+   * Si es una creación, también se descartan las mutaciones posteriores del mismo tablero.
+   *
+   * @async
+   * @param {string} itemId - ID del elemento de la cola
+   */
+  async discard(itemId) {
+    const target = this.queue.find(item => item.id === itemId);
+    if (!target) return;
+
+    this.queue = this.queue.filter(item =>
+      item.id !== itemId && !(target.type === 'create' && item.tableroId === target.tableroId)
+    );
+    await this.persist();
+  }
+
+  /**
+   * Aplica una mutación encolada sobre una lista de tableros
+   *
+   * @param {Array<Object>} tableros - Lista de tableros
+   * @param {Object} item - Elemento de la cola
+   * @returns {Array<Object>} Nueva lista con la mutación aplicada
+   */
+  applyItem(tableros = [], item) {
+    switch (item.type) {
+      case 'create':
+        return [{ ...item.data, id: item.tableroId }, ...tableros.filter(t => t.id !== item.tableroId)];
+      case 'update':
+        return tableros.map(t => (t.id === item.tableroId ? { ...t, ...item.data, id: t.id } : t));
+      case 'delete':
+        // Una eliminación fallida se mantiene visible para que el usuario vea el error
+        return item.status === 'failed' ? tableros : tableros.filter(t => t.id !== item.tableroId);
+      default:
+        return tableros;
+    }
+  }
+
+  /**
+   * Aplica todas las mutaciones pendientes sobre la lista recibida del servidor
+   *
+   * Con una lista paginada, las creaciones pendientes solo deben agregarse a la
+   * primera página para que no se repitan en cada página cargada.
+   *
+   * @async
+   * @param {Array<Object>} tableros - Lista de tableros del servidor
+   * @param {Object} [options] - Opciones
+   * @param {boolean} [options.includeCreates=true] - Agrega los tableros creados sin conexión
+   * @returns {Promise<Array<Object>>} Lista con los cambios locales aplicados
+   */
+  async applyPending(tableros = [], { includeCreates = true } = {}) {
+    await this.init();
+    return this.queue
+      .filter(item => includeCreates || item.type !== 'create')
+      .reduce((list, item) => this.applyItem(list, item), tableros);
+  }
+
+  /**
+   * Ejecuta un elemento de la cola contra TableroService
+   *
+   * @async
+   * @private
+   * @param {Object} item - Elemento de la cola
+   * @returns {Promise<Object>} Resultado del servicio
+   */
+  async execute(item) {
+    switch (item.type) {
+      case 'create':
+        return await TableroService.createTablero(item.data);
+      case 'update':
+        return await TableroService.updateTablero(item.tableroId, item.data);
+      case 'delete':
+        return await TableroService.deleteTablero(item.tableroId);
+      default:
+        return { success: false, data: null, error: `Tipo de mutación desconocido: ${item.type}` };
+    }
+  }
+
+  /**
+   * Reproduce la cola en orden contra el servidor
+   *
+   * - Se detiene si el dispositivo pierde la conexión (los elementos siguen pendientes)
+   * - Un rechazo del servidor marca el elemento como fallido y bloquea las
+   *   mutaciones posteriores del mismo tablero
+   * - Al crear un tablero, sus mutaciones posteriores pasan a usar el ID real
+   *
+   * @async
+   * @returns {Promise<Object>} Resumen de la sincronización
+   * @returns {number} returns.synced - Elementos sincronizados
+   * @returns {number} returns.failed - Elementos marcados como fallidos
+   */
+  flush() {
+    if (!this.flushPromise) {
+      this.flushPromise = this.runFlush().finally(() => {
+        this.flushPromise = null;
+      });
+    }
+    return this.flushPromise;
+  }
+
+  /**
+   * Implementación de flush
+   *
+   * @async
+   * @private
+   */
+  async runFlush() {
+    await this.init();
+
+    let synced = 0;
+    let failed = 0;
+    const blockedTableros = new Set(
+      this.queue.filter(item => item.status === 'failed').map(item => item.tableroId)
+    );
+
+    for (const { id } of this.getQueue()) {
+      // Se lee el elemento actual: una creación sincronizada antes le asigna el ID real
+      const item = this.queue.find(queued => queued.id === id);
+      if (!item || item.status === 'failed' || blockedTableros.has(item.tableroId)) {
+        continue;
+      }
+
+      const { isConnected } = await NetInfo.fetch();
+      if (!isConnected) break;
+
+      const result = await this.execute(item);
+
+      if (result.success) {
+        this.queue = this.queue.filter(queued => queued.id !== item.id);
+
+        if (item.type === 'create' && result.data?.id) {
+          this.queue = this.queue.map(queued =>
+            queued.tableroId === item.tableroId ? { ...queued, tableroId: result.data.id } : queued
+          );
+          await EstadoHistorialService.reasignarTablero(item.tableroId, result.data.id);
+          await MaintenanceScheduleService.reasignarTablero(item.tableroId, result.data.id);
+        }
+
+        synced += 1;
+        await this.persist();
+        continue;
+      }
+
+      // Si la conexión se perdió durante la petición, se reintenta en la próxima sincronización
+      const { isConnected: stillConnected } = await NetInfo.fetch();
+      if (!stillConnected) break;
+
+      this.queue = this.queue.map(queued =>
+        queued.id === item.id ? { ...queued, status: 'failed', error: result.error } : queued
+      );
+      blockedTableros.add(item.tableroId);
+      failed += 1;
+      await this.persist();
+    }
+
+    return { synced, failed };
+  }
+}
+
+/**
+ * Exporta una instancia única del servicio (Singleton)
+ * La cola es compartida por todos los hooks de mutación
+ * @type {OfflineQueueService}
+ */
+export default new OfflineQueueService();
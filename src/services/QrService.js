@@ -0,0 +1,143 @@
+/**
+ * QrService - Códigos QR y hojas de etiquetas de tableros
+ *
+ * Genera en el dispositivo el código QR (SVG) con el enlace profundo de cada
+ * tablero y arma una hoja de etiquetas imprimible en A4 (nombre, ubicación y
+ * QR, varias por página). La hoja se convierte a PDF con expo-print y se
+ * entrega a la hoja de compartir del sistema.
+ *
+ * @class
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import QRCode from 'qrcode';
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import { getTableroDeepLink } from '../navigation/deepLinks';
+import { isLocalId } from './OfflineQueueService';
+import ReportService from './ReportService';
+
+/**
+ * Etiquetas por página: 3 columnas x 5 filas en A4
+ * @constant {number}
+ */
+export const LABELS_PER_PAGE = 15;
+
+/**
+ * Estilos de la hoja de etiquetas
+ * @constant {string}
+ */
+const LABEL_SHEET_STYLES = `
+  @page { size: A4; margin: 10mm; }
+  body { font-family: -apple-system, Roboto, Helvetica, Arial, sans-serif; margin: 0; color: #1a202c; }
+  .page { display: grid; grid-template-columns: repeat(3, 1fr); grid-auto-rows: 54mm; gap: 3mm; page-break-after: always; }
+  .page:last-child { page-break-after: auto; }
+  .label { border: 1px dashed #a0aec0; border-radius: 3mm; padding: 3mm; display: flex; flex-direction: column; align-items: center; justify-content: center; text-align: center; overflow: hidden; }
+  .label svg { width: 32mm; height: 32mm; }
+  .nombre { font-size: 11pt; font-weight: bold; margin-top: 2mm; max-width: 100%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .ubicacion { font-size: 8pt; color: #4a5568; max-width: 100%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+`;
+
+class QrService {
+  /**
+   * Genera un código QR como SVG
+   *
+   * @async
+   * @param {string} value - Texto a codificar
+   * @returns {Promise<string>} Documento SVG del código QR
+   */
+  toSvg(value) {
+    return QRCode.toString(value, { type: 'svg', margin: 1, errorCorrectionLevel: 'M' });
+  }
+
+  /**
+   * Genera el código QR con el enlace profundo de un tablero
+   *
+   * @async
+   * @param {string} tableroId - ID del tablero
+   * @returns {Promise<string>} Documento SVG del código QR
+   */
+  getTableroQrSvg(tableroId) {
+    return this.toSvg(getTableroDeepLink(tableroId));
+  }
+
+  /**
+   * Genera el HTML de la hoja de etiquetas
+   *
+   * @async
+   * @param {Array<Object>} tableros - Tableros con ID del servidor
+   * @returns {Promise<string>} Documento HTML con LABELS_PER_PAGE etiquetas por página
+   */
+  async buildLabelSheetHtml(tableros) {
+    const esc = (value) => ReportService.escapeHtml(value);
+    const labels = [];
+
+    for (const tablero of tableros) {
+      const svg = await this.getTableroQrSvg(tablero.id);
+      labels.push(`
+        <div class="label">
+          ${svg}
+          <div class="nombre">${esc(tablero.nombre)}</div>
+          <div class="ubicacion">${esc(tablero.ubicacion)}</div>
+        </div>`);
+    }
+
+    const pages = [];
+    for (let start = 0; start < labels.length; start += LABELS_PER_PAGE) {
+      pages.push(`<div class="page">${labels.slice(start, start + LABELS_PER_PAGE).join('')}</div>`);
+    }
+
+    return `<!DOCTYPE html>
+<html lang="es">
+  <head>
+    <meta charset="utf-8" />
+    <style>${LABEL_SHEET_STYLES}</style>
+  </head>
+  <body>${pages.join('')}</body>
+</html>`;
+  }
+
+  /**
+   * Genera el PDF de etiquetas y abre la hoja de compartir
+   *
+   * Los tableros pendientes de sincronizar se omiten porque su ID local no
+   * sirve como enlace.
+   *
+   * @async
+   * @param {Array<Object>} tableros - Tableros a etiquetar
+   * @returns {Promise<Object>} Resultado {success, data, error}
+   * @returns {Object} returns.data - { uri, skipped } con la URI del PDF y la cantidad de tableros omitidos
+   */
+  async exportLabelSheet(tableros) {
+    try {
+      const printable = tableros.filter(tablero => !isLocalId(tablero.id));
+      if (printable.length === 0) {
+        return { success: false, data: null, error: 'Los tableros seleccionados aún no se sincronizaron con el servidor' };
+      }
+
+      const { uri } = await Print.printToFileAsync({ html: await this.buildLabelSheetHtml(printable) });
+
+      if (!(await Sharing.isAvailableAsync())) {
+        return { success: false, data: null, error: 'Compartir archivos no está disponible en este dispositivo' };
+      }
+
+      await Sharing.shareAsync(uri, {
+        mimeType: 'application/pdf',
+        dialogTitle: 'Etiquetas QR de tableros',
+        UTI: 'com.adobe.pdf',
+      });
+
+      return { success: true, data: { uri, skipped: tableros.length - printable.length }, error: null };
+    } catch (error) {
+      console.error('Error en exportLabelSheet:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+}
+
+/**
+ * Exporta una instancia única del servicio (Singleton)
+ * @type {QrService}
+ */
+export default new QrService();
@@ -0,0 +1,143 @@
+/**
+ * RecentlyDeletedService - Tableros eliminados recientemente
+ *
+ * Guarda en AsyncStorage una copia de los datos de cada tablero eliminado
+ * para poder restaurarlo (volviéndolo a crear en el servidor). Se conservan
+ * los eliminados de la sesión actual y de la sesión anterior de la app;
+ * al iniciar una sesión nueva se descartan los más antiguos.
+ *
+ * Cada elemento tiene la forma: { tablero, deletedAt }
+ *
+ * @class
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Clave de AsyncStorage donde se guardan los tableros eliminados
+ * @constant {string}
+ */
+const STORAGE_KEY = '@tableros_eliminados_recientes';
+
+class RecentlyDeletedService {
+  /**
+   * Constructor del servicio
+   */
+  constructor() {
+    /** @type {Promise|null} Inicio de sesión en curso (se ejecuta una sola vez) */
+    this.sessionPromise = null;
+  }
+
+  /**
+   * Inicia la sesión actual (una sola vez por ejecución de la app)
+   * Los eliminados de la sesión anterior pasan a "previous" y se descartan los más antiguos.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  startSession() {
+    if (!this.sessionPromise) {
+      this.sessionPromise = (async () => {
+        try {
+          const { current } = await this.load();
+          await this.save({ current: [], previous: current });
+        } catch (error) {
+          console.error('Error al iniciar sesión de eliminados:', error);
+        }
+      })();
+    }
+    return this.sessionPromise;
+  }
+
+  /**
+   * Lee los eliminados guardados
+   *
+   * @async
+   * @private
+   * @returns {Promise<Object>} { current, previous }
+   */
+  async load() {
+    const saved = await AsyncStorage.getItem(STORAGE_KEY);
+    const parsed = saved ? JSON.parse(saved) : {};
+    return { current: parsed.current || [], previous: parsed.previous || [] };
+  }
+
+  /**
+   * Guarda los eliminados en AsyncStorage
+   *
+   * @async
+   * @private
+   * @param {Object} data - { current, previous }
+   */
+  async save(data) {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+  }
+
+  /**
+   * Obtiene los tableros eliminados en esta sesión y en la anterior
+   *
+   * @async
+   * @returns {Promise<Array<Object>>} Elementos del más reciente al más antiguo
+   */
+  async getItems() {
+    try {
+      await this.startSession();
+      const { current, previous } = await this.load();
+      return [...current, ...previous].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    } catch (error) {
+      console.error('Error al cargar tableros eliminados:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Registra un tablero eliminado
+   *
+   * @async
+   * @param {Object} tablero - Datos del tablero antes de eliminarlo
+   * @returns {Promise<boolean>} true si se guardó correctamente
+   */
+  async registrar(tablero) {
+    try {
+      await this.startSession();
+      const { current, previous } = await this.load();
+      const item = { tablero, deletedAt: new Date().toISOString() };
+      await this.save({
+        current: [item, ...current.filter(entry => entry.tablero.id !== tablero.id)],
+        previous,
+      });
+      return true;
+    } catch (error) {
+      console.error('Error al registrar tablero eliminado:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Quita un tablero de la lista de eliminados (tras restaurarlo)
+   *
+   * @async
+   * @param {string} tableroId - ID que tenía el tablero eliminado
+   * @returns {Promise<boolean>} true si se actualizó correctamente
+   */
+  async remove(tableroId) {
+    try {
+      await this.startSession();
+      const { current, previous } = await this.load();
+      const keep = entry => entry.tablero.id !== tableroId;
+      await this.save({ current: current.filter(keep), previous: previous.filter(keep) });
+      return true;
+    } catch (error) {
+      console.error('Error al quitar tablero eliminado:', error);
+      return false;
+    }
+  }
+}
+
+/**
+ * Exporta una instancia única del servicio (Singleton)
+ * @type {RecentlyDeletedService}
+ */
+export default new RecentlyDeletedService();
@@ -0,0 +1,206 @@
+/**
+ * ReportService - Informes de inspección en PDF
+ *
+ * Genera en el dispositivo un informe de inspección a partir de uno o varios
+ * tableros: datos del tablero, estado, notas de mantenimiento, observaciones
+ * y nombre del inspector, con espacio para las firmas. La plantilla HTML se
+ * convierte a PDF con expo-print y el archivo se entrega a la hoja de
+ * compartir del sistema. No se envía nada a la API.
+ *
+ * @class
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import TableroElectricoModel from '../models/TableroElectricoModel';
+
+/**
+ * Colores de la insignia de estado en el informe impreso
+ * @constant {Object<string, string>}
+ */
+const ESTADO_PRINT_COLORS = {
+  'Operativo': '#2f855a',
+  'Mantenimiento': '#c05621',
+  'Fuera de servicio': '#c53030',
+};
+
+/**
+ * Estilos de la plantilla, pensados para impresión en A4
+ * @constant {string}
+ */
+const REPORT_STYLES = `
+  @page { size: A4; margin: 18mm 15mm; }
+  body { font-family: -apple-system, Roboto, Helvetica, Arial, sans-serif; color: #1a202c; font-size: 12px; }
+  header { border-bottom: 3px solid #ff8c42; padding-bottom: 8px; margin-bottom: 16px; }
+  header h1 { font-size: 22px; margin: 0; color: #ff8c42; }
+  header p { margin: 2px 0; color: #4a5568; }
+  section.tablero { page-break-inside: avoid; border: 1px solid #e2e8f0; border-radius: 6px; padding: 12px; margin-bottom: 14px; }
+  h2 { font-size: 16px; margin: 0 0 8px 0; }
+  h3 { font-size: 13px; margin: 12px 0 6px 0; color: #4a5568; }
+  table { width: 100%; border-collapse: collapse; }
+  td, th { text-align: left; padding: 4px 6px; border-bottom: 1px solid #edf2f7; vertical-align: top; }
+  th { background: #f7fafc; font-weight: 600; }
+  td.label { width: 35%; color: #4a5568; }
+  .estado { display: inline-block; color: #ffffff; padding: 2px 8px; border-radius: 10px; font-size: 11px; font-weight: 600; }
+  .muted { color: #718096; font-style: italic; }
+  .observaciones { white-space: pre-wrap; border: 1px solid #e2e8f0; border-radius: 6px; padding: 10px; }
+  .firmas { display: flex; justify-content: space-between; margin-top: 48px; page-break-inside: avoid; }
+  .firma { width: 45%; text-align: center; border-top: 1px solid #1a202c; padding-top: 6px; }
+`;
+
+class ReportService {
+  /**
+   * Escapa un valor para insertarlo en el HTML del informe
+   *
+   * @param {*} value - Valor a mostrar
+   * @returns {string} Texto seguro para HTML
+   */
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Genera la sección de un tablero con sus datos y mantenimientos
+   *
+   * @param {TableroElectricoModel} tablero - Tablero a mostrar
+   * @param {Array<Object>|null} mantenimientos - Registros del tablero, o null si no se incluyen o no están disponibles
+   * @returns {string} HTML de la sección
+   */
+  buildTableroSection(tablero, mantenimientos) {
+    const esc = (value) => this.escapeHtml(value);
+    const rows = [
+      ['Ubicación', tablero.ubicacion],
+      ['Marca', tablero.marca],
+      ['Capacidad', `${tablero.capacidad_amperios} A`],
+      ['Año de fabricación', tablero.ano_fabricacion],
+      ['Año de instalación', `${tablero.ano_instalacion} (${tablero.getEdad()} años)`],
+    ];
+
+    let mantenimientosHtml = '';
+    if (mantenimientos) {
+      mantenimientosHtml = mantenimientos.length === 0
+        ? '<p class="muted">Sin mantenimientos registrados.</p>'
+        : `<table>
+            <tr><th>Fecha</th><th>Tipo</th><th>Técnico</th><th>Hallazgos</th><th>Próxima</th></tr>
+            ${mantenimientos.map(mantenimiento => `
+              <tr>
+                <td>${esc(mantenimiento.fecha)}</td>
+                <td>${esc(mantenimiento.tipo)}</td>
+                <td>${esc(mantenimiento.tecnico)}</td>
+                <td>${esc(mantenimiento.hallazgos)}</td>
+                <td>${esc(mantenimiento.proxima_fecha || '—')}</td>
+              </tr>`).join('')}
+          </table>`;
+      mantenimientosHtml = `<h3>Notas de mantenimiento</h3>${mantenimientosHtml}`;
+    }
+
+    return `
+      <section class="tablero">
+        <h2>
+          ${esc(tablero.nombre)}
+          <span class="estado" style="background: ${ESTADO_PRINT_COLORS[tablero.estado] || '#718096'}">${esc(tablero.estado)}</span>
+        </h2>
+        <table>
+          ${rows.map(([label, value]) => `<tr><td class="label">${label}</td><td>${esc(value)}</td></tr>`).join('')}
+        </table>
+        ${mantenimientosHtml}
+      </section>`;
+  }
+
+  /**
+   * Genera el HTML completo del informe
+   *
+   * @param {Object} options - Contenido del informe
+   * @param {Array<Object>} options.tableros - Tableros (JSON o TableroElectricoModel)
+   * @param {Object<string, Array<Object>>} [options.mantenimientos] - Registros por ID de tablero; si falta un ID no se muestra la sección
+   * @param {string} options.inspector - Nombre del inspector
+   * @param {string} [options.observaciones] - Observaciones generales de la visita
+   * @param {Date} [options.fecha] - Fecha del informe
+   * @returns {string} Documento HTML
+   */
+  buildHtml({ tableros, mantenimientos = {}, inspector, observaciones = '', fecha = new Date() }) {
+    const esc = (value) => this.escapeHtml(value);
+    const fechaTexto = fecha.toLocaleDateString('es', { day: '2-digit', month: 'long', year: 'numeric' });
+    const titulo = tableros.length === 1 ? 'Informe de inspección' : `Informe de inspección · ${tableros.length} tableros`;
+
+    const secciones = tableros
+      .map(data => {
+        const tablero = TableroElectricoModel.fromJSON(data);
+        return this.buildTableroSection(tablero, mantenimientos[data.id] || null);
+      })
+      .join('');
+
+    return `<!DOCTYPE html>
+<html lang="es">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <style>${REPORT_STYLES}</style>
+  </head>
+  <body>
+    <header>
+      <h1>${esc(titulo)}</h1>
+      <p>Fecha: ${esc(fechaTexto)}</p>
+      <p>Inspector: ${esc(inspector)}</p>
+    </header>
+    ${secciones}
+    <h3>Observaciones</h3>
+    <div class="observaciones">${observaciones.trim() ? esc(observaciones.trim()) : '<span class="muted">Sin observaciones.</span>'}</div>
+    <div class="firmas">
+      <div class="firma">${esc(inspector)}<br />Inspector</div>
+      <div class="firma">&nbsp;<br />Conformidad del cliente</div>
+    </div>
+  </body>
+</html>`;
+  }
+
+  /**
+   * Genera el PDF del informe y abre la hoja de compartir
+   *
+   * @async
+   * @param {Object} options - Mismas opciones que buildHtml
+   * @returns {Promise<Object>} Resultado {success, data, error} con la URI del PDF
+   */
+  async exportReport(options) {
+    try {
+      if (!options.inspector || options.inspector.trim() === '') {
+        return { success: false, data: null, error: 'El nombre del inspector es requerido' };
+      }
+      if (options.tableros.length === 0) {
+        return { success: false, data: null, error: 'No hay tableros para el informe' };
+      }
+
+      const { uri } = await Print.printToFileAsync({
+        html: this.buildHtml({ ...options, inspector: options.inspector.trim() }),
+      });
+
+      if (!(await Sharing.isAvailableAsync())) {
+        return { success: false, data: null, error: 'Compartir archivos no está disponible en este dispositivo' };
+      }
+
+      await Sharing.shareAsync(uri, {
+        mimeType: 'application/pdf',
+        dialogTitle: 'Compartir informe de inspección',
+        UTI: 'com.adobe.pdf',
+      });
+
+      return { success: true, data: uri, error: null };
+    } catch (error) {
+      console.error('Error en exportReport:', error);
+      return { success: false, data: null, error: error.message };
+    }
+  }
+}
+
+/**
+ * Exporta una instancia única del servicio (Singleton)
+ * @type {ReportService}
+ */
+export default new ReportService();
@@ -0,0 +1,93 @@
+/**
+ * TableroImportService - Lectura de archivos de importación de tableros
+ *
+ * Abre el selector de documentos del sistema y convierte un archivo CSV o
+ * JSON en una lista de registros planos (objetos con los valores tal como
+ * vienen en el archivo). La correspondencia con los campos del modelo y la
+ * validación se realizan en TableroController.
+ *
+ * @class
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ */
+
+import * as DocumentPicker from 'expo-document-picker';
+import { File } from 'expo-file-system';
+import CsvService from './CsvService';
+
+/**
+ * Tipos de archivo aceptados por el selector
+ * @constant {Array<string>}
+ */
+const ACCEPTED_TYPES = [
+  'text/csv',
+  'text/comma-separated-values',
+  'application/json',
+  'text/plain',
+];
+
+class TableroImportService {
+  /**
+   * Interpreta el contenido de un archivo según su extensión
+   *
+   * Un JSON puede ser un array de tableros o un objeto { items: [...] },
+   * como el que devuelve la API paginada. Cada tablero debe ser un objeto.
+   *
+   * @param {string} text - Contenido del archivo
+   * @param {string} fileName - Nombre del archivo (define el formato)
+   * @returns {Array<Object>} Registros del archivo
+   * @throws {Error} Si el formato no es válido
+   */
+  parseContent(text, fileName) {
+    if (fileName.toLowerCase().endsWith('.json')) {
+      const parsed = JSON.parse(text);
+      const records = Array.isArray(parsed) ? parsed : parsed?.items;
+      const isRecord = (record) => record !== null && typeof record === 'object' && !Array.isArray(record);
+      if (!Array.isArray(records) || !records.every(isRecord)) {
+        throw new Error('El JSON debe contener un array de tableros');
+      }
+      return records;
+    }
+
+    return CsvService.parse(text);
+  }
+
+  /**
+   * Permite elegir un archivo CSV o JSON y lo lee
+   *
+   * @async
+   * @returns {Promise<Object>} Resultado {success, data, error}
+   * @returns {Object|null} returns.data - { fileName, records }, o null si se canceló la selección
+   */
+  async pickFile() {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ACCEPTED_TYPES,
+        copyToCacheDirectory: true,
+      });
+
+      if (result.canceled) {
+        return { success: true, data: null, error: null };
+      }
+
+      const asset = result.assets[0];
+      const text = await new File(asset.uri).text();
+      const records = this.parseContent(text, asset.name);
+
+      if (records.length === 0) {
+        return { success: false, data: null, error: 'El archivo no contiene tableros' };
+      }
+
+      return { success: true, data: { fileName: asset.name, records }, error: null };
+    } catch (error) {
+      console.error('Error en pickFile:', error);
+      return { success: false, data: null, error: `No se pudo leer el archivo: ${error.message}` };
+    }
+  }
+}
+
+/**
+ * Exporta una instancia única del servicio (Singleton)
+ * @type {TableroImportService}
+ */
+export default new TableroImportService();
@@ -2,19 +2,34 @@
  * TableroService - Servicio de API para tableros eléctricos
  * 
  * Capa de servicio que encapsula todas las llamadas HTTP a la API REST.
- * Maneja la comunicación con el backend, serialización/deserialización de datos,
- * manejo de errores HTTP y transformación de respuestas a formato estándar.
+ * Las peticiones pasan por HttpClient (URL base del entorno activo, tiempo de
+ * espera, cancelación y reintentos) y este servicio transforma sus respuestas
+ * al formato estándar. Las lecturas aceptan el `signal` de React Query; las
+ * escrituras no se reintentan, para no duplicarlas.
+ * Los fallos se clasifican con los errores tipados de errors/AppError: cada
+ * resultado fallido incluye el error en `appError` y su mensaje en `error`.
  * 
  * @class
  * @author Francis Daniel Mamani Silva
  * @version 1.0.0
  */
 
+import HttpClient from './HttpClient';
+import { NotFoundError, toAppError } from '../errors/AppError';
+
 /**
- * URL base de la API REST
- * @constant {string}
+ * Construye una query string omitiendo los valores vacíos
+ * Los arrays se envían como parámetros repetidos (estado=A&estado=B), como espera FastAPI.
+ * 
+ * @param {Object} params - Parámetros a codificar
+ * @returns {string} Query string sin el signo '?'
  */
-const API_BASE_URL = 'https://remsprueback.onrender.com';
+const buildQueryString = (params) =>
+  Object.entries(params)
+    .flatMap(([key, value]) => (Array.isArray(value) ? value.map(item => [key, item]) : [[key, value]]))
+    .filter(([, value]) => value !== undefined && value !== null && String(value).trim() !== '')
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
 
 class TableroService {
   /**
@@ -28,34 +43,127 @@ class TableroService {
    * @returns {boolean} returns.success - Indica si la petición fue exitosa
    * @returns {Array|null} returns.data - Array de tableros o null si hay error
    * @returns {string|null} returns.error - Mensaje de error si ocurrió alguno
+   * @returns {AppError} [returns.appError] - Error tipado si la operación falló
    */
   async getAllTableros() {
     try {
-      const response = await fetch(`${API_BASE_URL}/tableros/`, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json',
-        },
+      const data = await HttpClient.get('/tableros/');
+      
+      return {
+        success: true,
+        data: data,
+        error: null
+      };
+    } catch (error) {
+      console.error('Error en getAllTableros:', error);
+      const appError = toAppError(error);
+      return {
+        success: false,
+        data: null,
+        error: appError.message,
+        appError
+      };
+    }
+  }
+
+  /**
+   * Obtiene una página de tableros filtrada y ordenada por el servidor
+   * 
+   * Envía a GET /tableros/ los parámetros skip/limit, el término de búsqueda `q`,
+   * los filtros combinables y el orden. Acepta tanto la respuesta paginada
+   * `{ items, total }` como un array simple de tableros.
+   * 
+   * @async
+   * @param {Object} params - Parámetros de la página
+   * @param {number} params.skip - Cantidad de tableros a omitir
+   * @param {number} params.limit - Tamaño de la página
+   * @param {string} [params.q] - Término de búsqueda
+   * @param {Object} [params.filters] - Filtros (forma de DEFAULT_FILTERS)
+   * @param {Object} [params.sort] - Orden { field, direction }
+   * @param {AbortSignal} [params.signal] - Señal para cancelar la petición
+   * @returns {Promise<Object>} Resultado de la operación
+   * @returns {boolean} returns.success - Indica si la petición fue exitosa
+   * @returns {Object|null} returns.data - { items, total } (total es null si el servidor no lo informa)
+   * @returns {string|null} returns.error - Mensaje de error si ocurrió alguno
+   * @returns {AppError} [returns.appError] - Error tipado si la operación falló
+   */
+  async getTablerosPage({ skip, limit, q, filters = {}, sort, signal }) {
+    try {
+      const query = buildQueryString({
+        skip,
+        limit,
+        q: q?.trim(),
+        estado: filters.estados,
+        marca: filters.marcas,
+        capacidad_min: filters.capacidadMin,
+        capacidad_max: filters.capacidadMax,
+        instalacion_desde: filters.instalacionDesde,
+        instalacion_hasta: filters.instalacionHasta,
+        ubicacion_prefijo: filters.ubicacionPrefijo?.trim(),
+        ano_fabricacion: filters.anoFabricacion,
+        sort_by: sort?.field,
+        order: sort?.direction,
       });
 
-      if (!response.ok) {
-        throw new Error(`Error al obtener tableros: ${response.status}`);
-      }
+      const data = await HttpClient.get(`/tableros/?${query}`, { signal });
+      const items = Array.isArray(data) ? data : data.items || [];
 
-      const data = await response.json();
-      
+      return {
+        success: true,
+        data: {
+          items,
+          total: Array.isArray(data) ? null : data.total ?? null,
+        },
+        error: null
+      };
+    } catch (error) {
+      // Las peticiones canceladas por React Query no son errores
+      if (!signal?.aborted) console.error('Error en getTablerosPage:', error);
+      const appError = toAppError(error);
+      return {
+        success: false,
+        data: null,
+        error: appError.message,
+        appError
+      };
+    }
+  }
+
+  /**
+   * Obtiene un tablero eléctrico por su ID
+   * 
+   * Realiza una petición GET al endpoint del tablero.
+   * El caso 404 se informa con NotFoundError para que la UI indique que el tablero ya no existe.
+   * 
+   * @async
+   * @param {string} tableroId - ID único del tablero
+   * @param {Object} [options] - Opciones de la petición
+   * @param {AbortSignal} [options.signal] - Señal para cancelar la petición (React Query)
+   * @returns {Promise<Object>} Resultado de la operación
+   * @returns {boolean} returns.success - Indica si la petición fue exitosa
+   * @returns {Object|null} returns.data - Tablero o null si hay error
+   * @returns {string|null} returns.error - Mensaje de error si ocurrió alguno
+   * @returns {AppError} [returns.appError] - Error tipado si la operación falló
+   */
+  async getTableroById(tableroId, { signal } = {}) {
+    try {
+      const data = await HttpClient.get(`/tableros/${tableroId}`, { signal });
       return {
         success: true,
         data: data,
         error: null
       };
     } catch (error) {
-      console.error('Error en getAllTableros:', error);
+      // Las peticiones canceladas por React Query no son errores
+      if (!signal?.aborted) console.error('Error en getTableroById:', error);
+      const appError = error instanceof NotFoundError
+        ? new NotFoundError('El tablero no existe o fue eliminado.')
+        : toAppError(error);
       return {
         success: false,
         data: null,
-        error: error.message
+        error: appError.message,
+        appError
       };
     }
   }
@@ -64,6 +172,7 @@ class TableroService {
    * Crea un nuevo tablero eléctrico en la API
    * 
    * Envía una petición POST con los datos del tablero.
+   * No se reintenta, para no crear el tablero dos veces.
    * Si el servidor devuelve detalles del error, los incluye en la respuesta.
    * 
    * @async
@@ -72,24 +181,11 @@ class TableroService {
    * @returns {boolean} returns.success - Indica si se creó exitosamente
    * @returns {Object|null} returns.data - Tablero creado con ID asignado
    * @returns {string|null} returns.error - Mensaje de error si ocurrió alguno
+   * @returns {AppError} [returns.appError] - Error tipado si la operación falló
    */
   async createTablero(tableroData) {
     try {
-      const response = await fetch(`${API_BASE_URL}/tableros/`, {
-        method: 'POST',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(tableroData),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.detail || `Error al crear tablero: ${response.status}`);
-      }
-
-      const data = await response.json();
+      const data = await HttpClient.post('/tableros/', tableroData);
       return {
         success: true,
         data: data,
@@ -97,10 +193,12 @@ class TableroService {
       };
     } catch (error) {
       console.error('Error en createTablero:', error);
+      const appError = toAppError(error);
       return {
         success: false,
         data: null,
-        error: error.message
+        error: appError.message,
+        appError
       };
     }
   }
@@ -118,24 +216,11 @@ class TableroService {
    * @returns {boolean} returns.success - Indica si se actualizó exitosamente
    * @returns {Object|null} returns.data - Tablero actualizado
    * @returns {string|null} returns.error - Mensaje de error si ocurrió alguno
+   * @returns {AppError} [returns.appError] - Error tipado si la operación falló
    */
   async updateTablero(tableroId, tableroData) {
     try {
-      const response = await fetch(`${API_BASE_URL}/tableros/${tableroId}`, {
-        method: 'PATCH',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(tableroData),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.detail || `Error al actualizar tablero: ${response.status}`);
-      }
-
-      const data = await response.json();
+      const data = await HttpClient.patch(`/tableros/${tableroId}`, tableroData);
       return {
         success: true,
         data: data,
@@ -143,10 +228,12 @@ class TableroService {
       };
     } catch (error) {
       console.error('Error en updateTablero:', error);
+      const appError = toAppError(error);
       return {
         success: false,
         data: null,
-        error: error.message
+        error: appError.message,
+        appError
       };
     }
   }
@@ -155,7 +242,8 @@ class TableroService {
    * Elimina un tablero eléctrico de la API
    * 
    * Envía una petición DELETE al endpoint específico del tablero.
-   * La eliminación es permanente y no se puede revertir.
+   * La eliminación es permanente; la opción de deshacer se gestiona antes de
+   * llamar a este método (UndoDeleteContext).
    * Maneja respuestas vacías del servidor (común en operaciones DELETE).
    * 
    * @async
@@ -164,23 +252,12 @@ class TableroService {
    * @returns {boolean} returns.success - Indica si se eliminó exitosamente
    * @returns {Object|null} returns.data - Mensaje de confirmación o null
    * @returns {string|null} returns.error - Mensaje de error si ocurrió alguno
+   * @returns {AppError} [returns.appError] - Error tipado si la operación falló
    */
   async deleteTablero(tableroId) {
     try {
-      const response = await fetch(`${API_BASE_URL}/tableros/${tableroId}`, {
-        method: 'DELETE',
-        headers: {
-          'Accept': 'application/json',
-        },
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.detail || `Error al eliminar tablero: ${response.status}`);
-      }
-
       // DELETE puede retornar vacío o un mensaje de confirmación
-      const data = await response.json().catch(() => ({ message: 'Eliminado exitosamente' }));
+      const data = (await HttpClient.delete(`/tableros/${tableroId}`)) ?? { message: 'Eliminado exitosamente' };
       return {
         success: true,
         data: data,
@@ -188,10 +265,209 @@ class TableroService {
       };
     } catch (error) {
       console.error('Error en deleteTablero:', error);
+      const appError = toAppError(error);
+      return {
+        success: false,
+        data: null,
+        error: appError.message,
+        appError
+      };
+    }
+  }
+
+  /**
+   * Obtiene los circuitos (interruptores) de un tablero
+   * 
+   * @async
+   * @param {string} tableroId - ID único del tablero
+   * @param {Object} [options] - Opciones de la petición
+   * @param {AbortSignal} [options.signal] - Señal para cancelar la petición (React Query)
+   * @returns {Promise<Object>} Resultado de la operación
+   * @returns {boolean} returns.success - Indica si la petición fue exitosa
+   * @returns {Array|null} returns.data - Array de circuitos o null si hay error
+   * @returns {string|null} returns.error - Mensaje de error si ocurrió alguno
+   * @returns {AppError} [returns.appError] - Error tipado si la operación falló
+   */
+  async getCircuitos(tableroId, { signal } = {}) {
+    try {
+      const data = await HttpClient.get(`/tableros/${tableroId}/circuitos`, { signal });
+      return {
+        success: true,
+        data: data,
+        error: null
+      };
+    } catch (error) {
+      // Las peticiones canceladas por React Query no son errores
+      if (!signal?.aborted) console.error('Error en getCircuitos:', error);
+      const appError = toAppError(error);
+      return {
+        success: false,
+        data: null,
+        error: appError.message,
+        appError
+      };
+    }
+  }
+
+  /**
+   * Agrega un circuito a un tablero
+   * 
+   * @async
+   * @param {string} tableroId - ID único del tablero
+   * @param {Object} circuitoData - Datos del circuito
+   * @returns {Promise<Object>} Resultado de la operación
+   * @returns {boolean} returns.success - Indica si se creó exitosamente
+   * @returns {Object|null} returns.data - Circuito creado con ID asignado
+   * @returns {string|null} returns.error - Mensaje de error si ocurrió alguno
+   * @returns {AppError} [returns.appError] - Error tipado si la operación falló
+   */
+  async createCircuito(tableroId, circuitoData) {
+    try {
+      const data = await HttpClient.post(`/tableros/${tableroId}/circuitos`, circuitoData);
+      return {
+        success: true,
+        data: data,
+        error: null
+      };
+    } catch (error) {
+      console.error('Error en createCircuito:', error);
+      const appError = toAppError(error);
+      return {
+        success: false,
+        data: null,
+        error: appError.message,
+        appError
+      };
+    }
+  }
+
+  /**
+   * Actualiza un circuito de un tablero (actualización parcial)
+   * 
+   * @async
+   * @param {string} tableroId - ID único del tablero
+   * @param {string} circuitoId - ID único del circuito
+   * @param {Object} circuitoData - Datos actualizados del circuito
+   * @returns {Promise<Object>} Resultado de la operación
+   * @returns {boolean} returns.success - Indica si se actualizó exitosamente
+   * @returns {Object|null} returns.data - Circuito actualizado
+   * @returns {string|null} returns.error - Mensaje de error si ocurrió alguno
+   * @returns {AppError} [returns.appError] - Error tipado si la operación falló
+   */
+  async updateCircuito(tableroId, circuitoId, circuitoData) {
+    try {
+      const data = await HttpClient.patch(`/tableros/${tableroId}/circuitos/${circuitoId}`, circuitoData);
+      return {
+        success: true,
+        data: data,
+        error: null
+      };
+    } catch (error) {
+      console.error('Error en updateCircuito:', error);
+      const appError = toAppError(error);
+      return {
+        success: false,
+        data: null,
+        error: appError.message,
+        appError
+      };
+    }
+  }
+
+  /**
+   * Elimina un circuito de un tablero
+   * 
+   * @async
+   * @param {string} tableroId - ID único del tablero
+   * @param {string} circuitoId - ID único del circuito
+   * @returns {Promise<Object>} Resultado de la operación
+   * @returns {boolean} returns.success - Indica si se eliminó exitosamente
+   * @returns {Object|null} returns.data - Mensaje de confirmación o null
+   * @returns {string|null} returns.error - Mensaje de error si ocurrió alguno
+   * @returns {AppError} [returns.appError] - Error tipado si la operación falló
+   */
+  async deleteCircuito(tableroId, circuitoId) {
+    try {
+      const data = (await HttpClient.delete(`/tableros/${tableroId}/circuitos/${circuitoId}`)) ?? { message: 'Eliminado exitosamente' };
+      return {
+        success: true,
+        data: data,
+        error: null
+      };
+    } catch (error) {
+      console.error('Error en deleteCircuito:', error);
+      const appError = toAppError(error);
+      return {
+        success: false,
+        data: null,
+        error: appError.message,
+        appError
+      };
+    }
+  }
+
+  /**
+   * Obtiene los registros de mantenimiento de un tablero
+   * 
+   * @async
+   * @param {string} tableroId - ID único del tablero
+   * @param {Object} [options] - Opciones de la petición
+   * @param {AbortSignal} [options.signal] - Señal para cancelar la petición (React Query)
+   * @returns {Promise<Object>} Resultado de la operación
+   * @returns {boolean} returns.success - Indica si la petición fue exitosa
+   * @returns {Array|null} returns.data - Array de registros o null si hay error
+   * @returns {string|null} returns.error - Mensaje de error si ocurrió alguno
+   * @returns {AppError} [returns.appError] - Error tipado si la operación falló
+   */
+  async getMantenimientos(tableroId, { signal } = {}) {
+    try {
+      const data = await HttpClient.get(`/tableros/${tableroId}/mantenimientos`, { signal });
+      return {
+        success: true,
+        data: data,
+        error: null
+      };
+    } catch (error) {
+      // Las peticiones canceladas por React Query no son errores
+      if (!signal?.aborted) console.error('Error en getMantenimientos:', error);
+      const appError = toAppError(error);
+      return {
+        success: false,
+        data: null,
+        error: appError.message,
+        appError
+      };
+    }
+  }
+
+  /**
+   * Registra un mantenimiento para un tablero
+   * 
+   * @async
+   * @param {string} tableroId - ID único del tablero
+   * @param {Object} mantenimientoData - Datos del registro de mantenimiento
+   * @returns {Promise<Object>} Resultado de la operación
+   * @returns {boolean} returns.success - Indica si se creó exitosamente
+   * @returns {Object|null} returns.data - Registro creado con ID asignado
+   * @returns {string|null} returns.error - Mensaje de error si ocurrió alguno
+   * @returns {AppError} [returns.appError] - Error tipado si la operación falló
+   */
+  async createMantenimiento(tableroId, mantenimientoData) {
+    try {
+      const data = await HttpClient.post(`/tableros/${tableroId}/mantenimientos`, mantenimientoData);
+      return {
+        success: true,
+        data: data,
+        error: null
+      };
+    } catch (error) {
+      console.error('Error en createMantenimiento:', error);
+      const appError = toAppError(error);
       return {
         success: false,
         data: null,
-        error: error.message
+        error: appError.message,
+        appError
       };
     }
   }
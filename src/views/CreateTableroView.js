@@ -14,6 +14,10 @@
  * @param {Object} props - Props del componente
  * @param {Object} props.navigation - Objeto de navegación de React Navigation
  * @param {Function} props.navigation.navigate - Función para navegar entre pantallas
+ * @param {Object} [props.route] - Objeto de ruta con parámetros
+ * @param {Object} [props.route.params.initialData] - Datos para pre-cargar el formulario (ej. al duplicar)
+ * @param {string} [props.route.params.nombre] - Campos sueltos para pre-cargar el formulario desde un
+ *   enlace remsprueapp2://crear?nombre=...&marca=... (ver CREATE_PREFILL_FIELDS)
  * 
  * @returns {React.Component} Formulario de creación de tablero
  * 
@@ -22,13 +26,12 @@
  * <Tab.Screen name="Crear" component={CreateTableroView} />
  */
 
-import React, { useState, useRef } from 'react';
+import React, { useRef, useEffect, useMemo } from 'react';
 import {
   View,
   Text,
   StyleSheet,
   ScrollView,
-  TextInput,
   TouchableOpacity,
   Alert,
   ActivityIndicator,
@@ -37,15 +40,18 @@ import {
   Animated,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { Picker } from '@react-native-picker/picker';
 import { useTheme } from '../context/ThemeContext';
 import { useCreateTablero } from '../hooks/useTableros';
+import { useTableroForm } from '../hooks/useTableroForm';
+import TableroForm from '../components/TableroForm';
+import TableroElectricoModel from '../models/TableroElectricoModel';
+import { CREATE_PREFILL_FIELDS } from '../navigation/deepLinks';
 
 /**
  * Componente funcional del formulario de creación de tableros
  * 
  * Características:
- * - Formulario con validación de todos los campos requeridos
+ * - Formulario compartido (TableroForm) con errores por campo mientras se escribe
  * - React Query mutation para crear tableros con caché automático
  * - Header animado que se oculta/muestra al hacer scroll
  * - Tema dinámico (claro/oscuro)
@@ -54,10 +60,12 @@ import { useCreateTablero } from '../hooks/useTableros';
  * - Indicador de carga durante envío (ActivityIndicator)
  * - Navegación automática al Dashboard después de crear
  * - Botón de limpiar formulario con confirmación
+ * - Acceso a la importación de tableros desde un archivo CSV o JSON
+ * - Pre-carga desde el enlace remsprueapp2://crear con parámetros de consulta
  * 
  * @function
  */
-const CreateTableroView = ({ navigation }) => {
+const CreateTableroView = ({ navigation, route }) => {
   const { theme, isDarkMode, toggleTheme } = useTheme();
   
   /** React Query mutation hook para crear tableros */
@@ -74,110 +82,69 @@ const CreateTableroView = ({ navigation }) => {
     extrapolate: 'clamp',
   });
   
+  /** Estado del formulario y validación por campo (useTableroForm) */
+  const form = useTableroForm();
+
   /**
-   * Estado del formulario con valores iniciales
-   * @type {Object}
-   * @property {string} nombre - Nombre del tablero
-   * @property {string} ubicacion - Ubicación física del tablero
-   * @property {string} marca - Marca del fabricante
-   * @property {string} capacidad_amperios - Capacidad en amperios (como string para input)
-   * @property {string} ano_fabricacion - Año de fabricación
-   * @property {string} ano_instalacion - Año de instalación
-   * @property {string} estado - Estado actual (Operativo, Mantenimiento, Fuera de servicio)
+   * Datos recibidos para pre-cargar el formulario: initialData (al duplicar)
+   * o los campos sueltos de un enlace remsprueapp2://crear?...
+   * @type {Object|undefined}
    */
-  const [formData, setFormData] = useState({
-    nombre: '',
-    ubicacion: '',
-    marca: '',
-    capacidad_amperios: '',
-    ano_fabricacion: new Date().getFullYear().toString(),
-    ano_instalacion: new Date().getFullYear().toString(),
-    estado: 'Operativo',
-  });
+  const initialData = useMemo(() => {
+    const params = route?.params || {};
+    if (params.initialData) return params.initialData;
 
-  /** @const {Array<string>} Opciones disponibles para el estado del tablero */
-  const estadoOptions = ['Operativo', 'Mantenimiento', 'Fuera de servicio'];
+    const prefill = CREATE_PREFILL_FIELDS
+      .filter(field => params[field] !== undefined)
+      .reduce((data, field) => ({ ...data, [field]: params[field] }), {});
+    if (prefill.estado && !TableroElectricoModel.ESTADOS.includes(prefill.estado)) {
+      delete prefill.estado;
+    }
+    return Object.keys(prefill).length > 0 ? prefill : undefined;
+  }, [route?.params]);
 
   /**
-   * Actualiza un campo específico del formulario
-   * 
-   * @function
-   * @param {string} field - Nombre del campo a actualizar
-   * @param {string} value - Nuevo valor para el campo
+   * Efecto que pre-carga el formulario cuando se navega con initialData
+   * (por ejemplo, al duplicar un tablero desde la vista de detalle o al abrir
+   * un enlace de creación). Limpia los parámetros para no volver a aplicarlos
+   * en visitas posteriores.
    */
-  const handleInputChange = (field, value) => {
-    setFormData(prev => ({
-      ...prev,
-      [field]: value,
-    }));
-  };
+  useEffect(() => {
+    if (initialData) {
+      form.reset(initialData);
+      navigation.setParams(
+        CREATE_PREFILL_FIELDS.reduce((params, field) => ({ ...params, [field]: undefined }), { initialData: undefined })
+      );
+    }
+  }, [initialData]);
 
   /**
-   * Maneja el envío del formulario con validación completa
-   * 
-   * Validaciones:
-   * - Nombre: no vacío
-   * - Ubicación: no vacía
-   * - Marca: no vacía
-   * - Capacidad: debe ser un número válido
+   * Maneja el envío del formulario
    * 
-   * Después de validar, convierte los campos numéricos de string a int,
-   * ejecuta la mutation de React Query, limpia el formulario al completarse
-   * exitosamente, y navega automáticamente al Dashboard.
+   * La validación la hace TableroElectricoModel (vía useTableroForm); si hay
+   * errores se muestran junto a cada campo y no se envía nada. Los campos
+   * numéricos llegan ya convertidos a enteros.
    * 
    * @function
-   * @async
    */
   const handleSubmit = () => {
-    // Validar campos requeridos
-    if (!formData.nombre.trim()) {
-      Alert.alert('Error', 'El nombre es requerido');
-      return;
-    }
-    
-    if (!formData.ubicacion.trim()) {
-      Alert.alert('Error', 'La ubicación es requerida');
-      return;
-    }
-
-    if (!formData.marca.trim()) {
-      Alert.alert('Error', 'La marca es requerida');
-      return;
-    }
+    const dataToSend = form.submit();
+    if (!dataToSend) return;
 
-    if (!formData.capacidad_amperios || isNaN(formData.capacidad_amperios)) {
-      Alert.alert('Error', 'La capacidad debe ser un número válido');
-      return;
-    }
-
-    // Preparar datos para API: convertir strings a números
-    const dataToSend = {
-      ...formData,
-      capacidad_amperios: parseInt(formData.capacidad_amperios),
-      ano_fabricacion: parseInt(formData.ano_fabricacion),
-      ano_instalacion: parseInt(formData.ano_instalacion),
-    };
-
-    // Ejecutar mutation con callbacks de éxito/error
+    // Ejecutar mutation; el aviso de error (y la reversión de la lista) lo muestra el hook
     createTableroMutation.mutate(dataToSend, {
-      onSuccess: () => {
+      onSuccess: (result) => {
         Alert.alert(
-          'Éxito',
-          'Tablero creado correctamente',
+          result?.queued ? 'Guardado sin conexión' : 'Éxito',
+          result?.queued
+            ? 'El tablero se sincronizará cuando vuelva la conexión'
+            : 'Tablero creado correctamente',
           [
             {
               text: 'OK',
               onPress: () => {
                 // Reiniciar formulario con valores predeterminados
-                setFormData({
-                  nombre: '',
-                  ubicacion: '',
-                  marca: '',
-                  capacidad_amperios: '',
-                  ano_fabricacion: new Date().getFullYear().toString(),
-                  ano_instalacion: new Date().getFullYear().toString(),
-                  estado: 'Operativo',
-                });
+                form.reset();
                 
                 // Navegar a la lista de tableros
                 navigation.navigate('Dashboard');
@@ -186,9 +153,8 @@ const CreateTableroView = ({ navigation }) => {
           ]
         );
       },
-      onError: () => {
-        Alert.alert('Error', 'No se pudo crear el tablero');
-      },
+      // Los datos rechazados por el servidor se marcan en sus campos
+      onError: (error) => form.showFieldErrors(error.fieldErrors),
     });
   };
 
@@ -207,17 +173,7 @@ const CreateTableroView = ({ navigation }) => {
         { text: 'Cancelar', style: 'cancel' },
         {
           text: 'Limpiar',
-          onPress: () => {
-            setFormData({
-              nombre: '',
-              ubicacion: '',
-              marca: '',
-              capacidad_amperios: '',
-              ano_fabricacion: new Date().getFullYear().toString(),
-              ano_instalacion: new Date().getFullYear().toString(),
-              estado: 'Operativo',
-            });
-          },
+          onPress: () => form.reset(),
         },
       ]
     );
@@ -240,6 +196,12 @@ const CreateTableroView = ({ navigation }) => {
       >
         <Ionicons name="add-circle" size={28} color={theme.colors.primary} />
         <Text style={[styles.headerTitle, { color: theme.colors.text }]}>Crear Tablero</Text>
+        <TouchableOpacity 
+          style={styles.themeToggle}
+          onPress={() => navigation.navigate('Dashboard', { screen: 'ImportTableros' })}
+        >
+          <Ionicons name="cloud-upload-outline" size={24} color={theme.colors.primary} />
+        </TouchableOpacity>
         <TouchableOpacity 
           style={styles.themeToggle}
           onPress={toggleTheme}
@@ -262,105 +224,11 @@ const CreateTableroView = ({ navigation }) => {
         )}
         scrollEventThrottle={16}
       >
-        <View style={[styles.card, { backgroundColor: theme.colors.card }]}>
-          <View style={styles.sectionHeader}>
-            <Ionicons name="information-circle" size={22} color={theme.colors.primary} />
-            <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Información General</Text>
-          </View>
-
-          <View style={styles.formGroup}>
-            <Text style={[styles.label, { color: theme.colors.text }]}>Nombre *</Text>
-            <TextInput
-              style={[styles.input, { backgroundColor: theme.colors.cardBackground, borderColor: theme.colors.border, color: theme.colors.text }]}
-              placeholder="Ej: Tablero Piso 1 - Ala Norte"
-              value={formData.nombre}
-              onChangeText={(value) => handleInputChange('nombre', value)}
-              placeholderTextColor={theme.colors.textSecondary}
-            />
-          </View>
-
-          <View style={styles.formGroup}>
-            <Text style={[styles.label, { color: theme.colors.text }]}>Ubicación *</Text>
-            <TextInput
-              style={[styles.input, { backgroundColor: theme.colors.cardBackground, borderColor: theme.colors.border, color: theme.colors.text }]}
-              placeholder="Ej: Sala de máquinas, Sótano 1"
-              value={formData.ubicacion}
-              onChangeText={(value) => handleInputChange('ubicacion', value)}
-              placeholderTextColor={theme.colors.textSecondary}
-            />
-          </View>
-
-          <View style={styles.formGroup}>
-            <Text style={[styles.label, { color: theme.colors.text }]}>Marca *</Text>
-            <TextInput
-              style={[styles.input, { backgroundColor: theme.colors.cardBackground, borderColor: theme.colors.border, color: theme.colors.text }]}
-              placeholder="Ej: Schneider Electric"
-              value={formData.marca}
-              onChangeText={(value) => handleInputChange('marca', value)}
-              placeholderTextColor={theme.colors.textSecondary}
-            />
-          </View>
-        </View>
-
-        <View style={[styles.card, { backgroundColor: theme.colors.card }]}>
-          <View style={styles.sectionHeader}>
-            <Ionicons name="settings" size={22} color={theme.colors.primary} />
-            <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Especificaciones Técnicas</Text>
-          </View>
-
-          <View style={styles.formGroup}>
-            <Text style={[styles.label, { color: theme.colors.text }]}>Capacidad (Amperios) *</Text>
-            <TextInput
-              style={[styles.input, { backgroundColor: theme.colors.cardBackground, borderColor: theme.colors.border, color: theme.colors.text }]}
-              placeholder="Ej: 200"
-              value={formData.capacidad_amperios}
-              onChangeText={(value) => handleInputChange('capacidad_amperios', value)}
-              keyboardType="numeric"
-              placeholderTextColor={theme.colors.textSecondary}
-            />
-          </View>
-
-          <View style={styles.formGroup}>
-            <Text style={[styles.label, { color: theme.colors.text }]}>Año de Fabricación *</Text>
-            <TextInput
-              style={[styles.input, { backgroundColor: theme.colors.cardBackground, borderColor: theme.colors.border, color: theme.colors.text }]}
-              placeholder="Ej: 2020"
-              value={formData.ano_fabricacion}
-              onChangeText={(value) => handleInputChange('ano_fabricacion', value)}
-              keyboardType="numeric"
-              maxLength={4}
-              placeholderTextColor={theme.colors.textSecondary}
-            />
-          </View>
-
-          <View style={styles.formGroup}>
-            <Text style={[styles.label, { color: theme.colors.text }]}>Año de Instalación *</Text>
-            <TextInput
-              style={[styles.input, { backgroundColor: theme.colors.cardBackground, borderColor: theme.colors.border, color: theme.colors.text }]}
-              placeholder="Ej: 2021"
-              value={formData.ano_instalacion}
-              onChangeText={(value) => handleInputChange('ano_instalacion', value)}
-              keyboardType="numeric"
-              maxLength={4}
-              placeholderTextColor={theme.colors.textSecondary}
-            />
-          </View>
-
-          <View style={styles.formGroup}>
-            <Text style={[styles.label, { color: theme.colors.text }]}>Estado *</Text>
-            <View style={[styles.pickerContainer, { backgroundColor: theme.colors.cardBackground, borderColor: theme.colors.border }]}>
-              <Picker
-                selectedValue={formData.estado}
-                onValueChange={(value) => handleInputChange('estado', value)}
-                style={styles.picker}
-              >
-                {estadoOptions.map((estado) => (
-                  <Picker.Item key={estado} label={estado} value={estado} />
-                ))}
-              </Picker>
-            </View>
-          </View>
-        </View>
+        <TableroForm
+          values={form.values}
+          errors={form.visibleErrors}
+          onChange={form.handleChange}
+        />
 
         <View style={styles.actionsContainer}>
           <TouchableOpacity 
@@ -431,57 +299,6 @@ const styles = StyleSheet.create({
     paddingHorizontal: 16,
     paddingBottom: 40,
   },
-  card: {
-    backgroundColor: '#ffffff',
-    borderRadius: 12,
-    padding: 20,
-    marginBottom: 16,
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 2 },
-    shadowOpacity: 0.1,
-    shadowRadius: 8,
-    elevation: 3,
-  },
-  sectionHeader: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    marginBottom: 20,
-  },
-  sectionTitle: {
-    fontSize: 18,
-    fontWeight: 'bold',
-    color: '#2c3e50',
-    marginLeft: 8,
-  },
-  formGroup: {
-    marginBottom: 20,
-  },
-  label: {
-    fontSize: 14,
-    fontWeight: '600',
-    color: '#2c3e50',
-    marginBottom: 8,
-  },
-  input: {
-    backgroundColor: '#f8f9fa',
-    borderWidth: 1,
-    borderColor: '#e8ecef',
-    borderRadius: 8,
-    paddingHorizontal: 16,
-    paddingVertical: 12,
-    fontSize: 16,
-    color: '#2c3e50',
-  },
-  pickerContainer: {
-    backgroundColor: '#f8f9fa',
-    borderWidth: 1,
-    borderColor: '#e8ecef',
-    borderRadius: 8,
-    overflow: 'hidden',
-  },
-  picker: {
-    height: 50,
-  },
   actionsContainer: {
     flexDirection: 'row',
     gap: 12,
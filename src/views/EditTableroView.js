@@ -2,8 +2,9 @@
  * EditTableroView - Vista de edición de tableros eléctricos
  * 
  * Vista 4: Formulario completo para editar tableros eléctricos existentes.
- * Recibe los datos del tablero a través de route.params, pre-carga el formulario,
- * valida los cambios, y utiliza React Query mutation para actualizar el registro.
+ * Recibe los datos del tablero a través de route.params (o solo su ID, al abrir
+ * remsprueapp2://tableros/{id}/edit), pre-carga el formulario, valida los
+ * cambios, y utiliza React Query mutation para actualizar el registro.
  * Incluye botón de navegación hacia atrás y confirmación antes de cancelar.
  * 
  * @component
@@ -17,22 +18,24 @@
  * @param {Function} props.navigation.navigate - Función para navegar entre pantallas
  * @param {Object} props.route - Objeto de ruta con parámetros
  * @param {Object} props.route.params - Parámetros pasados a la pantalla
- * @param {Object} props.route.params.tablero - Objeto tablero a editar con todos sus campos
+ * @param {Object} [props.route.params.tablero] - Objeto tablero a editar con todos sus campos
+ * @param {string} [props.route.params.tableroId] - ID del tablero cuando no se recibe el objeto (enlace profundo)
  * 
  * @returns {React.Component} Formulario de edición de tablero pre-cargado
  * 
  * @example
  * // Navegación desde lista con datos del tablero
  * navigation.navigate('EditTablero', { tablero: tableroObject });
+ * // Desde un enlace profundo
+ * navigation.navigate('EditTablero', { tableroId: 'abc123' });
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useEffect, useRef } from 'react';
 import {
   View,
   Text,
   StyleSheet,
   ScrollView,
-  TextInput,
   TouchableOpacity,
   Alert,
   ActivityIndicator,
@@ -40,159 +43,172 @@ import {
   Platform,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { Picker } from '@react-native-picker/picker';
 import { useTheme } from '../context/ThemeContext';
-import { useUpdateTablero } from '../hooks/useTableros';
+import { useTablero, useUpdateTablero } from '../hooks/useTableros';
+import { useCircuitos } from '../hooks/useCircuitos';
+import { isLocalId } from '../services/OfflineQueueService';
+import TableroController from '../controllers/TableroController';
+import CircuitScheduleSection from '../components/CircuitScheduleSection';
+import TableroForm from '../components/TableroForm';
+import ErrorState from '../components/ErrorState';
+import { NotFoundError } from '../errors/AppError';
+import { useTableroForm } from '../hooks/useTableroForm';
 
 /**
  * Componente funcional del formulario de edición de tableros
  * 
  * Características:
  * - Pre-carga automática de datos del tablero desde route.params
- * - Formulario con validación completa de campos requeridos
+ * - Carga del tablero por ID (caché o servidor) al abrirse desde un enlace
+ * - Mensaje claro si el tablero del enlace ya no existe
+ * - Formulario compartido (TableroForm) con errores por campo mientras se escribe
  * - React Query mutation para actualizar tableros con caché automático
  * - Tema dinámico (claro/oscuro)
  * - Botón de cancelar con confirmación
  * - Indicador de carga durante actualización (ActivityIndicator)
  * - Navegación automática al Dashboard después de actualizar
  * - Muestra el ID del tablero en un info card
+ * - Cuadro de circuitos con advertencia si la suma de interruptores supera la capacidad
+ * - Propone registrar un mantenimiento al entrar o salir del estado 'Mantenimiento'
  * 
  * @function
  */
 const EditTableroView = ({ navigation, route }) => {
   const { theme, isDarkMode, toggleTheme } = useTheme();
   
-  /** @const {Object} Objeto tablero recibido desde navegación */
-  const { tablero } = route.params;
+  /** @const {Object} Objeto tablero o ID recibidos desde navegación */
+  const { tablero: tableroParam, tableroId } = route.params;
+  
+  /** Tablero cargado por ID cuando solo se recibe tableroId (enlace profundo) */
+  const {
+    data: tableroById,
+    isLoading: isLoadingTablero,
+    error: tableroError,
+    refetch: refetchTablero,
+  } = useTablero(tableroParam ? undefined : tableroId);
+  
+  /** @const {Object|undefined} Tablero a editar */
+  const tablero = tableroParam || tableroById;
   
   /** React Query mutation hook para actualizar tableros */
   const updateTableroMutation = useUpdateTablero();
   
-  /**
-   * Estado del formulario (inicialmente vacío, se carga en useEffect)
-   * @type {Object}
-   * @property {string} nombre - Nombre del tablero
-   * @property {string} ubicacion - Ubicación física del tablero
-   * @property {string} marca - Marca del fabricante
-   * @property {string} capacidad_amperios - Capacidad en amperios (como string para input)
-   * @property {string} ano_fabricacion - Año de fabricación
-   * @property {string} ano_instalacion - Año de instalación
-   * @property {string} estado - Estado actual (Operativo, Mantenimiento, Fuera de servicio)
-   */
-  const [formData, setFormData] = useState({
-    nombre: '',
-    ubicacion: '',
-    marca: '',
-    capacidad_amperios: '',
-    ano_fabricacion: '',
-    ano_instalacion: '',
-    estado: 'Operativo',
-  });
-
-  /** @const {Array<string>} Opciones disponibles para el estado del tablero */
-  const estadoOptions = ['Operativo', 'Mantenimiento', 'Fuera de servicio'];
+  /** Circuitos del tablero para el cuadro de circuitos */
+  const { data: circuitos = [], isLoading: isLoadingCircuitos } = useCircuitos(tablero?.id);
+  
+  /** @type {React.MutableRefObject<string|null>} ID del tablero ya cargado en el formulario */
+  const loadedIdRef = useRef(null);
+  
+  /** Estado del formulario y validación por campo (useTableroForm) */
+  const form = useTableroForm(tablero);
 
   /**
    * Efecto que pre-carga los datos del tablero en el formulario
-   * Se ejecuta al montar el componente y cuando cambia el objeto tablero.
-   * Convierte los campos numéricos a string para compatibilidad con TextInput.
+   * Se ejecuta una vez por tablero, en cuanto sus datos están disponibles
+   * (al abrir desde un enlace llegan después del primer render), para no
+   * descartar lo que el usuario ya escribió si la query se actualiza.
    */
   useEffect(() => {
-    if (tablero) {
-      setFormData({
-        nombre: tablero.nombre,
-        ubicacion: tablero.ubicacion,
-        marca: tablero.marca,
-        capacidad_amperios: tablero.capacidad_amperios.toString(),
-        ano_fabricacion: tablero.ano_fabricacion.toString(),
-        ano_instalacion: tablero.ano_instalacion.toString(),
-        estado: tablero.estado,
-      });
+    if (tablero && loadedIdRef.current !== tablero.id) {
+      loadedIdRef.current = tablero.id;
+      form.reset(tablero);
     }
   }, [tablero]);
 
   /**
-   * Actualiza un campo específico del formulario
+   * Maneja el envío del formulario
+   * 
+   * La validación la hace TableroElectricoModel (vía useTableroForm); si hay
+   * errores se muestran junto a cada campo y no se envía nada. Con datos
+   * válidos ejecuta la mutation de React Query con el ID del tablero y
+   * navega automáticamente al Dashboard al completarse exitosamente.
    * 
    * @function
-   * @param {string} field - Nombre del campo a actualizar
-   * @param {string} value - Nuevo valor para el campo
    */
-  const handleInputChange = (field, value) => {
-    setFormData(prev => ({
-      ...prev,
-      [field]: value,
-    }));
+  const handleSubmit = () => {
+    const dataToSend = form.submit();
+    if (!dataToSend) return;
+
+    // Advertir si la suma de interruptores supera la capacidad del tablero
+    const { warnings } = TableroController.validateCircuitos(dataToSend, circuitos);
+    if (warnings.length > 0) {
+      Alert.alert(
+        'Advertencia',
+        `${warnings.join('\n')}\n\n¿Deseas guardar de todas formas?`,
+        [
+          { text: 'Revisar', style: 'cancel' },
+          { text: 'Guardar', onPress: () => saveTablero(dataToSend) },
+        ]
+      );
+      return;
+    }
+
+    saveTablero(dataToSend);
   };
 
   /**
-   * Maneja el envío del formulario con validación completa
-   * 
-   * Validaciones:
-   * - Nombre: no vacío
-   * - Ubicación: no vacía
-   * - Marca: no vacía
-   * - Capacidad: debe ser un número válido
-   * 
-   * Después de validar, convierte los campos numéricos de string a int,
-   * ejecuta la mutation de React Query con el ID del tablero,
-   * y navega automáticamente al Dashboard al completarse exitosamente.
+   * Al finalizar la edición, propone registrar un mantenimiento si el tablero
+   * entró o salió del estado 'Mantenimiento'; si no, regresa a la lista.
    * 
    * @function
-   * @async
+   * @param {string} nuevoEstado - Estado guardado del tablero
    */
-  const handleSubmit = () => {
-    // Validar campos requeridos
-    if (!formData.nombre.trim()) {
-      Alert.alert('Error', 'El nombre es requerido');
-      return;
-    }
-    
-    if (!formData.ubicacion.trim()) {
-      Alert.alert('Error', 'La ubicación es requerida');
-      return;
-    }
-
-    if (!formData.marca.trim()) {
-      Alert.alert('Error', 'La marca es requerida');
-      return;
-    }
+  const finishEdit = (nuevoEstado) => {
+    const goToList = () => navigation.navigate('Dashboard', { screen: 'Tableros' });
+    const cambioMantenimiento = tablero.estado !== nuevoEstado
+      && (tablero.estado === 'Mantenimiento' || nuevoEstado === 'Mantenimiento');
 
-    if (!formData.capacidad_amperios || isNaN(formData.capacidad_amperios)) {
-      Alert.alert('Error', 'La capacidad debe ser un número válido');
+    if (!cambioMantenimiento || isLocalId(tablero.id)) {
+      goToList();
       return;
     }
 
-    // Preparar datos para API: convertir strings a números
-    const dataToSend = {
-      ...formData,
-      capacidad_amperios: parseInt(formData.capacidad_amperios),
-      ano_fabricacion: parseInt(formData.ano_fabricacion),
-      ano_instalacion: parseInt(formData.ano_instalacion),
-    };
+    Alert.alert(
+      'Registrar mantenimiento',
+      nuevoEstado === 'Mantenimiento'
+        ? 'El tablero pasó a mantenimiento. ¿Deseas registrar la intervención?'
+        : 'El tablero salió de mantenimiento. ¿Deseas registrar los trabajos realizados?',
+      [
+        { text: 'Ahora no', style: 'cancel', onPress: goToList },
+        {
+          text: 'Registrar',
+          onPress: () => navigation.replace('NuevoMantenimiento', {
+            tableroId: tablero.id,
+            tableroNombre: form.values.nombre,
+          }),
+        },
+      ]
+    );
+  };
 
+  /**
+   * Envía los datos ya validados mediante la mutation de actualización
+   * y navega al Dashboard al completarse exitosamente.
+   * 
+   * @function
+   * @param {Object} dataToSend - Datos del tablero con campos numéricos convertidos
+   */
+  const saveTablero = (dataToSend) => {
     // Ejecutar mutation con ID y datos, incluyendo callbacks
     updateTableroMutation.mutate(
       { id: tablero.id, data: dataToSend },
       {
-        onSuccess: () => {
+        onSuccess: (result) => {
           Alert.alert(
-            'Éxito',
-            'Tablero actualizado correctamente',
+            result?.queued ? 'Guardado sin conexión' : 'Éxito',
+            result?.queued
+              ? 'Los cambios se sincronizarán cuando vuelva la conexión'
+              : 'Tablero actualizado correctamente',
             [
               {
                 text: 'OK',
-                onPress: () => {
-                  // Navegar de regreso a la lista de tableros
-                  navigation.navigate('Dashboard', { screen: 'Tableros' });
-                },
+                onPress: () => finishEdit(dataToSend.estado),
               },
             ]
           );
         },
-        onError: () => {
-          Alert.alert('Error', 'No se pudo actualizar el tablero');
-        },
+        // Los datos rechazados por el servidor se marcan en sus campos
+        onError: (error) => form.showFieldErrors(error.fieldErrors),
       }
     );
   };
@@ -217,6 +233,32 @@ const EditTableroView = ({ navigation, route }) => {
     );
   };
 
+  if (!tablero) {
+    return (
+      <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+        <View style={[styles.header, { backgroundColor: theme.colors.card, borderBottomColor: theme.colors.border }]}>
+          <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+            <Ionicons name="arrow-back" size={24} color={theme.colors.primary} />
+          </TouchableOpacity>
+          <Ionicons name="pencil" size={28} color={theme.colors.primary} />
+          <Text style={[styles.headerTitle, { color: theme.colors.text }]}>Editar Tablero</Text>
+        </View>
+        <View style={styles.centerContainer}>
+          {isLoadingTablero ? (
+            <ActivityIndicator size="large" color={theme.colors.primary} />
+          ) : (
+            <ErrorState
+              error={tableroError ?? new NotFoundError('El tablero no existe o fue eliminado.')}
+              onRetry={refetchTablero}
+              onGoBack={() => navigation.navigate('Tableros')}
+              goBackLabel="Ir a la lista"
+            />
+          )}
+        </View>
+      </View>
+    );
+  }
+
   return (
     <KeyboardAvoidingView 
       style={[styles.container, { backgroundColor: theme.colors.background }]}
@@ -245,105 +287,19 @@ const EditTableroView = ({ navigation, route }) => {
         contentContainerStyle={styles.scrollContent}
         keyboardShouldPersistTaps="handled"
       >
-        <View style={[styles.card, { backgroundColor: theme.colors.card }]}>
-          <View style={styles.sectionHeader}>
-            <Ionicons name="information-circle" size={22} color={theme.colors.primary} />
-            <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Información General</Text>
-          </View>
+        <TableroForm
+          values={form.values}
+          errors={form.visibleErrors}
+          onChange={form.handleChange}
+        />
 
-          <View style={styles.formGroup}>
-            <Text style={[styles.label, { color: theme.colors.text }]}>Nombre *</Text>
-            <TextInput
-              style={[styles.input, { backgroundColor: theme.colors.cardBackground, borderColor: theme.colors.border, color: theme.colors.text }]}
-              placeholder="Ej: Tablero Piso 1 - Ala Norte"
-              value={formData.nombre}
-              onChangeText={(value) => handleInputChange('nombre', value)}
-              placeholderTextColor={theme.colors.textSecondary}
-            />
-          </View>
-
-          <View style={styles.formGroup}>
-            <Text style={[styles.label, { color: theme.colors.text }]}>Ubicación *</Text>
-            <TextInput
-              style={[styles.input, { backgroundColor: theme.colors.cardBackground, borderColor: theme.colors.border, color: theme.colors.text }]}
-              placeholder="Ej: Sala de máquinas, Sótano 1"
-              value={formData.ubicacion}
-              onChangeText={(value) => handleInputChange('ubicacion', value)}
-              placeholderTextColor={theme.colors.textSecondary}
-            />
-          </View>
-
-          <View style={styles.formGroup}>
-            <Text style={[styles.label, { color: theme.colors.text }]}>Marca *</Text>
-            <TextInput
-              style={[styles.input, { backgroundColor: theme.colors.cardBackground, borderColor: theme.colors.border, color: theme.colors.text }]}
-              placeholder="Ej: Schneider Electric"
-              value={formData.marca}
-              onChangeText={(value) => handleInputChange('marca', value)}
-              placeholderTextColor={theme.colors.textSecondary}
-            />
-          </View>
-        </View>
-
-        <View style={[styles.card, { backgroundColor: theme.colors.card }]}>
-          <View style={styles.sectionHeader}>
-            <Ionicons name="settings" size={22} color={theme.colors.primary} />
-            <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Especificaciones Técnicas</Text>
-          </View>
-
-          <View style={styles.formGroup}>
-            <Text style={[styles.label, { color: theme.colors.text }]}>Capacidad (Amperios) *</Text>
-            <TextInput
-              style={[styles.input, { backgroundColor: theme.colors.cardBackground, borderColor: theme.colors.border, color: theme.colors.text }]}
-              placeholder="Ej: 200"
-              value={formData.capacidad_amperios}
-              onChangeText={(value) => handleInputChange('capacidad_amperios', value)}
-              keyboardType="numeric"
-              placeholderTextColor={theme.colors.textSecondary}
-            />
-          </View>
-
-          <View style={styles.formGroup}>
-            <Text style={[styles.label, { color: theme.colors.text }]}>Año de Fabricación *</Text>
-            <TextInput
-              style={[styles.input, { backgroundColor: theme.colors.cardBackground, borderColor: theme.colors.border, color: theme.colors.text }]}
-              placeholder="Ej: 2020"
-              value={formData.ano_fabricacion}
-              onChangeText={(value) => handleInputChange('ano_fabricacion', value)}
-              keyboardType="numeric"
-              maxLength={4}
-              placeholderTextColor={theme.colors.textSecondary}
-            />
-          </View>
-
-          <View style={styles.formGroup}>
-            <Text style={[styles.label, { color: theme.colors.text }]}>Año de Instalación *</Text>
-            <TextInput
-              style={[styles.input, { backgroundColor: theme.colors.cardBackground, borderColor: theme.colors.border, color: theme.colors.text }]}
-              placeholder="Ej: 2021"
-              value={formData.ano_instalacion}
-              onChangeText={(value) => handleInputChange('ano_instalacion', value)}
-              keyboardType="numeric"
-              maxLength={4}
-              placeholderTextColor={theme.colors.textSecondary}
-            />
-          </View>
-
-          <View style={styles.formGroup}>
-            <Text style={[styles.label, { color: theme.colors.text }]}>Estado *</Text>
-            <View style={[styles.pickerContainer, { backgroundColor: theme.colors.cardBackground, borderColor: theme.colors.border }]}>
-              <Picker
-                selectedValue={formData.estado}
-                onValueChange={(value) => handleInputChange('estado', value)}
-                style={styles.picker}
-              >
-                {estadoOptions.map((estado) => (
-                  <Picker.Item key={estado} label={estado} value={estado} />
-                ))}
-              </Picker>
-            </View>
-          </View>
-        </View>
+        <CircuitScheduleSection
+          tableroId={tablero.id}
+          capacidadAmperios={parseInt(form.values.capacidad_amperios, 10) || 0}
+          circuitos={circuitos}
+          isLoading={isLoadingCircuitos}
+          isAvailable={!isLocalId(tablero.id)}
+        />
 
         <View style={[styles.infoCard, { backgroundColor: isDarkMode ? theme.colors.cardBackground : '#edf2f7', borderColor: theme.colors.border }]}>
           <Ionicons name="information-circle-outline" size={20} color={theme.colors.primary} />
@@ -388,6 +344,12 @@ const styles = StyleSheet.create({
   container: {
     flex: 1,
   },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
   header: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -419,57 +381,6 @@ const styles = StyleSheet.create({
     padding: 16,
     paddingBottom: 40,
   },
-  card: {
-    backgroundColor: '#ffffff',
-    borderRadius: 12,
-    padding: 20,
-    marginBottom: 16,
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 2 },
-    shadowOpacity: 0.1,
-    shadowRadius: 8,
-    elevation: 3,
-  },
-  sectionHeader: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    marginBottom: 20,
-  },
-  sectionTitle: {
-    fontSize: 18,
-    fontWeight: 'bold',
-    color: '#2c3e50',
-    marginLeft: 8,
-  },
-  formGroup: {
-    marginBottom: 20,
-  },
-  label: {
-    fontSize: 14,
-    fontWeight: '600',
-    color: '#2c3e50',
-    marginBottom: 8,
-  },
-  input: {
-    backgroundColor: '#f8f9fa',
-    borderWidth: 1,
-    borderColor: '#e8ecef',
-    borderRadius: 8,
-    paddingHorizontal: 16,
-    paddingVertical: 12,
-    fontSize: 16,
-    color: '#2c3e50',
-  },
-  pickerContainer: {
-    backgroundColor: '#f8f9fa',
-    borderWidth: 1,
-    borderColor: '#e8ecef',
-    borderRadius: 8,
-    overflow: 'hidden',
-  },
-  picker: {
-    height: 50,
-  },
   infoCard: {
     backgroundColor: '#edf2f7',
     borderRadius: 8,
@@ -0,0 +1,412 @@
+/**
+ * ImportTablerosView - Vista de importación de tableros desde un archivo
+ *
+ * Vista 9: Permite elegir un archivo CSV o JSON, muestra una vista previa con
+ * la validación de cada fila (TableroController.prepareImport) y crea en lotes
+ * los tableros válidos. Al terminar muestra el resultado de cada tablero.
+ *
+ * @component
+ * @module views/ImportTablerosView
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ *
+ * @param {Object} props - Props del componente
+ * @param {Object} props.navigation - Objeto de navegación de React Navigation
+ *
+ * @returns {React.Component} Importación de tableros con vista previa
+ *
+ * @example
+ * navigation.navigate('Dashboard', { screen: 'ImportTableros' });
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { useImportTableros } from '../hooks/useBulkActions';
+import TableroController from '../controllers/TableroController';
+import TableroImportService from '../services/TableroImportService';
+import BulkProgressModal from '../components/BulkProgressModal';
+
+/**
+ * Componente funcional de la importación
+ *
+ * Características:
+ * - Selección de archivos CSV (coma o punto y coma) o JSON
+ * - Vista previa con los errores de validación de cada fila
+ * - Aviso de columnas faltantes o que no se usarán
+ * - Creación en lotes de las filas válidas con progreso y resumen final
+ *
+ * @function
+ */
+const ImportTablerosView = ({ navigation }) => {
+  const { theme, isDarkMode, toggleTheme } = useTheme();
+
+  /** React Query mutation para crear los tableros importados */
+  const importMutation = useImportTableros();
+
+  /** @type {Object|null} Archivo elegido y su vista previa: { fileName, rows, missingFields, ignoredColumns } */
+  const [preview, setPreview] = useState(null);
+
+  /** @type {boolean} Lectura del archivo en curso */
+  const [isReading, setIsReading] = useState(false);
+
+  /** @type {boolean} Visibilidad del modal de progreso */
+  const [isProgressVisible, setIsProgressVisible] = useState(false);
+
+  const validRows = preview ? preview.rows.filter(row => row.errors.length === 0) : [];
+  const invalidCount = preview ? preview.rows.length - validRows.length : 0;
+
+  /**
+   * Abre el selector de archivos y prepara la vista previa
+   */
+  const handlePickFile = async () => {
+    setIsReading(true);
+    const result = await TableroImportService.pickFile();
+    setIsReading(false);
+
+    if (!result.success) {
+      Alert.alert('Error', result.error);
+      return;
+    }
+    if (!result.data) return;
+
+    setPreview({
+      fileName: result.data.fileName,
+      ...TableroController.prepareImport(result.data.records),
+    });
+  };
+
+  /**
+   * Crea los tableros válidos de la vista previa
+   */
+  const handleImport = () => {
+    setIsProgressVisible(true);
+    importMutation.mutate(validRows, {
+      onError: (error) => {
+        setIsProgressVisible(false);
+        Alert.alert('Error', error.message || 'No se pudo completar la importación');
+      },
+    });
+  };
+
+  /**
+   * Cierra el resumen; vuelve a la lista si se creó algún tablero
+   */
+  const handleCloseProgress = () => {
+    setIsProgressVisible(false);
+    if (importMutation.data?.succeeded.length > 0) {
+      navigation.goBack();
+    }
+  };
+
+  const renderRow = ({ item }) => {
+    const isValid = item.errors.length === 0;
+
+    return (
+      <View
+        style={[
+          styles.rowCard,
+          { backgroundColor: theme.colors.card, borderLeftColor: isValid ? theme.colors.success : theme.colors.error },
+        ]}
+      >
+        <View style={styles.rowHeader}>
+          <Ionicons
+            name={isValid ? 'checkmark-circle' : 'alert-circle'}
+            size={18}
+            color={isValid ? theme.colors.success : theme.colors.error}
+          />
+          <Text style={[styles.rowTitle, { color: theme.colors.text }]} numberOfLines={1}>
+            Fila {item.row}: {item.data.nombre || 'Sin nombre'}
+          </Text>
+        </View>
+        {isValid ? (
+          <Text style={[styles.rowDetail, { color: theme.colors.textSecondary }]} numberOfLines={1}>
+            {item.data.ubicacion} · {item.data.marca} · {item.data.capacidad_amperios} A · {item.data.estado}
+          </Text>
+        ) : (
+          item.errors.map(error => (
+            <Text key={error} style={[styles.rowError, { color: theme.colors.error }]}>• {error}</Text>
+          ))
+        )}
+      </View>
+    );
+  };
+
+  const renderSummary = () => (
+    <View style={[styles.summaryCard, { backgroundColor: theme.colors.card }]}>
+      <View style={styles.fileRow}>
+        <Ionicons name="document-text-outline" size={20} color={theme.colors.primary} />
+        <Text style={[styles.fileName, { color: theme.colors.text }]} numberOfLines={1}>{preview.fileName}</Text>
+        <TouchableOpacity onPress={handlePickFile} disabled={isReading}>
+          <Text style={[styles.changeFile, { color: theme.colors.primary }]}>Cambiar</Text>
+        </TouchableOpacity>
+      </View>
+      <Text style={[styles.summaryText, { color: theme.colors.text }]}>
+        {preview.rows.length} fila{preview.rows.length !== 1 ? 's' : ''} ·{' '}
+        <Text style={{ color: theme.colors.success }}>{validRows.length} válida{validRows.length !== 1 ? 's' : ''}</Text>
+        {invalidCount > 0 && (
+          <Text style={{ color: theme.colors.error }}> · {invalidCount} con errores</Text>
+        )}
+      </Text>
+      {preview.missingFields.length > 0 && (
+        <Text style={[styles.summaryNote, { color: theme.colors.error }]}>
+          Columnas faltantes: {preview.missingFields.join(', ')}
+        </Text>
+      )}
+      {preview.ignoredColumns.length > 0 && (
+        <Text style={[styles.summaryNote, { color: theme.colors.textSecondary }]}>
+          Columnas ignoradas: {preview.ignoredColumns.join(', ')}
+        </Text>
+      )}
+    </View>
+  );
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <View style={[styles.header, { backgroundColor: theme.colors.card, borderBottomColor: theme.colors.border }]}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color={theme.colors.primary} />
+        </TouchableOpacity>
+        <Ionicons name="cloud-upload" size={28} color={theme.colors.primary} />
+        <View style={styles.headerTitleContainer}>
+          <Text style={[styles.headerTitle, { color: theme.colors.text }]}>Importar tableros</Text>
+          <Text style={[styles.headerSubtitle, { color: theme.colors.textSecondary }]}>
+            Desde un archivo CSV o JSON
+          </Text>
+        </View>
+        <TouchableOpacity
+          style={styles.themeToggle}
+          onPress={toggleTheme}
+        >
+          <Ionicons
+            name={isDarkMode ? 'sunny' : 'moon'}
+            size={24}
+            color={theme.colors.primary}
+          />
+        </TouchableOpacity>
+      </View>
+
+      {!preview ? (
+        <View style={styles.centerContainer}>
+          <Ionicons name="document-attach-outline" size={80} color={theme.colors.border} />
+          <Text style={[styles.emptyText, { color: theme.colors.text }]}>Elige un archivo</Text>
+          <Text style={[styles.emptySubtext, { color: theme.colors.textSecondary }]}>
+            La primera fila del CSV debe tener los nombres de las columnas: nombre, ubicacion, marca,
+            capacidad_amperios, ano_fabricacion, ano_instalacion y, opcionalmente, estado
+          </Text>
+          <TouchableOpacity
+            style={[styles.pickButton, { backgroundColor: theme.colors.primary }]}
+            onPress={handlePickFile}
+            disabled={isReading}
+          >
+            {isReading ? (
+              <ActivityIndicator color="#ffffff" />
+            ) : (
+              <>
+                <Ionicons name="folder-open-outline" size={20} color="#ffffff" />
+                <Text style={styles.pickButtonText}>Seleccionar archivo</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <>
+          <FlatList
+            data={preview.rows}
+            renderItem={renderRow}
+            keyExtractor={(item) => String(item.row)}
+            ListHeaderComponent={renderSummary}
+            contentContainerStyle={styles.listContent}
+          />
+          <View style={[styles.footer, { backgroundColor: theme.colors.card, borderTopColor: theme.colors.border }]}>
+            <TouchableOpacity
+              style={[
+                styles.importButton,
+                { backgroundColor: theme.colors.primary },
+                validRows.length === 0 && styles.importDisabled,
+              ]}
+              onPress={handleImport}
+              disabled={validRows.length === 0 || importMutation.isPending}
+            >
+              <Ionicons name="cloud-upload-outline" size={20} color="#ffffff" />
+              <Text style={styles.importButtonText}>
+                Importar {validRows.length} tablero{validRows.length !== 1 ? 's' : ''}
+              </Text>
+            </TouchableOpacity>
+            {invalidCount > 0 && (
+              <Text style={[styles.footerHint, { color: theme.colors.textSecondary }]}>
+                Las filas con errores no se importarán
+              </Text>
+            )}
+          </View>
+        </>
+      )}
+
+      <BulkProgressModal
+        visible={isProgressVisible}
+        title={`Importando ${validRows.length} tablero${validRows.length !== 1 ? 's' : ''}`}
+        progress={importMutation.progress}
+        result={importMutation.isPending ? null : importMutation.data}
+        onClose={handleCloseProgress}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 20,
+    paddingTop: 20,
+    borderBottomWidth: 1,
+  },
+  backButton: {
+    marginRight: 12,
+  },
+  headerTitleContainer: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  headerTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+  },
+  headerSubtitle: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  themeToggle: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 16,
+  },
+  emptySubtext: {
+    fontSize: 14,
+    marginTop: 8,
+    textAlign: 'center',
+  },
+  pickButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 24,
+    paddingHorizontal: 24,
+    paddingVertical: 14,
+    borderRadius: 10,
+    gap: 8,
+    minWidth: 220,
+  },
+  pickButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  listContent: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  summaryCard: {
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+  },
+  fileRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 8,
+  },
+  fileName: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  changeFile: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  summaryText: {
+    fontSize: 15,
+  },
+  summaryNote: {
+    fontSize: 13,
+    marginTop: 6,
+  },
+  rowCard: {
+    borderRadius: 10,
+    borderLeftWidth: 4,
+    padding: 12,
+    marginBottom: 10,
+  },
+  rowHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  rowTitle: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  rowDetail: {
+    fontSize: 13,
+    marginTop: 4,
+  },
+  rowError: {
+    fontSize: 13,
+    marginTop: 4,
+  },
+  footer: {
+    padding: 16,
+    borderTopWidth: 1,
+  },
+  importButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    borderRadius: 10,
+    gap: 8,
+  },
+  importDisabled: {
+    opacity: 0.5,
+  },
+  importButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  footerHint: {
+    fontSize: 13,
+    marginTop: 8,
+    textAlign: 'center',
+  },
+});
+
+export default ImportTablerosView;
@@ -0,0 +1,348 @@
+/**
+ * MantenimientoFormView - Vista para registrar un mantenimiento
+ *
+ * Vista 7: Formulario para agregar una entrada al registro de mantenimientos de
+ * un tablero: fecha, técnico, tipo (preventivo/correctivo), hallazgos y fecha
+ * del próximo mantenimiento. La validación la realiza MantenimientoModel a
+ * través de TableroController; al guardar regresa a la pantalla anterior.
+ *
+ * @component
+ * @module views/MantenimientoFormView
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ *
+ * @param {Object} props - Props del componente
+ * @param {Object} props.navigation - Objeto de navegación de React Navigation
+ * @param {Object} props.route - Objeto de ruta con parámetros
+ * @param {string} props.route.params.tableroId - ID del tablero intervenido
+ * @param {string} [props.route.params.tableroNombre] - Nombre del tablero para el encabezado
+ * @param {string} [props.route.params.tipo] - Tipo sugerido ('Preventivo' o 'Correctivo')
+ *
+ * @returns {React.Component} Formulario de registro de mantenimiento
+ *
+ * @example
+ * navigation.navigate('NuevoMantenimiento', { tableroId: tablero.id, tableroNombre: tablero.nombre });
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { useAddMantenimiento } from '../hooks/useMantenimientos';
+import MantenimientoModel from '../models/MantenimientoModel';
+
+/**
+ * Componente funcional del formulario de mantenimiento
+ *
+ * Características:
+ * - Fecha pre-cargada con el día actual
+ * - Selección de tipo con chips
+ * - Próxima fecha opcional (debe ser posterior a la fecha del mantenimiento)
+ * - Validación con MantenimientoModel antes de llamar a la API
+ *
+ * @function
+ */
+const MantenimientoFormView = ({ navigation, route }) => {
+  const { theme, isDarkMode, toggleTheme } = useTheme();
+
+  /** @const {Object} Parámetros recibidos por navegación */
+  const { tableroId, tableroNombre, tipo } = route.params;
+
+  /** React Query mutation para registrar el mantenimiento */
+  const addMantenimientoMutation = useAddMantenimiento(tableroId);
+
+  /**
+   * Estado del formulario
+   * @type {Object}
+   */
+  const [formData, setFormData] = useState({
+    fecha: MantenimientoModel.today(),
+    tecnico: '',
+    tipo: MantenimientoModel.TIPOS.includes(tipo) ? tipo : 'Preventivo',
+    hallazgos: '',
+    proxima_fecha: '',
+  });
+
+  /**
+   * Actualiza un campo específico del formulario
+   *
+   * @function
+   * @param {string} field - Nombre del campo
+   * @param {string} value - Nuevo valor
+   */
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: value,
+    }));
+  };
+
+  /**
+   * Envía el registro de mantenimiento y regresa a la pantalla anterior
+   *
+   * @function
+   */
+  const handleSubmit = () => {
+    const dataToSend = {
+      ...formData,
+      tecnico: formData.tecnico.trim(),
+      hallazgos: formData.hallazgos.trim(),
+      proxima_fecha: formData.proxima_fecha.trim() || null,
+    };
+
+    addMantenimientoMutation.mutate(dataToSend, {
+      onSuccess: () => {
+        Alert.alert('Éxito', 'Mantenimiento registrado correctamente', [
+          { text: 'OK', onPress: () => navigation.goBack() },
+        ]);
+      },
+      onError: (error) => {
+        Alert.alert('Error', error.message);
+      },
+    });
+  };
+
+  const inputStyle = [
+    styles.input,
+    { backgroundColor: theme.colors.cardBackground, borderColor: theme.colors.border, color: theme.colors.text },
+  ];
+
+  return (
+    <KeyboardAvoidingView
+      style={[styles.container, { backgroundColor: theme.colors.background }]}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <View style={[styles.header, { backgroundColor: theme.colors.card, borderBottomColor: theme.colors.border }]}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color={theme.colors.primary} />
+        </TouchableOpacity>
+        <Ionicons name="construct" size={28} color={theme.colors.primary} />
+        <View style={styles.headerTitleContainer}>
+          <Text style={[styles.headerTitle, { color: theme.colors.text }]}>Nuevo Mantenimiento</Text>
+          {tableroNombre ? (
+            <Text style={[styles.headerSubtitle, { color: theme.colors.textSecondary }]} numberOfLines={1}>
+              {tableroNombre}
+            </Text>
+          ) : null}
+        </View>
+        <TouchableOpacity
+          style={styles.themeToggle}
+          onPress={toggleTheme}
+        >
+          <Ionicons
+            name={isDarkMode ? 'sunny' : 'moon'}
+            size={24}
+            color={theme.colors.primary}
+          />
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+      >
+        <View style={[styles.card, { backgroundColor: theme.colors.card }]}>
+          <View style={styles.formGroup}>
+            <Text style={[styles.label, { color: theme.colors.text }]}>Tipo *</Text>
+            <View style={styles.chipRow}>
+              {MantenimientoModel.TIPOS.map(option => {
+                const isSelected = formData.tipo === option;
+                return (
+                  <TouchableOpacity
+                    key={option}
+                    style={[
+                      styles.chip,
+                      { borderColor: theme.colors.primary },
+                      isSelected && { backgroundColor: theme.colors.primary },
+                    ]}
+                    onPress={() => handleInputChange('tipo', option)}
+                  >
+                    <Text style={[styles.chipText, { color: isSelected ? '#ffffff' : theme.colors.primary }]}>
+                      {option}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          </View>
+
+          <View style={styles.formGroup}>
+            <Text style={[styles.label, { color: theme.colors.text }]}>Fecha *</Text>
+            <TextInput
+              style={inputStyle}
+              placeholder="AAAA-MM-DD"
+              value={formData.fecha}
+              onChangeText={(value) => handleInputChange('fecha', value)}
+              maxLength={10}
+              placeholderTextColor={theme.colors.textSecondary}
+            />
+          </View>
+
+          <View style={styles.formGroup}>
+            <Text style={[styles.label, { color: theme.colors.text }]}>Técnico *</Text>
+            <TextInput
+              style={inputStyle}
+              placeholder="Ej: Juan Pérez"
+              value={formData.tecnico}
+              onChangeText={(value) => handleInputChange('tecnico', value)}
+              placeholderTextColor={theme.colors.textSecondary}
+            />
+          </View>
+
+          <View style={styles.formGroup}>
+            <Text style={[styles.label, { color: theme.colors.text }]}>Hallazgos *</Text>
+            <TextInput
+              style={[inputStyle, styles.textArea]}
+              placeholder="Ej: Reapriete de bornes, limpieza general, termografía sin anomalías"
+              value={formData.hallazgos}
+              onChangeText={(value) => handleInputChange('hallazgos', value)}
+              multiline
+              textAlignVertical="top"
+              placeholderTextColor={theme.colors.textSecondary}
+            />
+          </View>
+
+          <View style={styles.formGroup}>
+            <Text style={[styles.label, { color: theme.colors.text }]}>Próximo mantenimiento</Text>
+            <TextInput
+              style={inputStyle}
+              placeholder="AAAA-MM-DD (opcional)"
+              value={formData.proxima_fecha}
+              onChangeText={(value) => handleInputChange('proxima_fecha', value)}
+              maxLength={10}
+              placeholderTextColor={theme.colors.textSecondary}
+            />
+          </View>
+        </View>
+
+        <TouchableOpacity
+          style={[styles.submitButton, { backgroundColor: theme.colors.primary }]}
+          onPress={handleSubmit}
+          disabled={addMantenimientoMutation.isPending}
+        >
+          {addMantenimientoMutation.isPending ? (
+            <ActivityIndicator color="#ffffff" />
+          ) : (
+            <>
+              <Ionicons name="checkmark-circle" size={20} color="#ffffff" />
+              <Text style={styles.submitButtonText}>Registrar mantenimiento</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 20,
+    paddingTop: 20,
+    borderBottomWidth: 1,
+  },
+  backButton: {
+    marginRight: 12,
+  },
+  headerTitleContainer: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  headerTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+  },
+  headerSubtitle: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  themeToggle: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  card: {
+    borderRadius: 12,
+    padding: 20,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  formGroup: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+  textArea: {
+    minHeight: 100,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+  },
+  chipText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  submitButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 16,
+    borderRadius: 12,
+    gap: 8,
+  },
+  submitButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default MantenimientoFormView;
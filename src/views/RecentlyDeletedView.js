@@ -0,0 +1,267 @@
+/**
+ * RecentlyDeletedView - Vista de tableros eliminados recientemente
+ *
+ * Vista 8: Lista los tableros eliminados en esta sesión y en la anterior
+ * (RecentlyDeletedService) y permite restaurarlos. Como el tablero ya no
+ * existe en el servidor, al restaurarlo se crea de nuevo con los mismos datos.
+ *
+ * @component
+ * @module views/RecentlyDeletedView
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ *
+ * @param {Object} props - Props del componente
+ * @param {Object} props.navigation - Objeto de navegación de React Navigation
+ *
+ * @returns {React.Component} Lista de tableros eliminados con opción de restaurar
+ *
+ * @example
+ * navigation.navigate('RecentlyDeleted');
+ */
+
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { useRecentlyDeleted, useRestoreTablero } from '../hooks/useRecentlyDeleted';
+
+/**
+ * Componente funcional de la lista de eliminados
+ *
+ * Características:
+ * - Tableros eliminados de la sesión actual y la anterior, del más reciente al más antiguo
+ * - Restauración con un toque (vuelve a crear el tablero en el servidor)
+ *
+ * @function
+ */
+const RecentlyDeletedView = ({ navigation }) => {
+  const { theme, isDarkMode, toggleTheme } = useTheme();
+
+  /** React Query hook con los tableros eliminados */
+  const { data: eliminados = [], isLoading } = useRecentlyDeleted();
+
+  /** React Query mutation para restaurar un tablero */
+  const restoreMutation = useRestoreTablero();
+
+  /**
+   * Restaura un tablero eliminado
+   * @param {Object} item - Elemento { tablero, deletedAt }
+   */
+  const handleRestore = (item) => {
+    restoreMutation.mutate(item, {
+      onSuccess: (result) => {
+        Alert.alert(
+          result?.queued ? 'Restaurado sin conexión' : 'Éxito',
+          result?.queued
+            ? `"${item.tablero.nombre}" se sincronizará cuando vuelva la conexión`
+            : `"${item.tablero.nombre}" se restauró correctamente`
+        );
+      },
+    });
+  };
+
+  /**
+   * Formatea la fecha de eliminación
+   * @param {string} fecha - Fecha en formato ISO
+   * @returns {string} Fecha legible
+   */
+  const formatFecha = (fecha) =>
+    new Date(fecha).toLocaleString('es', {
+      day: '2-digit',
+      month: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+
+  const renderItem = ({ item }) => {
+    const isRestoring = restoreMutation.isPending && restoreMutation.variables?.tablero.id === item.tablero.id;
+
+    return (
+      <View style={[styles.card, { backgroundColor: theme.colors.card }]}>
+        <View style={styles.cardInfo}>
+          <Text style={[styles.cardTitle, { color: theme.colors.text }]} numberOfLines={1}>
+            {item.tablero.nombre}
+          </Text>
+          <Text style={[styles.cardSubtitle, { color: theme.colors.textSecondary }]} numberOfLines={1}>
+            {item.tablero.ubicacion} · {item.tablero.marca}
+          </Text>
+          <Text style={[styles.cardDate, { color: theme.colors.textSecondary }]}>
+            Eliminado el {formatFecha(item.deletedAt)}
+          </Text>
+        </View>
+        <TouchableOpacity
+          style={[styles.restoreButton, { backgroundColor: theme.colors.primary }]}
+          onPress={() => handleRestore(item)}
+          disabled={restoreMutation.isPending}
+        >
+          {isRestoring ? (
+            <ActivityIndicator size="small" color="#ffffff" />
+          ) : (
+            <>
+              <Ionicons name="arrow-undo" size={16} color="#ffffff" />
+              <Text style={styles.restoreButtonText}>Restaurar</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <View style={[styles.header, { backgroundColor: theme.colors.card, borderBottomColor: theme.colors.border }]}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color={theme.colors.primary} />
+        </TouchableOpacity>
+        <Ionicons name="trash-bin" size={28} color={theme.colors.primary} />
+        <View style={styles.headerTitleContainer}>
+          <Text style={[styles.headerTitle, { color: theme.colors.text }]}>Eliminados recientemente</Text>
+          <Text style={[styles.headerSubtitle, { color: theme.colors.textSecondary }]}>
+            De esta sesión y la anterior
+          </Text>
+        </View>
+        <TouchableOpacity
+          style={styles.themeToggle}
+          onPress={toggleTheme}
+        >
+          <Ionicons
+            name={isDarkMode ? 'sunny' : 'moon'}
+            size={24}
+            color={theme.colors.primary}
+          />
+        </TouchableOpacity>
+      </View>
+
+      {isLoading ? (
+        <View style={styles.centerContainer}>
+          <ActivityIndicator size="large" color={theme.colors.primary} />
+        </View>
+      ) : (
+        <FlatList
+          data={eliminados}
+          renderItem={renderItem}
+          keyExtractor={(item) => item.tablero.id}
+          contentContainerStyle={styles.listContent}
+          ListEmptyComponent={
+            <View style={styles.centerContainer}>
+              <Ionicons name="file-tray-outline" size={80} color={theme.colors.border} />
+              <Text style={[styles.emptyText, { color: theme.colors.text }]}>No hay tableros eliminados</Text>
+              <Text style={[styles.emptySubtext, { color: theme.colors.textSecondary }]}>
+                Aquí aparecerán los tableros que elimines para poder restaurarlos
+              </Text>
+            </View>
+          }
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 20,
+    paddingTop: 20,
+    borderBottomWidth: 1,
+  },
+  backButton: {
+    marginRight: 12,
+  },
+  headerTitleContainer: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  headerTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+  },
+  headerSubtitle: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  themeToggle: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  listContent: {
+    padding: 16,
+    paddingBottom: 40,
+    flexGrow: 1,
+  },
+  card: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  cardInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  cardTitle: {
+    fontSize: 17,
+    fontWeight: 'bold',
+  },
+  cardSubtitle: {
+    fontSize: 14,
+    marginTop: 2,
+  },
+  cardDate: {
+    fontSize: 12,
+    marginTop: 6,
+  },
+  restoreButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    gap: 6,
+    minWidth: 104,
+    justifyContent: 'center',
+  },
+  restoreButtonText: {
+    color: '#ffffff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  emptyText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 16,
+  },
+  emptySubtext: {
+    fontSize: 14,
+    marginTop: 8,
+    textAlign: 'center',
+  },
+});
+
+export default RecentlyDeletedView;
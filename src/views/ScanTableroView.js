@@ -0,0 +1,314 @@
+/**
+ * ScanTableroView - Vista de escaneo de etiquetas QR
+ *
+ * Vista 10: Usa la cámara para leer la etiqueta QR de un tablero (enlace
+ * remsprueapp2://tableros/{id}) y abre su detalle. Si el tablero no está en
+ * caché se solicita al servidor; si ya no existe se indica claramente y se
+ * puede escanear otra etiqueta.
+ *
+ * @component
+ * @module views/ScanTableroView
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ *
+ * @param {Object} props - Props del componente
+ * @param {Object} props.navigation - Objeto de navegación de React Navigation
+ *
+ * @returns {React.Component} Escáner de etiquetas QR
+ *
+ * @example
+ * navigation.navigate('ScanTablero');
+ */
+
+import React, { useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Linking,
+} from 'react-native';
+import { CameraView, useCameraPermissions } from 'expo-camera';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { useTableroLookup } from '../hooks/useTableros';
+import { parseTableroDeepLink } from '../navigation/deepLinks';
+import { NotFoundError } from '../errors/AppError';
+
+/**
+ * Estados del escaneo
+ * @constant {Object<string, string>}
+ */
+const SCAN_STATUS = {
+  SCANNING: 'scanning',
+  LOADING: 'loading',
+  ERROR: 'error',
+};
+
+/**
+ * Componente funcional del escáner
+ *
+ * Características:
+ * - Solicitud del permiso de cámara con acceso a los ajustes si se denegó
+ * - Lectura de códigos QR con enlace a un tablero
+ * - Búsqueda en caché y, si no está, en el servidor
+ * - Mensaje claro si la etiqueta no es de un tablero o si el tablero ya no existe
+ *
+ * @function
+ */
+const ScanTableroView = ({ navigation }) => {
+  const { theme, isDarkMode, toggleTheme } = useTheme();
+
+  /** Permiso de cámara */
+  const [permission, requestPermission] = useCameraPermissions();
+
+  /** Búsqueda del tablero escaneado en caché o en el servidor */
+  const lookupTablero = useTableroLookup();
+
+  /** @type {string} Estado del escaneo (SCAN_STATUS) */
+  const [status, setStatus] = useState(SCAN_STATUS.SCANNING);
+
+  /** @type {string} Mensaje de error del último escaneo */
+  const [errorMessage, setErrorMessage] = useState('');
+
+  /** Evita procesar varias lecturas del mismo código antes de actualizar el estado */
+  const isHandlingRef = useRef(false);
+
+  /**
+   * Procesa un código leído por la cámara
+   * @param {Object} scanResult - Resultado de CameraView ({ data })
+   */
+  const handleBarcodeScanned = async ({ data }) => {
+    if (isHandlingRef.current) return;
+    isHandlingRef.current = true;
+
+    const tableroId = parseTableroDeepLink(data);
+    if (!tableroId) {
+      setErrorMessage('Este código QR no corresponde a un tablero de la aplicación.');
+      setStatus(SCAN_STATUS.ERROR);
+      return;
+    }
+
+    setStatus(SCAN_STATUS.LOADING);
+    try {
+      const tablero = await lookupTablero(tableroId);
+      navigation.replace('TableroDetail', { tableroId: tablero.id });
+    } catch (error) {
+      setErrorMessage(
+        error instanceof NotFoundError
+          ? 'El tablero de esta etiqueta ya no existe. Puede haber sido eliminado.'
+          : error.message
+      );
+      setStatus(SCAN_STATUS.ERROR);
+    }
+  };
+
+  /**
+   * Vuelve a activar la cámara para leer otra etiqueta
+   */
+  const handleScanAgain = () => {
+    isHandlingRef.current = false;
+    setErrorMessage('');
+    setStatus(SCAN_STATUS.SCANNING);
+  };
+
+  const renderContent = () => {
+    if (!permission) {
+      return (
+        <View style={styles.centerContainer}>
+          <ActivityIndicator size="large" color={theme.colors.primary} />
+        </View>
+      );
+    }
+
+    if (!permission.granted) {
+      return (
+        <View style={styles.centerContainer}>
+          <Ionicons name="camera-outline" size={80} color={theme.colors.border} />
+          <Text style={[styles.messageTitle, { color: theme.colors.text }]}>Se necesita la cámara</Text>
+          <Text style={[styles.messageText, { color: theme.colors.textSecondary }]}>
+            Permite el acceso a la cámara para escanear las etiquetas QR de los tableros.
+          </Text>
+          <TouchableOpacity
+            style={[styles.primaryButton, { backgroundColor: theme.colors.primary }]}
+            onPress={permission.canAskAgain ? requestPermission : () => Linking.openSettings()}
+          >
+            <Text style={styles.primaryButtonText}>
+              {permission.canAskAgain ? 'Permitir cámara' : 'Abrir ajustes'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    if (status === SCAN_STATUS.ERROR) {
+      return (
+        <View style={styles.centerContainer}>
+          <Ionicons name="alert-circle" size={80} color={theme.colors.error} />
+          <Text style={[styles.messageTitle, { color: theme.colors.error }]}>No se pudo abrir el tablero</Text>
+          <Text style={[styles.messageText, { color: theme.colors.textSecondary }]}>{errorMessage}</Text>
+          <TouchableOpacity
+            style={[styles.primaryButton, { backgroundColor: theme.colors.primary }]}
+            onPress={handleScanAgain}
+          >
+            <Ionicons name="scan" size={20} color="#ffffff" />
+            <Text style={styles.primaryButtonText}>Escanear otra etiqueta</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.cameraContainer}>
+        <CameraView
+          style={StyleSheet.absoluteFill}
+          facing="back"
+          barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+          onBarcodeScanned={status === SCAN_STATUS.SCANNING ? handleBarcodeScanned : undefined}
+        />
+        <View style={styles.overlay}>
+          <View style={[styles.frame, { borderColor: theme.colors.primary }]} />
+          <View style={styles.hintContainer}>
+            {status === SCAN_STATUS.LOADING ? (
+              <>
+                <ActivityIndicator color="#ffffff" />
+                <Text style={styles.hintText}>Buscando tablero...</Text>
+              </>
+            ) : (
+              <Text style={styles.hintText}>Apunta a la etiqueta QR del tablero</Text>
+            )}
+          </View>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <View style={[styles.header, { backgroundColor: theme.colors.card, borderBottomColor: theme.colors.border }]}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color={theme.colors.primary} />
+        </TouchableOpacity>
+        <Ionicons name="scan" size={28} color={theme.colors.primary} />
+        <View style={styles.headerTitleContainer}>
+          <Text style={[styles.headerTitle, { color: theme.colors.text }]}>Escanear etiqueta</Text>
+          <Text style={[styles.headerSubtitle, { color: theme.colors.textSecondary }]}>
+            Abre el tablero de un código QR
+          </Text>
+        </View>
+        <TouchableOpacity
+          style={styles.themeToggle}
+          onPress={toggleTheme}
+        >
+          <Ionicons
+            name={isDarkMode ? 'sunny' : 'moon'}
+            size={24}
+            color={theme.colors.primary}
+          />
+        </TouchableOpacity>
+      </View>
+
+      {renderContent()}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 20,
+    paddingTop: 20,
+    borderBottomWidth: 1,
+  },
+  backButton: {
+    marginRight: 12,
+  },
+  headerTitleContainer: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  headerTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+  },
+  headerSubtitle: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  themeToggle: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  messageTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginTop: 16,
+    textAlign: 'center',
+  },
+  messageText: {
+    fontSize: 14,
+    marginTop: 8,
+    textAlign: 'center',
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 24,
+    paddingHorizontal: 24,
+    paddingVertical: 14,
+    borderRadius: 10,
+    gap: 8,
+  },
+  primaryButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  cameraContainer: {
+    flex: 1,
+    backgroundColor: '#000000',
+  },
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  frame: {
+    width: 240,
+    height: 240,
+    borderWidth: 3,
+    borderRadius: 16,
+  },
+  hintContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 24,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 20,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    gap: 8,
+  },
+  hintText: {
+    color: '#ffffff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
+
+export default ScanTableroView;
@@ -0,0 +1,307 @@
+/**
+ * SettingsView - Vista de ajustes de la aplicación
+ *
+ * Vista 5: Permite elegir el entorno de API (desarrollo, staging, producción o
+ * una URL personalizada) en tiempo de ejecución. La selección se guarda en
+ * AsyncStorage a través de EnvironmentContext y se aplica a todas las
+ * peticiones de TableroService.
+ *
+ * @component
+ * @module views/SettingsView
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ *
+ * @returns {React.Component} Pantalla de ajustes
+ *
+ * @example
+ * // Uso en tab navigator
+ * <Tab.Screen name="Ajustes" component={SettingsView} />
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { useEnvironment } from '../context/EnvironmentContext';
+import { CUSTOM_ENVIRONMENT_KEY } from '../services/EnvironmentService';
+
+/**
+ * Componente funcional de la pantalla de ajustes
+ *
+ * Características:
+ * - Lista de perfiles de entorno leídos desde app.json
+ * - Perfil personalizado con URL editable
+ * - Indicador del entorno activo y su URL
+ * - Tema dinámico (claro/oscuro)
+ *
+ * @function
+ */
+const SettingsView = () => {
+  const { theme, isDarkMode, toggleTheme } = useTheme();
+  const { environment, environments, selectEnvironment } = useEnvironment();
+
+  /** @type {string} URL ingresada para el perfil personalizado */
+  const [customUrl, setCustomUrl] = useState('');
+
+  /**
+   * Efecto que pre-carga la URL personalizada guardada
+   */
+  useEffect(() => {
+    const custom = environments.find(env => env.key === CUSTOM_ENVIRONMENT_KEY);
+    setCustomUrl(custom?.apiUrl || '');
+  }, [environment]);
+
+  /**
+   * Cambia a un perfil predefinido
+   *
+   * @async
+   * @function
+   * @param {Object} env - Perfil seleccionado
+   */
+  const handleSelect = async (env) => {
+    if (env.key === environment.key) return;
+
+    const result = await selectEnvironment(env.key);
+    if (!result.success) {
+      Alert.alert('Error', result.error);
+    }
+  };
+
+  /**
+   * Guarda y activa la URL personalizada
+   *
+   * @async
+   * @function
+   */
+  const handleSaveCustom = async () => {
+    const result = await selectEnvironment(CUSTOM_ENVIRONMENT_KEY, customUrl);
+
+    if (result.success) {
+      Alert.alert('Entorno actualizado', 'Ahora se usa la URL personalizada');
+    } else {
+      Alert.alert('Error', result.error);
+    }
+  };
+
+  const predefinedEnvironments = environments.filter(env => env.key !== CUSTOM_ENVIRONMENT_KEY);
+
+  return (
+    <KeyboardAvoidingView
+      style={[styles.container, { backgroundColor: theme.colors.background }]}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <View style={[styles.header, { backgroundColor: theme.colors.card, borderBottomColor: theme.colors.border }]}>
+        <Ionicons name="settings" size={28} color={theme.colors.primary} />
+        <Text style={[styles.headerTitle, { color: theme.colors.text }]}>Ajustes</Text>
+        <TouchableOpacity
+          style={styles.themeToggle}
+          onPress={toggleTheme}
+        >
+          <Ionicons
+            name={isDarkMode ? 'sunny' : 'moon'}
+            size={24}
+            color={theme.colors.primary}
+          />
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+      >
+        <View style={[styles.card, { backgroundColor: theme.colors.card }]}>
+          <View style={styles.sectionHeader}>
+            <Ionicons name="server" size={22} color={theme.colors.primary} />
+            <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Entorno de API</Text>
+          </View>
+
+          {predefinedEnvironments.map((env) => {
+            const isActive = env.key === environment.key;
+            return (
+              <TouchableOpacity
+                key={env.key}
+                style={[
+                  styles.option,
+                  { borderBottomColor: theme.colors.border },
+                  isActive && { backgroundColor: theme.colors.cardBackground },
+                ]}
+                onPress={() => handleSelect(env)}
+              >
+                <View style={styles.optionText}>
+                  <Text style={[
+                    styles.optionLabel,
+                    { color: isActive ? theme.colors.primary : theme.colors.text },
+                  ]}>
+                    {env.label}
+                  </Text>
+                  <Text style={[styles.optionUrl, { color: theme.colors.textSecondary }]}>{env.apiUrl}</Text>
+                </View>
+                <Ionicons
+                  name={isActive ? 'radio-button-on' : 'radio-button-off'}
+                  size={22}
+                  color={theme.colors.primary}
+                />
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+
+        <View style={[styles.card, { backgroundColor: theme.colors.card }]}>
+          <View style={styles.sectionHeader}>
+            <Ionicons name="create" size={22} color={theme.colors.primary} />
+            <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>URL personalizada</Text>
+            {environment.key === CUSTOM_ENVIRONMENT_KEY && (
+              <Ionicons name="checkmark-circle" size={20} color={theme.colors.success} />
+            )}
+          </View>
+
+          <TextInput
+            style={[styles.input, { backgroundColor: theme.colors.cardBackground, borderColor: theme.colors.border, color: theme.colors.text }]}
+            placeholder="Ej: http://192.168.1.20:8000"
+            value={customUrl}
+            onChangeText={setCustomUrl}
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+            placeholderTextColor={theme.colors.textSecondary}
+          />
+
+          <TouchableOpacity
+            style={[styles.saveButton, { backgroundColor: theme.colors.primary }]}
+            onPress={handleSaveCustom}
+          >
+            <Ionicons name="save" size={20} color="#ffffff" />
+            <Text style={styles.saveButtonText}>Usar esta URL</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={[styles.infoCard, { backgroundColor: isDarkMode ? theme.colors.cardBackground : '#edf2f7', borderColor: theme.colors.border }]}>
+          <Ionicons name="information-circle-outline" size={20} color={theme.colors.primary} />
+          <Text style={[styles.infoText, { color: theme.colors.primary }]}>
+            Conectado a {environment.label}: {environment.apiUrl}
+          </Text>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 20,
+    paddingTop: 20,
+    borderBottomWidth: 1,
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginLeft: 12,
+    flex: 1,
+  },
+  themeToggle: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  card: {
+    borderRadius: 12,
+    padding: 20,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginLeft: 8,
+    flex: 1,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 14,
+    paddingHorizontal: 8,
+    borderBottomWidth: 1,
+    borderRadius: 8,
+  },
+  optionText: {
+    flex: 1,
+  },
+  optionLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  optionUrl: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+  saveButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: 12,
+    paddingVertical: 14,
+    borderRadius: 12,
+    gap: 8,
+  },
+  saveButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  infoCard: {
+    borderRadius: 8,
+    padding: 12,
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+  },
+  infoText: {
+    flex: 1,
+    fontSize: 12,
+    marginLeft: 8,
+    fontWeight: '600',
+  },
+});
+
+export default SettingsView;
@@ -0,0 +1,520 @@
+/**
+ * TableroDetailView - Vista de detalle de un tablero eléctrico
+ *
+ * Vista 6: Muestra todos los campos de un tablero, su antigüedad calculada desde
+ * el año de instalación, el historial de estados registrado en el dispositivo y
+ * la línea de tiempo de mantenimientos registrados en el servidor.
+ * Ofrece acciones rápidas para editar, duplicar, compartir y eliminar el tablero.
+ * Los datos se obtienen con useTablero(id), que parte de la lista en caché y
+ * refresca el tablero desde GET /tableros/{id}.
+ *
+ * @component
+ * @module views/TableroDetailView
+ * @author Francis Daniel Mamani Silva
+ * @version 1.0.0
+ *
+ * @param {Object} props - Props del componente
+ * @param {Object} props.navigation - Objeto de navegación de React Navigation
+ * @param {Object} props.route - Objeto de ruta con parámetros
+ * @param {string} props.route.params.tableroId - ID del tablero a mostrar
+ *
+ * @returns {React.Component} Detalle del tablero con acciones rápidas
+ *
+ * @example
+ * navigation.navigate('TableroDetail', { tableroId: tablero.id });
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Share,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { useUndoDelete } from '../context/UndoDeleteContext';
+import { useTablero, useEstadoHistorial } from '../hooks/useTableros';
+import { useMantenimientos } from '../hooks/useMantenimientos';
+import { isLocalId } from '../services/OfflineQueueService';
+import MantenimientoTimeline from '../components/MantenimientoTimeline';
+import MaintenanceScheduleCard from '../components/MaintenanceScheduleCard';
+import ReportModal from '../components/ReportModal';
+import TableroQrCard from '../components/TableroQrCard';
+import ErrorState from '../components/ErrorState';
+import { NotFoundError } from '../errors/AppError';
+
+/**
+ * Colores de fondo para cada estado del tablero
+ * @constant {Object<string, string>}
+ */
+const ESTADO_COLORS = {
+  'Operativo': '#48bb78',
+  'Mantenimiento': '#ed8936',
+  'Fuera de servicio': '#f56565',
+};
+
+/**
+ * Componente funcional de la vista de detalle
+ *
+ * Características:
+ * - Datos iniciales desde la caché de la lista (sin esperar a la red)
+ * - Antigüedad calculada con TableroElectricoModel.getEdad()
+ * - Línea de tiempo con el historial de estados
+ * - Intervalo de mantenimiento preventivo con recordatorio local
+ * - Línea de tiempo de mantenimientos con acceso al formulario de registro
+ * - Código QR con el enlace al tablero e impresión de su etiqueta
+ * - Acciones: editar, duplicar, compartir, informe PDF y eliminar
+ * - Mensaje claro si el tablero ya no existe
+ *
+ * @function
+ */
+const TableroDetailView = ({ navigation, route }) => {
+  const { theme, isDarkMode, toggleTheme } = useTheme();
+
+  /** @const {string} ID del tablero recibido por navegación */
+  const { tableroId } = route.params;
+
+  /** React Query hook con el tablero como instancia de TableroElectricoModel */
+  const { data: tablero, isLoading, error, refetch } = useTablero(tableroId);
+
+  /** Historial local de estados del tablero */
+  const { data: historial = [] } = useEstadoHistorial(tableroId);
+
+  /** Registro de mantenimientos del tablero */
+  const {
+    data: mantenimientos = [],
+    isLoading: isLoadingMantenimientos,
+    isError: isErrorMantenimientos,
+  } = useMantenimientos(tableroId);
+
+  /** Eliminación con opción de deshacer */
+  const { scheduleDelete } = useUndoDelete();
+
+  /** @type {boolean} Visibilidad del modal del informe de inspección */
+  const [isReportVisible, setIsReportVisible] = useState(false);
+
+  /**
+   * Navega a la vista de edición con los datos del tablero
+   * @function
+   */
+  const handleEdit = () => {
+    navigation.navigate('EditTablero', { tablero: tablero.toJSON() });
+  };
+
+  /**
+   * Abre el formulario para registrar un mantenimiento del tablero
+   * @function
+   */
+  const handleAddMantenimiento = () => {
+    navigation.navigate('NuevoMantenimiento', {
+      tableroId: tablero.id,
+      tableroNombre: tablero.nombre,
+    });
+  };
+
+  /**
+   * Abre el formulario de creación pre-cargado con una copia del tablero
+   * @function
+   */
+  const handleDuplicate = () => {
+    const datos = { ...tablero.toJSON() };
+    delete datos.id;
+    navigation.navigate('Crear', {
+      initialData: { ...datos, nombre: `${datos.nombre} (copia)` },
+    });
+  };
+
+  /**
+   * Comparte un resumen del tablero con la hoja de compartir del sistema
+   * @async
+   * @function
+   */
+  const handleShare = async () => {
+    try {
+      await Share.share({
+        title: tablero.nombre,
+        message: [
+          `Tablero: ${tablero.nombre}`,
+          `Ubicación: ${tablero.ubicacion}`,
+          `Marca: ${tablero.marca}`,
+          `Capacidad: ${tablero.capacidad_amperios} A`,
+          `Estado: ${tablero.estado}`,
+          `Fabricación: ${tablero.ano_fabricacion}`,
+          `Instalación: ${tablero.ano_instalacion} (${tablero.getEdad()} años)`,
+        ].join('\n'),
+      });
+    } catch (shareError) {
+      console.error('Error al compartir tablero:', shareError);
+    }
+  };
+
+  /**
+   * Programa la eliminación del tablero (con opción de deshacer) y regresa a la lista
+   * @function
+   */
+  const handleDelete = () => {
+    scheduleDelete(tablero.toJSON());
+    navigation.goBack();
+  };
+
+  /**
+   * Formatea una fecha ISO para el historial
+   * @param {string} fecha - Fecha en formato ISO
+   * @returns {string} Fecha legible
+   */
+  const formatFecha = (fecha) =>
+    new Date(fecha).toLocaleString('es', {
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+
+  const renderHeader = (title) => (
+    <View style={[styles.header, { backgroundColor: theme.colors.card, borderBottomColor: theme.colors.border }]}>
+      <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+        <Ionicons name="arrow-back" size={24} color={theme.colors.primary} />
+      </TouchableOpacity>
+      <Text style={[styles.headerTitle, { color: theme.colors.text }]} numberOfLines={1}>{title}</Text>
+      <TouchableOpacity
+        style={styles.themeToggle}
+        onPress={toggleTheme}
+      >
+        <Ionicons
+          name={isDarkMode ? 'sunny' : 'moon'}
+          size={24}
+          color={theme.colors.primary}
+        />
+      </TouchableOpacity>
+    </View>
+  );
+
+  if (isLoading) {
+    return (
+      <View style={[styles.centerContainer, { backgroundColor: theme.colors.background }]}>
+        <ActivityIndicator size="large" color={theme.colors.primary} />
+        <Text style={[styles.loadingText, { color: theme.colors.primary }]}>Cargando tablero...</Text>
+      </View>
+    );
+  }
+
+  if (!tablero) {
+    return (
+      <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+        {renderHeader('Tablero')}
+        <View style={styles.centerContainer}>
+          <ErrorState
+            error={error ?? new NotFoundError('El tablero no existe o fue eliminado.')}
+            onRetry={refetch}
+            onGoBack={() => navigation.navigate('Tableros')}
+            goBackLabel="Ir a la lista"
+          />
+        </View>
+      </View>
+    );
+  }
+
+  const infoRows = [
+    { label: 'Ubicación', value: tablero.ubicacion, icon: 'location-outline' },
+    { label: 'Marca', value: tablero.marca, icon: 'pricetag-outline' },
+    { label: 'Capacidad', value: `${tablero.capacidad_amperios} A`, icon: 'flash-outline' },
+    { label: 'Año de fabricación', value: tablero.ano_fabricacion, icon: 'construct-outline' },
+    { label: 'Año de instalación', value: tablero.ano_instalacion, icon: 'calendar-outline' },
+    { label: 'Antigüedad', value: `${tablero.getEdad()} año${tablero.getEdad() !== 1 ? 's' : ''}`, icon: 'time-outline' },
+  ];
+
+  const actions = [
+    { label: 'Editar', icon: 'pencil', color: theme.colors.primary, onPress: handleEdit },
+    { label: 'Duplicar', icon: 'copy', color: theme.colors.secondary, onPress: handleDuplicate },
+    { label: 'Compartir', icon: 'share-social', color: theme.colors.success, onPress: handleShare },
+    { label: 'Informe PDF', icon: 'document-text', color: theme.colors.warning, onPress: () => setIsReportVisible(true) },
+    { label: 'Eliminar', icon: 'trash', color: theme.colors.error, onPress: handleDelete },
+  ];
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      {renderHeader(tablero.nombre)}
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+      >
+        <View style={[styles.card, { backgroundColor: theme.colors.card }]}>
+          <View style={styles.titleRow}>
+            <View style={[styles.iconContainer, { backgroundColor: isDarkMode ? theme.colors.cardBackground : '#edf2f7' }]}>
+              <Ionicons name="flash" size={28} color={theme.colors.primary} />
+            </View>
+            <View style={styles.titleText}>
+              <Text style={[styles.tableroNombre, { color: theme.colors.text }]}>{tablero.nombre}</Text>
+              <View style={[styles.estadoBadge, { backgroundColor: ESTADO_COLORS[tablero.estado] || theme.colors.textSecondary }]}>
+                <Text style={styles.estadoText}>{tablero.estado}</Text>
+              </View>
+            </View>
+          </View>
+
+          {infoRows.map(row => (
+            <View key={row.label} style={[styles.infoRow, { borderTopColor: theme.colors.border }]}>
+              <Ionicons name={row.icon} size={18} color={theme.colors.textSecondary} />
+              <Text style={[styles.infoLabel, { color: theme.colors.textSecondary }]}>{row.label}</Text>
+              <Text style={[styles.infoValue, { color: theme.colors.text }]}>{row.value}</Text>
+            </View>
+          ))}
+        </View>
+
+        <View style={styles.actionsContainer}>
+          {actions.map(action => (
+            <TouchableOpacity
+              key={action.label}
+              style={[styles.actionButton, { backgroundColor: action.color }]}
+              onPress={action.onPress}
+            >
+              <Ionicons name={action.icon} size={20} color="#ffffff" />
+              <Text style={styles.actionButtonText}>{action.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <View style={[styles.card, { backgroundColor: theme.colors.card }]}>
+          <View style={styles.sectionHeader}>
+            <Ionicons name="git-commit" size={22} color={theme.colors.primary} />
+            <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>Historial de estados</Text>
+          </View>
+
+          {historial.length === 0 ? (
+            <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+              No hay cambios de estado registrados en este dispositivo.
+            </Text>
+          ) : (
+            historial.map((entrada, index) => (
+              <View key={`${entrada.fecha}-${index}`} style={styles.timelineItem}>
+                <View style={styles.timelineMarker}>
+                  <View style={[styles.timelineDot, { backgroundColor: ESTADO_COLORS[entrada.estado] || theme.colors.primary }]} />
+                  {index < historial.length - 1 && (
+                    <View style={[styles.timelineLine, { backgroundColor: theme.colors.border }]} />
+                  )}
+                </View>
+                <View style={styles.timelineContent}>
+                  <Text style={[styles.timelineEstado, { color: theme.colors.text }]}>{entrada.estado}</Text>
+                  <Text style={[styles.timelineFecha, { color: theme.colors.textSecondary }]}>{formatFecha(entrada.fecha)}</Text>
+                </View>
+              </View>
+            ))
+          )}
+        </View>
+
+        <MaintenanceScheduleCard tableroId={tablero.id} tableroNombre={tablero.nombre} />
+
+        <MantenimientoTimeline
+          mantenimientos={mantenimientos}
+          isLoading={isLoadingMantenimientos}
+          isError={isErrorMantenimientos}
+          isAvailable={!isLocalId(tablero.id)}
+          onAdd={handleAddMantenimiento}
+        />
+
+        <TableroQrCard tablero={tablero} />
+
+        <View style={[styles.infoCard, { backgroundColor: isDarkMode ? theme.colors.cardBackground : '#edf2f7', borderColor: theme.colors.border }]}>
+          <Ionicons name="information-circle-outline" size={20} color={theme.colors.primary} />
+          <Text style={[styles.idText, { color: theme.colors.primary }]}>
+            ID del tablero: {tablero.id}
+          </Text>
+        </View>
+      </ScrollView>
+
+      <ReportModal
+        visible={isReportVisible}
+        onClose={() => setIsReportVisible(false)}
+        tableros={[tablero.toJSON()]}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 20,
+    paddingTop: 20,
+    borderBottomWidth: 1,
+  },
+  backButton: {
+    marginRight: 12,
+  },
+  headerTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    flex: 1,
+  },
+  themeToggle: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  card: {
+    borderRadius: 12,
+    padding: 20,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  iconContainer: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  titleText: {
+    flex: 1,
+    alignItems: 'flex-start',
+  },
+  tableroNombre: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginBottom: 6,
+  },
+  estadoBadge: {
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+    borderRadius: 12,
+  },
+  estadoText: {
+    color: '#ffffff',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  infoRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderTopWidth: 1,
+  },
+  infoLabel: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  infoValue: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  actionsContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  actionButton: {
+    flexGrow: 1,
+    flexBasis: '45%',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    borderRadius: 12,
+    gap: 6,
+  },
+  actionButtonText: {
+    color: '#ffffff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+  },
+  timelineItem: {
+    flexDirection: 'row',
+  },
+  timelineMarker: {
+    width: 20,
+    alignItems: 'center',
+  },
+  timelineDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    marginTop: 4,
+  },
+  timelineLine: {
+    width: 2,
+    flex: 1,
+    marginVertical: 2,
+  },
+  timelineContent: {
+    flex: 1,
+    paddingLeft: 8,
+    paddingBottom: 16,
+  },
+  timelineEstado: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  timelineFecha: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  infoCard: {
+    borderRadius: 8,
+    padding: 12,
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+  },
+  idText: {
+    fontSize: 12,
+    marginLeft: 8,
+    fontWeight: '600',
+  },
+});
+
+export default TableroDetailView;
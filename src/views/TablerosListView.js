@@ -3,7 +3,8 @@
  * 
  * Vista 2: Muestra la lista de tableros eléctricos con funcionalidad CRUD completa.
  * Utiliza React Query para gestión de estado asíncrono y caché automático.
- * Implementa infinite scroll para paginación (10 items por página),
+ * Implementa infinite scroll con páginas de 10 tableros solicitadas al servidor
+ * (la búsqueda, los filtros y el orden también se resuelven en el servidor),
  * animación de header que se oculta al hacer scroll, y pull-to-refresh.
  * 
  * @component
@@ -27,45 +28,73 @@ import {
   View,
   Text,
   StyleSheet,
-  FlatList,
   TouchableOpacity,
-  Alert,
   RefreshControl,
   ActivityIndicator,
   Animated,
   TextInput,
-  Modal,
+  ScrollView,
+  Alert,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../context/ThemeContext';
-import { useTableros, useDeleteTablero } from '../hooks/useTableros';
+import { useUndoDelete } from '../context/UndoDeleteContext';
+import { useTableros } from '../hooks/useTableros';
+import { useDebouncedValue } from '../hooks/useDebouncedValue';
+import { useOfflineQueue } from '../hooks/useOfflineQueue';
+import { useHealth } from '../context/HealthContext';
+import { useMaintenanceSchedules } from '../hooks/useMaintenanceSchedule';
+import { DUE_STATUS } from '../services/MaintenanceScheduleService';
+import { usePersistedState } from '../hooks/usePersistedState';
+import { useFilterPresets } from '../hooks/useFilterPresets';
+import { useBulkTableroAction, BULK_ACTIONS } from '../hooks/useBulkActions';
+import TableroController, { DEFAULT_SORT, DEFAULT_FILTERS } from '../controllers/TableroController';
+import SyncStatusBanner from '../components/SyncStatusBanner';
+import TableroFilterModal from '../components/TableroFilterModal';
+import FilterPresetBar from '../components/FilterPresetBar';
+import BulkActionBar from '../components/BulkActionBar';
+import BulkProgressModal from '../components/BulkProgressModal';
+import CsvExportModal from '../components/CsvExportModal';
+import ReportModal from '../components/ReportModal';
+import ErrorState from '../components/ErrorState';
+import QrService from '../services/QrService';
 
 /**
  * Componente funcional principal de la lista de tableros
  * 
  * Características:
  * - React Query para caché y sincronización con el backend
- * - Infinite scroll con paginación de 10 items por página
+ * - Infinite scroll que carga del servidor páginas de 10 tableros
+ * - Búsqueda en el servidor con debounce mientras se escribe
  * - Header animado que se oculta/muestra según el scroll
  * - Pull-to-refresh para recargar datos
  * - Tema dinámico (claro/oscuro)
- * - Confirmación antes de eliminar tableros
+ * - Eliminación con snackbar "Deshacer" y acceso a los eliminados recientemente
  * - Navegación a vista de edición con datos pre-cargados
+ * - Navegación al detalle del tablero al tocar una tarjeta
+ * - Filtros combinables (estado, marca, capacidad, instalación, ubicación, año) con chips removibles
+ * - Filtro de mantenimiento próximo a vencer e indicador de mantenimiento vencido
+ * - Orden por cualquier campo (ascendente/descendente) guardado entre sesiones
+ * - Vistas guardadas con nombre (búsqueda + filtros + orden) aplicables con un toque
+ * - Modo selección (pulsación larga) con acciones masivas: cambiar estado, exportar, etiquetas QR y eliminar
+ * - Exportación a CSV de la lista filtrada o de la selección (columnas y delimitador a elegir)
+ * - Informe de inspección en PDF de la lista filtrada
+ * - Escaneo de la etiqueta QR de un tablero para abrir su detalle
  * 
  * @function
  */
 const TablerosListView = ({ navigation }) => {
   const { theme, isDarkMode, toggleTheme } = useTheme();
   
-  /** @type {number} Número de página actual para infinite scroll */
-  const [page, setPage] = useState(1);
-  
   /** @type {string} Término de búsqueda */
   const [searchTerm, setSearchTerm] = useState('');
   
-  /** @type {string|null} Año seleccionado para filtrar */
-  const [selectedYear, setSelectedYear] = useState(null);
+  /** @type {Object} Filtros combinables activos (forma de DEFAULT_FILTERS) */
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  
+  /** @type {{field: string, direction: string}} Orden de la lista, guardado entre sesiones */
+  const [sortOption, setSortOption] = usePersistedState('@tableros_sort', DEFAULT_SORT);
   
   /** @type {boolean} Estado del modal de filtros */
   const [isFilterModalVisible, setIsFilterModalVisible] = useState(false);
@@ -73,25 +102,90 @@ const TablerosListView = ({ navigation }) => {
   /** @type {number} Altura del SafeAreaView para calcular offset del header */
   const [safeAreaHeight, setSafeAreaHeight] = useState(0);
   
-  /** @type {boolean} Estado para mostrar el botón de activación del API */
-  const [showActivateButton, setShowActivateButton] = useState(true);
+  /** @type {boolean} Modo selección para acciones masivas */
+  const [isSelectionMode, setIsSelectionMode] = useState(false);
+  
+  /** @type {Array<string>} IDs de los tableros seleccionados */
+  const [selectedIds, setSelectedIds] = useState([]);
+  
+  /** @type {boolean} Se están cargando las páginas restantes para seleccionar todos los filtrados */
+  const [isSelectingAll, setIsSelectingAll] = useState(false);
+  
+  /** @type {string|null} Descripción de la acción masiva en curso; null oculta el modal de avance */
+  const [bulkTitle, setBulkTitle] = useState(null);
+  
+  /** @type {Array<Object>|null} Tableros a exportar a CSV; null oculta el modal de exportación */
+  const [exportTableros, setExportTableros] = useState(null);
+  
+  /** @type {string|null} Acción sobre la lista filtrada completa que espera a que se carguen todas las páginas ('export' o 'report') */
+  const [fullListAction, setFullListAction] = useState(null);
+  
+  /** @type {boolean} Visibilidad del modal del informe de inspección de la lista filtrada */
+  const [isReportVisible, setIsReportVisible] = useState(false);
   
-  /** @type {boolean} Estado para indicar si se está activando el API */
-  const [isActivatingAPI, setIsActivatingAPI] = useState(false);
+  /** @type {boolean} Se está generando la hoja de etiquetas QR de la selección */
+  const [isPrintingLabels, setIsPrintingLabels] = useState(false);
   
-  /** @const {number} Número de items a mostrar por página */
-  const ITEMS_PER_PAGE = 10;
+  /** @type {string} Término de búsqueda enviado al servidor, tras dejar de escribir */
+  const debouncedSearchTerm = useDebouncedValue(searchTerm, 400);
   
-  /** React Query hook para obtener tableros con caché automático */
-  const { data, isLoading, isError, refetch } = useTableros();
+  /** @type {Object} Filtros enviados al servidor, tras dejar de editarlos (rangos y prefijo se escriben) */
+  const debouncedFilters = useDebouncedValue(filters, 400);
   
-  /** React Query mutation para eliminar tableros con invalidación de caché */
-  const deleteTableroMutation = useDeleteTablero();
+  /** React Query hook para obtener tableros paginados por el servidor con caché automático (persistida entre reinicios) */
+  const {
+    data,
+    isLoading,
+    isError,
+    error,
+    isFetching,
+    dataUpdatedAt,
+    refetch,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+    isFetchNextPageError,
+  } = useTableros({ q: debouncedSearchTerm, filters: debouncedFilters, sort: sortOption });
   
-  /** Extracción segura de tableros desde la respuesta de la API */
-  const tableros = Array.isArray(data) ? data : [];
+  /** React Query mutation para acciones masivas a través del controlador */
+  const bulkMutation = useBulkTableroAction();
   
-  /** @type {Array} Array de tableros filtrados por búsqueda y año */
+  /** Eliminación con opción de deshacer y tableros ocultos a la espera de eliminarse */
+  const { scheduleDelete, pendingDeleteIds } = useUndoDelete();
+  
+  /** Cola de cambios sin conexión y su estado por tablero */
+  const { queue, statusByTableroId, retry, discard } = useOfflineQueue();
+  
+  /** Estado de conexión con el backend (arranque en frío o sin conexión) */
+  const { isWaking, isOffline } = useHealth();
+  
+  /** Vistas guardadas (búsqueda + filtros + orden) */
+  const { data: filterPresets = [] } = useFilterPresets();
+  
+  /** Estado de vencimiento del mantenimiento preventivo por tablero */
+  const { statusByTableroId: dueByTableroId } = useMaintenanceSchedules();
+  
+  /** Tableros de las páginas cargadas, sin los que están a la espera de eliminarse */
+  const tableros = React.useMemo(
+    () => (data?.tableros ?? []).filter(tablero => !pendingDeleteIds.includes(tablero.id)),
+    [data, pendingDeleteIds]
+  );
+  
+  /** @type {string|null} Fecha legible de la última sincronización con el servidor */
+  const lastSyncedLabel = dataUpdatedAt
+    ? new Date(dataUpdatedAt).toLocaleString('es', {
+        day: '2-digit',
+        month: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+      })
+    : null;
+  
+  /**
+   * @type {Array} Tableros de las páginas cargadas, filtrados y ordenados también en el cliente
+   * El servidor ya aplica búsqueda, filtros y orden; repetirlos aquí da respuesta inmediata
+   * mientras llega la búsqueda nueva y ubica los cambios pendientes de sincronizar.
+   */
   const filteredTableros = React.useMemo(() => {
     if (!tableros || tableros.length === 0) return [];
     
@@ -108,46 +202,141 @@ const TablerosListView = ({ navigation }) => {
       );
     }
     
-    // Filtrar por año de fabricación
-    if (selectedYear) {
-      filtered = filtered.filter(tablero => 
-        tablero.ano_fabricacion.toString() === selectedYear
+    // Filtrar por estado, marca, rangos, ubicación y año de fabricación
+    filtered = TableroController.filterTableros(filtered, filters);
+    
+    // Filtrar por mantenimiento vencido o próximo a vencer
+    if (filters.proximosAVencer) {
+      filtered = filtered.filter(tablero =>
+        dueByTableroId[tablero.id] && dueByTableroId[tablero.id].status !== DUE_STATUS.OK
       );
     }
     
-    return filtered;
-  }, [tableros, searchTerm, selectedYear]);
+    return TableroController.sortTableros(filtered, sortOption);
+  }, [tableros, searchTerm, filters, dueByTableroId, sortOption]);
   
-  /** @type {Array} Array de tableros mostrados actualmente (con paginación) - calculado directamente */
-  const displayedTableros = React.useMemo(() => {
-    if (!filteredTableros || filteredTableros.length === 0) return [];
-    return filteredTableros.slice(0, page * ITEMS_PER_PAGE);
-  }, [filteredTableros, page]);
+  /**
+   * @type {number} Cantidad de resultados de la búsqueda y filtros actuales
+   * Usa el total del servidor salvo con el filtro local de mantenimiento o si el servidor no lo informa.
+   */
+  const serverTotal = data?.total ?? null;
+  const resultCount = filters.proximosAVencer || serverTotal === null
+    ? filteredTableros.length
+    : serverTotal;
   
-  /** @type {Array} Array de años únicos disponibles para filtrar con conteo */
-  const availableYears = React.useMemo(() => {
-    if (!tableros || tableros.length === 0) return [];
-    
-    // Contar tableros por año
-    const yearCounts = {};
-    tableros.forEach(tablero => {
-      const year = tablero.ano_fabricacion.toString();
-      yearCounts[year] = (yearCounts[year] || 0) + 1;
-    });
+  /** @type {number} Tableros con mantenimiento vencido o próximo a vencer */
+  const dueSoonCount = React.useMemo(() => 
+    tableros.filter(tablero =>
+      dueByTableroId[tablero.id] && dueByTableroId[tablero.id].status !== DUE_STATUS.OK
+    ).length
+  , [tableros, dueByTableroId]);
+  
+  /**
+   * Actualiza uno o varios criterios de filtro
+   * 
+   * @param {Object} changes - Campos de filtro modificados
+   */
+  const updateFilters = (changes) => {
+    setFilters(prev => ({ ...prev, ...changes }));
+  };
+  
+  /**
+   * @type {Object} Opciones de cada filtro con su conteo de tableros cargados
+   * Los valores seleccionados se conservan aunque no aparezcan en las páginas cargadas.
+   */
+  const filterOptions = React.useMemo(() => {
+    const options = TableroController.getFilterOptions(tableros);
+    const withSelected = (list, selected) => [
+      ...list,
+      ...selected
+        .filter(value => !list.some(option => option.value === value))
+        .map(value => ({ value, count: 0 })),
+    ];
     
-    // Crear array de años únicos ordenados descendentemente
-    const years = Object.keys(yearCounts).sort((a, b) => parseInt(b) - parseInt(a));
+    return {
+      ...options,
+      marcas: withSelected(options.marcas, filters.marcas),
+      anos: withSelected(options.anos, filters.anoFabricacion ? [filters.anoFabricacion] : []),
+    };
+  }, [tableros, filters.marcas, filters.anoFabricacion]);
+  
+  /**
+   * @type {Array<{key: string, label: string, onRemove: Function}>}
+   * Chips de los filtros activos; cada uno sabe cómo quitarse
+   */
+  const activeFilterChips = React.useMemo(() => {
+    const chips = [];
+    const rangeLabel = (min, max, unit = '') => {
+      if (min && max) return `${min}–${max}${unit}`;
+      return min ? `≥ ${min}${unit}` : `≤ ${max}${unit}`;
+    };
     
-    return years.map(year => ({
-      year,
-      count: yearCounts[year],
-      label: `${year} (${yearCounts[year]} tablero${yearCounts[year] !== 1 ? 's' : ''})`
+    if (searchTerm) {
+      chips.push({ key: 'search', label: `"${searchTerm}"`, onRemove: () => setSearchTerm('') });
+    }
+    filters.estados.forEach(estado => chips.push({
+      key: `estado-${estado}`,
+      label: estado,
+      onRemove: () => updateFilters({ estados: filters.estados.filter(item => item !== estado) }),
     }));
-  }, [tableros]);
+    filters.marcas.forEach(marca => chips.push({
+      key: `marca-${marca}`,
+      label: marca,
+      onRemove: () => updateFilters({ marcas: filters.marcas.filter(item => item !== marca) }),
+    }));
+    if (filters.capacidadMin || filters.capacidadMax) {
+      chips.push({
+        key: 'capacidad',
+        label: `Capacidad ${rangeLabel(filters.capacidadMin, filters.capacidadMax, ' A')}`,
+        onRemove: () => updateFilters({ capacidadMin: '', capacidadMax: '' }),
+      });
+    }
+    if (filters.instalacionDesde || filters.instalacionHasta) {
+      chips.push({
+        key: 'instalacion',
+        label: `Instalación ${rangeLabel(filters.instalacionDesde, filters.instalacionHasta)}`,
+        onRemove: () => updateFilters({ instalacionDesde: '', instalacionHasta: '' }),
+      });
+    }
+    if (filters.ubicacionPrefijo.trim()) {
+      chips.push({
+        key: 'ubicacion',
+        label: `Ubicación: ${filters.ubicacionPrefijo.trim()}…`,
+        onRemove: () => updateFilters({ ubicacionPrefijo: '' }),
+      });
+    }
+    if (filters.anoFabricacion) {
+      chips.push({
+        key: 'anoFabricacion',
+        label: `Año: ${filters.anoFabricacion}`,
+        onRemove: () => updateFilters({ anoFabricacion: null }),
+      });
+    }
+    if (filters.proximosAVencer) {
+      chips.push({
+        key: 'proximosAVencer',
+        label: 'Próximos a vencer',
+        onRemove: () => updateFilters({ proximosAVencer: false }),
+      });
+    }
+    
+    return chips;
+  }, [searchTerm, filters]);
+  
+  /** @type {boolean} Indica si hay algún filtro del panel aplicado (sin contar la búsqueda) */
+  const hasActiveFilters = activeFilterChips.some(chip => chip.key !== 'search');
+  
+  /** @type {boolean} Hay búsqueda, filtros u orden no predeterminado que se pueden guardar como vista */
+  const canSavePreset = activeFilterChips.length > 0
+    || sortOption.field !== DEFAULT_SORT.field
+    || sortOption.direction !== DEFAULT_SORT.direction;
+  
+  /** @type {boolean} Se muestra la fila de vistas guardadas bajo la búsqueda */
+  const showPresetBar = filterPresets.length > 0 || canSavePreset;
   
   /** Animated.Value para controlar la animación del header */
   const scrollY = useRef(new Animated.Value(0)).current;
-  const baseHeaderHeight = 140; // Altura base del contenido del header + padding adicional
+  const baseHeaderHeight = 140 + (showPresetBar ? 38 : 0); // Altura base del contenido del header + fila de vistas guardadas
   const totalHeaderHeight = baseHeaderHeight + safeAreaHeight; // Altura total incluyendo SafeArea
   
   const headerTranslateY = scrollY.interpolate({
@@ -157,57 +346,26 @@ const TablerosListView = ({ navigation }) => {
   });
 
   /**
-   * Efecto para resetear la paginación cuando cambian los datos o filtros
-   * Solo maneja el reset del número de página, no el estado derivado
-   */
-  React.useEffect(() => {
-    setPage(1);
-  }, [data, isLoading, searchTerm, selectedYear]);
-
-  /**
-   * Carga más items de la lista (infinite scroll)
+   * Carga la siguiente página del servidor (infinite scroll)
    * Se ejecuta cuando el usuario llega al final de la lista
-   * Agrega los siguientes 10 items al array displayedTableros
    * 
    * @function
    */
   const loadMoreTableros = () => {
-    if (!filteredTableros || displayedTableros.length >= filteredTableros.length) return;
-    setPage(prevPage => prevPage + 1);
+    if (!hasNextPage || isFetchingNextPage) return;
+    fetchNextPage();
   };
 
   /**
    * Maneja la eliminación de un tablero
-   * Muestra un Alert de confirmación antes de ejecutar la eliminación.
-   * Utiliza React Query mutation que invalida automáticamente el caché.
+   * Oculta la tarjeta y muestra un snackbar para deshacer; la eliminación
+   * real se ejecuta cuando vence el plazo (ver UndoDeleteContext).
    * 
    * @function
    * @param {Object} tablero - Objeto tablero a eliminar
-   * @param {string} tablero.id - ID del tablero
-   * @param {string} tablero.nombre - Nombre del tablero (para mostrar en confirmación)
    */
   const handleDelete = (tablero) => {
-    Alert.alert(
-      'Confirmar eliminación',
-      `¿Estás seguro de eliminar el tablero "${tablero.nombre}"?`,
-      [
-        {
-          text: 'Cancelar',
-          style: 'cancel',
-        },
-        {
-          text: 'Eliminar',
-          style: 'destructive',
-          onPress: () => {
-            deleteTableroMutation.mutate(tablero.id, {
-              onSuccess: () => {
-                Alert.alert('Éxito', 'Tablero eliminado correctamente');
-              },
-            });
-          },
-        },
-      ]
-    );
+    scheduleDelete(tablero);
   };
 
   /**
@@ -226,113 +384,330 @@ const TablerosListView = ({ navigation }) => {
    */
   const clearFilters = () => {
     setSearchTerm('');
-    setSelectedYear(null);
+    setFilters(DEFAULT_FILTERS);
+  };
+
+  /**
+   * Aplica una vista guardada: búsqueda, filtros y orden
+   * 
+   * @param {Object} preset - Vista guardada
+   */
+  const applyPreset = (preset) => {
+    setSearchTerm(preset.searchTerm || '');
+    setFilters({ ...DEFAULT_FILTERS, ...preset.filters });
+    setSortOption(preset.sort || DEFAULT_SORT);
+  };
+
+  /**
+   * Texto de ayuda de la lista vacía según el estado del servidor
+   * 
+   * @returns {string} Indicación para el usuario
+   */
+  const getEmptyHint = () => {
+    if (isWaking) return 'El servidor se está iniciando; los tableros aparecerán en cuanto responda';
+    if (isOffline) return 'Sin conexión con el servidor; los tableros se cargarán al reconectar';
+    return 'Usa la pestaña "Crear" para agregar uno nuevo';
+  };
+
+  /**
+   * Cambia el campo de orden; si ya estaba seleccionado, invierte el sentido
+   * 
+   * @param {string} field - Campo de orden (ver SORT_FIELDS en TableroController)
+   */
+  const handleSortChange = (field) => {
+    setSortOption(prev => ({
+      field,
+      direction: prev.field === field && prev.direction === 'asc' ? 'desc' : 'asc',
+    }));
+  };
+
+  /**
+   * Navega al detalle del tablero
+   * 
+   * @function
+   * @param {Object} tablero - Objeto tablero seleccionado
+   */
+  const handleOpenDetail = (tablero) => {
+    navigation.navigate('TableroDetail', { tableroId: tablero.id });
+  };
+
+  /** @type {Array<Object>} Tableros seleccionados que siguen en la lista */
+  const selectedTableros = React.useMemo(
+    () => filteredTableros.filter(tablero => selectedIds.includes(tablero.id)),
+    [filteredTableros, selectedIds]
+  );
+
+  /**
+   * Agrega o quita un tablero de la selección
+   * @param {string} tableroId - ID del tablero
+   */
+  const toggleSelection = (tableroId) => {
+    setSelectedIds(ids => (ids.includes(tableroId) ? ids.filter(id => id !== tableroId) : [...ids, tableroId]));
+  };
+
+  /**
+   * Entra en modo selección con el tablero mantenido presionado
+   * @param {Object} tablero - Tablero presionado
+   */
+  const handleLongPress = (tablero) => {
+    if (isSelectionMode) {
+      toggleSelection(tablero.id);
+      return;
+    }
+    setIsSelectionMode(true);
+    setSelectedIds([tablero.id]);
+  };
+
+  /**
+   * Sale del modo selección
+   */
+  const exitSelectionMode = () => {
+    setIsSelectionMode(false);
+    setIsSelectingAll(false);
+    setSelectedIds([]);
+  };
+
+  /** @type {boolean} Todos los tableros filtrados están seleccionados */
+  const allSelected = !hasNextPage && filteredTableros.length > 0 && selectedTableros.length === filteredTableros.length;
+
+  /**
+   * Selecciona todos los tableros filtrados o limpia la selección
+   * Si quedan páginas por cargar, se cargan antes de seleccionar (ver efecto siguiente).
+   */
+  const handleToggleAll = () => {
+    if (allSelected) {
+      setSelectedIds([]);
+      return;
+    }
+    setIsSelectingAll(true);
   };
 
   /**
-   * Aplica filtro por año y cierra el modal
+   * Efecto que carga las páginas restantes y luego selecciona todos los filtrados
+   */
+  React.useEffect(() => {
+    if (!isSelectingAll) return;
+    if (hasNextPage && !isFetchNextPageError) {
+      if (!isFetchingNextPage) fetchNextPage();
+      return;
+    }
+    setSelectedIds(filteredTableros.map(tablero => tablero.id));
+    setIsSelectingAll(false);
+  }, [isSelectingAll, hasNextPage, isFetchingNextPage, isFetchNextPageError, filteredTableros, fetchNextPage]);
+
+  /** @type {React.MutableRefObject<boolean>} La acción ya reintentó una página que había fallado */
+  const fullListRetried = useRef(false);
+
+  /**
+   * Inicia una acción sobre la lista filtrada completa (ver efecto siguiente)
+   * @param {string} action - 'export' o 'report'
    */
-  const applyYearFilter = (year) => {
-    setSelectedYear(year);
-    setIsFilterModalVisible(false);
+  const startFullListAction = (action) => {
+    fullListRetried.current = false;
+    setFullListAction(action);
   };
 
   /**
-   * Activa el API del backend para sacarlo del estado de espera
-   * Hace una llamada inicial para "despertar" el servidor
+   * Efecto que carga las páginas restantes antes de exportar la lista filtrada
+   * o abrir su informe. Una página que falla se reintenta una vez; si vuelve a
+   * fallar se cancela la acción, para no entregar una lista incompleta.
    */
-  const activateAPI = async () => {
-    setIsActivatingAPI(true);
-    try {
-      // Hacer una llamada directa al API para activarlo
-      await fetch('https://remsprueback.onrender.com/tableros/', {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json',
+  React.useEffect(() => {
+    if (!fullListAction || isFetchingNextPage) return;
+    if (hasNextPage) {
+      if (!isFetchNextPageError || !fullListRetried.current) {
+        fullListRetried.current = isFetchNextPageError;
+        fetchNextPage();
+        return;
+      }
+      Alert.alert('Error', 'No se pudieron cargar todos los tableros filtrados. Inténtalo de nuevo.');
+      setFullListAction(null);
+      return;
+    }
+    if (fullListAction === 'export') {
+      setExportTableros(filteredTableros);
+    } else {
+      setIsReportVisible(true);
+    }
+    setFullListAction(null);
+  }, [fullListAction, hasNextPage, isFetchingNextPage, isFetchNextPageError, filteredTableros, fetchNextPage]);
+
+  /**
+   * Ejecuta una acción masiva sobre la selección mostrando su avance
+   * 
+   * @param {string} title - Descripción de la acción para el modal
+   * @param {Object} variables - { action, estado } para useBulkTableroAction
+   */
+  const runBulkAction = (title, variables) => {
+    setBulkTitle(title);
+    bulkMutation.mutate(
+      { ...variables, tableros: selectedTableros },
+      {
+        onSuccess: exitSelectionMode,
+        onError: (error) => {
+          setBulkTitle(null);
+          Alert.alert('Error', `No se pudo completar la acción masiva: ${error.message}`);
         },
-      });
-      
-      // Esperar un momento para que el servidor se active completamente
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // Ocultar el botón y refrescar los datos
-      setShowActivateButton(false);
-      refetch();
-    } catch (error) {
-      console.log('Error activando API, pero continuamos:', error);
-      // Aun si hay error, ocultamos el botón y intentamos refrescar
-      setShowActivateButton(false);
-      refetch();
-    } finally {
-      setIsActivatingAPI(false);
+      }
+    );
+  };
+
+  /**
+   * Cambia el estado de todos los tableros seleccionados
+   * @param {string} estado - Nuevo estado
+   */
+  const handleBulkEstado = (estado) => {
+    runBulkAction(`Cambiando estado a ${estado}`, { action: BULK_ACTIONS.UPDATE_ESTADO, estado });
+  };
+
+  /**
+   * Elimina los tableros seleccionados tras confirmación
+   */
+  const handleBulkDelete = () => {
+    const count = selectedTableros.length;
+    Alert.alert(
+      'Eliminar tableros',
+      `¿Eliminar ${count} tablero${count !== 1 ? 's' : ''}? Podrás restaurarlos desde "Eliminados recientemente".`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Eliminar',
+          style: 'destructive',
+          onPress: () => runBulkAction(`Eliminando ${count} tablero${count !== 1 ? 's' : ''}`, { action: BULK_ACTIONS.DELETE }),
+        },
+      ]
+    );
+  };
+
+  /**
+   * Abre la exportación a CSV de los tableros seleccionados
+   */
+  const handleBulkExport = () => {
+    setExportTableros(selectedTableros);
+  };
+
+  /**
+   * Genera la hoja de etiquetas QR de los tableros seleccionados
+   */
+  const handleBulkLabels = async () => {
+    setIsPrintingLabels(true);
+    const result = await QrService.exportLabelSheet(selectedTableros);
+    setIsPrintingLabels(false);
+
+    if (!result.success) {
+      Alert.alert('Error', result.error || 'No se pudieron generar las etiquetas');
+    } else if (result.data.skipped > 0) {
+      Alert.alert(
+        'Etiquetas generadas',
+        `Se omitieron ${result.data.skipped} tablero${result.data.skipped !== 1 ? 's' : ''} pendiente${result.data.skipped !== 1 ? 's' : ''} de sincronizar.`
+      );
     }
   };
 
   // Renderizar cada item de la lista
-  const renderTablero = ({ item }) => (
-    <View style={[styles.card, { backgroundColor: theme.colors.card }]}>
-      <View style={[styles.cardHeader, { backgroundColor: theme.colors.cardBackground, borderBottomColor: theme.colors.border }]}>
-        <View style={[styles.iconContainer, { backgroundColor: isDarkMode ? theme.colors.cardBackground : '#edf2f7' }]}>
-          <Ionicons name="flash" size={24} color={theme.colors.primary} />
-        </View>
-        <View style={styles.cardHeaderText}>
-          <Text style={[styles.tableroNombre, { color: theme.colors.text }]}>{item.nombre}</Text>
-          <View style={styles.ubicacionContainer}>
-            <Ionicons name="location-outline" size={16} color={theme.colors.textSecondary} />
-            <Text style={[styles.tableroUbicacion, { color: theme.colors.textSecondary }]}>{item.ubicacion}</Text>
+  const renderTablero = ({ item }) => {
+    const isSelected = selectedIds.includes(item.id);
+    
+    return (
+      <TouchableOpacity
+        style={[
+          styles.card,
+          { backgroundColor: theme.colors.card },
+          isSelected && [styles.cardSelected, { borderColor: theme.colors.primary }],
+        ]}
+        activeOpacity={0.8}
+        onPress={() => (isSelectionMode ? toggleSelection(item.id) : handleOpenDetail(item))}
+        onLongPress={() => handleLongPress(item)}
+      >
+        <View style={[styles.cardHeader, { backgroundColor: theme.colors.cardBackground, borderBottomColor: theme.colors.border }]}>
+          <View style={[styles.iconContainer, { backgroundColor: isDarkMode ? theme.colors.cardBackground : '#edf2f7' }]}>
+            <Ionicons
+              name={isSelectionMode ? (isSelected ? 'checkmark-circle' : 'ellipse-outline') : 'flash'}
+              size={24}
+              color={theme.colors.primary}
+            />
           </View>
+          <View style={styles.cardHeaderText}>
+            <Text style={[styles.tableroNombre, { color: theme.colors.text }]}>{item.nombre}</Text>
+            <View style={styles.ubicacionContainer}>
+              <Ionicons name="location-outline" size={16} color={theme.colors.textSecondary} />
+              <Text style={[styles.tableroUbicacion, { color: theme.colors.textSecondary }]}>{item.ubicacion}</Text>
+            </View>
+          </View>
+          {statusByTableroId[item.id] && (
+            <View style={[
+              styles.syncBadge,
+              { backgroundColor: statusByTableroId[item.id].status === 'failed' ? theme.colors.error : theme.colors.warning }
+            ]}>
+              <Ionicons
+                name={statusByTableroId[item.id].status === 'failed' ? 'alert-circle' : 'cloud-upload-outline'}
+                size={14}
+                color="#ffffff"
+              />
+              <Text style={styles.syncBadgeText}>
+                {statusByTableroId[item.id].status === 'failed' ? 'Error' : 'Pendiente'}
+              </Text>
+            </View>
+          )}
+          {dueByTableroId[item.id]?.status === DUE_STATUS.OVERDUE && (
+            <View style={[styles.syncBadge, { backgroundColor: theme.colors.error }]}>
+              <Ionicons name="alarm" size={14} color="#ffffff" />
+              <Text style={styles.syncBadgeText}>Vencido</Text>
+            </View>
+          )}
         </View>
-      </View>
 
-      <View style={styles.cardBody}>
-        <View style={styles.infoRow}>
-          <Text style={[styles.infoLabel, { color: theme.colors.textSecondary }]}>Marca:</Text>
-          <Text style={[styles.infoValue, { color: theme.colors.text }]}>{item.marca}</Text>
-        </View>
-        <View style={styles.infoRow}>
-          <Text style={[styles.infoLabel, { color: theme.colors.textSecondary }]}>Capacidad:</Text>
-          <Text style={[styles.infoValue, { color: theme.colors.text }]}>{item.capacidad_amperios} A</Text>
-        </View>
-        <View style={styles.infoRow}>
-          <Text style={[styles.infoLabel, { color: theme.colors.textSecondary }]}>Estado:</Text>
-          <View style={[styles.estadoBadge, 
-            item.estado === 'Operativo' && styles.estadoOperativo,
-            item.estado === 'Mantenimiento' && styles.estadoMantenimiento,
-            item.estado === 'Fuera de servicio' && styles.estadoFueraServicio
-          ]}>
-            <Text style={styles.estadoText}>{item.estado}</Text>
+        <View style={styles.cardBody}>
+          <View style={styles.infoRow}>
+            <Text style={[styles.infoLabel, { color: theme.colors.textSecondary }]}>Marca:</Text>
+            <Text style={[styles.infoValue, { color: theme.colors.text }]}>{item.marca}</Text>
+          </View>
+          <View style={styles.infoRow}>
+            <Text style={[styles.infoLabel, { color: theme.colors.textSecondary }]}>Capacidad:</Text>
+            <Text style={[styles.infoValue, { color: theme.colors.text }]}>{item.capacidad_amperios} A</Text>
+          </View>
+          <View style={styles.infoRow}>
+            <Text style={[styles.infoLabel, { color: theme.colors.textSecondary }]}>Estado:</Text>
+            <View style={[styles.estadoBadge, 
+              item.estado === 'Operativo' && styles.estadoOperativo,
+              item.estado === 'Mantenimiento' && styles.estadoMantenimiento,
+              item.estado === 'Fuera de servicio' && styles.estadoFueraServicio
+            ]}>
+              <Text style={styles.estadoText}>{item.estado}</Text>
+            </View>
+          </View>
+          <View style={styles.infoRow}>
+            <Text style={[styles.infoLabel, { color: theme.colors.textSecondary }]}>Fabricación:</Text>
+            <Text style={[styles.infoValue, { color: theme.colors.text }]}>{item.ano_fabricacion}</Text>
+          </View>
+          <View style={styles.infoRow}>
+            <Text style={[styles.infoLabel, { color: theme.colors.textSecondary }]}>Instalación:</Text>
+            <Text style={[styles.infoValue, { color: theme.colors.text }]}>{item.ano_instalacion}</Text>
           </View>
         </View>
-        <View style={styles.infoRow}>
-          <Text style={[styles.infoLabel, { color: theme.colors.textSecondary }]}>Fabricación:</Text>
-          <Text style={[styles.infoValue, { color: theme.colors.text }]}>{item.ano_fabricacion}</Text>
-        </View>
-        <View style={styles.infoRow}>
-          <Text style={[styles.infoLabel, { color: theme.colors.textSecondary }]}>Instalación:</Text>
-          <Text style={[styles.infoValue, { color: theme.colors.text }]}>{item.ano_instalacion}</Text>
-        </View>
-      </View>
 
-      <View style={[styles.cardActions, { borderTopColor: theme.colors.border }]}>
-        <TouchableOpacity 
-          style={[styles.button, styles.editButton, { backgroundColor: theme.colors.primary }]}
-          onPress={() => handleEdit(item)}
-        >
-          <Ionicons name="pencil" size={18} color="#ffffff" />
-          <Text style={styles.buttonText}>Editar</Text>
-        </TouchableOpacity>
+        {!isSelectionMode && (
+          <View style={[styles.cardActions, { borderTopColor: theme.colors.border }]}>
+            <TouchableOpacity 
+              style={[styles.button, styles.editButton, { backgroundColor: theme.colors.primary }]}
+              onPress={() => handleEdit(item)}
+            >
+              <Ionicons name="pencil" size={18} color="#ffffff" />
+              <Text style={styles.buttonText}>Editar</Text>
+            </TouchableOpacity>
         
-        <TouchableOpacity 
-          style={[styles.button, styles.deleteButton, { backgroundColor: theme.colors.error }]}
-          onPress={() => handleDelete(item)}
-        >
-          <Ionicons name="trash" size={18} color="#ffffff" />
-          <Text style={styles.buttonText}>Eliminar</Text>
-        </TouchableOpacity>
-      </View>
-    </View>
-  );
+            <TouchableOpacity 
+              style={[styles.button, styles.deleteButton, { backgroundColor: theme.colors.error }]}
+              onPress={() => handleDelete(item)}
+            >
+              <Ionicons name="trash" size={18} color="#ffffff" />
+              <Text style={styles.buttonText}>Eliminar</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </TouchableOpacity>
+    );
+  };
 
   if (isLoading) {
     return (
@@ -343,17 +718,11 @@ const TablerosListView = ({ navigation }) => {
     );
   }
 
-  if (isError) {
+  // Si hay datos en caché se siguen mostrando aunque el refresco falle
+  if (isError && tableros.length === 0) {
     return (
       <View style={[styles.centerContainer, { backgroundColor: theme.colors.background }]}>
-        <Ionicons name="alert-circle" size={80} color={theme.colors.error} />
-        <Text style={[styles.errorText, { color: theme.colors.error }]}>Error al cargar tableros</Text>
-        <TouchableOpacity 
-          style={[styles.retryButton, { backgroundColor: theme.colors.primary }]}
-          onPress={() => refetch()}
-        >
-          <Text style={styles.retryButtonText}>Reintentar</Text>
-        </TouchableOpacity>
+        <ErrorState error={error} onRetry={refetch} />
       </View>
     );
   }
@@ -382,7 +751,33 @@ const TablerosListView = ({ navigation }) => {
         >
         <View style={styles.headerTop}>
           <Ionicons name="grid" size={28} color={theme.colors.primary} />
-          <Text style={[styles.headerTitle, { color: theme.colors.text }]}>Tableros Eléctricos</Text>
+          <View style={styles.headerTitleContainer}>
+            <Text style={[styles.headerTitle, { color: theme.colors.text }]}>Tableros Eléctricos</Text>
+            {lastSyncedLabel && (
+              <Text style={[
+                styles.lastSyncedText,
+                { color: isError ? theme.colors.error : theme.colors.textSecondary }
+              ]}>
+                {isFetching
+                  ? `Actualizando... (última sincronización ${lastSyncedLabel})`
+                  : isError
+                    ? `Sin conexión · datos del ${lastSyncedLabel}`
+                    : `Última sincronización: ${lastSyncedLabel}`}
+              </Text>
+            )}
+          </View>
+          <TouchableOpacity 
+            style={styles.themeToggle}
+            onPress={() => navigation.navigate('ScanTablero')}
+          >
+            <Ionicons name="scan-outline" size={24} color={theme.colors.primary} />
+          </TouchableOpacity>
+          <TouchableOpacity 
+            style={styles.themeToggle}
+            onPress={() => navigation.navigate('RecentlyDeleted')}
+          >
+            <Ionicons name="trash-bin-outline" size={24} color={theme.colors.primary} />
+          </TouchableOpacity>
           <TouchableOpacity 
             style={styles.themeToggle}
             onPress={toggleTheme}
@@ -414,7 +809,7 @@ const TablerosListView = ({ navigation }) => {
           
           <TouchableOpacity 
             style={[styles.filterButton, { 
-              backgroundColor: selectedYear ? theme.colors.primary : theme.colors.cardBackground,
+              backgroundColor: hasActiveFilters ? theme.colors.primary : theme.colors.cardBackground,
               borderColor: theme.colors.border
             }]}
             onPress={() => setIsFilterModalVisible(true)}
@@ -422,25 +817,65 @@ const TablerosListView = ({ navigation }) => {
             <Ionicons 
               name="filter" 
               size={20} 
-              color={selectedYear ? '#ffffff' : theme.colors.primary} 
+              color={hasActiveFilters ? '#ffffff' : theme.colors.primary} 
             />
           </TouchableOpacity>
+          
+          <TouchableOpacity 
+            style={[styles.filterButton, styles.exportButton, { 
+              backgroundColor: theme.colors.cardBackground,
+              borderColor: theme.colors.border
+            }]}
+            onPress={() => startFullListAction('export')}
+            disabled={filteredTableros.length === 0 || fullListAction !== null}
+          >
+            {fullListAction === 'export' ? (
+              <ActivityIndicator size="small" color={theme.colors.primary} />
+            ) : (
+              <Ionicons name="download-outline" size={20} color={theme.colors.primary} />
+            )}
+          </TouchableOpacity>
+          
+          <TouchableOpacity 
+            style={[styles.filterButton, styles.exportButton, { 
+              backgroundColor: theme.colors.cardBackground,
+              borderColor: theme.colors.border
+            }]}
+            onPress={() => startFullListAction('report')}
+            disabled={filteredTableros.length === 0 || fullListAction !== null}
+          >
+            {fullListAction === 'report' ? (
+              <ActivityIndicator size="small" color={theme.colors.primary} />
+            ) : (
+              <Ionicons name="document-text-outline" size={20} color={theme.colors.primary} />
+            )}
+          </TouchableOpacity>
         </View>
         
-        {(searchTerm || selectedYear) && (
+        <FilterPresetBar
+          currentState={{ searchTerm, filters, sort: sortOption }}
+          canSave={canSavePreset}
+          onApply={applyPreset}
+        />
+        
+        {activeFilterChips.length > 0 && (
           <View style={styles.filtersActive}>
-            <View style={styles.activeFiltersContainer}>
-              {searchTerm && (
-                <View style={[styles.activeFilter, { backgroundColor: theme.colors.primary }]}>
-                  <Text style={styles.activeFilterText}>"{searchTerm}"</Text>
-                </View>
-              )}
-              {selectedYear && (
-                <View style={[styles.activeFilter, { backgroundColor: theme.colors.primary }]}>
-                  <Text style={styles.activeFilterText}>Año: {selectedYear}</Text>
-                </View>
-              )}
-            </View>
+            <ScrollView
+              horizontal
+              showsHorizontalScrollIndicator={false}
+              style={styles.activeFiltersContainer}
+            >
+              {activeFilterChips.map(chip => (
+                <TouchableOpacity
+                  key={chip.key}
+                  style={[styles.activeFilter, { backgroundColor: theme.colors.primary }]}
+                  onPress={chip.onRemove}
+                >
+                  <Text style={styles.activeFilterText}>{chip.label}</Text>
+                  <Ionicons name="close" size={12} color="#ffffff" />
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
             <TouchableOpacity onPress={clearFilters} style={styles.clearFiltersButton}>
               <Text style={[styles.clearFiltersText, { color: theme.colors.primary }]}>Limpiar</Text>
             </TouchableOpacity>
@@ -448,31 +883,18 @@ const TablerosListView = ({ navigation }) => {
         )}
       </Animated.View>
 
-      {!isLoading && filteredTableros.length === 0 ? (
+      {!isLoading && filteredTableros.length === 0 && !hasNextPage ? (
         <View style={styles.emptyContainer}>
+          <View style={styles.emptySyncBanner}>
+            <SyncStatusBanner queue={queue} onRetry={retry} onDiscard={discard} />
+          </View>
           <Ionicons name="file-tray-outline" size={80} color={theme.colors.border} />
-          {tableros.length === 0 ? (
+          {activeFilterChips.length === 0 ? (
             <>
               <Text style={[styles.emptyText, { color: theme.colors.text }]}>No hay tableros registrados</Text>
               <Text style={[styles.emptySubtext, { color: theme.colors.textSecondary }]}>
-                {showActivateButton ? 'Primero activa el servidor para cargar los datos' : 'Usa la pestaña "Crear" para agregar uno nuevo'}
+                {getEmptyHint()}
               </Text>
-              {showActivateButton && (
-                <TouchableOpacity 
-                  style={[styles.activateButton, { backgroundColor: theme.colors.primary }]}
-                  onPress={activateAPI}
-                  disabled={isActivatingAPI}
-                >
-                  {isActivatingAPI ? (
-                    <ActivityIndicator size="small" color="#ffffff" />
-                  ) : (
-                    <Ionicons name="power" size={20} color="#ffffff" />
-                  )}
-                  <Text style={styles.activateButtonText}>
-                    {isActivatingAPI ? 'Activando servidor...' : 'Activar Servidor'}
-                  </Text>
-                </TouchableOpacity>
-              )}
             </>
           ) : (
             <>
@@ -480,7 +902,7 @@ const TablerosListView = ({ navigation }) => {
               <Text style={[styles.emptySubtext, { color: theme.colors.textSecondary }]}>
                 Intenta ajustar los filtros de búsqueda
               </Text>
-              {(searchTerm || selectedYear) && (
+              {activeFilterChips.length > 0 && (
                 <TouchableOpacity onPress={clearFilters} style={[styles.clearButton, { backgroundColor: theme.colors.primary }]}>
                   <Text style={styles.clearButtonText}>Limpiar filtros</Text>
                 </TouchableOpacity>
@@ -490,10 +912,15 @@ const TablerosListView = ({ navigation }) => {
         </View>
       ) : (
         <Animated.FlatList
-          data={displayedTableros}
+          data={filteredTableros}
           renderItem={renderTablero}
           keyExtractor={(item) => item.id}
-          contentContainerStyle={[styles.listContent, { paddingTop: totalHeaderHeight }]}
+          contentContainerStyle={[
+            styles.listContent,
+            { paddingTop: totalHeaderHeight },
+            isSelectionMode && styles.listContentSelection,
+          ]}
+          extraData={selectedIds}
           refreshControl={
             <RefreshControl
               refreshing={false}
@@ -508,10 +935,13 @@ const TablerosListView = ({ navigation }) => {
             { useNativeDriver: true }
           )}
           scrollEventThrottle={16}
+          ListHeaderComponent={
+            <SyncStatusBanner queue={queue} onRetry={retry} onDiscard={discard} />
+          }
           onEndReached={loadMoreTableros}
           onEndReachedThreshold={0.5}
           ListFooterComponent={() => 
-            displayedTableros.length < filteredTableros.length && displayedTableros.length > 0 ? (
+            isFetchingNextPage ? (
               <View style={styles.footerLoader}>
                 <ActivityIndicator size="small" color={theme.colors.primary} />
                 <Text style={[styles.footerText, { color: theme.colors.primary }]}>Cargando más...</Text>
@@ -521,53 +951,60 @@ const TablerosListView = ({ navigation }) => {
         />
       )}
       
-      {/* Modal de filtros por año */}
-      <Modal
-        animationType="slide"
-        transparent={true}
+      {/* Modal de orden y filtros combinables */}
+      <TableroFilterModal
         visible={isFilterModalVisible}
-        onRequestClose={() => setIsFilterModalVisible(false)}
-      >
-        <View style={styles.modalOverlay}>
-          <View style={[styles.modalContent, { backgroundColor: theme.colors.card }]}>
-            <View style={styles.modalHeader}>
-              <Text style={[styles.modalTitle, { color: theme.colors.text }]}>Filtrar por Año</Text>
-              <TouchableOpacity onPress={() => setIsFilterModalVisible(false)}>
-                <Ionicons name="close" size={24} color={theme.colors.textSecondary} />
-              </TouchableOpacity>
-            </View>
-            
-            <FlatList
-              data={[
-                { year: null, label: 'Todos los años', count: tableros.length }, 
-                ...availableYears
-              ]}
-              keyExtractor={(item) => item.year?.toString() || 'all'}
-              renderItem={({ item }) => (
-                <TouchableOpacity
-                  style={[
-                    styles.yearOption,
-                    { borderBottomColor: theme.colors.border },
-                    selectedYear === item.year && { backgroundColor: theme.colors.cardBackground }
-                  ]}
-                  onPress={() => applyYearFilter(item.year)}
-                >
-                  <Text style={[
-                    styles.yearOptionText,
-                    { color: theme.colors.text },
-                    selectedYear === item.year && { fontWeight: 'bold', color: theme.colors.primary }
-                  ]}>
-                    {item.label}
-                  </Text>
-                  {selectedYear === item.year && (
-                    <Ionicons name="checkmark" size={20} color={theme.colors.primary} />
-                  )}
-                </TouchableOpacity>
-              )}
-            />
-          </View>
-        </View>
-      </Modal>
+        onClose={() => setIsFilterModalVisible(false)}
+        filters={filters}
+        onChange={updateFilters}
+        options={filterOptions}
+        sortOption={sortOption}
+        onSortChange={handleSortChange}
+        dueSoonCount={dueSoonCount}
+        resultCount={resultCount}
+        onClear={clearFilters}
+      />
+      
+      {isSelectionMode && (
+        <BulkActionBar
+          selectedCount={selectedTableros.length}
+          allSelected={allSelected}
+          isSelectingAll={isSelectingAll}
+          onToggleAll={handleToggleAll}
+          onChangeEstado={handleBulkEstado}
+          onExport={handleBulkExport}
+          onPrintLabels={handleBulkLabels}
+          isPrintingLabels={isPrintingLabels}
+          onDelete={handleBulkDelete}
+          onCancel={exitSelectionMode}
+        />
+      )}
+      
+      {/* Exportación a CSV de la lista filtrada o de la selección */}
+      <CsvExportModal
+        visible={exportTableros !== null}
+        onClose={() => setExportTableros(null)}
+        tableros={exportTableros || []}
+      />
+      
+      {/* Informe de inspección en PDF de la lista filtrada (con todas sus páginas cargadas) */}
+      <ReportModal
+        visible={isReportVisible}
+        onClose={() => setIsReportVisible(false)}
+        tableros={filteredTableros}
+      />
+      
+      {/* Avance y resultado por tablero de la acción masiva */}
+      <BulkProgressModal
+        visible={bulkTitle !== null}
+        title={bulkTitle || ''}
+        progress={bulkMutation.progress}
+        result={bulkMutation.isPending ? null : bulkMutation.data}
+        onClose={() => {
+          setBulkTitle(null);
+          bulkMutation.reset();
+        }}
+      />
       </View>
     </SafeAreaView>
   );
@@ -607,11 +1044,17 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginBottom: 12,
   },
+  headerTitleContainer: {
+    flex: 1,
+    marginLeft: 12,
+  },
   headerTitle: {
     fontSize: 20,
     fontWeight: 'bold',
-    marginLeft: 12,
-    flex: 1,
+  },
+  lastSyncedText: {
+    fontSize: 11,
+    marginTop: 2,
   },
   themeToggle: {
     width: 40,
@@ -648,6 +1091,9 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     borderWidth: 1,
   },
+  exportButton: {
+    marginLeft: 8,
+  },
   filtersActive: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -655,10 +1101,11 @@ const styles = StyleSheet.create({
   },
   activeFiltersContainer: {
     flex: 1,
-    flexDirection: 'row',
-    flexWrap: 'wrap',
   },
   activeFilter: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
     paddingHorizontal: 8,
     paddingVertical: 4,
     borderRadius: 12,
@@ -688,66 +1135,15 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
-  activateButton: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    justifyContent: 'center',
-    marginTop: 20,
-    paddingHorizontal: 32,
-    paddingVertical: 14,
-    borderRadius: 12,
-    elevation: 2,
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 2 },
-    shadowOpacity: 0.1,
-    shadowRadius: 4,
-  },
-  activateButtonText: {
-    color: '#ffffff',
-    fontSize: 16,
-    fontWeight: '600',
-    marginLeft: 8,
-  },
-  modalOverlay: {
-    flex: 1,
-    backgroundColor: 'rgba(0, 0, 0, 0.5)',
-    justifyContent: 'flex-end',
-  },
-  modalContent: {
-    borderTopLeftRadius: 20,
-    borderTopRightRadius: 20,
-    paddingTop: 20,
-    paddingHorizontal: 20,
-    paddingBottom: 40,
-    maxHeight: '70%',
-  },
-  modalHeader: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    alignItems: 'center',
-    marginBottom: 20,
-    paddingBottom: 16,
-    borderBottomWidth: 1,
-    borderBottomColor: '#e2e8f0',
-  },
-  modalTitle: {
-    fontSize: 20,
-    fontWeight: 'bold',
-  },
-  yearOption: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    alignItems: 'center',
-    paddingVertical: 16,
-    paddingHorizontal: 4,
-    borderBottomWidth: 1,
-  },
-  yearOptionText: {
-    fontSize: 16,
-  },
   listContent: {
     padding: 16,
   },
+  listContentSelection: {
+    paddingBottom: 130,
+  },
+  cardSelected: {
+    borderWidth: 2,
+  },
   card: {
     borderRadius: 12,
     marginBottom: 16,
@@ -805,6 +1201,20 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '600',
   },
+  syncBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+    marginLeft: 8,
+  },
+  syncBadgeText: {
+    color: '#ffffff',
+    fontSize: 11,
+    fontWeight: 'bold',
+    marginLeft: 4,
+  },
   estadoBadge: {
     paddingHorizontal: 12,
     paddingVertical: 4,
@@ -855,6 +1265,9 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     padding: 40,
   },
+  emptySyncBanner: {
+    alignSelf: 'stretch',
+  },
   emptyText: {
     fontSize: 20,
     fontWeight: 'bold',
@@ -876,23 +1289,6 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '600',
   },
-  errorText: {
-    fontSize: 18,
-    fontWeight: '600',
-    marginTop: 20,
-    textAlign: 'center',
-  },
-  retryButton: {
-    marginTop: 20,
-    paddingHorizontal: 30,
-    paddingVertical: 12,
-    borderRadius: 8,
-  },
-  retryButtonText: {
-    color: '#ffffff',
-    fontSize: 16,
-    fontWeight: '600',
-  },
 });
 
 export default TablerosListView;